@@ -0,0 +1,130 @@
+// Types for ./index.js, shared with the TypeScript workflow.
+
+export type Environment = 'local' | 'arbitrumSepolia' | 'mainnet';
+
+export interface NetworkConfig {
+    name: string;
+    chainId: number;
+    rpcUrl: string;
+    /** Block explorer base URL; "" when there is none */
+    explorerUrl: string;
+}
+
+export interface RetryPolicy {
+    /** Attempts per fetch, including the first */
+    maxAttempts: number;
+    /** Backoff ceiling before the first retry; doubles per retry */
+    baseDelayMs: number;
+    maxDelayMs: number;
+}
+
+/** Gas estimates for batched writes, measured in test/WeatherShield.test.cjs and rounded up */
+export interface BatchGasConfig {
+    /** Fixed cost of one updateWeatherDataBatch or processClaims transaction */
+    baseGas: number;
+    /** Per entry of updateWeatherDataBatch (a location's first record of the day) */
+    observationGas: number;
+    /** Per policy paid by processClaims; covers the gas kept back from each inner processClaim call, which would otherwise fail silently */
+    claimGas: number;
+}
+
+export interface WorkflowConfig {
+    /** Cron expression the workflow runs on */
+    schedule: string;
+    /** Weather sources to query, by adapter id (see cre-workflow/src/sources) */
+    sources: string[];
+    /** Gas limit of a single write */
+    gasLimit: number;
+    /** Active policy ids fetched per getActivePolicyIds call */
+    activePageSize: number;
+    /** Wall-clock budget; stay well inside the 300 s CRE execution timeout */
+    cycleTimeBudgetMs: number;
+    /** Total gas a single cycle may commit across all writes */
+    cycleGasBudget: number;
+    /** Policies expired per expirePolicies transaction */
+    expiryBatchSize: number;
+    expiryGasPerPolicy: number;
+    /** Sizing of updateWeatherDataBatch and processClaims transactions */
+    batch: BatchGasConfig;
+    /** Retries for transient source failures (network, timeout, 408/429, 5xx) */
+    fetchRetry: RetryPolicy;
+    /** Consecutive failed attempts after which a source is skipped for the rest of the cycle */
+    sourceBreakerThreshold: number;
+    /** Secret holding the reporter key registered in WeatherOracle */
+    reporterKeySecret: string;
+    /** HTTP store signed reports are PUT to; "" = log only */
+    reportRelayUrl: string;
+}
+
+export type OutlierRule = 'mad' | 'max-spread';
+
+export interface ConsensusConfig {
+    /** How outliers are dropped before aggregation */
+    rule: OutlierRule;
+    /** 'mad': drop values further than k × MAD from the median */
+    madMultiplier: number;
+    /** 'mad': lower bound for MAD so near-identical readings don't reject everything else (×10 units) */
+    madFloor: number;
+    /** 'max-spread': drop the furthest value until max - min fits, keeping a majority (×10 units) */
+    maxSpread: number;
+    /** Largest spread allowed between surviving values: per metric (×10 units), and in days for day counts */
+    tolerance: { precipitation: number; temperature: number; days: number };
+    /** Minimum surviving sources required to write */
+    minSources: number;
+}
+
+export interface DeployedContract {
+    address: string;
+    /** Absent for contracts created by another contract's constructor */
+    transactionHash?: string;
+    blockNumber?: number;
+    /** keccak256 of the ABI as compact JSON; null when not recorded */
+    abiHash: string | null;
+}
+
+/** deployments/<network>.json, written by scripts/deploy.js; null fields were not recorded */
+export interface DeploymentManifest {
+    /** Hardhat network name */
+    network: string;
+    chainId: number;
+    deployer: string | null;
+    priceFeed: string;
+    creAuthorized: string | null;
+    /** Wei deposited into the pool by the deployer, as a decimal string */
+    seedLiquidity: string | null;
+    /** By contract name: WeatherShield, the contracts it creates and, on local networks, MockV3Aggregator */
+    contracts: Record<string, DeployedContract>;
+}
+
+export interface WeatherShieldConfig {
+    environment: Environment;
+    network: NetworkConfig;
+    /** From the deployment manifest of the network's chain unless overridden */
+    contracts: { weatherShield: string };
+    workflow: WorkflowConfig;
+    consensus: ConsensusConfig;
+    deployment: DeploymentManifest | null;
+}
+
+type DeepPartial<T> = { [K in keyof T]?: T[K] extends object ? (T[K] extends any[] ? T[K] : DeepPartial<T[K]>) : T[K] };
+
+export declare const ENVIRONMENTS: readonly Environment[];
+export declare const DEFAULT_ENVIRONMENT: Environment;
+export declare const MAX_TX_GAS: number;
+
+export declare class ConfigError extends Error {
+    readonly environment: string;
+    readonly problems: string[];
+    constructor(environment: string, problems: string[]);
+}
+
+export declare function selectEnvironment(explicit?: string): Environment;
+/** Like selectEnvironment, but throws a ConfigError instead of falling back to DEFAULT_ENVIRONMENT */
+export declare function requireEnvironment(explicit?: string): Environment;
+
+export declare function loadConfig(
+    environment?: Environment,
+    overrides?: DeepPartial<Omit<WeatherShieldConfig, 'environment' | 'deployment'>>
+): WeatherShieldConfig;
+
+export declare function explorerTxUrl(network: NetworkConfig, txHash: string): string | null;
@@ -0,0 +1,194 @@
+// WeatherShield configuration.
+// One model for the CRE workflow, the simulator, scripts and the frontend:
+// shared defaults in weathershield.json, overridden per environment, then by
+// the caller (CLI flags, env vars). Contract addresses come from the
+// deployment manifests scripts/deploy.js writes. Everything is validated up
+// front so a bad address or gas limit fails at startup with the offending
+// field named, instead of as a revert or a silent misread mid-cycle.
+
+import data from './weathershield.json' with { type: 'json' };
+import localhost from '../deployments/localhost.json' with { type: 'json' };
+
+// deployments/<network>.json, matched to an environment by chain id. Imported
+// statically so the frontend and workflow bundles include them: a network's
+// first deployment needs its import added here.
+const DEPLOYMENTS = [localhost];
+
+export const ENVIRONMENTS = Object.freeze(Object.keys(data.environments));
+// For scripts and the frontend's dev server: the one environment that always has a
+// deployment to load (npm run node, then deploy:local). The CRE workflow build has
+// no default; see requireEnvironment.
+export const DEFAULT_ENVIRONMENT = 'local';
+
+// CRE quota: gas per EVM write transaction
+export const MAX_TX_GAS = 5_000_000;
+
+export class ConfigError extends Error {
+  /**
+   * @param {string} environment
+   * @param {string[]} problems  one "path: what is wrong" entry per invalid field
+   */
+  constructor(environment, problems) {
+    super(`Invalid WeatherShield config for "${environment}":\n${problems.map(p => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.environment = environment;
+    this.problems = problems;
+  }
+}
+
+/**
+ * Environment to use: the caller's choice, else WEATHERSHIELD_ENV (Node only), else the default
+ * @param {string} [explicit]
+ */
+export function selectEnvironment(explicit) {
+  return explicit || envVariable() || DEFAULT_ENVIRONMENT;
+}
+
+/**
+ * Environment the caller or WEATHERSHIELD_ENV names, with no default: for builds that
+ * must never fall back to the local chain
+ * @param {string} [explicit]
+ */
+export function requireEnvironment(explicit) {
+  const environment = explicit || envVariable();
+  if (!environment) {
+    throw new ConfigError('(none)', [`no environment selected: set WEATHERSHIELD_ENV to one of ${ENVIRONMENTS.join(', ')}`]);
+  }
+  return environment;
+}
+
+/**
+ * Resolve and validate the configuration for an environment
+ * @param {string} [environment]  one of ENVIRONMENTS; see selectEnvironment
+ * @param {object} [overrides]    partial config merged over the environment's values
+ * @returns {import('./index').WeatherShieldConfig}
+ */
+export function loadConfig(environment = selectEnvironment(), overrides = {}) {
+  if (!Object.hasOwn(data.environments, environment)) {
+    throw new ConfigError(environment, [`unknown environment (expected one of: ${ENVIRONMENTS.join(', ')})`]);
+  }
+  const merged = merge(merge(data.defaults, data.environments[environment]), overrides);
+  const deployment = DEPLOYMENTS.find(d => d.chainId === merged.network?.chainId) ?? null;
+  const deployed = { contracts: { weatherShield: deployment?.contracts.WeatherShield?.address ?? null } };
+  const { network, contracts, workflow, consensus, ...unknown } = merge(deployed, merged);
+  const config = { environment, network, contracts, workflow, consensus, deployment };
+
+  const problems = [...Object.keys(unknown).map(key => `${key}: unknown section`), ...validate(config)];
+  if (problems.length > 0) throw new ConfigError(environment, problems);
+  return deepFreeze(config);
+}
+
+/**
+ * Block explorer link for a transaction; null when the network has no explorer
+ * @param {import('./index').NetworkConfig} network
+ * @param {string} txHash
+ */
+export function explorerTxUrl(network, txHash) {
+  return network.explorerUrl ? `${network.explorerUrl}/tx/${txHash}` : null;
+}
+
+// ─── Validation ──────────────────────────────────────────────────────
+
+const ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+const CRON_FIELD = /^(\*|\d+(-\d+)?)(\/\d+)?(,(\*|\d+(-\d+)?)(\/\d+)?)*$/;
+const OUTLIER_RULES = ['mad', 'max-spread'];
+
+function validate(config) {
+  const problems = [];
+  const check = (ok, path, message) => { if (!ok) problems.push(`${path}: ${message}`); };
+  const int = (value, path, min, max = Number.MAX_SAFE_INTEGER) =>
+    check(Number.isInteger(value) && value >= min && value <= max, path,
+      `expected an integer in [${min}, ${max === Number.MAX_SAFE_INTEGER ? '∞' : max}], got ${show(value)}`);
+  const positive = (value, path) =>
+    check(typeof value === 'number' && Number.isFinite(value) && value > 0, path, `expected a positive number, got ${show(value)}`);
+  const url = (value, path, optional) =>
+    check((optional && value === '') || isHttpUrl(value), path, `expected an http(s) URL${optional ? ' or ""' : ''}, got ${show(value)}`);
+
+  const { network = {}, contracts = {}, workflow = {}, consensus = {} } = config;
+
+  check(typeof network.name === 'string' && network.name.length > 0, 'network.name', 'required');
+  int(network.chainId, 'network.chainId', 1);
+  url(network.rpcUrl, 'network.rpcUrl', false);
+  url(network.explorerUrl, 'network.explorerUrl', true);
+
+  check(typeof contracts.weatherShield === 'string' && ADDRESS.test(contracts.weatherShield), 'contracts.weatherShield',
+    contracts.weatherShield == null
+      ? `not deployed in this environment (no deployments/*.json for chain ${show(network.chainId)}; run scripts/deploy.js or pass an override)`
+      : `expected a 0x-prefixed 20-byte address, got ${show(contracts.weatherShield)}`);
+
+  const fields = typeof workflow.schedule === 'string' ? workflow.schedule.trim().split(/\s+/) : [];
+  check(fields.length === 5 && fields.every(f => CRON_FIELD.test(f)), 'workflow.schedule',
+    `expected a 5-field cron expression, got ${show(workflow.schedule)}`);
+  check(Array.isArray(workflow.sources) && workflow.sources.length > 0 && workflow.sources.every(s => typeof s === 'string'),
+    'workflow.sources', 'expected a non-empty list of source ids');
+  check(new Set(workflow.sources ?? []).size === (workflow.sources ?? []).length, 'workflow.sources', 'contains duplicates');
+  int(workflow.gasLimit, 'workflow.gasLimit', 21_000, MAX_TX_GAS);
+  int(workflow.cycleGasBudget, 'workflow.cycleGasBudget', workflow.gasLimit || 0);
+  int(workflow.activePageSize, 'workflow.activePageSize', 1, 1000);
+  int(workflow.cycleTimeBudgetMs, 'workflow.cycleTimeBudgetMs', 1000, 300_000);
+  int(workflow.expiryBatchSize, 'workflow.expiryBatchSize', 1);
+  int(workflow.expiryGasPerPolicy, 'workflow.expiryGasPerPolicy', 1);
+  check((workflow.gasLimit ?? 0) + (workflow.expiryBatchSize ?? 0) * (workflow.expiryGasPerPolicy ?? 0) <= MAX_TX_GAS,
+    'workflow.expiryBatchSize', `an expiry batch would exceed the ${MAX_TX_GAS.toLocaleString()} gas per transaction limit`);
+
+  const batch = workflow.batch ?? {};
+  int(batch.baseGas, 'workflow.batch.baseGas', 21_000, MAX_TX_GAS);
+  int(batch.observationGas, 'workflow.batch.observationGas', 1, MAX_TX_GAS - (batch.baseGas || 0));
+  int(batch.claimGas, 'workflow.batch.claimGas', 1, MAX_TX_GAS - (batch.baseGas || 0));
+
+  const retry = workflow.fetchRetry ?? {};
+  int(retry.maxAttempts, 'workflow.fetchRetry.maxAttempts', 1, 10);
+  int(retry.baseDelayMs, 'workflow.fetchRetry.baseDelayMs', 0);
+  int(retry.maxDelayMs, 'workflow.fetchRetry.maxDelayMs', retry.baseDelayMs || 0);
+  int(workflow.sourceBreakerThreshold, 'workflow.sourceBreakerThreshold', 1);
+  check(typeof workflow.reporterKeySecret === 'string' && workflow.reporterKeySecret.length > 0, 'workflow.reporterKeySecret', 'required');
+  url(workflow.reportRelayUrl, 'workflow.reportRelayUrl', true);
+
+  check(OUTLIER_RULES.includes(consensus.rule), 'consensus.rule', `expected one of ${OUTLIER_RULES.join(', ')}, got ${show(consensus.rule)}`);
+  positive(consensus.madMultiplier, 'consensus.madMultiplier');
+  positive(consensus.madFloor, 'consensus.madFloor');
+  positive(consensus.maxSpread, 'consensus.maxSpread');
+  for (const key of ['precipitation', 'temperature', 'days']) {
+    positive(consensus.tolerance?.[key], `consensus.tolerance.${key}`);
+  }
+  int(consensus.minSources, 'consensus.minSources', 1, workflow.sources?.length || 1);
+
+  return problems;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────
+
+/** WEATHERSHIELD_ENV in Node; undefined in the browser */
+function envVariable() {
+  return typeof process !== 'undefined' ? process.env?.WEATHERSHIELD_ENV : undefined;
+}
+
+function isHttpUrl(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+function show(value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+/** Objects merge key by key; arrays and scalars are replaced */
+function merge(base, override) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(override ?? {})) {
+    const isObject = v => typeof v === 'object' && v !== null && !Array.isArray(v);
+    out[key] = isObject(value) && isObject(base?.[key]) ? merge(base[key], value) : value;
+  }
+  return out;
+}
+
+function deepFreeze(obj) {
+  for (const value of Object.values(obj)) {
+    if (typeof value === 'object' && value !== null) deepFreeze(value);
+  }
+  return Object.freeze(obj);
+}
@@ -0,0 +1,226 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "./interfaces/IWeatherShield.sol";
+
+/// @notice Append-only series of daily weather observations per location and metric
+/// @dev Deployed by WeatherShield's constructor, which is its only writer; split out so the
+///      main contract stays under the code size limit
+contract ObservationLedger {
+    /// @dev One entry per location, metric and UTC day. Cycles later in the same day
+    ///      revise that day's entry; earlier days are never rewritten.
+    struct Observation {
+        uint32 day;         // UTC day number (timestamp / 1 days)
+        uint8 sourceCount;
+        uint64 timestamp;   // when the day's entry was last revised
+        int256 value;       // median of the reported values
+        int256 minValue;
+        int256 maxValue;
+    }
+
+    // Fraction digits of a canonical location key (0.01° ≈ 1.1 km, finer than any source's grid)
+    uint8 public constant LOCATION_DECIMALS = 2;
+
+    // Most source values a single observation may aggregate
+    uint256 public constant MAX_SOURCES = 16;
+
+    address public immutable writer;
+
+    mapping(bytes32 => Observation[]) internal ledger; // keccak(location, metric) → days, oldest first
+    mapping(bytes32 => mapping(uint32 => uint256)) internal daySlot; // day → ledger index + 1
+
+    event ObservationRecorded(
+        string location,
+        IWeatherShield.Metric indexed metric,
+        uint32 indexed day,
+        int256 value,
+        uint8 sourceCount,
+        int256 minValue,
+        int256 maxValue
+    );
+
+    constructor() {
+        writer = msg.sender;
+    }
+
+    /// @notice Record today's observation from the accepted source values
+    /// @dev Median, min and max are taken here rather than trusted from the caller
+    function record(
+        string calldata _location,
+        IWeatherShield.Metric _metric,
+        int256[] calldata _values
+    ) external returns (Observation memory obs) {
+        require(msg.sender == writer, "Not authorized");
+        requireCanonicalLocation(_location);
+        uint256 n = _values.length;
+        require(n > 0 && n <= MAX_SOURCES, "Bad source count");
+
+        int256[] memory sorted = _sort(_values);
+        obs = Observation({
+            day: uint32(block.timestamp / 1 days),
+            sourceCount: uint8(n),
+            timestamp: uint64(block.timestamp),
+            value: n % 2 == 1 ? sorted[n / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2,
+            minValue: sorted[0],
+            maxValue: sorted[n - 1]
+        });
+
+        bytes32 key = _key(_location, _metric);
+        uint256 slot = daySlot[key][obs.day];
+        if (slot == 0) {
+            ledger[key].push(obs);
+            daySlot[key][obs.day] = ledger[key].length;
+        } else {
+            ledger[key][slot - 1] = obs;
+        }
+
+        emit ObservationRecorded(_location, _metric, obs.day, obs.value, obs.sourceCount, obs.minValue, obs.maxValue);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    //  LOCATION KEYS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /// @notice Revert unless `_location` is a canonical location key
+    /// @dev Canonical location key: "<lat>,<lon>" in decimal degrees with exactly
+    ///      LOCATION_DECIMALS fraction digits, no spaces, no '+', no leading zeros and
+    ///      no negative zero, e.g. "40.71,-74.01". Latitude in [-90, 90], longitude in [-180, 180).
+    function requireCanonicalLocation(string calldata _location) public pure {
+        bytes calldata _loc = bytes(_location);
+        (int256 lat, uint256 i) = _parseCoordinate(_loc, 0);
+        require(i < _loc.length && _loc[i] == ",", "Bad location");
+        int256 lon;
+        (lon, i) = _parseCoordinate(_loc, i + 1);
+        require(i == _loc.length, "Bad location");
+
+        int256 scale = int256(10 ** LOCATION_DECIMALS);
+        require(lat >= -90 * scale && lat <= 90 * scale, "Coordinates out of range");
+        require(lon >= -180 * scale && lon < 180 * scale, "Coordinates out of range");
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    //  VIEW FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    function observationCount(string calldata _location, IWeatherShield.Metric _metric) external view returns (uint256) {
+        return ledger[_key(_location, _metric)].length;
+    }
+
+    /// @notice Observation for a UTC day; `timestamp` is 0 if none was recorded
+    function getObservation(
+        string calldata _location,
+        IWeatherShield.Metric _metric,
+        uint32 _day
+    ) external view returns (Observation memory obs) {
+        bytes32 key = _key(_location, _metric);
+        uint256 slot = daySlot[key][_day];
+        if (slot != 0) obs = ledger[key][slot - 1];
+    }
+
+    /// @notice Most recent day recorded; `timestamp` is 0 if the series is empty
+    function latestObservation(
+        string calldata _location,
+        IWeatherShield.Metric _metric
+    ) external view returns (Observation memory obs) {
+        Observation[] storage series = ledger[_key(_location, _metric)];
+        if (series.length > 0) obs = series[series.length - 1];
+    }
+
+    /// @notice Page through a series, oldest first
+    function getObservations(
+        string calldata _location,
+        IWeatherShield.Metric _metric,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (Observation[] memory) {
+        Observation[] storage series = ledger[_key(_location, _metric)];
+        return _page(series, 0, series.length, _offset, _limit);
+    }
+
+    /// @notice Page through the entries revised within [_from, _to], oldest first
+    function getObservationsBetween(
+        string calldata _location,
+        IWeatherShield.Metric _metric,
+        uint256 _from,
+        uint256 _to,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (Observation[] memory) {
+        Observation[] storage series = ledger[_key(_location, _metric)];
+        return _page(series, _firstAtOrAfter(series, _from), _firstAtOrAfter(series, _to + 1), _offset, _limit);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    //  INTERNAL
+    // ═══════════════════════════════════════════════════════════════════
+
+    function _key(string calldata _location, IWeatherShield.Metric _metric) internal pure returns (bytes32) {
+        return keccak256(abi.encode(_location, _metric));
+    }
+
+    /// @dev Parse one fixed-point coordinate at `_i`; returns it scaled by 10^LOCATION_DECIMALS
+    ///      and the index just past it
+    function _parseCoordinate(bytes calldata _s, uint256 _i) internal pure returns (int256 value, uint256) {
+        bool negative = _i < _s.length && _s[_i] == "-";
+        if (negative) _i++;
+
+        uint256 start = _i;
+        while (_i < _s.length && _s[_i] >= "0" && _s[_i] <= "9") {
+            value = value * 10 + int256(uint256(uint8(_s[_i])) - 48);
+            _i++;
+        }
+        uint256 intDigits = _i - start;
+        require(intDigits >= 1 && intDigits <= 3 && (intDigits == 1 || _s[start] != "0"), "Bad location");
+        require(_i < _s.length && _s[_i] == ".", "Bad location");
+        _i++;
+
+        for (uint256 k = 0; k < LOCATION_DECIMALS; k++) {
+            require(_i < _s.length && _s[_i] >= "0" && _s[_i] <= "9", "Bad location");
+            value = value * 10 + int256(uint256(uint8(_s[_i])) - 48);
+            _i++;
+        }
+        require(!(negative && value == 0), "Bad location");
+        return (negative ? -value : value, _i);
+    }
+
+    /// @dev Insertion sort; inputs are capped at MAX_SOURCES
+    function _sort(int256[] calldata _values) internal pure returns (int256[] memory sorted) {
+        sorted = _values;
+        for (uint256 i = 1; i < sorted.length; i++) {
+            int256 v = sorted[i];
+            uint256 j = i;
+            while (j > 0 && sorted[j - 1] > v) {
+                sorted[j] = sorted[j - 1];
+                j--;
+            }
+            sorted[j] = v;
+        }
+    }
+
+    /// @dev Index of the first entry revised at or after `_timestamp`; entries are in time order
+    function _firstAtOrAfter(Observation[] storage _series, uint256 _timestamp) internal view returns (uint256 lo) {
+        uint256 hi = _series.length;
+        while (lo < hi) {
+            uint256 mid = (lo + hi) / 2;
+            if (_series[mid].timestamp < _timestamp) lo = mid + 1;
+            else hi = mid;
+        }
+    }
+
+    function _page(
+        Observation[] storage _series,
+        uint256 _from,
+        uint256 _to,
+        uint256 _offset,
+        uint256 _limit
+    ) internal view returns (Observation[] memory page) {
+        uint256 start = _from + _offset;
+        if (start >= _to) return new Observation[](0);
+
+        uint256 end = start + _limit > _to ? _to : start + _limit;
+        page = new Observation[](end - start);
+        for (uint256 i = start; i < end; i++) {
+            page[i - start] = _series[i];
+        }
+    }
+}
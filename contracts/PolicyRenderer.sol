@@ -0,0 +1,77 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "./interfaces/IWeatherShield.sol";
+
+/// @notice Renders on-chain SVG metadata for WeatherShield policy NFTs
+/// @dev Stateless; deployed by WeatherShield's constructor so the main contract stays under the code size limit
+contract PolicyRenderer {
+    using Strings for uint256;
+
+    /// @notice Build the data: URI for a policy token
+    function tokenURI(
+        uint256 tokenId,
+        uint8 _weatherType,
+        uint8 _status,
+        string calldata location
+    ) external pure returns (string memory) {
+        IWeatherShield.WeatherType weatherType = IWeatherShield.WeatherType(_weatherType);
+
+        string memory color = _getTypeColor(weatherType);
+        string memory typeName = _getTypeName(weatherType);
+        string memory statusName = _getStatusName(IWeatherShield.PolicyStatus(_status));
+        string memory svg = string(abi.encodePacked(_svgTop(color, typeName), _svgBottom(tokenId, location, color, statusName)));
+
+        string memory json = string(abi.encodePacked(
+            '{"name":"WeatherShield Policy #', tokenId.toString(),
+            '","description":"Parametric weather insurance policy","image":"data:image/svg+xml;base64,', Base64.encode(bytes(svg)),
+            '","attributes":[{"trait_type":"Weather Type","value":"', typeName,
+            '"},{"trait_type":"Status","value":"', statusName,
+            '"},{"trait_type":"Location","value":"', location, '"}]}'
+        ));
+
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(bytes(json))));
+    }
+
+    function _getTypeName(IWeatherShield.WeatherType t) internal pure returns (string memory) {
+        if (t == IWeatherShield.WeatherType.Drought) return "Drought";
+        if (t == IWeatherShield.WeatherType.Flood) return "Flood";
+        if (t == IWeatherShield.WeatherType.Frost) return "Frost";
+        return "Heat";
+    }
+
+    function _getStatusName(IWeatherShield.PolicyStatus s) internal pure returns (string memory) {
+        if (s == IWeatherShield.PolicyStatus.Active) return "Active";
+        if (s == IWeatherShield.PolicyStatus.Claimed) return "Claimed";
+        if (s == IWeatherShield.PolicyStatus.Expired) return "Expired";
+        return "Cancelled";
+    }
+
+    function _getTypeColor(IWeatherShield.WeatherType t) internal pure returns (string memory) {
+        if (t == IWeatherShield.WeatherType.Drought) return "#f59e0b";
+        if (t == IWeatherShield.WeatherType.Flood) return "#3b82f6";
+        if (t == IWeatherShield.WeatherType.Frost) return "#8b5cf6";
+        return "#ef4444";
+    }
+
+    function _svgTop(string memory color, string memory typeName) internal pure returns (string memory) {
+        return string(abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="350" height="350" style="background:#0f172a">',
+            '<rect width="350" height="350" rx="20" fill="#0f172a"/>',
+            '<rect x="10" y="10" width="330" height="330" rx="16" fill="none" stroke="', color, '" stroke-width="2" opacity="0.5"/>',
+            '<text x="175" y="50" text-anchor="middle" fill="white" font-size="20" font-weight="bold" font-family="sans-serif">WeatherShield</text>',
+            '<text x="175" y="80" text-anchor="middle" fill="', color, '" font-size="14" font-family="sans-serif">', typeName, ' Protection</text>'
+        ));
+    }
+
+    function _svgBottom(uint256 tokenId, string memory location, string memory color, string memory statusName) internal pure returns (string memory) {
+        return string(abi.encodePacked(
+            '<text x="175" y="140" text-anchor="middle" fill="#94a3b8" font-size="12" font-family="sans-serif">Policy #', tokenId.toString(), '</text>',
+            '<text x="175" y="170" text-anchor="middle" fill="white" font-size="11" font-family="sans-serif">Location: ', location, '</text>',
+            '<text x="175" y="250" text-anchor="middle" fill="', color, '" font-size="16" font-weight="bold" font-family="sans-serif">', statusName, '</text>',
+            '</svg>'
+        ));
+    }
+}
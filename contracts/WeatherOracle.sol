@@ -0,0 +1,273 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.24;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import "./interfaces/IWeatherShield.sol";
+
+/// @notice Reporter set, M-of-N submission quorum and EIP-712 weather report verification for WeatherShield
+/// @dev Deployed by WeatherShield's constructor and administered by WeatherShield's owner.
+///      Reports are signed over WeatherShield's domain, so signers only need its address.
+///      With a threshold of 0 the quorum is off and WeatherShield accepts direct CRE writes;
+///      otherwise weather data only reaches WeatherShield through this contract.
+contract WeatherOracle {
+    bytes32 public constant REPORT_TYPEHASH = keccak256(
+        "WeatherReport(string location,uint8 metric,uint32 day,int256 value,uint8 sourceCount)"
+    );
+    bytes32 private constant DOMAIN_TYPEHASH = keccak256(
+        "EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)"
+    );
+
+    // Matches ObservationLedger.MAX_SOURCES: a quorum's values are recorded as one observation
+    uint256 public constant MAX_REPORTERS = 16;
+
+    address public immutable shield;
+
+    mapping(address => bool) public reporters; // keys allowed to submit values and sign reports
+    address[] internal reporterList;
+    mapping(address => uint256) internal reporterSlot; // reporter → reporterList index + 1
+
+    uint8 public threshold; // M of the M-of-N quorum; 0 = quorum off
+
+    /// @dev One round per location, metric and UTC day (or per policy index and day).
+    ///      A reporter may resubmit within the round; its latest value counts.
+    struct Round {
+        address[] submitters;
+        mapping(address => bool) submitted;
+        mapping(address => int256) values;
+    }
+
+    mapping(bytes32 => Round) internal rounds;
+
+    event ReporterUpdated(address indexed reporter, bool authorized);
+    event ThresholdUpdated(uint8 threshold);
+    event ObservationSubmitted(
+        address indexed reporter,
+        string location,
+        IWeatherShield.Metric indexed metric,
+        uint32 indexed day,
+        int256 value,
+        uint8 sourceCount
+    );
+    event IndexSubmitted(address indexed reporter, uint256 indexed policyId, uint32 indexed day, int256 value, uint8 sourceCount);
+    event QuorumReached(bytes32 indexed round, uint32 day, uint256 submissions);
+
+    modifier onlyShieldOwner() {
+        require(msg.sender == Ownable(shield).owner(), "Not authorized");
+        _;
+    }
+
+    modifier onlyReporter() {
+        require(reporters[msg.sender], "Not a reporter");
+        require(threshold > 0, "Quorum disabled");
+        _;
+    }
+
+    constructor() {
+        shield = msg.sender;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    //  ADMIN
+    // ═══════════════════════════════════════════════════════════════════
+
+    function setReporter(address _reporter, bool _authorized) external onlyShieldOwner {
+        require(_reporter != address(0), "Bad address");
+        uint256 slot = reporterSlot[_reporter];
+        if (_authorized && slot == 0) {
+            require(reporterList.length < MAX_REPORTERS, "Too many reporters");
+            reporterList.push(_reporter);
+            reporterSlot[_reporter] = reporterList.length;
+        } else if (!_authorized && slot != 0) {
+            require(reporterList.length > threshold, "Below threshold");
+            address last = reporterList[reporterList.length - 1];
+            reporterList[slot - 1] = last;
+            reporterSlot[last] = slot;
+            reporterList.pop();
+            delete reporterSlot[_reporter];
+        }
+        reporters[_reporter] = _authorized;
+        emit ReporterUpdated(_reporter, _authorized);
+    }
+
+    /// @notice Set M; 0 turns the quorum off and returns weather writes to the CRE address
+    function setThreshold(uint8 _threshold) external onlyShieldOwner {
+        require(_threshold <= reporterList.length, "Threshold above reporters");
+        threshold = _threshold;
+        emit ThresholdUpdated(_threshold);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    //  QUORUM SUBMISSIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /// @notice Submit a reporter's value for today's observation of a location and metric
+    /// @dev Once M current reporters have submitted, every submission re-records the day
+    ///      in WeatherShield's ledger with all their values (median taken there)
+    function submitObservation(
+        string calldata _location,
+        IWeatherShield.Metric _metric,
+        uint32 _day,
+        int256 _value,
+        uint8 _sourceCount
+    ) external onlyReporter {
+        require(_day == block.timestamp / 1 days, "Not current period");
+        bytes32 round = keccak256(abi.encode(_location, _metric, _day));
+        emit ObservationSubmitted(msg.sender, _location, _metric, _day, _value, _sourceCount);
+
+        int256[] memory values = _submit(round, _day, _value);
+        if (values.length > 0) IWeatherShield(shield).recordObservation(_location, _metric, values);
+    }
+
+    /// @notice Submit a reporter's windowed index value for a policy for today
+    /// @dev Once M current reporters have submitted, the median is written as the policy's index
+    function submitIndex(uint256 _policyId, uint32 _day, int256 _value, uint8 _sourceCount) external onlyReporter {
+        require(_day == block.timestamp / 1 days, "Not current period");
+        bytes32 round = keccak256(abi.encode(_policyId, _day));
+        emit IndexSubmitted(msg.sender, _policyId, _day, _value, _sourceCount);
+
+        int256[] memory values = _submit(round, _day, _value);
+        if (values.length > 0) {
+            IWeatherShield(shield).updatePolicyIndex(_policyId, _median(values), uint8(values.length));
+        }
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    //  SIGNED REPORTS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /// @notice Verify reports on one location, metric and day from at least `quorum()` distinct reporters
+    /// @dev Signatures must come from reporters in ascending address order, which rules out duplicates
+    /// @return median Median of the reported values
+    /// @return signers Recovered reporters, one per report
+    function verifyReports(
+        IWeatherShield.WeatherReport[] calldata _reports,
+        bytes[] calldata _signatures
+    ) external view returns (int256 median, address[] memory signers) {
+        uint256 n = _reports.length;
+        require(n == _signatures.length, "Length mismatch");
+        require(n >= quorum(), "Quorum not met");
+
+        int256[] memory values = new int256[](n);
+        signers = new address[](n);
+        bytes32 subject = keccak256(abi.encode(_reports[0].location, _reports[0].metric, _reports[0].day));
+        address previous;
+        for (uint256 i = 0; i < n; i++) {
+            require(
+                keccak256(abi.encode(_reports[i].location, _reports[i].metric, _reports[i].day)) == subject,
+                "Report mismatch"
+            );
+            address signer = ECDSA.recover(hashReport(_reports[i]), _signatures[i]);
+            require(reporters[signer], "Unknown reporter");
+            require(signer > previous, "Signers not ascending");
+            previous = signer;
+            signers[i] = signer;
+            values[i] = _reports[i].value;
+        }
+        median = _median(values);
+    }
+
+    /// @notice EIP-712 digest a reporter signs for a report
+    function hashReport(IWeatherShield.WeatherReport calldata _report) public view returns (bytes32) {
+        bytes32 structHash = keccak256(abi.encode(
+            REPORT_TYPEHASH,
+            keccak256(bytes(_report.location)),
+            _report.metric,
+            _report.day,
+            _report.value,
+            _report.sourceCount
+        ));
+        return MessageHashUtils.toTypedDataHash(domainSeparator(), structHash);
+    }
+
+    /// @notice EIP-712 domain: name "WeatherShield", version "1", this chain, WeatherShield's address
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(abi.encode(
+            DOMAIN_TYPEHASH,
+            keccak256("WeatherShield"),
+            keccak256("1"),
+            block.chainid,
+            shield
+        ));
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    //  VIEW FUNCTIONS
+    // ═══════════════════════════════════════════════════════════════════
+
+    function getReporters() external view returns (address[] memory) {
+        return reporterList;
+    }
+
+    /// @notice Signed reports needed to settle a claim: M, or 1 while the quorum is off
+    function quorum() public view returns (uint256) {
+        return threshold == 0 ? 1 : threshold;
+    }
+
+    /// @notice Values currently counted in an observation round, one per current reporter
+    function getObservationRound(
+        string calldata _location,
+        IWeatherShield.Metric _metric,
+        uint32 _day
+    ) external view returns (address[] memory, int256[] memory) {
+        return _collect(keccak256(abi.encode(_location, _metric, _day)));
+    }
+
+    /// @notice Values currently counted in a policy's index round, one per current reporter
+    function getIndexRound(uint256 _policyId, uint32 _day) external view returns (address[] memory, int256[] memory) {
+        return _collect(keccak256(abi.encode(_policyId, _day)));
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    //  INTERNAL
+    // ═══════════════════════════════════════════════════════════════════
+
+    /// @dev Store the sender's value; returns the round's values once quorum is met, else empty
+    function _submit(bytes32 _round, uint32 _day, int256 _value) internal returns (int256[] memory values) {
+        Round storage r = rounds[_round];
+        if (!r.submitted[msg.sender]) {
+            r.submitted[msg.sender] = true;
+            r.submitters.push(msg.sender);
+        }
+        r.values[msg.sender] = _value;
+
+        (, values) = _collect(_round);
+        if (values.length < threshold) return new int256[](0);
+        emit QuorumReached(_round, _day, values.length);
+    }
+
+    /// @dev Submissions from reporters that are still authorized; revoked keys drop out of open rounds
+    function _collect(bytes32 _round) internal view returns (address[] memory who, int256[] memory values) {
+        Round storage r = rounds[_round];
+        uint256 count;
+        for (uint256 i = 0; i < r.submitters.length; i++) {
+            if (reporters[r.submitters[i]]) count++;
+        }
+        who = new address[](count);
+        values = new int256[](count);
+        uint256 k;
+        for (uint256 i = 0; i < r.submitters.length; i++) {
+            address s = r.submitters[i];
+            if (!reporters[s]) continue;
+            who[k] = s;
+            values[k] = r.values[s];
+            k++;
+        }
+    }
+
+    /// @dev Same rule as ObservationLedger: middle value, or truncated mean of the middle pair
+    function _median(int256[] memory _values) internal pure returns (int256) {
+        uint256 n = _values.length;
+        for (uint256 i = 1; i < n; i++) {
+            int256 v = _values[i];
+            uint256 j = i;
+            while (j > 0 && _values[j - 1] > v) {
+                _values[j] = _values[j - 1];
+                j--;
+            }
+            _values[j] = v;
+        }
+        return n % 2 == 1 ? _values[n / 2] : (_values[n / 2 - 1] + _values[n / 2]) / 2;
+    }
+}
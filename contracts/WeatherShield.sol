@@ -4,8 +4,9 @@ pragma solidity ^0.8.24;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
-import "@openzeppelin/contracts/utils/Strings.sol";
-import "@openzeppelin/contracts/utils/Base64.sol";
+import "./PolicyRenderer.sol";
+import "./ObservationLedger.sol";
+import "./WeatherOracle.sol";
 
 /*
     WeatherShield - Parametric Weather Insurance Protocol
@@ -37,13 +38,13 @@ interface AggregatorV3Interface {
 }
 
 contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
-    using Strings for uint256;
-
     // ─── Enums ─────────────────────────────────────────────────────────
     enum PolicyStatus { Active, Claimed, Expired, Cancelled }
     enum WeatherType { Drought, Flood, Frost, Heat }
     enum RiskTier { Low, Medium, High, Critical }
     enum ProposalStatus { Pending, Approved, Rejected, Executed }
+    // How daily observations over the window are reduced to the settled index
+    enum IndexFunction { Daily, RollingSum, RollingMax, RollingMin, DaysAbove, DaysBelow }
 
     // ─── CRE Service Quotas (reference) ────────────────────────────────
     uint256 private constant CRE_EXECUTION_TIMEOUT_SECONDS = 300;
@@ -52,7 +53,20 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
     uint256 private constant CRE_MAX_CONCURRENT_CAPABILITIES = 3;
     uint256 public constant MAX_GAS_PER_TRANSACTION = 500_000;
 
+    // Longest look-back the weather sources can serve as daily history
+    uint16 public constant MAX_INDEX_WINDOW_DAYS = 90;
+
     // ─── Structs ───────────────────────────────────────────────────────
+    /// @dev For DaysAbove/DaysBelow the index is a day count: days whose value is
+    ///      above/below `dayLevel`, and the policy triggers once the count reaches
+    ///      `triggerThreshold`. Other functions compare against `triggerThreshold`
+    ///      in the weather type's direction.
+    struct IndexSpec {
+        IndexFunction fn;
+        uint16 windowDays;
+        int256 dayLevel;
+    }
+
     struct Policy {
         address holder;
         uint256 premium;
@@ -64,6 +78,7 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
         string location;
         PolicyStatus status;
         RiskTier riskTier;
+        IndexSpec index;
     }
 
     struct WeatherData {
@@ -97,7 +112,11 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
     uint256 public protocolFeePercent = 20; // 20% of premiums to protocol
 
     address public creAuthorized;
+    uint256 public monitorCursor; // policy id the CRE workflow resumes from next cycle
     AggregatorV3Interface public priceFeed;
+    PolicyRenderer public immutable renderer; // NFT metadata, split out to keep under the 24 KB code limit
+    ObservationLedger public immutable ledger; // daily observation history; claims settle against it
+    WeatherOracle public immutable oracle; // reporter quorum and signed report verification
 
     // Risk tier multipliers (coverage = premium × multiplier)
     uint256[4] public riskMultipliers = [12, 10, 8, 6]; // Low, Medium, High, Critical
@@ -117,10 +136,15 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
     mapping(uint256 => Policy) public policies;
     mapping(address => uint256[]) public userPolicies;
     mapping(string => WeatherData) public latestWeatherData;
+    mapping(uint256 => WeatherData) public policyIndexData; // windowed index per policy (non-Daily)
     mapping(address => LPPosition) public lpPositions;
     mapping(uint256 => Proposal) public proposals;
     mapping(uint256 => mapping(address => bool)) public hasVoted;
 
+    // Active policy index (swap-and-pop set so monitoring cost tracks open policies only)
+    uint256[] private activePolicyIds;
+    mapping(uint256 => uint256) private activePolicyPosition; // policyId => index + 1
+
     // ─── Events ────────────────────────────────────────────────────────
     event PolicyCreated(
         uint256 indexed policyId,
@@ -131,11 +155,17 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
         string location,
         RiskTier riskTier
     );
-    event PolicyClaimed(uint256 indexed policyId, address indexed holder, uint256 payoutAmount, int256 triggerValue);
+    event PolicyClaimed(uint256 indexed policyId, address indexed holder, uint256 payoutAmount, int256 triggerValue, uint32 observationDay);
+    /// @dev Empty reason when the claim reverted without a message (custom error or panic)
+    event ClaimSkipped(uint256 indexed policyId, string reason);
     event PolicyExpired(uint256 indexed policyId);
+    event ExpirySweep(uint256 expiredCount, uint256 releasedFunds);
     event PolicyCancelled(uint256 indexed policyId, uint256 refundAmount);
     event WeatherDataUpdated(string location, int256 value, uint256 timestamp, uint8 sourceCount);
+    event PolicyIndexUpdated(uint256 indexed policyId, int256 value, uint256 timestamp, uint8 sourceCount);
     event CREAuthorizedUpdated(address indexed newAddress);
+    event MonitorCursorUpdated(uint256 cursor);
+    event ReportSettled(uint256 indexed policyId, uint32 day, int256 value, address[] reporters);
 
     // Liquidity pool events
     event LiquidityDeposited(address indexed provider, uint256 amount, uint256 shares);
@@ -153,8 +183,14 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
         _;
     }
 
+    /// @dev Weather writes come from the oracle once a reporter quorum is set, otherwise from the CRE address
+    modifier onlyWeatherWriter() {
+        _checkWeatherWriter();
+        _;
+    }
+
     modifier policyExists(uint256 _policyId) {
-        require(_policyId < policyCounter, "Policy doesn't exist");
+        _checkPolicyExists(_policyId);
         _;
     }
 
@@ -168,6 +204,9 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
     constructor(address _priceFeed) Ownable(msg.sender) ERC721("WeatherShield Policy", "WSP") {
         creAuthorized = msg.sender;
         priceFeed = AggregatorV3Interface(_priceFeed);
+        renderer = new PolicyRenderer();
+        ledger = new ObservationLedger();
+        oracle = new WeatherOracle();
     }
 
     // ═══════════════════════════════════════════════════════════════════
@@ -227,6 +266,34 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
         return _premium * riskMultipliers[uint8(tier)];
     }
 
+    /// @notice Risk tier for a windowed index, mapped onto the daily bands
+    /// @dev Rolling sums are priced on their daily average. Day counts start from the tier of
+    ///      their daily level (1 qualifying day is a daily policy at that level) and move one
+    ///      tier safer for each further quarter of the window they require.
+    function getIndexRiskTier(WeatherType _type, int256 _threshold, IndexSpec memory _index) public pure returns (RiskTier) {
+        int256 window = int256(uint256(_index.windowDays));
+        if (_index.fn == IndexFunction.RollingSum) {
+            return getRiskTier(_type, _threshold / window);
+        }
+        if (_index.fn == IndexFunction.DaysAbove || _index.fn == IndexFunction.DaysBelow) {
+            int256 tier = int256(uint256(getRiskTier(_type, _index.dayLevel)));
+            int256 safer = _threshold > 1 ? (_threshold - 1) * 4 / window : int256(0);
+            return tier > safer ? RiskTier(uint8(uint256(tier - safer))) : RiskTier.Low;
+        }
+        return getRiskTier(_type, _threshold);
+    }
+
+    /// @notice Calculate coverage for a windowed index policy
+    function calculateIndexCoverage(
+        uint256 _premium,
+        WeatherType _type,
+        int256 _threshold,
+        IndexSpec calldata _index
+    ) external view returns (uint256) {
+        RiskTier tier = getIndexRiskTier(_type, _threshold, _index);
+        return _premium * riskMultipliers[uint8(tier)];
+    }
+
     // ═══════════════════════════════════════════════════════════════════
     //  POLICY MANAGEMENT
     // ═══════════════════════════════════════════════════════════════════
@@ -237,18 +304,40 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
         int256 _triggerThreshold,
         string calldata _location
     ) external payable nonReentrant returns (uint256 policyId) {
+        IndexSpec memory daily = IndexSpec({ fn: IndexFunction.Daily, windowDays: 1, dayLevel: 0 });
+        return _purchase(_weatherType, _triggerThreshold, _location, daily);
+    }
+
+    /// @notice Purchase a policy settled on a rolling-window index, e.g. 30-day rainfall sum
+    function purchaseIndexPolicy(
+        WeatherType _weatherType,
+        int256 _triggerThreshold,
+        string calldata _location,
+        IndexSpec calldata _index
+    ) external payable nonReentrant returns (uint256 policyId) {
+        require(_index.windowDays >= 1 && _index.windowDays <= MAX_INDEX_WINDOW_DAYS, "Bad window");
+        require(_index.fn != IndexFunction.Daily || _index.windowDays == 1, "Daily index has 1-day window");
+        require(
+            (_index.fn != IndexFunction.DaysAbove && _index.fn != IndexFunction.DaysBelow)
+                || (_triggerThreshold >= 1 && _triggerThreshold <= int256(uint256(_index.windowDays))),
+            "Day count outside window"
+        );
+        return _purchase(_weatherType, _triggerThreshold, _location, _index);
+    }
+
+    function _purchase(
+        WeatherType _weatherType,
+        int256 _triggerThreshold,
+        string calldata _location,
+        IndexSpec memory _index
+    ) internal returns (uint256 policyId) {
         require(msg.value >= minPremium, "Premium too low");
         require(bytes(_location).length > 0, "Need location");
+        ledger.requireCanonicalLocation(_location);
 
-        RiskTier tier = getRiskTier(_weatherType, _triggerThreshold);
+        RiskTier tier = getIndexRiskTier(_weatherType, _triggerThreshold, _index);
         uint256 coverage = msg.value * riskMultipliers[uint8(tier)];
-
-        // Check pool has enough available liquidity
-        uint256 availableLiquidity = totalLiquidity > reservedFunds
-            ? totalLiquidity - reservedFunds
-            : 0;
-        uint256 totalAvailable = availableLiquidity + address(this).balance - totalLiquidity;
-        require(totalAvailable >= coverage || address(this).balance >= coverage, "Insufficient pool liquidity");
+        _requireLiquidity(coverage);
 
         policyId = policyCounter++;
 
@@ -262,26 +351,38 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
             triggerThreshold: _triggerThreshold,
             location: _location,
             status: PolicyStatus.Active,
-            riskTier: tier
+            riskTier: tier,
+            index: _index
         });
 
         userPolicies[msg.sender].push(policyId);
+        _addActivePolicy(policyId);
         totalPremiumsCollected += msg.value;
         reservedFunds += coverage;
 
-        // Distribute premium: 80% to LP pool, 20% protocol fee
-        uint256 fee = (msg.value * protocolFeePercent) / 100;
-        uint256 toLPs = msg.value - fee;
-        if (totalShares > 0) {
-            totalLiquidity += toLPs;
-        }
-        protocolFees += fee;
-
         // Mint policy NFT
         _mint(msg.sender, policyId);
 
         emit PolicyCreated(policyId, msg.sender, msg.value, coverage, _weatherType, _location, tier);
+        _distributePremium(msg.value);
+    }
+
+    /// @dev Check pool has enough available liquidity
+    function _requireLiquidity(uint256 _coverage) internal view {
+        uint256 availableLiquidity = totalLiquidity > reservedFunds
+            ? totalLiquidity - reservedFunds
+            : 0;
+        uint256 totalAvailable = availableLiquidity + address(this).balance - totalLiquidity;
+        require(totalAvailable >= _coverage || address(this).balance >= _coverage, "Insufficient pool liquidity");
+    }
+
+    /// @dev Distribute premium: 80% to LP pool, 20% protocol fee
+    function _distributePremium(uint256 _premium) internal {
+        uint256 fee = (_premium * protocolFeePercent) / 100;
+        uint256 toLPs = _premium - fee;
+        protocolFees += fee;
         if (totalShares > 0) {
+            totalLiquidity += toLPs;
             emit PremiumDistributed(toLPs, fee);
         }
     }
@@ -290,8 +391,32 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
     //  WEATHER DATA (CRE WORKFLOW)
     // ═══════════════════════════════════════════════════════════════════
 
+    /// @notice Record today's observation for a location and metric from the accepted source values
+    /// @dev Appends to the ledger (median taken there) and refreshes latestWeatherData
+    function recordObservation(
+        string calldata _location,
+        IWeatherShield.Metric _metric,
+        int256[] calldata _values
+    ) external onlyWeatherWriter {
+        _recordObservation(_location, _metric, _values);
+    }
+
+    /// @notice Record today's observations for several locations and metrics in one transaction
+    /// @dev Entry i is recordObservation(_locations[i], _metrics[i], _values[i]); any bad entry reverts the batch
+    function updateWeatherDataBatch(
+        string[] calldata _locations,
+        IWeatherShield.Metric[] calldata _metrics,
+        int256[][] calldata _values
+    ) external onlyWeatherWriter {
+        require(_locations.length == _metrics.length && _locations.length == _values.length, "Length mismatch");
+        for (uint256 i = 0; i < _locations.length; i++) {
+            _recordObservation(_locations[i], _metrics[i], _values[i]);
+        }
+    }
+
     /// @notice Update weather data from single source (backwards compatible)
-    function updateWeatherData(string calldata _location, int256 _value) external onlyCRE {
+    /// @dev Display only; claims settle on the observation ledger
+    function updateWeatherData(string calldata _location, int256 _value) external onlyWeatherWriter {
         latestWeatherData[_location] = WeatherData({
             value: _value,
             timestamp: block.timestamp,
@@ -302,12 +427,13 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
     }
 
     /// @notice Update weather data from 3 sources (median aggregation)
+    /// @dev Display only; claims settle on the observation ledger
     function updateWeatherDataMultiSource(
         string calldata _location,
         int256 _val1,
         int256 _val2,
         int256 _val3
-    ) external onlyCRE {
+    ) external onlyWeatherWriter {
         int256 median = _calculateMedian(_val1, _val2, _val3);
 
         latestWeatherData[_location] = WeatherData({
@@ -319,6 +445,48 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
         emit WeatherDataUpdated(_location, median, block.timestamp, 3);
     }
 
+    /// @notice Record a policy's windowed index value (non-Daily policies only)
+    /// @dev The index only covers days inside the policy term, so it is stored per policy
+    function updatePolicyIndex(uint256 _policyId, int256 _value, uint8 _sourceCount) external onlyWeatherWriter policyExists(_policyId) {
+        require(policies[_policyId].index.fn != IndexFunction.Daily, "Daily policy");
+        policyIndexData[_policyId] = WeatherData({
+            value: _value,
+            timestamp: block.timestamp,
+            isValid: true,
+            sourceCount: _sourceCount
+        });
+        emit PolicyIndexUpdated(_policyId, _value, block.timestamp, _sourceCount);
+    }
+
+    /// @notice Persist where the next monitoring cycle should resume
+    /// @dev Lets a budget-limited cycle stop early and hand over to the next cron run
+    function setMonitorCursor(uint256 _cursor) external onlyCRE {
+        monitorCursor = _cursor;
+        emit MonitorCursorUpdated(_cursor);
+    }
+
+    function _recordObservation(string calldata _location, IWeatherShield.Metric _metric, int256[] calldata _values) internal {
+        ObservationLedger.Observation memory obs = ledger.record(_location, _metric, _values);
+        latestWeatherData[_location] = WeatherData({
+            value: obs.value,
+            timestamp: block.timestamp,
+            isValid: true,
+            sourceCount: obs.sourceCount
+        });
+        emit WeatherDataUpdated(_location, obs.value, block.timestamp, obs.sourceCount);
+    }
+
+    function _checkPolicyExists(uint256 _policyId) internal view {
+        require(_policyId < policyCounter, "Policy doesn't exist");
+    }
+
+    function _checkWeatherWriter() internal view {
+        if (msg.sender != address(oracle)) {
+            require(msg.sender == creAuthorized || msg.sender == owner(), "Not authorized");
+            require(oracle.threshold() == 0, "Quorum required");
+        }
+    }
+
     /// @notice Calculate median of three values on-chain
     function _calculateMedian(int256 a, int256 b, int256 c) internal pure returns (int256) {
         if ((a >= b && a <= c) || (a <= b && a >= c)) return a;
@@ -326,25 +494,85 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
         return c;
     }
 
+    function _metricOf(WeatherType _type) internal pure returns (IWeatherShield.Metric) {
+        if (_type == WeatherType.Frost) return IWeatherShield.Metric.TempMin;
+        if (_type == WeatherType.Heat) return IWeatherShield.Metric.TempMax;
+        return IWeatherShield.Metric.Precipitation;
+    }
+
     // ═══════════════════════════════════════════════════════════════════
     //  CLAIMS
     // ═══════════════════════════════════════════════════════════════════
 
-    /// @notice Process insurance claim when trigger conditions are met
+    /// @notice Process insurance claim when the observation recorded on `_day` triggers it
+    /// @dev Callable by anyone: the value is read from on-chain data written by the CRE
+    /// @param _day UTC day number (timestamp / 1 days) of the triggering observation
     function processClaim(
         uint256 _policyId,
-        int256 _currentValue
-    ) external onlyCRE policyExists(_policyId) nonReentrant {
+        uint32 _day
+    ) external policyExists(_policyId) nonReentrant {
+        Policy storage policy = policies[_policyId];
+        _payout(_policyId, policy, _settlementValue(_policyId, policy, _day), _day);
+    }
+
+    /// @notice Process the claims of several policies against their observations on `_day`
+    /// @dev Callable by anyone. Policies that can't be paid (not triggered, already settled, ...)
+    ///      are skipped with ClaimSkipped so one raced id can't revert the batch. A claim that
+    ///      runs out of gas reverts the batch instead, so it can be retried with more gas.
+    /// @return paid Number of policies paid out
+    function processClaims(uint256[] calldata _policyIds, uint32 _day) external returns (uint256 paid) {
+        for (uint256 i = 0; i < _policyIds.length; i++) {
+            uint256 gasBefore = gasleft();
+            try this.processClaim(_policyIds[i], _day) {
+                paid++;
+            } catch Error(string memory reason) {
+                emit ClaimSkipped(_policyIds[i], reason);
+            } catch (bytes memory data) {
+                // Out of gas leaves no revert data and at most 1/64 of the gas (EIP-150)
+                require(data.length > 0 || gasleft() > gasBefore / 64, "Out of gas");
+                emit ClaimSkipped(_policyIds[i], "");
+            }
+        }
+    }
+
+    /// @notice Settle a Daily policy with weather reports signed by a quorum of reporters
+    /// @dev Callable by anyone, so a holder or keeper can settle when the CRE cycle missed it.
+    ///      Settles on the median of the reports; see WeatherOracle.verifyReports. Reports are
+    ///      signed per day, not per reading, so only days after the purchase day that have
+    ///      ended count: a report signed before the policy was bought can't settle it.
+    function settleWithReport(
+        uint256 _policyId,
+        IWeatherShield.WeatherReport[] calldata _reports,
+        bytes[] calldata _signatures
+    ) external policyExists(_policyId) nonReentrant {
         Policy storage policy = policies[_policyId];
+        require(policy.index.fn == IndexFunction.Daily, "Daily policies only");
+        require(_reports.length > 0, "Quorum not met");
+        IWeatherShield.WeatherReport calldata report = _reports[0];
+        require(
+            keccak256(bytes(report.location)) == keccak256(bytes(policy.location))
+                && report.metric == _metricOf(policy.weatherType),
+            "Report mismatch"
+        );
+        require(report.day > policy.startTime / 1 days && report.day < block.timestamp / 1 days, "Day outside term");
+
+        (int256 value, address[] memory reporters) = oracle.verifyReports(_reports, _signatures);
+
+        _payout(_policyId, policy, value, report.day);
+        emit ReportSettled(_policyId, report.day, value, reporters);
+    }
 
+    function _payout(uint256 _policyId, Policy storage policy, int256 _value, uint32 _day) internal {
         require(policy.status == PolicyStatus.Active, "Not active");
         require(block.timestamp <= policy.endTime, "Expired");
         require(address(this).balance >= policy.coverageAmount, "Insufficient funds");
 
-        bool triggered = _checkTrigger(policy.weatherType, _currentValue, policy.triggerThreshold);
+        require(_windowSatisfied(policy), "Window incomplete");
+        bool triggered = _checkIndexTrigger(policy, _value);
         require(triggered, "Conditions not met");
 
         policy.status = PolicyStatus.Claimed;
+        _removeActivePolicy(_policyId);
         totalPayouts += policy.coverageAmount;
         reservedFunds -= policy.coverageAmount;
         if (totalLiquidity >= policy.coverageAmount) {
@@ -354,7 +582,24 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
         (bool ok, ) = payable(policy.holder).call{value: policy.coverageAmount}("");
         require(ok, "Transfer failed");
 
-        emit PolicyClaimed(_policyId, policy.holder, policy.coverageAmount, _currentValue);
+        emit PolicyClaimed(_policyId, policy.holder, policy.coverageAmount, _value, _day);
+    }
+
+    /// @dev Daily policies settle on the ledger entry for `_day`, which must have been
+    ///      recorded after the policy started; windowed policies on their index, which
+    ///      must have been written on `_day`.
+    function _settlementValue(uint256 _policyId, Policy storage policy, uint32 _day) internal view returns (int256) {
+        if (policy.index.fn != IndexFunction.Daily) {
+            WeatherData storage idx = policyIndexData[_policyId];
+            require(idx.isValid && idx.timestamp / 1 days == _day, "No observation");
+            return idx.value;
+        }
+
+        ObservationLedger.Observation memory obs =
+            ledger.getObservation(policy.location, _metricOf(policy.weatherType), _day);
+        require(obs.timestamp != 0, "No observation");
+        require(obs.timestamp >= policy.startTime, "Day outside term");
+        return obs.value;
     }
 
     function _checkTrigger(WeatherType _type, int256 _current, int256 _threshold) internal pure returns (bool) {
@@ -365,12 +610,57 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
         }
     }
 
+    /// @dev Day-count indices trigger once enough days qualified; others use the weather type's direction
+    function _checkIndexTrigger(Policy storage policy, int256 _current) internal view returns (bool) {
+        IndexFunction fn = policy.index.fn;
+        if (fn == IndexFunction.DaysAbove || fn == IndexFunction.DaysBelow) {
+            return _current >= policy.triggerThreshold;
+        }
+        return _checkTrigger(policy.weatherType, _current, policy.triggerThreshold);
+    }
+
+    /// @dev A partial window must not make a trigger easier to hit: a short rolling
+    ///      sum/max looks drier or colder than the full window, a short rolling min
+    ///      looks hotter or wetter. Those combinations wait until the term covers a full window.
+    function _windowSatisfied(Policy storage policy) internal view returns (bool) {
+        IndexFunction fn = policy.index.fn;
+        bool belowTrigger = policy.weatherType == WeatherType.Drought || policy.weatherType == WeatherType.Frost;
+        bool partialEasier = (belowTrigger && (fn == IndexFunction.RollingSum || fn == IndexFunction.RollingMax))
+            || (!belowTrigger && fn == IndexFunction.RollingMin);
+        if (!partialEasier) return true;
+        return block.timestamp >= policy.startTime + uint256(policy.index.windowDays) * 1 days;
+    }
+
     function expirePolicy(uint256 _policyId) external policyExists(_policyId) {
         Policy storage policy = policies[_policyId];
         require(policy.status == PolicyStatus.Active, "Not active");
         require(block.timestamp > policy.endTime, "Not expired yet");
 
+        _expire(_policyId, policy);
+    }
+
+    /// @notice Expire every eligible policy in the list, releasing their reserved coverage
+    /// @dev Ids that don't exist, aren't Active or haven't ended are skipped so one raced id can't revert the sweep
+    /// @return expired Number of policies expired
+    /// @return released Reserved funds released back to the pool
+    function expirePolicies(uint256[] calldata _policyIds) external returns (uint256 expired, uint256 released) {
+        for (uint256 i = 0; i < _policyIds.length; i++) {
+            uint256 id = _policyIds[i];
+            if (id >= policyCounter) continue;
+
+            Policy storage policy = policies[id];
+            if (policy.status != PolicyStatus.Active || block.timestamp <= policy.endTime) continue;
+
+            _expire(id, policy);
+            expired++;
+            released += policy.coverageAmount;
+        }
+        emit ExpirySweep(expired, released);
+    }
+
+    function _expire(uint256 _policyId, Policy storage policy) internal {
         policy.status = PolicyStatus.Expired;
+        _removeActivePolicy(_policyId);
         reservedFunds -= policy.coverageAmount;
         emit PolicyExpired(_policyId);
     }
@@ -386,6 +676,7 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
         require(elapsed < duration / 2, "Too late to cancel");
 
         policy.status = PolicyStatus.Cancelled;
+        _removeActivePolicy(_policyId);
         reservedFunds -= policy.coverageAmount;
 
         uint256 refund = policy.premium / 2;
@@ -395,6 +686,23 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
         emit PolicyCancelled(_policyId, refund);
     }
 
+    function _addActivePolicy(uint256 _policyId) internal {
+        activePolicyIds.push(_policyId);
+        activePolicyPosition[_policyId] = activePolicyIds.length;
+    }
+
+    function _removeActivePolicy(uint256 _policyId) internal {
+        uint256 position = activePolicyPosition[_policyId];
+        if (position == 0) return;
+
+        uint256 lastId = activePolicyIds[activePolicyIds.length - 1];
+        activePolicyIds[position - 1] = lastId;
+        activePolicyPosition[lastId] = position;
+
+        activePolicyIds.pop();
+        delete activePolicyPosition[_policyId];
+    }
+
     // ═══════════════════════════════════════════════════════════════════
     //  LIQUIDITY POOL
     // ═══════════════════════════════════════════════════════════════════
@@ -533,65 +841,11 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
         return super._update(to, tokenId, auth);
     }
 
-    function _getTypeName(WeatherType t) internal pure returns (string memory) {
-        if (t == WeatherType.Drought) return "Drought";
-        if (t == WeatherType.Flood) return "Flood";
-        if (t == WeatherType.Frost) return "Frost";
-        return "Heat";
-    }
-
-    function _getStatusName(PolicyStatus s) internal pure returns (string memory) {
-        if (s == PolicyStatus.Active) return "Active";
-        if (s == PolicyStatus.Claimed) return "Claimed";
-        if (s == PolicyStatus.Expired) return "Expired";
-        return "Cancelled";
-    }
-
-    function _getTypeColor(WeatherType t) internal pure returns (string memory) {
-        if (t == WeatherType.Drought) return "#f59e0b";
-        if (t == WeatherType.Flood) return "#3b82f6";
-        if (t == WeatherType.Frost) return "#8b5cf6";
-        return "#ef4444";
-    }
-
-    function _svgTop(string memory color, string memory typeName) internal pure returns (string memory) {
-        return string(abi.encodePacked(
-            '<svg xmlns="http://www.w3.org/2000/svg" width="350" height="350" style="background:#0f172a">',
-            '<rect width="350" height="350" rx="20" fill="#0f172a"/>',
-            '<rect x="10" y="10" width="330" height="330" rx="16" fill="none" stroke="', color, '" stroke-width="2" opacity="0.5"/>',
-            '<text x="175" y="50" text-anchor="middle" fill="white" font-size="20" font-weight="bold" font-family="sans-serif">WeatherShield</text>',
-            '<text x="175" y="80" text-anchor="middle" fill="', color, '" font-size="14" font-family="sans-serif">', typeName, ' Protection</text>'
-        ));
-    }
-
-    function _svgBottom(uint256 tokenId, string memory location, string memory color, string memory statusName) internal pure returns (string memory) {
-        return string(abi.encodePacked(
-            '<text x="175" y="140" text-anchor="middle" fill="#94a3b8" font-size="12" font-family="sans-serif">Policy #', tokenId.toString(), '</text>',
-            '<text x="175" y="170" text-anchor="middle" fill="white" font-size="11" font-family="sans-serif">Location: ', location, '</text>',
-            '<text x="175" y="250" text-anchor="middle" fill="', color, '" font-size="16" font-weight="bold" font-family="sans-serif">', statusName, '</text>',
-            '</svg>'
-        ));
-    }
-
-    /// @notice On-chain SVG metadata for policy NFTs
+    /// @notice On-chain SVG metadata for policy NFTs (rendered by PolicyRenderer)
     function tokenURI(uint256 tokenId) public view override returns (string memory) {
         _requireOwned(tokenId);
-        Policy memory p = policies[tokenId];
-
-        string memory color = _getTypeColor(p.weatherType);
-        string memory typeName = _getTypeName(p.weatherType);
-        string memory statusName = _getStatusName(p.status);
-        string memory svg = string(abi.encodePacked(_svgTop(color, typeName), _svgBottom(tokenId, p.location, color, statusName)));
-
-        string memory json = string(abi.encodePacked(
-            '{"name":"WeatherShield Policy #', tokenId.toString(),
-            '","description":"Parametric weather insurance policy","image":"data:image/svg+xml;base64,', Base64.encode(bytes(svg)),
-            '","attributes":[{"trait_type":"Weather Type","value":"', typeName,
-            '"},{"trait_type":"Status","value":"', statusName,
-            '"},{"trait_type":"Location","value":"', p.location, '"}]}'
-        ));
-
-        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(bytes(json))));
+        Policy storage p = policies[tokenId];
+        return renderer.tokenURI(tokenId, uint8(p.weatherType), uint8(p.status), p.location);
     }
 
     // ═══════════════════════════════════════════════════════════════════
@@ -606,6 +860,23 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
         return userPolicies[_user];
     }
 
+    /// @notice Number of policies that are still Active (may include ones past endTime awaiting expiry)
+    function activePolicyCount() external view returns (uint256) {
+        return activePolicyIds.length;
+    }
+
+    /// @notice Page through Active policy ids; order is not stable across removals
+    function getActivePolicyIds(uint256 _offset, uint256 _limit) external view returns (uint256[] memory ids) {
+        uint256 total = activePolicyIds.length;
+        if (_offset >= total) return new uint256[](0);
+
+        uint256 end = _offset + _limit > total ? total : _offset + _limit;
+        ids = new uint256[](end - _offset);
+        for (uint256 i = _offset; i < end; i++) {
+            ids[i - _offset] = activePolicyIds[i];
+        }
+    }
+
     function getWeatherData(string calldata _location) external view returns (WeatherData memory) {
         return latestWeatherData[_location];
     }
@@ -620,10 +891,35 @@ contract WeatherShield is Ownable, ReentrancyGuard, ERC721 {
         if (policy.status != PolicyStatus.Active) return false;
         if (block.timestamp > policy.endTime) return false;
 
-        WeatherData storage weather = latestWeatherData[policy.location];
-        if (!weather.isValid) return false;
+        if (!_windowSatisfied(policy)) return false;
+
+        if (policy.index.fn != IndexFunction.Daily) {
+            WeatherData storage idx = policyIndexData[_policyId];
+            return idx.isValid && _checkIndexTrigger(policy, idx.value);
+        }
+
+        // Daily policies look at the latest ledger day for their metric
+        ObservationLedger.Observation memory latest =
+            ledger.latestObservation(policy.location, _metricOf(policy.weatherType));
+        if (latest.timestamp < policy.startTime) return false;
+        return _checkIndexTrigger(policy, latest.value);
+    }
 
-        return _checkTrigger(policy.weatherType, weather.value, policy.triggerThreshold);
+    /// @notice Page through the observations a policy was exposed to during its term
+    function getPolicyObservations(
+        uint256 _policyId,
+        uint256 _offset,
+        uint256 _limit
+    ) external view policyExists(_policyId) returns (ObservationLedger.Observation[] memory) {
+        Policy storage policy = policies[_policyId];
+        return ledger.getObservationsBetween(
+            policy.location,
+            _metricOf(policy.weatherType),
+            policy.startTime,
+            policy.endTime,
+            _offset,
+            _limit
+        );
     }
 
     function getProposal(uint256 _proposalId) external view returns (Proposal memory) {
@@ -7,6 +7,15 @@ interface IWeatherShield {
     enum PolicyStatus { Active, Claimed, Expired, Cancelled }
     enum WeatherType { Drought, Flood, Frost, Heat }
     enum RiskTier { Low, Medium, High, Critical }
+    enum IndexFunction { Daily, RollingSum, RollingMax, RollingMin, DaysAbove, DaysBelow }
+    // Daily series a weather type settles on: Drought/Flood → Precipitation, Frost → TempMin, Heat → TempMax
+    enum Metric { Precipitation, TempMin, TempMax }
+
+    struct IndexSpec {
+        IndexFunction fn;
+        uint16 windowDays;
+        int256 dayLevel;
+    }
 
     struct Policy {
         address holder;
@@ -19,6 +28,16 @@ interface IWeatherShield {
         string location;
         PolicyStatus status;
         RiskTier riskTier;
+        IndexSpec index;
+    }
+
+    /// @dev EIP-712 typed data signed by a reporter key; one metric at one location on one UTC day
+    struct WeatherReport {
+        string location;
+        Metric metric;
+        uint32 day;
+        int256 value;
+        uint8 sourceCount;
     }
 
     struct WeatherData {
@@ -31,13 +50,23 @@ interface IWeatherShield {
     // CRE workflow calls
     function updateWeatherData(string calldata location, int256 value) external;
     function updateWeatherDataMultiSource(string calldata location, int256 val1, int256 val2, int256 val3) external;
-    function processClaim(uint256 policyId, int256 currentValue) external;
+    function updatePolicyIndex(uint256 policyId, int256 value, uint8 sourceCount) external;
+    function recordObservation(string calldata location, Metric metric, int256[] calldata values) external;
+    function updateWeatherDataBatch(string[] calldata locations, Metric[] calldata metrics, int256[][] calldata values) external;
+    function processClaim(uint256 policyId, uint32 day) external;
+    function processClaims(uint256[] calldata policyIds, uint32 day) external returns (uint256 paid);
+    function settleWithReport(uint256 policyId, WeatherReport[] calldata reports, bytes[] calldata signatures) external;
+    function setMonitorCursor(uint256 cursor) external;
+    function expirePolicies(uint256[] calldata policyIds) external returns (uint256 expired, uint256 released);
 
     // Read functions for CRE
     function getPolicy(uint256 policyId) external view returns (Policy memory);
     function getWeatherData(string calldata location) external view returns (WeatherData memory);
     function isPolicyClaimable(uint256 policyId) external view returns (bool);
     function policyCounter() external view returns (uint256);
+    function monitorCursor() external view returns (uint256);
+    function activePolicyCount() external view returns (uint256);
+    function getActivePolicyIds(uint256 offset, uint256 limit) external view returns (uint256[] memory);
 
     // Price feed
     function getEthUsdPrice() external view returns (int256);
@@ -0,0 +1,41 @@
+// Sizing of batched contract writes.
+// updateWeatherDataBatch and processClaims take many items per transaction.
+// A batch holds as many items as fit under the per-transaction gas limit at
+// the measured gas per item, and the estimate is raised for the rest of the
+// cycle if a sent batch shows items cost more than configured.
+
+export class BatchPlanner {
+    private itemGas: number;
+
+    /**
+     * @param txGasLimit  gas limit of a single transaction
+     * @param baseGas     fixed cost of a batch transaction
+     * @param itemGas     initial estimate of the gas per item
+     */
+    constructor(
+        private readonly txGasLimit: number,
+        private readonly baseGas: number,
+        itemGas: number
+    ) {
+        this.itemGas = itemGas;
+    }
+
+    /**
+     * Items that fit in one transaction within `availableGas`; 0 if not even one does
+     */
+    capacity(availableGas: number): number {
+        const gas = Math.min(this.txGasLimit, availableGas) - this.baseGas;
+        return gas < this.itemGas ? 0 : Math.floor(gas / this.itemGas);
+    }
+
+    /** Gas limit to send a batch of `count` items with */
+    gasLimit(count: number): number {
+        return Math.min(this.txGasLimit, this.baseGas + count * this.itemGas);
+    }
+
+    /** Fold in the gas a sent batch actually used */
+    record(count: number, gasUsed: number): void {
+        if (count === 0) return;
+        this.itemGas = Math.max(this.itemGas, Math.ceil((gasUsed - this.baseGas) / count));
+    }
+}
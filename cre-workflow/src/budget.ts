@@ -0,0 +1,67 @@
+// Per-cycle execution budget.
+// A cycle that runs out of wall-clock time inside CRE is killed without
+// warning, so the workflow checks this budget between location groups and
+// stops cleanly, leaving a cursor for the next cron run to resume from.
+
+export class CycleBudget {
+    private readonly startedAt = Date.now();
+    private gasUsed = 0;
+    private slowestGroupMs = 0;
+
+    /**
+     * @param timeLimitMs  wall-clock time the cycle may spend before stopping
+     * @param gasLimit     total gas the cycle may spend across all writes
+     * @param reserveGas   gas held back for the final cursor write
+     */
+    constructor(
+        private readonly timeLimitMs: number,
+        private readonly gasLimit: number,
+        private readonly reserveGas: number
+    ) {}
+
+    elapsedMs(): number {
+        return Date.now() - this.startedAt;
+    }
+
+    remainingGas(): number {
+        return this.gasLimit - this.gasUsed;
+    }
+
+    chargeGas(gas: number): void {
+        this.gasUsed += gas;
+    }
+
+    /** Gas left for writes, keeping the cursor reserve */
+    availableGas(): number {
+        return this.remainingGas() - this.reserveGas;
+    }
+
+    hasGasFor(gas: number): boolean {
+        return this.availableGas() >= gas;
+    }
+
+    /**
+     * Whether another location group fits, assuming it takes as long as the
+     * slowest one so far
+     */
+    canStartGroup(estimatedGas: number): boolean {
+        return this.elapsedMs() + this.slowestGroupMs <= this.timeLimitMs
+            && this.hasGasFor(estimatedGas);
+    }
+
+    recordGroup(durationMs: number): void {
+        this.slowestGroupMs = Math.max(this.slowestGroupMs, durationMs);
+    }
+
+    summary(): string {
+        return `${(this.elapsedMs() / 1000).toFixed(1)}s elapsed, ${this.gasUsed.toLocaleString()} gas committed`;
+    }
+}
+
+/**
+ * Order policy ids ascending, starting from the cursor and wrapping around
+ */
+export function rotateFromCursor(ids: number[], cursor: number): number[] {
+    const sorted = [...ids].sort((a, b) => a - b);
+    return [...sorted.filter(id => id >= cursor), ...sorted.filter(id => id < cursor)];
+}
@@ -0,0 +1,111 @@
+// Source consensus: outlier rejection and disagreement guard.
+// Runs between fetching and any on-chain write so a single broken API can
+// neither move the median nor trigger a payout on its own.
+
+import type { ConsensusConfig, OutlierRule } from '../../config/index.js';
+import { Metric } from './metrics';
+import { IndexFunction, IndexSpec } from './indices';
+
+// Settings live in the shared config (config/weathershield.json, "consensus")
+export type { ConsensusConfig, OutlierRule };
+
+export interface SourceValue {
+    source: string;
+    value: number;
+}
+
+export interface ConsensusResult {
+    accepted: SourceValue[];
+    rejected: SourceValue[];
+    median: number;
+    spread: number;
+    disputed: boolean;
+    reason?: string;
+}
+
+/**
+ * Calculate median of an array of numbers, by the contracts' rule: middle value,
+ * or mean of the middle pair truncated toward zero
+ */
+export function calculateMedian(values: number[]): number {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    if (sorted.length % 2 === 0) {
+        return Math.trunc((sorted[mid - 1] + sorted[mid]) / 2);
+    }
+    return sorted[mid];
+}
+
+function spreadOf(values: SourceValue[]): number {
+    const nums = values.map(v => v.value);
+    return Math.max(...nums) - Math.min(...nums);
+}
+
+function rejectByMad(values: SourceValue[], config: ConsensusConfig): SourceValue[] {
+    const median = calculateMedian(values.map(v => v.value));
+    const mad = calculateMedian(values.map(v => Math.abs(v.value - median)));
+    const limit = config.madMultiplier * Math.max(mad, config.madFloor);
+    return values.filter(v => Math.abs(v.value - median) <= limit);
+}
+
+function rejectBySpread(values: SourceValue[], config: ConsensusConfig): SourceValue[] {
+    // Outliers are a minority by definition; never drop down to less than a majority
+    const minKeep = Math.floor(values.length / 2) + 1;
+    let kept = [...values];
+    while (kept.length > minKeep && spreadOf(kept) > config.maxSpread) {
+        const median = calculateMedian(kept.map(v => v.value));
+        let furthest = 0;
+        kept.forEach((v, idx) => {
+            if (Math.abs(v.value - median) > Math.abs(kept[furthest].value - median)) furthest = idx;
+        });
+        kept.splice(furthest, 1);
+    }
+    return kept;
+}
+
+/**
+ * Allowed spread for a metric's daily value, or for a windowed index over it.
+ * Rolling sums accumulate per-day disagreement, so their tolerance grows with √window.
+ */
+export function toleranceFor(metric: Metric, config: ConsensusConfig, index?: IndexSpec): number {
+    const base = metric === 'precipitation' ? config.tolerance.precipitation : config.tolerance.temperature;
+    if (!index) return base;
+
+    switch (index.fn) {
+        case IndexFunction.RollingSum:
+            return Math.round(base * Math.sqrt(index.windowDays));
+        case IndexFunction.DaysAbove:
+        case IndexFunction.DaysBelow:
+            return config.tolerance.days;
+        default:
+            return base;
+    }
+}
+
+/**
+ * Drop outliers, then decide whether the surviving sources agree
+ * within `tolerance` closely enough to be written on-chain.
+ */
+export function evaluateConsensus(
+    values: SourceValue[],
+    tolerance: number,
+    config: ConsensusConfig
+): ConsensusResult {
+    if (values.length === 0) {
+        return { accepted: [], rejected: [], median: 0, spread: 0, disputed: true, reason: 'no sources' };
+    }
+
+    const accepted = config.rule === 'mad' ? rejectByMad(values, config) : rejectBySpread(values, config);
+    const rejected = values.filter(v => !accepted.includes(v));
+    const median = calculateMedian(accepted.map(v => v.value));
+    const spread = spreadOf(accepted);
+
+    let reason: string | undefined;
+    if (accepted.length < config.minSources) {
+        reason = `only ${accepted.length} of ${values.length} sources survived (need ${config.minSources})`;
+    } else if (spread > tolerance) {
+        reason = `spread ${spread} exceeds tolerance ${tolerance}`;
+    }
+
+    return { accepted, rejected, median, spread, disputed: reason !== undefined, reason };
+}
@@ -0,0 +1,174 @@
+// Per-source fetch resilience and health.
+// Transient failures (network errors, timeouts, 408/429 and 5xx) are retried
+// with jittered exponential backoff. A source that keeps failing is cut off
+// for the rest of the cycle so it stops costing a timeout per location, and
+// every attempt is tallied for the end-of-cycle health report.
+
+import type { RetryPolicy } from '../../config/index.js';
+
+// Settings live in the shared config (config/weathershield.json, "workflow.fetchRetry")
+export type { RetryPolicy };
+
+/**
+ * A failed source request; `transient` failures are worth retrying
+ */
+export class SourceError extends Error {
+    constructor(message: string, readonly status: number | null, readonly transient: boolean) {
+        super(message);
+        this.name = 'SourceError';
+    }
+}
+
+export function isTransientStatus(status: number): boolean {
+    return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * "Full jitter" backoff: uniform in [0, min(maxDelayMs, baseDelayMs · 2^retry)]
+ */
+export function backoffDelay(retry: number, policy: RetryPolicy, random: () => number = Math.random): number {
+    return Math.floor(random() * Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** retry));
+}
+
+/** One source's tally for the cycle, as logged in the `source_health` record */
+export interface SourceHealthReport {
+    source: string;
+    attempts: number;
+    failures: number;
+    retries: number;
+    /** Fetches not attempted because the breaker was open */
+    skipped: number;
+    avgLatencyMs: number;
+    maxLatencyMs: number;
+    /** HTTP status of the latest response; null if it never got one */
+    lastStatus: number | null;
+    lastError: string | null;
+    circuitOpen: boolean;
+}
+
+interface SourceStats {
+    attempts: number;
+    failures: number;
+    retries: number;
+    skipped: number;
+    consecutiveFailures: number;
+    totalLatencyMs: number;
+    maxLatencyMs: number;
+    lastStatus: number | null;
+    lastError: string | null;
+    open: boolean;
+}
+
+export class SourceHealth {
+    private readonly stats = new Map<string, SourceStats>();
+
+    /**
+     * @param breakerThreshold  consecutive failed attempts after which a source is skipped for the cycle
+     */
+    constructor(private readonly breakerThreshold: number) {}
+
+    isOpen(source: string): boolean {
+        return this.get(source).open;
+    }
+
+    lastError(source: string): string | null {
+        return this.get(source).lastError;
+    }
+
+    recordSkip(source: string): void {
+        this.get(source).skipped++;
+    }
+
+    recordRetry(source: string): void {
+        this.get(source).retries++;
+    }
+
+    recordSuccess(source: string, latencyMs: number, status: number | null): void {
+        const s = this.record(source, latencyMs, status);
+        s.consecutiveFailures = 0;
+    }
+
+    recordFailure(source: string, latencyMs: number, err: SourceError): void {
+        const s = this.record(source, latencyMs, err.status);
+        s.failures++;
+        s.lastError = err.message;
+        s.consecutiveFailures++;
+        if (s.consecutiveFailures >= this.breakerThreshold) s.open = true;
+    }
+
+    report(): SourceHealthReport[] {
+        return [...this.stats].map(([source, s]) => ({
+            source,
+            attempts: s.attempts,
+            failures: s.failures,
+            retries: s.retries,
+            skipped: s.skipped,
+            avgLatencyMs: s.attempts > 0 ? Math.round(s.totalLatencyMs / s.attempts) : 0,
+            maxLatencyMs: s.maxLatencyMs,
+            lastStatus: s.lastStatus,
+            lastError: s.lastError,
+            circuitOpen: s.open
+        }));
+    }
+
+    private record(source: string, latencyMs: number, status: number | null): SourceStats {
+        const s = this.get(source);
+        s.attempts++;
+        s.totalLatencyMs += latencyMs;
+        s.maxLatencyMs = Math.max(s.maxLatencyMs, latencyMs);
+        if (status !== null) s.lastStatus = status;
+        return s;
+    }
+
+    private get(source: string): SourceStats {
+        let s = this.stats.get(source);
+        if (!s) {
+            s = {
+                attempts: 0, failures: 0, retries: 0, skipped: 0, consecutiveFailures: 0,
+                totalLatencyMs: 0, maxLatencyMs: 0, lastStatus: null, lastError: null, open: false
+            };
+            this.stats.set(source, s);
+        }
+        return s;
+    }
+}
+
+const sleep = (ms: number) => new Promise<void>(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run one source fetch under the retry policy and breaker. Errors that are not
+ * SourceErrors (network failures, timeouts) count as transient.
+ * Resolves to null once the source has failed for good or its breaker is open.
+ */
+export async function fetchWithRetry<T>(
+    source: string,
+    attempt: () => Promise<{ value: T; status: number | null }>,
+    policy: RetryPolicy,
+    health: SourceHealth
+): Promise<T | null> {
+    if (health.isOpen(source)) {
+        health.recordSkip(source);
+        return null;
+    }
+
+    for (let i = 0; i < policy.maxAttempts; i++) {
+        const started = Date.now();
+        try {
+            const { value, status } = await attempt();
+            health.recordSuccess(source, Date.now() - started, status);
+            return value;
+        } catch (err) {
+            const failure = err instanceof SourceError
+                ? err
+                : new SourceError((err as Error)?.message ?? String(err), null, true);
+            health.recordFailure(source, Date.now() - started, failure);
+
+            const last = i === policy.maxAttempts - 1;
+            if (!failure.transient || last || health.isOpen(source)) return null;
+
+            health.recordRetry(source);
+            await sleep(backoffDelay(i, policy));
+        }
+    }
+    return null;
+}
@@ -0,0 +1,66 @@
+// Windowed weather indices.
+// Mirrors WeatherShield.IndexFunction: policies settle either on today's
+// value or on an aggregate of the daily series inside their term.
+
+import { toChainValue } from '../../sdk/index.js';
+import { DailyObservation } from './sources';
+import { Metric } from './metrics';
+
+export enum IndexFunction { Daily, RollingSum, RollingMax, RollingMin, DaysAbove, DaysBelow }
+
+export interface IndexSpec {
+    fn: IndexFunction;
+    windowDays: number;
+    /** Daily comparison level (×10 units) for DaysAbove / DaysBelow */
+    dayLevel: number;
+}
+
+/**
+ * A day's value for a metric as a ×10 integer (contract units)
+ */
+export function dayValue(day: DailyObservation, metric: Metric): number {
+    if (metric === 'precipitation') return toChainValue(day.precip);
+    if (metric === 'tempMin') return toChainValue(day.tempMin);
+    return toChainValue(day.tempMax);
+}
+
+/**
+ * Days of the window that fall inside the policy term, oldest first.
+ * Days before the policy started never count towards its index.
+ * `termStartDate` must be dated in the same timezone as `days`.
+ */
+export function windowDays(days: DailyObservation[], spec: IndexSpec, termStartDate: string): DailyObservation[] {
+    return days
+        .filter(day => day.date >= termStartDate)
+        .slice(-spec.windowDays);
+}
+
+/**
+ * Number of days a source must supply to cover the window so far
+ */
+export function requiredDays(spec: IndexSpec, termStartDate: string, today: string): number {
+    const elapsed = Math.floor((Date.parse(today) - Date.parse(termStartDate)) / 86_400_000) + 1;
+    return Math.max(1, Math.min(spec.windowDays, elapsed));
+}
+
+/**
+ * Reduce a daily series to the policy's index value (×10 units, or a day count)
+ */
+export function computeIndex(days: DailyObservation[], metric: Metric, spec: IndexSpec): number {
+    const values = days.map(day => dayValue(day, metric));
+
+    switch (spec.fn) {
+        case IndexFunction.RollingSum:
+            return values.reduce((sum, v) => sum + v, 0);
+        case IndexFunction.RollingMax:
+            return Math.max(...values);
+        case IndexFunction.RollingMin:
+            return Math.min(...values);
+        case IndexFunction.DaysAbove:
+            return values.filter(v => v > spec.dayLevel).length;
+        case IndexFunction.DaysBelow:
+            return values.filter(v => v < spec.dayLevel).length;
+        default:
+            return values[values.length - 1];
+    }
+}
@@ -0,0 +1,24 @@
+// Canonical location keys.
+// Mirrors ObservationLedger.requireCanonicalLocation: "<lat>,<lon>" in decimal
+// degrees with exactly LOCATION_DECIMALS fraction digits, e.g. "40.71,-74.01".
+// Every policy and observation is keyed by this string; keys are built by the
+// SDK's canonicalLocation, shared with the frontend and the simulator.
+
+import { canonicalLocation, LOCATION_DECIMALS } from '../../sdk/index.js';
+import { SourceLocation } from './sources';
+
+const CANONICAL_PATTERN = new RegExp(`^-?\\d{1,3}\\.\\d{${LOCATION_DECIMALS}},-?\\d{1,3}\\.\\d{${LOCATION_DECIMALS}}$`);
+
+/**
+ * Split a stored location key into source coordinates; throws unless the key is canonical
+ */
+export function parseLocation(key: string): SourceLocation {
+    if (!CANONICAL_PATTERN.test(key)) {
+        throw new Error(`Non-canonical location key: "${key}"`);
+    }
+    const [lat, lon] = key.split(',');
+    if (canonicalLocation(Number(lat), Number(lon)) !== key) {
+        throw new Error(`Non-canonical location key: "${key}"`);
+    }
+    return { lat, lon, key };
+}
@@ -0,0 +1,43 @@
+import { toChainValue } from '../../sdk/index.js';
+import { WeatherReading } from './sources';
+
+// Weather types: 0=Drought, 1=Flood (Precipitation), 2=Frost (Min Temp), 3=Heat (Max Temp)
+// Drought and Flood settle on the same measured quantity, so readings are
+// grouped and written per metric rather than per weather type.
+export type Metric = 'precipitation' | 'tempMin' | 'tempMax';
+
+// WeatherShield's IWeatherShield.Metric enum, used as the observation ledger key
+export const METRIC_ID: Record<Metric, number> = {
+    precipitation: 0,
+    tempMin: 1,
+    tempMax: 2,
+};
+
+/**
+ * UTC day number (seconds / 86400), the date key of the on-chain observation ledger
+ */
+export function utcDay(ms: number = Date.now()): number {
+    return Math.floor(ms / 86_400_000);
+}
+
+/**
+ * Map a policy weather type to the metric it settles on
+ */
+export function metricOf(weatherType: number): Metric {
+    if (weatherType === 0 || weatherType === 1) return 'precipitation';
+    if (weatherType === 2) return 'tempMin';
+    return 'tempMax';
+}
+
+/**
+ * Extract a metric from a reading as a ×10 integer (contract units)
+ */
+export function extractValue(reading: WeatherReading, metric: Metric): number {
+    if (metric === 'precipitation') {
+        return toChainValue(reading.dailyPrecip);
+    } else if (metric === 'tempMin') {
+        return toChainValue(reading.tempMin);
+    } else {
+        return toChainValue(reading.tempMax);
+    }
+}
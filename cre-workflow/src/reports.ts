@@ -0,0 +1,59 @@
+// EIP-712 signed weather reports.
+// Mirrors WeatherOracle.hashReport: a reporter key signs one metric at one
+// location on one UTC day over WeatherShield's domain. Anyone holding reports
+// from a quorum of reporters (WeatherOracle.quorum) can settle a Daily policy
+// with WeatherShield.settleWithReport, so a missed or budget-limited cycle
+// never strands a payout.
+
+import { Wallet, TypedDataDomain } from 'ethers';
+
+export const REPORT_TYPES = {
+    WeatherReport: [
+        { name: 'location', type: 'string' },
+        { name: 'metric', type: 'uint8' },
+        { name: 'day', type: 'uint32' },
+        { name: 'value', type: 'int256' },
+        { name: 'sourceCount', type: 'uint8' },
+    ],
+};
+
+export interface WeatherReport {
+    /** Canonical location key */
+    location: string;
+    /** IWeatherShield.Metric */
+    metric: number;
+    /** UTC day number */
+    day: number;
+    /** ×10 units, as recorded in the observation ledger */
+    value: number;
+    sourceCount: number;
+}
+
+export interface SignedReport {
+    report: WeatherReport;
+    signature: string;
+    reporter: string;
+}
+
+/**
+ * WeatherShield's EIP-712 domain
+ */
+export function reportDomain(chainId: number, verifyingContract: string): TypedDataDomain {
+    return { name: 'WeatherShield', version: '1', chainId, verifyingContract };
+}
+
+/**
+ * Sign a report with a reporter key
+ */
+export async function signReport(signer: Wallet, domain: TypedDataDomain, report: WeatherReport): Promise<SignedReport> {
+    const signature = await signer.signTypedData(domain, REPORT_TYPES, report);
+    return { report, signature, reporter: signer.address };
+}
+
+/**
+ * Relay path a reporter's signed report is published under and fetched from
+ */
+export function reportPath(report: Pick<WeatherReport, 'location' | 'metric' | 'day'>, reporter: string): string {
+    return `${encodeURIComponent(report.location)}/${report.metric}/${report.day}/${reporter}.json`;
+}
+
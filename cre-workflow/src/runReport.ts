@@ -0,0 +1,171 @@
+// Machine-readable report of one monitoring cycle.
+// Logged as a single `run_report` JSON line at the end of every cycle,
+// completed or not, so runs can be parsed, alerted on and diffed.
+// scripts/cre-simulate.js writes the same shape to disk with --report.
+
+import type { WeatherShieldConfig } from '../../config/index.js';
+import type { SourceHealthReport } from './health';
+import type { SourceValue } from './consensus';
+import type { Metric } from './metrics';
+
+export const RUN_REPORT_SCHEMA = 'weathershield.run-report/1';
+
+/** `completed`: every group was processed; `deferred`: the budget ran out and a cursor was left; `failed`: the cycle threw */
+export type RunStatus = 'completed' | 'deferred' | 'failed';
+
+export interface SkippedPolicy {
+    policyId: number;
+    reason: string;
+}
+
+/** One source's reading for a location; values in source units (mm, °C) */
+export interface SourceReadingReport {
+    source: string;
+    ok: boolean;
+    precipitation: number | null;
+    tempMin: number | null;
+    tempMax: number | null;
+    /** Why the source was unavailable; null when ok */
+    error: string | null;
+}
+
+/** Outcome of source consensus for one metric or one windowed index; values in ×10 units */
+export interface ConsensusReport {
+    metric: Metric;
+    /** Windowed index the value is for; null for the day's observation */
+    index: { fn: string; windowDays: number } | null;
+    values: SourceValue[];
+    accepted: string[];
+    rejected: string[];
+    /** Agreed value; null when disputed */
+    value: number | null;
+    spread: number;
+    disputed: boolean;
+    reason: string | null;
+    /** Policies settling on the value */
+    policyIds: number[];
+}
+
+export interface LocationReport {
+    location: string;
+    sources: SourceReadingReport[];
+    consensus: ConsensusReport[];
+}
+
+export interface TransactionReport {
+    contract: 'WeatherShield' | 'WeatherOracle';
+    functionName: string;
+    /** Observations, policies or claims the transaction carried */
+    items: number;
+    gasLimit: number;
+    /** null when not sent (simulation) */
+    gasUsed: number | null;
+}
+
+export interface RunError {
+    /** Cycle stage the error happened in, e.g. fetch, claim, cycle */
+    stage: string;
+    message: string;
+    location: string | null;
+    source: string | null;
+}
+
+export interface RunReport {
+    schema: typeof RUN_REPORT_SCHEMA;
+    mode: 'cre' | 'simulation';
+    environment: string;
+    chainId: number;
+    contract: string;
+    startedAt: string;
+    finishedAt: string | null;
+    durationMs: number | null;
+    status: RunStatus | null;
+    /** Policy id the cycle resumed from and the one the next cycle resumes from (0 = fresh pass) */
+    cursor: { start: number | null; next: number | null };
+    policies: {
+        active: number;
+        scanned: number;
+        /** Queued for the expiry sweep */
+        expired: number[];
+        skipped: SkippedPolicy[];
+    };
+    locations: LocationReport[];
+    transactions: TransactionReport[];
+    claims: {
+        /** Policies checked for a payout after their reading was written */
+        checked: number;
+        triggered: number[];
+        paid: number[];
+    };
+    /** Sum of gasUsed over the transactions sent */
+    gasUsed: number;
+    sources: SourceHealthReport[];
+    errors: RunError[];
+}
+
+/**
+ * Collects a cycle's RunReport as the cycle progresses
+ */
+export class RunRecorder {
+    readonly report: RunReport;
+    private readonly startedAt = Date.now();
+
+    constructor(mode: RunReport['mode'], config: WeatherShieldConfig) {
+        this.report = {
+            schema: RUN_REPORT_SCHEMA,
+            mode,
+            environment: config.environment,
+            chainId: config.network.chainId,
+            contract: config.contracts.weatherShield,
+            startedAt: new Date(this.startedAt).toISOString(),
+            finishedAt: null,
+            durationMs: null,
+            status: null,
+            cursor: { start: null, next: null },
+            policies: { active: 0, scanned: 0, expired: [], skipped: [] },
+            locations: [],
+            transactions: [],
+            claims: { checked: 0, triggered: [], paid: [] },
+            gasUsed: 0,
+            sources: [],
+            errors: []
+        };
+    }
+
+    skip(policyId: number, reason: string): void {
+        this.report.policies.skipped.push({ policyId, reason });
+    }
+
+    /** The location's entry, created on first use */
+    location(key: string): LocationReport {
+        let entry = this.report.locations.find(l => l.location === key);
+        if (!entry) {
+            entry = { location: key, sources: [], consensus: [] };
+            this.report.locations.push(entry);
+        }
+        return entry;
+    }
+
+    transaction(tx: TransactionReport): void {
+        this.report.transactions.push(tx);
+        this.report.gasUsed += tx.gasUsed ?? 0;
+    }
+
+    error(stage: string, err: unknown, context: { location?: string; source?: string } = {}): void {
+        this.report.errors.push({
+            stage,
+            message: err instanceof Error ? err.message : String(err),
+            location: context.location ?? null,
+            source: context.source ?? null
+        });
+    }
+
+    finish(status: RunStatus, sources: SourceHealthReport[]): RunReport {
+        const finishedAt = Date.now();
+        this.report.status = status;
+        this.report.finishedAt = new Date(finishedAt).toISOString();
+        this.report.durationMs = finishedAt - this.startedAt;
+        this.report.sources = sources;
+        return this.report;
+    }
+}
@@ -0,0 +1,14 @@
+// Built-in weather sources. To add a provider, create an adapter module
+// implementing `WeatherSource` and list it below; it can then be enabled
+// by id from the workflow configuration.
+
+import { registerSource } from './registry';
+import { openMeteo } from './openMeteo';
+import { weatherApi } from './weatherApi';
+import { visualCrossing } from './visualCrossing';
+
+[openMeteo, weatherApi, visualCrossing].forEach(registerSource);
+
+export * from './types';
+export { getSource, resolveSources, listSources, registerSource } from './registry';
+export { checkPlausible, responseBytes, MAX_RESPONSE_BYTES } from './schema';
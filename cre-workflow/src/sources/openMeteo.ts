@@ -0,0 +1,56 @@
+import { WeatherSource, DEFAULT_PLAUSIBILITY, toReading } from './types';
+import { requireArray, requireDate, requireNumber, requireObject } from './schema';
+
+/**
+ * Open-Meteo (free, no API key)
+ */
+export const openMeteo: WeatherSource = {
+    id: 'open-meteo',
+    name: 'Open-Meteo',
+    requiredSecrets: [],
+    maxPastDays: 92,
+    plausibility: DEFAULT_PLAUSIBILITY,
+
+    buildRequest(location, secrets, pastDays) {
+        return {
+            url: 'https://api.open-meteo.com/v1/forecast',
+            method: 'GET',
+            params: {
+                latitude: location.lat,
+                longitude: location.lon,
+                current: 'temperature_2m,rain',
+                daily: 'temperature_2m_max,temperature_2m_min,precipitation_sum',
+                timezone: 'auto',
+                past_days: String(pastDays),
+                forecast_days: '1'
+            },
+            timeout: 10000
+        };
+    },
+
+    parseResponse(data) {
+        const response = requireObject(data, 'response');
+        const daily = requireObject(response.daily, 'daily');
+        const time = requireArray(daily.time, 'daily.time');
+        // Parallel arrays; Open-Meteo fills days it has no data for with null
+        const series = (name: string) => {
+            const values = requireArray(daily[name], `daily.${name}`);
+            if (values.length !== time.length) {
+                throw new Error(`daily.${name}: ${values.length} entries for ${time.length} days`);
+            }
+            return values;
+        };
+        const precip = series('precipitation_sum');
+        const tempMin = series('temperature_2m_min');
+        const tempMax = series('temperature_2m_max');
+
+        const days = time.map((date: unknown, i: number) => ({
+            date: requireDate(date, `daily.time[${i}]`),
+            precip: requireNumber(precip[i], `daily.precipitation_sum[${i}]`),
+            tempMin: requireNumber(tempMin[i], `daily.temperature_2m_min[${i}]`),
+            tempMax: requireNumber(tempMax[i], `daily.temperature_2m_max[${i}]`)
+        }));
+        // Days are dated in the location's timezone (`timezone: 'auto'`)
+        return toReading('Open-Meteo', days, requireNumber(response.utc_offset_seconds, 'utc_offset_seconds'));
+    }
+};
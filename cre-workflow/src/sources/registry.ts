@@ -0,0 +1,38 @@
+import { WeatherSource } from './types';
+
+const registry = new Map<string, WeatherSource>();
+
+/**
+ * Register a source adapter under its id
+ */
+export function registerSource(source: WeatherSource): void {
+    if (registry.has(source.id)) {
+        throw new Error(`Weather source "${source.id}" is already registered`);
+    }
+    registry.set(source.id, source);
+}
+
+/**
+ * Look up a single adapter by id
+ */
+export function getSource(id: string): WeatherSource {
+    const source = registry.get(id);
+    if (!source) {
+        throw new Error(`Unknown weather source "${id}" (registered: ${listSources().join(', ')})`);
+    }
+    return source;
+}
+
+/**
+ * Resolve the configured source ids, preserving their order
+ */
+export function resolveSources(ids: string[]): WeatherSource[] {
+    if (ids.length === 0) {
+        throw new Error('At least one weather source must be enabled');
+    }
+    return ids.map(getSource);
+}
+
+export function listSources(): string[] {
+    return [...registry.keys()];
+}
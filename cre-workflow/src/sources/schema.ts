@@ -0,0 +1,89 @@
+// Response validation shared by the source adapters.
+// Every field an adapter reads is checked for presence and type before use,
+// and the parsed reading is checked against the adapter's plausibility range.
+// Anything that fails throws, so the source counts as unavailable; a missing
+// field must never become a 0 mm reading that triggers a drought payout.
+
+import { DailyObservation, PlausibilityRange, WeatherReading } from './types';
+
+// CRE HTTP capability limit per response
+export const MAX_RESPONSE_BYTES = 100 * 1024;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+export function requireObject(value: any, path: string): Record<string, any> {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        throw new Error(`${path}: expected an object, got ${describe(value)}`);
+    }
+    return value;
+}
+
+export function requireArray(value: any, path: string, minLength: number = 1): any[] {
+    if (!Array.isArray(value)) {
+        throw new Error(`${path}: expected an array, got ${describe(value)}`);
+    }
+    if (value.length < minLength) {
+        throw new Error(`${path}: expected at least ${minLength} entries, got ${value.length}`);
+    }
+    return value;
+}
+
+/** A finite number; null, strings and NaN are rejected rather than coerced */
+export function requireNumber(value: any, path: string): number {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new Error(`${path}: expected a number, got ${describe(value)}`);
+    }
+    return value;
+}
+
+/** A YYYY-MM-DD calendar date */
+export function requireDate(value: any, path: string): string {
+    if (typeof value !== 'string' || !ISO_DATE.test(value)) {
+        throw new Error(`${path}: expected a YYYY-MM-DD date, got ${describe(value)}`);
+    }
+    return value;
+}
+
+/**
+ * Reject readings outside the adapter's physical range, with min above max,
+ * or whose days are not in ascending date order
+ */
+export function checkPlausible(reading: WeatherReading, range: PlausibilityRange): void {
+    const { precipMm, tempC } = range;
+    requireArray(reading.days, 'days');
+
+    reading.days.forEach((day: DailyObservation, i) => {
+        inRange(day.precip, precipMm, `${day.date} precipitation`);
+        inRange(day.tempMin, tempC, `${day.date} min temperature`);
+        inRange(day.tempMax, tempC, `${day.date} max temperature`);
+        if (day.tempMin > day.tempMax) {
+            throw new Error(`${day.date}: min temperature ${day.tempMin} above max ${day.tempMax}`);
+        }
+        if (i > 0 && day.date <= reading.days[i - 1].date) {
+            throw new Error(`${day.date}: days out of order`);
+        }
+    });
+}
+
+/**
+ * Size of a raw HTTP response body in bytes; falls back to the re-encoded JSON
+ * when the capability only hands back decoded data
+ */
+export function responseBytes(response: { body?: string | Uint8Array; data?: unknown }): number {
+    const body = response.body ?? JSON.stringify(response.data ?? null);
+    return typeof body === 'string' ? new TextEncoder().encode(body).length : body.length;
+}
+
+function inRange(value: number, [min, max]: [number, number], what: string): void {
+    requireNumber(value, what);
+    if (value < min || value > max) {
+        throw new Error(`${what} ${value} outside [${min}, ${max}]`);
+    }
+}
+
+function describe(value: any): string {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'string') return `"${value.length > 20 ? value.slice(0, 20) + '…' : value}"`;
+    return typeof value === 'number' ? String(value) : typeof value;
+}
@@ -0,0 +1,90 @@
+// Weather source adapter contract.
+// Every upstream API is described by one adapter module; the workflow only
+// talks to adapters through this interface and never to an API directly.
+
+/** Coordinates of a policy location, plus its canonical "lat,lon" key (see ../location) */
+export interface SourceLocation {
+    lat: string;
+    lon: string;
+    key: string;
+}
+
+/** One day of observations in real units (mm, °C) */
+export interface DailyObservation {
+    /** Local calendar date, YYYY-MM-DD */
+    date: string;
+    precip: number;
+    tempMin: number;
+    tempMax: number;
+}
+
+/** Daily aggregates in real units (mm, °C) as reported by one source */
+export interface WeatherReading {
+    dailyPrecip: number;
+    tempMin: number;
+    tempMax: number;
+    /** Daily history, oldest first, ending with today (same values as above) */
+    days: DailyObservation[];
+    /** Offset of the location's local time from UTC; `days` are dated in it */
+    utcOffsetSeconds: number;
+    source: string;
+}
+
+/** HTTP request description handed to `http.fetch` */
+export interface SourceRequest {
+    url: string;
+    method: 'GET';
+    params: Record<string, string>;
+    timeout: number;
+}
+
+/** Inclusive [min, max] bounds a reading must fall within to be trusted */
+export interface PlausibilityRange {
+    precipMm: [number, number];
+    tempC: [number, number];
+}
+
+export interface WeatherSource {
+    /** Stable id used in configuration, e.g. "open-meteo" */
+    id: string;
+    /** Human-readable name used in logs */
+    name: string;
+    /** Secret names resolved through `cre.getSecret` before building the request */
+    requiredSecrets: string[];
+    /** How many days of history one request can return before today (0 = today only) */
+    maxPastDays: number;
+    /** `pastDays` is already capped to `maxPastDays` */
+    buildRequest(location: SourceLocation, secrets: Record<string, string>, pastDays: number): SourceRequest;
+    /** Turn the decoded response body into a reading; throw on any missing or mistyped field (see ./schema) */
+    parseResponse(data: any): WeatherReading;
+    plausibility: PlausibilityRange;
+}
+
+/** Today's observation as a reading; `days` holds the whole series */
+export function toReading(source: string, days: DailyObservation[], utcOffsetSeconds: number): WeatherReading {
+    const today = days[days.length - 1];
+    return {
+        dailyPrecip: today.precip,
+        tempMin: today.tempMin,
+        tempMax: today.tempMax,
+        days,
+        utcOffsetSeconds,
+        source
+    };
+}
+
+/** UTC calendar date `offsetDays` from now, YYYY-MM-DD */
+export function isoDate(offsetDays: number = 0): string {
+    return new Date(Date.now() + offsetDays * 86_400_000).toISOString().slice(0, 10);
+}
+
+/** Calendar date of `timeMs` at a location `utcOffsetSeconds` from UTC, YYYY-MM-DD */
+export function localDate(timeMs: number, utcOffsetSeconds: number): string {
+    return new Date(timeMs + utcOffsetSeconds * 1000).toISOString().slice(0, 10);
+}
+
+/** Sensible bounds shared by the global forecast APIs */
+export const DEFAULT_PLAUSIBILITY: PlausibilityRange = {
+    precipMm: [0, 2000],
+    tempC: [-90, 60],
+};
@@ -0,0 +1,46 @@
+import { WeatherSource, DEFAULT_PLAUSIBILITY, toReading, isoDate } from './types';
+import { requireArray, requireDate, requireNumber, requireObject } from './schema';
+
+const BASE_URL = 'https://weather.visualcrossing.com/VisualCrossingWebServices/rest/services/timeline';
+
+/**
+ * Visual Crossing (free tier, needs API key)
+ */
+export const visualCrossing: WeatherSource = {
+    id: 'visual-crossing',
+    name: 'Visual Crossing',
+    requiredSecrets: ['VISUAL_CROSSING_KEY'],
+    maxPastDays: 90,
+    plausibility: DEFAULT_PLAUSIBILITY,
+
+    buildRequest(location, secrets, pastDays) {
+        // Timeline accepts an explicit date range; "today" alone when no history is needed
+        const period = pastDays > 0 ? `${isoDate(-pastDays)}/${isoDate()}` : 'today';
+        return {
+            url: `${BASE_URL}/${location.key}/${period}`,
+            method: 'GET',
+            params: {
+                key: secrets.VISUAL_CROSSING_KEY,
+                unitGroup: 'metric',
+                include: 'current,days',
+                contentType: 'json'
+            },
+            timeout: 10000
+        };
+    },
+
+    parseResponse(data) {
+        const response = requireObject(data, 'response');
+        const days = requireArray(response.days, 'days').map((entry: unknown, i: number) => {
+            const day = requireObject(entry, `days[${i}]`);
+            return {
+                date: requireDate(day.datetime, `days[${i}].datetime`),
+                precip: requireNumber(day.precip, `days[${i}].precip`),
+                tempMin: requireNumber(day.tempmin, `days[${i}].tempmin`),
+                tempMax: requireNumber(day.tempmax, `days[${i}].tempmax`)
+            };
+        });
+        // tzoffset is in hours, possibly fractional
+        return toReading('Visual Crossing', days, Math.round(requireNumber(response.tzoffset, 'tzoffset') * 3600));
+    }
+};
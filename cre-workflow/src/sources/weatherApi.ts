@@ -0,0 +1,59 @@
+import { WeatherSource, DEFAULT_PLAUSIBILITY, toReading } from './types';
+import { requireArray, requireDate, requireNumber, requireObject } from './schema';
+
+// forecast.json's location.localtime, e.g. "2026-06-14 8:05"
+const LOCAL_TIME = /^(\d{4}-\d{2}-\d{2}) (\d{1,2}):(\d{2})$/;
+
+/**
+ * WeatherAPI.com (free tier, needs API key)
+ * History needs one history.json call per day on the free tier, so this
+ * source only contributes to daily (today) readings.
+ */
+export const weatherApi: WeatherSource = {
+    id: 'weatherapi',
+    name: 'WeatherAPI',
+    requiredSecrets: ['WEATHERAPI_KEY'],
+    maxPastDays: 0,
+    plausibility: DEFAULT_PLAUSIBILITY,
+
+    buildRequest(location, secrets) {
+        return {
+            url: 'https://api.weatherapi.com/v1/forecast.json',
+            method: 'GET',
+            params: {
+                key: secrets.WEATHERAPI_KEY,
+                q: location.key,
+                days: '1'
+            },
+            timeout: 10000
+        };
+    },
+
+    parseResponse(data) {
+        const response = requireObject(data, 'response');
+        const forecast = requireObject(response.forecast, 'forecast');
+        const forecastDay = requireObject(requireArray(forecast.forecastday, 'forecast.forecastday')[0], 'forecast.forecastday[0]');
+        const day = requireObject(forecastDay.day, 'forecastday[0].day');
+        return toReading('WeatherAPI', [{
+            date: requireDate(forecastDay.date, 'forecastday[0].date'),
+            precip: requireNumber(day.totalprecip_mm, 'day.totalprecip_mm'),
+            tempMin: requireNumber(day.mintemp_c, 'day.mintemp_c'),
+            tempMax: requireNumber(day.maxtemp_c, 'day.maxtemp_c')
+        }], utcOffsetOf(requireObject(response.location, 'location')));
+    }
+};
+
+/**
+ * The response carries no offset, only the local time beside its epoch.
+ * Their difference is rounded to the 15 minutes every timezone is a multiple of.
+ */
+function utcOffsetOf(location: Record<string, any>): number {
+    const epoch = requireNumber(location.localtime_epoch, 'location.localtime_epoch');
+    const match = typeof location.localtime === 'string' ? LOCAL_TIME.exec(location.localtime) : null;
+    if (!match) {
+        throw new Error(`location.localtime: expected "YYYY-MM-DD H:MM", got ${JSON.stringify(location.localtime)}`);
+    }
+    const [, date, hours, minutes] = match;
+    const localAsUtc = Date.parse(`${date}T${hours.padStart(2, '0')}:${minutes}:00Z`) / 1000;
+    return Math.round((localAsUtc - epoch) / 900) * 900;
+}
@@ -1,275 +1,881 @@
 import { cre, http, evm, cron } from '@chainlink/cre-sdk';
+import { formatEther, Wallet } from 'ethers';
 
-// Configuration
-const CONFIG = {
-    CONTRACT_ADDRESS: "0x85A61e33CA36d1b52A74f9E4E4d4F363685F0bB2",
-    OPEN_METEO_URL: "https://api.open-meteo.com/v1/forecast",
-    WEATHER_API_URL: "https://api.weatherapi.com/v1/forecast.json",
-    VISUAL_CROSSING_URL: "https://weather.visualcrossing.com/VisualCrossingWebServices/rest/services/timeline",
-    GAS_LIMIT: 500_000,
-};
-
-// ABI definitions
-const ABI = [
-    "function updateWeatherData(string location, int256 value)",
-    "function updateWeatherDataMultiSource(string location, int256 val1, int256 val2, int256 val3)",
-    "function isPolicyClaimable(uint256 policyId) view returns (bool)",
-    "function processClaim(uint256 policyId, int256 currentValue)",
-    "function getPolicy(uint256 policyId) view returns (tuple(address holder, uint256 premium, uint256 coverageAmount, uint256 startTime, uint256 endTime, uint8 weatherType, int256 triggerThreshold, string location, uint8 status, uint8 riskTier))",
-    "function policyCounter() view returns (uint256)"
-];
-
-// Weather types: 0=Drought, 1=Flood (Precipitation), 2=Frost (Min Temp), 3=Heat (Max Temp)
-interface WeatherReading {
-    dailyPrecip: number;
-    tempMin: number;
-    tempMax: number;
-    source: string;
+import { loadConfig, requireEnvironment, MAX_TX_GAS } from '../../config/index.js';
+import { WEATHER_SHIELD_ABI, WEATHER_ORACLE_ABI } from '../../sdk/index.js';
+
+import {
+    resolveSources, localDate, checkPlausible, responseBytes, MAX_RESPONSE_BYTES,
+    WeatherReading, WeatherSource, SourceLocation
+} from './sources';
+import { evaluateConsensus, toleranceFor, SourceValue, ConsensusResult } from './consensus';
+import { Metric, METRIC_ID, metricOf, extractValue, utcDay } from './metrics';
+import { IndexFunction, IndexSpec, windowDays, requiredDays, computeIndex } from './indices';
+import { CycleBudget, rotateFromCursor } from './budget';
+import { BatchPlanner } from './batch';
+import { parseLocation } from './location';
+import { reportDomain, reportPath, signReport, WeatherReport } from './reports';
+import { SourceHealth, SourceError, fetchWithRetry, isTransientStatus } from './health';
+import { RunRecorder, RunStatus, ConsensusReport } from './runReport';
+
+// Shared configuration (config/weathershield.json); the environment comes from
+// WEATHERSHIELD_ENV when the workflow is built; there is no default, so a build
+// can't silently target the local chain
+const CONFIG = loadConfig(requireEnvironment());
+const CONTRACT_ADDRESS = CONFIG.contracts.weatherShield;
+const WORKFLOW = CONFIG.workflow;
+
+// Outlier rejection and agreement guard applied before any write
+const CONSENSUS = CONFIG.consensus;
+
+// Contract ABIs from the SDK, checked against the deployment by `npm run config:check`
+const ABI = WEATHER_SHIELD_ABI;
+const ORACLE_ABI = WEATHER_ORACLE_ABI;
+
+// Enabled source adapters, in configured order
+const SOURCES = resolveSources(WORKFLOW.sources);
+
+// Listings of the active policy set before giving up on a set that keeps changing
+const ACTIVE_LIST_ATTEMPTS = 3;
+
+/**
+ * Fetch and parse one source with retries; null when the source is unavailable
+ */
+async function fetchFromSource(
+    source: WeatherSource,
+    location: SourceLocation,
+    pastDays: number,
+    health: SourceHealth
+): Promise<WeatherReading | null> {
+    return fetchWithRetry(source.id, async () => {
+        const secrets: Record<string, string> = {};
+        for (const name of source.requiredSecrets) {
+            try {
+                secrets[name] = cre.getSecret(name);
+            } catch (err) {
+                throw new SourceError(`missing secret ${name}`, null, false);
+            }
+        }
+
+        // Network errors and timeouts thrown here are retried
+        const response = await http.fetch(source.buildRequest(location, secrets, Math.min(pastDays, source.maxPastDays)));
+        const status: number | null = response?.statusCode ?? null;
+        if (status !== null && status >= 400) {
+            throw new SourceError(`HTTP ${status}`, status, isTransientStatus(status));
+        }
+
+        const bytes = responseBytes(response);
+        if (bytes > MAX_RESPONSE_BYTES) {
+            throw new SourceError(`response of ${bytes} bytes exceeds ${MAX_RESPONSE_BYTES}`, status, false);
+        }
+
+        // Invalid data makes the source unavailable for this fetch; it is never read as 0
+        let reading: WeatherReading;
+        try {
+            reading = source.parseResponse(response.data);
+        } catch (err) {
+            throw new SourceError(`malformed response: ${(err as Error).message}`, status, false);
+        }
+        try {
+            checkPlausible(reading, source.plausibility);
+        } catch (err) {
+            throw new SourceError(`implausible reading: ${(err as Error).message}`, status, false);
+        }
+        return { value: reading, status };
+    }, WORKFLOW.fetchRetry, health);
+}
+
+/**
+ * Active policies sharing one location, split by the metric they settle on
+ */
+interface LocationGroup {
+    location: SourceLocation;
+    /** Position of the group in cycle order */
+    order: number;
+    /** First policy id of the group in cycle order; the resume point if the group is cut off */
+    firstPolicyId: number;
+    /** Every metric the group's policies need recorded, with the Daily policies settling on it */
+    metrics: Map<Metric, number[]>;
+    /** Policies settling on a windowed index rather than today's value */
+    indexPolicies: IndexPolicy[];
+}
+
+/**
+ * Active policy whose trigger is evaluated on a rolling window of its term
+ */
+interface IndexPolicy {
+    id: number;
+    metric: Metric;
+    spec: IndexSpec;
+    /** When the policy term started, ms since epoch; dated per source in its location's timezone */
+    startTime: number;
+}
+
+/**
+ * Agreed value of one metric at one location, waiting to be recorded
+ */
+interface ObservationWrite {
+    group: LocationGroup;
+    metric: Metric;
+    /** Accepted source values; the contract takes their median */
+    values: number[];
+    median: number;
+    /** Daily policies settling on it */
+    policyIds: number[];
+}
+
+/**
+ * Policy to check for a payout once its reading is on-chain
+ */
+interface ClaimCandidate {
+    group: LocationGroup;
+    policyId: number;
+    /** UTC day the reading was written on */
+    day: number;
+}
+
+/**
+ * Writes queued while locations are fetched, sent in batches once every group is fetched
+ */
+interface PendingWrites {
+    observations: ObservationWrite[];
+    claims: ClaimCandidate[];
+}
+
+/**
+ * How this instance reports. With a quorum configured in WeatherOracle the
+ * workflow is one of N reporters: it submits its own value and the oracle
+ * records the median once M reporters agree on the period.
+ */
+interface Reporting {
+    /** Key for signed reports; null = signing disabled */
+    signer: Wallet | null;
+    /** WeatherOracle address while a quorum is set; null = write to WeatherShield directly */
+    quorumOracle: string | null;
 }
 
 /**
- * Fetch weather from Open-Meteo (free, no API key)
+ * Active policy past its endTime, still holding reserved coverage
+ */
+interface ExpiredPolicy {
+    id: number;
+    coverageAmount: bigint;
+}
+
+/**
+ * Main callback function triggered by cron
  */
-async function fetchOpenMeteo(lat: string, lon: string): Promise<WeatherReading | null> {
+async function weatherPolicyCheck(event: cron.Event, runtime: cre.Runtime) {
+    runtime.logger.info("Starting WeatherShield multi-source policy check cycle");
+    const health = new SourceHealth(WORKFLOW.sourceBreakerThreshold);
+    const run = new RunRecorder('cre', CONFIG);
+
+    let status: RunStatus = 'failed';
     try {
-        const response = await http.fetch({
-            url: CONFIG.OPEN_METEO_URL,
-            method: 'GET',
-            params: {
-                latitude: lat,
-                longitude: lon,
-                current: 'temperature_2m,rain',
-                daily: 'temperature_2m_max,temperature_2m_min,precipitation_sum',
-                timezone: 'auto'
-            },
-            timeout: 10000
-        });
-        const data = response.data;
-        return {
-            dailyPrecip: data.daily.precipitation_sum[0] || 0,
-            tempMin: data.daily.temperature_2m_min[0] || 0,
-            tempMax: data.daily.temperature_2m_max[0] || 0,
-            source: 'Open-Meteo'
-        };
+        status = await monitorPolicies(health, run, runtime);
     } catch (err) {
-        return null;
+        run.error('cycle', err);
+        throw err;
+    } finally {
+        // One parseable record per cycle, including cycles that failed part-way
+        runtime.logger.info(JSON.stringify({ event: 'run_report', ...run.finish(status, health.report()) }));
     }
 }
 
 /**
- * Fetch weather from WeatherAPI.com (free tier, needs API key)
+ * One pass over the active policies, within the cycle budget
  */
-async function fetchWeatherAPI(location: string): Promise<WeatherReading | null> {
+async function monitorPolicies(health: SourceHealth, run: RunRecorder, runtime: cre.Runtime): Promise<RunStatus> {
+    const budget = new CycleBudget(WORKFLOW.cycleTimeBudgetMs, WORKFLOW.cycleGasBudget, WORKFLOW.gasLimit);
+
+    // 1. Get the active policy set (claimed/cancelled/expired ones are never touched)
+    const activeIds = await loadActivePolicyIds();
+    runtime.logger.info(`Found ${activeIds.length} active policies`);
+    run.report.policies.active = activeIds.length;
+
+    if (activeIds.length === 0) return 'completed';
+
+    const reporting: Reporting = {
+        signer: loadReporter(runtime),
+        quorumOracle: await loadQuorumOracle(runtime)
+    };
+
+    // 2. Resume where the previous cycle ran out of budget
+    const cursor = Number(await evm.read({
+        address: CONTRACT_ADDRESS,
+        abi: ABI,
+        functionName: "monitorCursor",
+        args: []
+    }));
+    const orderedIds = rotateFromCursor(activeIds, cursor);
+    run.report.cursor.start = cursor;
+
+    // 3. Group active policies by location and metric
+    const { groups, expired } = await groupActivePolicies(orderedIds, run, runtime);
+    runtime.logger.info(`Monitoring ${groups.size} distinct locations (resuming from policy ${cursor})`);
+
+    // 4. Expire ended policies so their coverage stops blocking LP withdrawals
+    if (expired.length > 0) {
+        await sweepExpired(expired, budget, run, runtime);
+    }
+
+    // 5. Fetch each location once and agree on its readings; observations and
+    //    claims are queued and sent in batches after the last group
+    const pending: PendingWrites = { observations: [], claims: [] };
+    let deferred: LocationGroup | null = null;
+    for (const group of groups.values()) {
+        if (!budget.canStartGroup(estimateGroupGas(group, pending, reporting))) {
+            deferred = group;
+            runtime.logger.info(`Cycle budget reached (${budget.summary()}), deferring from policy ${group.firstPolicyId}`);
+            break;
+        }
+
+        const groupStarted = Date.now();
+        const completed = await processLocation(group, reporting, health, budget, pending, run, runtime);
+        budget.recordGroup(Date.now() - groupStarted);
+
+        if (!completed) {
+            deferred = group;
+            runtime.logger.info(`Cycle gas budget reached (${budget.summary()}), deferring from policy ${group.firstPolicyId}`);
+            break;
+        }
+    }
+
+    // 6. Record the queued observations, then pay out the policies they trigger
+    const unrecorded = await recordObservations(pending, reporting, budget, run, runtime);
+    const unpaid = await settleClaims(pending.claims, budget, run, runtime);
+    deferred = earliest(deferred, unrecorded, unpaid);
+
+    // 7. Persist the resume point; 0 means the next cycle starts a fresh pass
+    const nextCursor = deferred ? deferred.firstPolicyId : 0;
+    run.report.cursor.next = nextCursor;
+    if (nextCursor !== cursor) {
+        await writeContract("setMonitorCursor", [nextCursor], budget, run);
+    }
+
+    logSourceHealth(health, runtime);
+    runtime.logger.info(`WeatherShield cycle completed (${budget.summary()})`);
+    return deferred ? 'deferred' : 'completed';
+}
+
+/**
+ * Gas the cycle will have committed once a group is done: the observations
+ * already queued plus the group's own writes
+ */
+function estimateGroupGas(group: LocationGroup, pending: PendingWrites, reporting: Reporting): number {
+    // Under a quorum every observation is its own submission
+    const observationGas = reporting.quorumOracle ? WORKFLOW.gasLimit : WORKFLOW.batch.observationGas;
+    return (pending.observations.length + group.metrics.size) * observationGas
+        + group.indexPolicies.length * WORKFLOW.gasLimit;
+}
+
+/**
+ * The group that comes first in cycle order; the cycle resumes from it
+ */
+function earliest(...groups: (LocationGroup | null)[]): LocationGroup | null {
+    return groups.reduce<LocationGroup | null>((first, g) => (g && (!first || g.order < first.order) ? g : first), null);
+}
+
+/**
+ * Per-source health for the cycle, so a degrading API shows up before it stops a payout
+ */
+function logSourceHealth(health: SourceHealth, runtime: cre.Runtime) {
+    const report = health.report();
+    for (const s of report) {
+        runtime.logger.info(`  ${s.circuitOpen ? '✗' : '✓'} ${s.source}: ${s.attempts} attempts, ${s.failures} failed, ${s.retries} retried, ${s.skipped} skipped, avg ${s.avgLatencyMs}ms, max ${s.maxLatencyMs}ms, last status ${s.lastStatus ?? '-'}${s.circuitOpen ? ' (circuit open)' : ''}`);
+    }
+    runtime.logger.info(JSON.stringify({ event: 'source_health', sources: report }));
+}
+
+/**
+ * Reporter key for signing weather reports; null when none is configured
+ */
+function loadReporter(runtime: cre.Runtime): Wallet | null {
     try {
-        const response = await http.fetch({
-            url: CONFIG.WEATHER_API_URL,
-            method: 'GET',
-            params: {
-                key: cre.getSecret('WEATHERAPI_KEY'),
-                q: location,
-                days: '1'
-            },
-            timeout: 10000
-        });
-        const data = response.data;
-        return {
-            dailyPrecip: data.forecast.forecastday[0].day.totalprecip_mm || 0,
-            tempMin: data.forecast.forecastday[0].day.mintemp_c || 0,
-            tempMax: data.forecast.forecastday[0].day.maxtemp_c || 0,
-            source: 'WeatherAPI'
-        };
+        return new Wallet(cre.getSecret(WORKFLOW.reporterKeySecret));
     } catch (err) {
+        runtime.logger.info(`Report signing disabled (no ${WORKFLOW.reporterKeySecret} secret)`);
         return null;
     }
 }
 
 /**
- * Fetch weather from Visual Crossing (free tier, needs API key)
+ * WeatherOracle address if a reporter quorum is configured, else null
  */
-async function fetchVisualCrossing(location: string): Promise<WeatherReading | null> {
+async function loadQuorumOracle(runtime: cre.Runtime): Promise<string | null> {
+    const oracle: string = await evm.read({
+        address: CONTRACT_ADDRESS,
+        abi: ABI,
+        functionName: "oracle",
+        args: []
+    });
+    const threshold = Number(await evm.read({
+        address: oracle,
+        abi: ORACLE_ABI,
+        functionName: "threshold",
+        args: []
+    }));
+    if (threshold === 0) return null;
+
+    runtime.logger.info(`Reporter quorum active (${threshold} required); submitting as one reporter`);
+    return oracle;
+}
+
+/**
+ * Sign a report and hand it to the relay so holders and keepers can settle
+ * with WeatherShield.settleWithReport even if this cycle never gets to the claim
+ */
+async function publishReport(reporter: Wallet, report: WeatherReport, runtime: cre.Runtime) {
+    const signed = await signReport(reporter, reportDomain(CONFIG.network.chainId, CONTRACT_ADDRESS), report);
+    runtime.logger.info(JSON.stringify({ event: 'signed_report', ...signed }));
+
+    if (!WORKFLOW.reportRelayUrl) return;
     try {
-        const response = await http.fetch({
-            url: `${CONFIG.VISUAL_CROSSING_URL}/${location}/today`,
-            method: 'GET',
-            params: {
-                key: cre.getSecret('VISUAL_CROSSING_KEY'),
-                unitGroup: 'metric',
-                include: 'current,days',
-                contentType: 'json'
-            },
-            timeout: 10000
+        await http.fetch({
+            url: `${WORKFLOW.reportRelayUrl}/${reportPath(report, signed.reporter)}`,
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(signed),
+            timeout: 10_000
         });
-        const data = response.data;
-        return {
-            dailyPrecip: data.days[0].precip || 0,
-            tempMin: data.days[0].tempmin || 0,
-            tempMax: data.days[0].tempmax || 0,
-            source: 'Visual Crossing'
-        };
     } catch (err) {
-        return null;
+        // The on-chain observation is already written; the relay is a convenience
+        runtime.logger.info(`Report relay unavailable: ${(err as Error).message}`);
     }
 }
 
 /**
- * Calculate median of an array of numbers
+ * Send a write, charge it against the cycle budget and add it to the run report
  */
-function calculateMedian(values: number[]): number {
-    const sorted = [...values].sort((a, b) => a - b);
-    const mid = Math.floor(sorted.length / 2);
-    if (sorted.length % 2 === 0) {
-        return Math.round((sorted[mid - 1] + sorted[mid]) / 2);
-    }
-    return sorted[mid];
+async function writeContract(
+    functionName: string,
+    args: unknown[],
+    budget: CycleBudget,
+    run: RunRecorder,
+    gasLimit: number = WORKFLOW.gasLimit
+) {
+    const result = await evm.write({
+        address: CONTRACT_ADDRESS,
+        abi: ABI,
+        functionName,
+        args,
+        gasLimit
+    });
+    const gasUsed = Number(result?.gasUsed ?? gasLimit);
+    budget.chargeGas(gasUsed);
+    // Batch entry points take their items as the first argument
+    run.transaction({ contract: 'WeatherShield', functionName, items: Array.isArray(args[0]) ? args[0].length : 1, gasLimit, gasUsed });
+    return result;
 }
 
 /**
- * Extract weather value based on type
+ * Submit this reporter's value to the WeatherOracle quorum and charge it against the cycle budget
  */
-function extractValue(reading: WeatherReading, weatherType: number): number {
-    if (weatherType === 0 || weatherType === 1) {
-        return Math.round(reading.dailyPrecip * 10);
-    } else if (weatherType === 2) {
-        return Math.round(reading.tempMin * 10);
-    } else {
-        return Math.round(reading.tempMax * 10);
-    }
+async function submitToQuorum(oracle: string, functionName: string, args: unknown[], budget: CycleBudget, run: RunRecorder) {
+    const result = await evm.write({
+        address: oracle,
+        abi: ORACLE_ABI,
+        functionName,
+        args,
+        gasLimit: WORKFLOW.gasLimit
+    });
+    const gasUsed = Number(result?.gasUsed ?? WORKFLOW.gasLimit);
+    budget.chargeGas(gasUsed);
+    run.transaction({ contract: 'WeatherOracle', functionName, items: 1, gasLimit: WORKFLOW.gasLimit, gasUsed });
+    return result;
 }
 
 /**
- * Main callback function triggered by cron
+ * Page through the contract's active policy index. Removing a policy moves the
+ * last id into its slot, so a set that changes between page reads can skip or
+ * repeat ids: the count is read again after the last page and the listing
+ * restarts if it moved. A set that fits in one page is a single read.
  */
-async function weatherPolicyCheck(event: cron.Event, runtime: cre.Runtime) {
-    runtime.logger.info("Starting WeatherShield multi-source policy check cycle");
+async function loadActivePolicyIds(): Promise<number[]> {
+    for (let attempt = 1; ; attempt++) {
+        const count = await readActivePolicyCount();
+        const ids: number[] = [];
+        for (let offset = 0; offset < count; offset += WORKFLOW.activePageSize) {
+            const page = await evm.read({
+                address: CONTRACT_ADDRESS,
+                abi: ABI,
+                functionName: "getActivePolicyIds",
+                args: [offset, WORKFLOW.activePageSize]
+            });
+            ids.push(...page.map(Number));
+        }
+
+        if (ids.length < WORKFLOW.activePageSize || await readActivePolicyCount() === count) return ids;
+        if (attempt === ACTIVE_LIST_ATTEMPTS) {
+            throw new Error(`active policy set changed while paging, ${attempt} times in a row`);
+        }
+    }
+}
 
-    // 1. Get total policy count
-    const countResult = await evm.read({
-        address: CONFIG.CONTRACT_ADDRESS,
+async function readActivePolicyCount(): Promise<number> {
+    return Number(await evm.read({
+        address: CONTRACT_ADDRESS,
         abi: ABI,
-        functionName: "policyCounter",
+        functionName: "activePolicyCount",
         args: []
-    });
+    }));
+}
+
+/**
+ * Load active policies and bucket the ones that can still pay out.
+ * Groups keep the order in which their first policy appears; policies past
+ * their endTime are returned separately for the expiry sweep.
+ */
+async function groupActivePolicies(
+    activeIds: number[],
+    run: RunRecorder,
+    runtime: cre.Runtime
+): Promise<{ groups: Map<string, LocationGroup>; expired: ExpiredPolicy[] }> {
+    const groups = new Map<string, LocationGroup>();
+    const expired: ExpiredPolicy[] = [];
+    const now = Math.floor(Date.now() / 1000);
+
+    for (const policyId of activeIds) {
+        const policy = await evm.read({
+            address: CONTRACT_ADDRESS,
+            abi: ABI,
+            functionName: "getPolicy",
+            args: [policyId]
+        });
+        run.report.policies.scanned++;
+
+        // ── SKIP if not Active (status 0); guards against a page racing a claim ──
+        const status = Number(policy.status);
+        if (status !== 0) {
+            runtime.logger.info(`Policy ${policyId}: skipped (status=${status})`);
+            run.skip(policyId, `status=${status}`);
+            continue;
+        }
+
+        // ── SWEEP if expired ──
+        if (now > Number(policy.endTime)) {
+            runtime.logger.info(`Policy ${policyId}: expired, queued for sweep`);
+            expired.push({ id: policyId, coverageAmount: BigInt(policy.coverageAmount) });
+            run.report.policies.expired.push(policyId);
+            continue;
+        }
 
-    const totalPolicies = Number(countResult);
-    runtime.logger.info(`Found ${totalPolicies} total policies`);
+        let group = groups.get(policy.location);
+        if (!group) {
+            let location: SourceLocation;
+            try {
+                location = parseLocation(policy.location);
+            } catch (err) {
+                // Only policies bought before keys were canonical can get here
+                runtime.logger.info(`Policy ${policyId}: skipped (${(err as Error).message})`);
+                run.skip(policyId, (err as Error).message);
+                continue;
+            }
+            group = {
+                location,
+                order: groups.size,
+                firstPolicyId: policyId,
+                metrics: new Map(),
+                indexPolicies: []
+            };
+            groups.set(policy.location, group);
+        }
 
-    if (totalPolicies === 0) return;
+        const metric = metricOf(Number(policy.weatherType));
+        const ids = group.metrics.get(metric) ?? [];
+        group.metrics.set(metric, ids);
 
-    // 2. Process only active policies
-    for (let i = 0; i < totalPolicies; i++) {
-        await processPolicy(i, runtime);
+        const spec: IndexSpec = {
+            fn: Number(policy.index.fn),
+            windowDays: Number(policy.index.windowDays),
+            dayLevel: Number(policy.index.dayLevel)
+        };
+        if (spec.fn !== IndexFunction.Daily) {
+            group.indexPolicies.push({
+                id: policyId,
+                metric,
+                spec,
+                startTime: Number(policy.startTime) * 1000
+            });
+            continue;
+        }
+        ids.push(policyId);
     }
 
-    runtime.logger.info("WeatherShield cycle completed");
+    return { groups, expired };
 }
 
 /**
- * Process a single policy with multi-source weather data
+ * Batch-expire ended policies and report the reserved capital released
  */
-async function processPolicy(policyId: number, runtime: cre.Runtime) {
-    // Fetch policy details
-    const policy = await evm.read({
-        address: CONFIG.CONTRACT_ADDRESS,
-        abi: ABI,
-        functionName: "getPolicy",
-        args: [policyId]
-    });
+async function sweepExpired(expired: ExpiredPolicy[], budget: CycleBudget, run: RunRecorder, runtime: cre.Runtime) {
+    let sweptCount = 0;
+    let released = 0n;
 
-    // ── SKIP if not Active (status 0) ──
-    if (policy.status !== 0) {
-        runtime.logger.info(`Policy ${policyId}: skipped (status=${policy.status})`);
-        return;
-    }
+    for (let i = 0; i < expired.length; i += WORKFLOW.expiryBatchSize) {
+        const batch = expired.slice(i, i + WORKFLOW.expiryBatchSize);
+        const gasLimit = WORKFLOW.gasLimit + batch.length * WORKFLOW.expiryGasPerPolicy;
 
-    // ── SKIP if expired ──
-    const now = Math.floor(Date.now() / 1000);
-    if (now > Number(policy.endTime)) {
-        runtime.logger.info(`Policy ${policyId}: skipped (expired)`);
-        return;
+        if (!budget.hasGasFor(gasLimit)) {
+            runtime.logger.info(`Expiry sweep stopped by gas budget; ${expired.length - sweptCount} policies left for next cycle`);
+            break;
+        }
+
+        await writeContract("expirePolicies", [batch.map(p => p.id)], budget, run, gasLimit);
+
+        sweptCount += batch.length;
+        released += batch.reduce((sum, p) => sum + p.coverageAmount, 0n);
     }
 
-    const [lat, lon] = policy.location.split(',');
-    const location = policy.location;
+    runtime.logger.info(`Expiry sweep: ${sweptCount} policies expired, ${formatEther(released)} ETH reserved funds released`);
+}
+
+/**
+ * Fetch all configured sources for one location, queue its observations and
+ * write its policies' indices. Returns false if the gas budget ran out before
+ * the group was finished.
+ */
+async function processLocation(
+    group: LocationGroup,
+    reporting: Reporting,
+    health: SourceHealth,
+    budget: CycleBudget,
+    pending: PendingWrites,
+    run: RunRecorder,
+    runtime: cre.Runtime
+): Promise<boolean> {
+    const { location } = group;
+    const report = run.location(location.key);
+
+    // History is only needed for the longest index window in the group
+    const pastDays = Math.max(0, ...group.indexPolicies.map(p => p.spec.windowDays - 1));
 
-    // ── Fetch from all 3 sources in parallel ──
-    runtime.logger.info(`Policy ${policyId}: fetching weather from 3 sources for ${location}`);
+    // ── Fetch from all configured sources in parallel ──
+    runtime.logger.info(`${location.key}: fetching weather from ${SOURCES.length} sources (${pastDays} past days)`);
 
-    const results = await Promise.allSettled([
-        fetchOpenMeteo(lat.trim(), lon.trim()),
-        fetchWeatherAPI(location),
-        fetchVisualCrossing(location)
-    ]);
+    const results = await Promise.allSettled(
+        SOURCES.map(source => fetchFromSource(source, location, pastDays, health))
+    );
 
     // Collect successful readings
     const readings: WeatherReading[] = [];
-    const sourceNames = ['Open-Meteo', 'WeatherAPI', 'Visual Crossing'];
 
     results.forEach((result, idx) => {
+        const source = SOURCES[idx];
         if (result.status === 'fulfilled' && result.value !== null) {
-            readings.push(result.value);
-            runtime.logger.info(`  ✓ ${sourceNames[idx]}: precip=${result.value.dailyPrecip}mm, min=${result.value.tempMin}°C, max=${result.value.tempMax}°C`);
+            const r = result.value;
+            readings.push(r);
+            report.sources.push({ source: source.id, ok: true, precipitation: r.dailyPrecip, tempMin: r.tempMin, tempMax: r.tempMax, error: null });
+            runtime.logger.info(`  ✓ ${source.name}: precip=${r.dailyPrecip}mm, min=${r.tempMin}°C, max=${r.tempMax}°C`);
         } else {
-            runtime.logger.info(`  ✗ ${sourceNames[idx]}: unavailable`);
+            const why = health.isOpen(source.id) ? 'circuit open' : health.lastError(source.id) ?? 'unavailable';
+            report.sources.push({ source: source.id, ok: false, precipitation: null, tempMin: null, tempMax: null, error: why });
+            run.error('fetch', why, { location: location.key, source: source.id });
+            runtime.logger.info(`  ✗ ${source.name}: ${why}`);
         }
     });
 
     if (readings.length === 0) {
-        runtime.logger.info(`Policy ${policyId}: all sources failed, skipping`);
+        runtime.logger.info(`${location.key}: all sources failed, skipping`);
+        return true;
+    }
+
+    // Queue each metric for the ledger; its Daily policies are checked once it is recorded
+    for (const [metric, policyIds] of group.metrics) {
+        processMetric(group, metric, policyIds, readings, pending, run, runtime);
+    }
+
+    // Windowed policies carry their own on-chain index value
+    for (const policy of group.indexPolicies) {
+        if (!await processIndexPolicy(group, policy, readings, reporting, budget, pending, run, runtime)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Aggregate one metric and queue it to be recorded once in the observation ledger
+ */
+function processMetric(
+    group: LocationGroup,
+    metric: Metric,
+    policyIds: number[],
+    readings: WeatherReading[],
+    pending: PendingWrites,
+    run: RunRecorder,
+    runtime: cre.Runtime
+): void {
+    const { location } = group;
+    // ── Extract values and run consensus ──
+    const sourceValues: SourceValue[] = readings.map(r => ({
+        source: r.source,
+        value: extractValue(r, metric)
+    }));
+    const consensus = evaluateConsensus(sourceValues, toleranceFor(metric, CONSENSUS), CONSENSUS);
+    run.location(location.key).consensus.push(consensusReport(metric, null, sourceValues, consensus, policyIds));
+
+    if (consensus.disputed) {
+        // Never write or pay out on a reading the sources don't agree on
+        runtime.logger.info(JSON.stringify({
+            event: 'disputed_reading',
+            location: location.key,
+            metric,
+            policyIds,
+            reason: consensus.reason,
+            values: sourceValues,
+            rejected: consensus.rejected.map(v => v.source),
+            spread: consensus.spread,
+            rule: CONSENSUS.rule
+        }));
         return;
     }
 
-    // ── Extract and aggregate values ──
-    const values = readings.map(r => extractValue(r, policy.weatherType));
-    const medianValue = calculateMedian(values);
+    const values = consensus.accepted.map(v => v.value);
+    const medianValue = consensus.median;
 
-    runtime.logger.info(`Policy ${policyId}: values=[${values.join(', ')}], median=${medianValue}, sources=${readings.length}`);
+    if (consensus.rejected.length > 0) {
+        runtime.logger.info(`${location.key} ${metric}: rejected outliers from ${consensus.rejected.map(v => `${v.source}=${v.value}`).join(', ')}`);
+    }
+    runtime.logger.info(`${location.key} ${metric}: values=[${values.join(', ')}], median=${medianValue}, sources=${values.length}, policies=${policyIds.length}`);
 
-    // ── Update contract ──
-    if (readings.length >= 3) {
-        // Use multi-source update (3 values for on-chain median)
-        await evm.write({
-            address: CONFIG.CONTRACT_ADDRESS,
-            abi: ABI,
-            functionName: "updateWeatherDataMultiSource",
-            args: [location, values[0], values[1], values[2]],
-            gasLimit: CONFIG.GAS_LIMIT
-        });
+    pending.observations.push({ group, metric, values, median: medianValue, policyIds });
+}
+
+/**
+ * Compute a windowed index per source, agree on it, write it to the policy and
+ * queue the policy for a claim check. Sources that cannot cover the window so
+ * far are left out rather than padded.
+ */
+async function processIndexPolicy(
+    group: LocationGroup,
+    policy: IndexPolicy,
+    readings: WeatherReading[],
+    reporting: Reporting,
+    budget: CycleBudget,
+    pending: PendingWrites,
+    run: RunRecorder,
+    runtime: cre.Runtime
+): Promise<boolean> {
+    const { location } = group;
+    const sourceValues: SourceValue[] = [];
+    for (const reading of readings) {
+        // Sources date their days locally, so the term is dated the same way
+        const termStartDate = localDate(policy.startTime, reading.utcOffsetSeconds);
+        const needed = requiredDays(policy.spec, termStartDate, localDate(Date.now(), reading.utcOffsetSeconds));
+        const days = windowDays(reading.days, policy.spec, termStartDate);
+        if (days.length < needed) {
+            runtime.logger.info(`  Policy ${policy.id}: ${reading.source} has ${days.length}/${needed} days, excluded`);
+            continue;
+        }
+        sourceValues.push({ source: reading.source, value: computeIndex(days, policy.metric, policy.spec) });
+    }
+
+    if (sourceValues.length === 0) {
+        runtime.logger.info(`Policy ${policy.id}: no source covers the ${policy.spec.windowDays}-day window, skipping`);
+        run.skip(policy.id, `no source covers the ${policy.spec.windowDays}-day window`);
+        return true;
+    }
+
+    const consensus = evaluateConsensus(sourceValues, toleranceFor(policy.metric, CONSENSUS, policy.spec), CONSENSUS);
+    const index = { fn: IndexFunction[policy.spec.fn], windowDays: policy.spec.windowDays };
+    run.location(location.key).consensus.push(consensusReport(policy.metric, index, sourceValues, consensus, [policy.id]));
+
+    if (consensus.disputed) {
+        runtime.logger.info(JSON.stringify({
+            event: 'disputed_reading',
+            location: location.key,
+            metric: policy.metric,
+            index: IndexFunction[policy.spec.fn],
+            windowDays: policy.spec.windowDays,
+            policyIds: [policy.id],
+            reason: consensus.reason,
+            values: sourceValues,
+            rejected: consensus.rejected.map(v => v.source),
+            spread: consensus.spread,
+            rule: CONSENSUS.rule
+        }));
+        return true;
+    }
+
+    const indexValue = consensus.median;
+    runtime.logger.info(`Policy ${policy.id} ${IndexFunction[policy.spec.fn]}(${policy.spec.windowDays}d) ${policy.metric}: value=${indexValue}, sources=${consensus.accepted.length}`);
+
+    if (!budget.hasGasFor(WORKFLOW.gasLimit)) return false;
+    const day = utcDay();
+    if (reporting.quorumOracle) {
+        await submitToQuorum(reporting.quorumOracle, "submitIndex",
+            [policy.id, day, indexValue, consensus.accepted.length], budget, run);
     } else {
-        // Fallback to single-source with our computed median
-        await evm.write({
-            address: CONFIG.CONTRACT_ADDRESS,
+        await writeContract("updatePolicyIndex", [policy.id, indexValue, consensus.accepted.length], budget, run);
+    }
+
+    pending.claims.push({ group, policyId: policy.id, day });
+    return true;
+}
+
+/**
+ * Record the queued observations, packed into updateWeatherDataBatch calls
+ * under the per-transaction gas limit (one submission each under a reporter
+ * quorum), and queue their Daily policies for a claim check.
+ * Returns the group of the first observation left unrecorded, if any.
+ */
+async function recordObservations(
+    pending: PendingWrites,
+    reporting: Reporting,
+    budget: CycleBudget,
+    run: RunRecorder,
+    runtime: cre.Runtime
+): Promise<LocationGroup | null> {
+    const writes = pending.observations;
+    const planner = new BatchPlanner(MAX_TX_GAS, WORKFLOW.batch.baseGas, WORKFLOW.batch.observationGas);
+
+    let done = 0;
+    while (done < writes.length) {
+        const day = utcDay();
+        let batch: ObservationWrite[];
+
+        if (reporting.quorumOracle) {
+            // As one reporter: submit our median; the oracle records the reporters' median at quorum
+            if (!budget.hasGasFor(WORKFLOW.gasLimit)) break;
+            const w = writes[done];
+            await submitToQuorum(reporting.quorumOracle, "submitObservation",
+                [w.group.location.key, METRIC_ID[w.metric], day, w.median, w.values.length], budget, run);
+            batch = [w];
+        } else {
+            // The contract takes the median of each entry's values
+            const count = planner.capacity(budget.availableGas());
+            if (count === 0) break;
+            batch = writes.slice(done, done + count);
+
+            const gasLimit = planner.gasLimit(batch.length);
+            const result = await writeContract("updateWeatherDataBatch", [
+                batch.map(w => w.group.location.key),
+                batch.map(w => METRIC_ID[w.metric]),
+                batch.map(w => w.values)
+            ], budget, run, gasLimit);
+            const gasUsed = Number(result?.gasUsed ?? gasLimit);
+            planner.record(batch.length, gasUsed);
+            runtime.logger.info(`Recorded ${batch.length} observations in one transaction (${gasUsed.toLocaleString()} gas)`);
+        }
+
+        for (const w of batch) {
+            if (reporting.signer) {
+                await publishReport(reporting.signer, {
+                    location: w.group.location.key,
+                    metric: METRIC_ID[w.metric],
+                    day,
+                    value: w.median,
+                    sourceCount: w.values.length
+                }, runtime);
+            }
+            pending.claims.push(...w.policyIds.map(policyId => ({ group: w.group, policyId, day })));
+        }
+        done += batch.length;
+    }
+
+    if (done === writes.length) return null;
+    runtime.logger.info(`Cycle gas budget reached (${budget.summary()}), ${writes.length - done} observations left for next cycle`);
+    return earliest(...writes.slice(done).map(w => w.group));
+}
+
+/**
+ * Pay out every queued policy its fresh reading triggers, packed into
+ * processClaims calls under the per-transaction gas limit. Claims reference
+ * the observation day so payouts are auditable on-chain. Under a quorum
+ * nothing is claimable until M reporters have submitted.
+ * Returns the group of the first triggered policy left unpaid, if any.
+ */
+async function settleClaims(
+    candidates: ClaimCandidate[],
+    budget: CycleBudget,
+    run: RunRecorder,
+    runtime: cre.Runtime
+): Promise<LocationGroup | null> {
+    // ── Check which policies are claimable ──
+    const due: ClaimCandidate[] = [];
+    for (const candidate of candidates) {
+        const isClaimable = await evm.read({
+            address: CONTRACT_ADDRESS,
             abi: ABI,
-            functionName: "updateWeatherData",
-            args: [location, medianValue],
-            gasLimit: CONFIG.GAS_LIMIT
+            functionName: "isPolicyClaimable",
+            args: [candidate.policyId]
         });
+        if (isClaimable) {
+            runtime.logger.info(`Policy ${candidate.policyId} TRIGGERED! Queued for payout`);
+            run.report.claims.triggered.push(candidate.policyId);
+            due.push(candidate);
+        }
     }
+    run.report.claims.checked += candidates.length;
 
-    // ── Check if claimable ──
-    const isClaimable = await evm.read({
-        address: CONFIG.CONTRACT_ADDRESS,
-        abi: ABI,
-        functionName: "isPolicyClaimable",
-        args: [policyId]
-    });
+    const planner = new BatchPlanner(MAX_TX_GAS, WORKFLOW.batch.baseGas, WORKFLOW.batch.claimGas);
+    let done = 0;
+    while (done < due.length) {
+        const count = planner.capacity(budget.availableGas());
+        if (count === 0) break;
+
+        // One day per call; only a cycle that crosses midnight UTC has two
+        const day = due[done].day;
+        let end = done;
+        while (end < due.length && end - done < count && due[end].day === day) end++;
+        const batch = due.slice(done, end);
+
+        const gasLimit = planner.gasLimit(batch.length);
+        const result = await writeContract("processClaims", [batch.map(c => c.policyId), day], budget, run, gasLimit);
+        planner.record(batch.length, Number(result?.gasUsed ?? gasLimit));
+        runtime.logger.info(`Payouts processed for policies ${batch.map(c => c.policyId).join(', ')}`);
+        await recordPayouts(batch, run);
+        done = end;
+    }
 
-    if (isClaimable) {
-        runtime.logger.info(`Policy ${policyId} TRIGGERED! Processing payout...`);
+    if (done === due.length) return null;
+    runtime.logger.info(`Cycle gas budget reached (${budget.summary()}), ${due.length - done} payouts left for next cycle`);
+    return earliest(...due.slice(done).map(c => c.group));
+}
 
-        await evm.write({
-            address: CONFIG.CONTRACT_ADDRESS,
+/**
+ * processClaims skips policies it cannot pay, so read back which ones it did
+ */
+async function recordPayouts(batch: ClaimCandidate[], run: RunRecorder) {
+    for (const { group, policyId } of batch) {
+        const policy = await evm.read({
+            address: CONTRACT_ADDRESS,
             abi: ABI,
-            functionName: "processClaim",
-            args: [policyId, medianValue],
-            gasLimit: CONFIG.GAS_LIMIT
+            functionName: "getPolicy",
+            args: [policyId]
         });
-
-        runtime.logger.info(`Payout processed for policy ${policyId}`);
+        if (Number(policy.status) === 1) {
+            run.report.claims.paid.push(policyId);
+        } else {
+            run.error('claim', `policy ${policyId} was claimable but not paid (status=${policy.status})`, { location: group.location.key });
+        }
     }
 }
 
+function consensusReport(
+    metric: Metric,
+    index: ConsensusReport['index'],
+    values: SourceValue[],
+    consensus: ConsensusResult,
+    policyIds: number[]
+): ConsensusReport {
+    return {
+        metric,
+        index,
+        values,
+        accepted: consensus.accepted.map(v => v.source),
+        rejected: consensus.rejected.map(v => v.source),
+        value: consensus.disputed ? null : consensus.median,
+        spread: consensus.spread,
+        disputed: consensus.disputed,
+        reason: consensus.reason ?? null,
+        policyIds
+    };
+}
+
 // Define the workflow handler
 export const handler = cre.Handler(
-    cron.Trigger({ schedule: "0 */6 * * *" }), // Run every 6 hours
+    cron.Trigger({ schedule: WORKFLOW.schedule }), // every 6 hours on testnet and mainnet
     weatherPolicyCheck
 );
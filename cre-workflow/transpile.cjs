@@ -0,0 +1,35 @@
+// Loads the workflow's TypeScript in plain Node, for the tools that run its
+// code outside CRE: scripts/cre-simulate.js and the test harness. Sources are
+// transpiled on require; types are checked by the workflow build, not here.
+
+const { readFileSync } = require("node:fs");
+const path = require("node:path");
+const ts = require("typescript");
+
+const WORKFLOW_SRC = path.join(__dirname, "src");
+
+/** `require.extensions[".ts"]` handler */
+function transpile(module, filename) {
+  const { outputText } = ts.transpileModule(readFileSync(filename, "utf8"), {
+    fileName: filename,
+    compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2020, esModuleInterop: true }
+  });
+  module._compile(outputText, filename);
+}
+
+/**
+ * Require a module of cre-workflow/src, e.g. "consensus" or "sources"
+ * @param {string} name  path relative to src, without extension
+ */
+function requireWorkflow(name) {
+  const previous = require.extensions[".ts"];
+  require.extensions[".ts"] = transpile;
+  try {
+    return require(path.join(WORKFLOW_SRC, name));
+  } finally {
+    if (previous) require.extensions[".ts"] = previous;
+    else delete require.extensions[".ts"];
+  }
+}
+
+module.exports = { WORKFLOW_SRC, transpile, requireWorkflow };
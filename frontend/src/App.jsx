@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
 import { ethers } from 'ethers'
-import WeatherShieldABI from './abi/WeatherShield.json'
+import { loadConfig, explorerTxUrl } from '../../config/index.js'
+import { canonicalLocation, createWeatherShield, decodeRevert, isDayCount, utcDay, METRICS, WEATHER_ORACLE_ABI } from '../../sdk/index.js'
 
 import Header from './components/Header'
 import Stats from './components/Stats'
@@ -10,18 +11,22 @@ import WeatherDisplay from './components/WeatherDisplay'
 import LiquidityPool from './components/LiquidityPool'
 import Governance from './components/Governance'
 
-const CONTRACT_ADDRESS = '0x85A61e33CA36d1b52A74f9E4E4d4F363685F0bB2'
+// Shared config (config/weathershield.json); pick the environment with VITE_WEATHERSHIELD_ENV
+const CONFIG = loadConfig(import.meta.env.VITE_WEATHERSHIELD_ENV)
+const CONTRACT_ADDRESS = CONFIG.contracts.weatherShield
 
-const ARBITRUM_SEPOLIA = {
-  chainId: '0x66eee',
-  chainName: 'Arbitrum Sepolia',
+// wallet_addEthereumChain parameters for the configured network
+const WALLET_CHAIN = {
+  chainId: `0x${CONFIG.network.chainId.toString(16)}`,
+  chainName: CONFIG.network.name,
   nativeCurrency: { name: 'Ethereum', symbol: 'ETH', decimals: 18 },
-  rpcUrls: ['https://sepolia-rollup.arbitrum.io/rpc'],
-  blockExplorerUrls: ['https://sepolia.arbiscan.io/']
+  rpcUrls: [CONFIG.network.rpcUrl],
+  ...(CONFIG.network.explorerUrl && { blockExplorerUrls: [CONFIG.network.explorerUrl] })
 }
 
-const ARBISCAN_URL = 'https://sepolia.arbiscan.io/tx/'
-const PUBLIC_RPC = 'https://sepolia-rollup.arbitrum.io/rpc'
+const HISTORY_PAGE_SIZE = 50
+// Store the CRE workflow publishes signed reports to (<location>/<metric>/<day>/<reporter>.json); empty = disabled
+const REPORT_RELAY_URL = CONFIG.workflow.reportRelayUrl
 
 function App() {
   const [account, setAccount] = useState(null)
@@ -46,7 +51,8 @@ function App() {
   const [isLP, setIsLP] = useState(false)
 
   const [form, setForm] = useState({
-    type: 0, threshold: '100', lat: '40.7128', lon: '-74.0060', premium: '0.01'
+    type: 0, threshold: '10', lat: '40.7128', lon: '-74.0060', premium: '0.01',
+    indexFn: 0, windowDays: '1', dayLevel: '0'
   })
   const [weather, setWeather] = useState(null)
 
@@ -55,7 +61,7 @@ function App() {
     try {
       await window.ethereum.request({
         method: 'wallet_switchEthereumChain',
-        params: [{ chainId: ARBITRUM_SEPOLIA.chainId }]
+        params: [{ chainId: WALLET_CHAIN.chainId }]
       })
       setNetworkOk(true)
       return true
@@ -64,7 +70,7 @@ function App() {
         try {
           await window.ethereum.request({
             method: 'wallet_addEthereumChain',
-            params: [ARBITRUM_SEPOLIA]
+            params: [WALLET_CHAIN]
           })
           setNetworkOk(true)
           return true
@@ -73,7 +79,7 @@ function App() {
           return false
         }
       }
-      showMsg('Please switch to Arbitrum Sepolia', 'error')
+      showMsg(`Please switch to ${CONFIG.network.name}`, 'error')
       return false
     }
   }
@@ -98,7 +104,7 @@ function App() {
       }
 
       const chainId = await window.ethereum.request({ method: 'eth_chainId' })
-      if (chainId !== ARBITRUM_SEPOLIA.chainId) {
+      if (chainId !== WALLET_CHAIN.chainId) {
         showMsg('Switching network...', 'info')
         if (!await switchNetwork()) {
           setLoading(false)
@@ -109,7 +115,7 @@ function App() {
 
       const provider = new ethers.BrowserProvider(window.ethereum)
       const signer = await provider.getSigner()
-      const c = new ethers.Contract(CONTRACT_ADDRESS, WeatherShieldABI.abi, signer)
+      const c = createWeatherShield(CONTRACT_ADDRESS, signer)
 
       setAccount(accts[0])
       setContract(c)
@@ -131,63 +137,51 @@ function App() {
     loadPublicData() // reload public stats without wallet
   }
 
+  // Pool figures as the ETH strings LiquidityPool shows
+  function formatPool(pool, position) {
+    return {
+      totalLiquidity: ethers.formatEther(pool.totalLiquidity),
+      totalShares: ethers.formatEther(pool.totalShares),
+      reservedFunds: ethers.formatEther(pool.reserved),
+      availableLiquidity: ethers.formatEther(pool.available),
+      protocolFees: ethers.formatEther(pool.protocolFees),
+      userShares: ethers.formatEther(position?.shares ?? 0n),
+      userValue: ethers.formatEther(position?.value ?? 0n)
+    }
+  }
+
+  // Stats, pool, price and proposals; with `addr`, also that account's LP position
+  async function loadContractData(c, addr) {
+    const [totals, pool, price, props] = await Promise.all([
+      c.stats(),
+      c.pool().catch(() => null), // contract may not have pool
+      c.ethUsdPrice().catch(() => null), // price feed may not be configured
+      c.proposals().catch(() => [])
+    ])
+    if (price !== null) setEthPrice(price)
+
+    setStats({
+      policies: totals.policies,
+      premiums: ethers.formatEther(totals.premiums),
+      payouts: ethers.formatEther(totals.payouts),
+      balance: ethers.formatEther(totals.balance),
+      liquidity: pool ? ethers.formatEther(pool.totalLiquidity) : '0'
+    })
+
+    if (pool) {
+      const position = addr ? await c.lpPosition(addr).catch(() => null) : null
+      if (addr) setIsLP((position?.shares ?? 0n) > 0n)
+      setPoolStats(formatPool(pool, position))
+    }
+    setProposals(props)
+  }
+
   // Load public contract data without wallet (read-only)
   async function loadPublicData() {
     setDataLoading(true)
     try {
-      const provider = new ethers.JsonRpcProvider(PUBLIC_RPC)
-      const c = new ethers.Contract(CONTRACT_ADDRESS, WeatherShieldABI.abi, provider)
-
-      const [cnt, prem, pays, bal] = await Promise.all([
-        c.policyCounter(),
-        c.totalPremiumsCollected(),
-        c.totalPayouts(),
-        c.getContractBalance()
-      ])
-
-      let poolData = null
-      try { poolData = await c.getPoolStats() } catch (e) { }
-
-      try {
-        const rawPrice = await c.getEthUsdPrice()
-        setEthPrice(Number(rawPrice) / 1e8)
-      } catch (e) { }
-
-      const totalLiq = poolData ? ethers.formatEther(poolData[0]) : '0'
-      setStats({
-        policies: Number(cnt),
-        premiums: ethers.formatEther(prem),
-        payouts: ethers.formatEther(pays),
-        balance: ethers.formatEther(bal),
-        liquidity: totalLiq
-      })
-
-      if (poolData) {
-        setPoolStats({
-          totalLiquidity: ethers.formatEther(poolData[0]),
-          totalShares: ethers.formatEther(poolData[1]),
-          reservedFunds: ethers.formatEther(poolData[2]),
-          availableLiquidity: ethers.formatEther(poolData[3]),
-          protocolFees: ethers.formatEther(poolData[4]),
-          userShares: '0', userValue: '0'
-        })
-      }
-
-      // Load proposals
-      try {
-        const propCount = await c.proposalCounter()
-        const props = []
-        for (let i = 0; i < Number(propCount); i++) {
-          const prop = await c.getProposal(i)
-          props.push({
-            id: i, paramName: prop.paramName, newValue: prop.newValue.toString(),
-            proposer: prop.proposer, votesFor: prop.votesFor.toString(),
-            votesAgainst: prop.votesAgainst.toString(), deadline: prop.deadline,
-            status: Number(prop.status)
-          })
-        }
-        setProposals(props)
-      } catch (e) { }
+      const provider = new ethers.JsonRpcProvider(CONFIG.network.rpcUrl)
+      await loadContractData(createWeatherShield(CONTRACT_ADDRESS, provider))
     } catch (err) {
       console.error('public load error:', err)
     }
@@ -198,99 +192,8 @@ function App() {
   async function loadData(c, addr) {
     setDataLoading(true)
     try {
-      const [cnt, prem, pays, bal] = await Promise.all([
-        c.policyCounter(),
-        c.totalPremiumsCollected(),
-        c.totalPayouts(),
-        c.getContractBalance()
-      ])
-
-      // Try to get pool stats and ETH price
-      let poolData = null
-      let price = 0
-      try {
-        poolData = await c.getPoolStats()
-      } catch (e) { /* contract may not have pool */ }
-
-      try {
-        const rawPrice = await c.getEthUsdPrice()
-        price = Number(rawPrice) / 1e8 // 8 decimals
-        setEthPrice(price)
-      } catch (e) { /* price feed may not be configured */ }
-
-      const totalLiq = poolData ? ethers.formatEther(poolData[0]) : '0'
-      setStats({
-        policies: Number(cnt),
-        premiums: ethers.formatEther(prem),
-        payouts: ethers.formatEther(pays),
-        balance: ethers.formatEther(bal),
-        liquidity: totalLiq
-      })
-
-      // Pool stats
-      if (poolData) {
-        let userShares = '0'
-        let userValue = '0'
-        try {
-          const lpPos = await c.lpPositions(addr)
-          userShares = ethers.formatEther(lpPos.shares)
-          const val = await c.getLPValue(addr)
-          userValue = ethers.formatEther(val)
-          setIsLP(Number(lpPos.shares) > 0)
-        } catch (e) { }
-
-        setPoolStats({
-          totalLiquidity: ethers.formatEther(poolData[0]),
-          totalShares: ethers.formatEther(poolData[1]),
-          reservedFunds: ethers.formatEther(poolData[2]),
-          availableLiquidity: ethers.formatEther(poolData[3]),
-          protocolFees: ethers.formatEther(poolData[4]),
-          userShares,
-          userValue
-        })
-      }
-
-      // User policies
-      const ids = await c.getUserPolicies(addr)
-      const policies = await Promise.all(
-        ids.map(async id => {
-          const p = await c.getPolicy(id)
-          return {
-            id: Number(id),
-            holder: p.holder,
-            premium: p.premium,
-            coverageAmount: p.coverageAmount,
-            startTime: p.startTime,
-            endTime: p.endTime,
-            weatherType: Number(p.weatherType),
-            triggerThreshold: p.triggerThreshold,
-            location: p.location,
-            status: Number(p.status),
-            riskTier: Number(p.riskTier)
-          }
-        })
-      )
-      setMyPolicies(policies)
-
-      // Governance proposals
-      try {
-        const propCount = await c.proposalCounter()
-        const props = []
-        for (let i = 0; i < Number(propCount); i++) {
-          const prop = await c.getProposal(i)
-          props.push({
-            id: i,
-            paramName: prop.paramName,
-            newValue: prop.newValue.toString(),
-            proposer: prop.proposer,
-            votesFor: prop.votesFor.toString(),
-            votesAgainst: prop.votesAgainst.toString(),
-            deadline: prop.deadline,
-            status: Number(prop.status)
-          })
-        }
-        setProposals(props)
-      } catch (e) { }
+      await loadContractData(c, addr)
+      setMyPolicies(await c.policiesOf(addr))
     } catch (err) {
       console.error('load error:', err)
     }
@@ -324,11 +227,18 @@ function App() {
     }
     setLoading(true)
     try {
-      const loc = `${form.lat},${form.lon}`
-      const thresh = parseInt(form.threshold) || 100
-      const value = ethers.parseEther(form.premium || '0.01')
-
-      const tx = await contract.purchasePolicy(form.type, thresh, loc, { value })
+      const indexFn = Number(form.indexFn)
+      const tx = await contract.purchase({
+        weatherType: Number(form.type),
+        threshold: form.threshold,
+        location: canonicalLocation(form.lat, form.lon),
+        premium: ethers.parseEther(form.premium || '0.01'),
+        index: indexFn === 0 ? undefined : {
+          fn: indexFn,
+          windowDays: parseInt(form.windowDays) || 1,
+          dayLevel: form.dayLevel || 0
+        }
+      })
       showMsg('Tx submitted...', 'info')
       setLastTx(tx.hash)
       await tx.wait()
@@ -337,11 +247,36 @@ function App() {
       loadData(contract, account)
     } catch (err) {
       console.error(err)
-      showMsg(err.reason || 'Transaction failed', 'error')
+      showMsg(decodeRevert(err).message, 'error')
     }
     setLoading(false)
   }
 
+  // Daily ledger entries recorded during a policy's term, oldest first
+  function loadPolicyHistory(policyId) {
+    return contract.observations(policyId, HISTORY_PAGE_SIZE)
+  }
+
+  // One signed report per reporter, ordered by signer as WeatherOracle.verifyReports expects
+  async function fetchSignedReports(policy, day) {
+    if (!REPORT_RELAY_URL) throw new Error('No observation recorded today yet')
+    const oracle = new ethers.Contract(await contract.contract.oracle(), WEATHER_ORACLE_ABI, contract.contract.runner)
+    const [reporters, quorum] = await Promise.all([oracle.getReporters(), oracle.quorum()])
+
+    const metric = METRICS.indexOf(policy.metric)
+    const base = `${REPORT_RELAY_URL}/${encodeURIComponent(policy.location)}/${metric}/${day}`
+    const found = await Promise.all(reporters.map(async reporter => {
+      const res = await fetch(`${base}/${reporter}.json`).catch(() => null)
+      return res?.ok ? res.json() : null
+    }))
+
+    const signed = found.filter(Boolean).sort((a, b) => (BigInt(a.reporter) < BigInt(b.reporter) ? -1 : 1))
+    if (signed.length < Number(quorum)) {
+      throw new Error(`Signed reports from ${signed.length} of ${quorum} required reporters so far`)
+    }
+    return signed
+  }
+
   // Trigger claim
   async function triggerClaim(policyId) {
     if (!contract) return
@@ -350,22 +285,27 @@ function App() {
       const policy = myPolicies.find(p => p.id === policyId)
       if (!policy) throw new Error('Policy not found')
 
-      const [lat, lon] = policy.location.split(',')
-      const url = `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current=temperature_2m,rain&daily=precipitation_sum,temperature_2m_max,temperature_2m_min&timezone=auto`
-      const res = await fetch(url)
-      const data = await res.json()
-
-      let weatherValue
-      if (policy.weatherType <= 1) {
-        weatherValue = Math.round((data.daily?.precipitation_sum?.[0] || data.current.rain) * 10)
-      } else if (policy.weatherType === 2) {
-        weatherValue = Math.round((data.daily?.temperature_2m_min?.[0] || data.current.temperature_2m) * 10)
+      // Claims reference today's on-chain observation rather than a client-side reading
+      const day = utcDay()
+      let tx
+      if (policy.index.fn !== 'Daily') {
+        const { value } = await contract.policyIndex(policyId)
+        showMsg(`Index value: ${value}${isDayCount(policy.index.fn) ? ' days' : policy.unit}. Triggering claim...`, 'info')
+        tx = await contract.claim(policyId, day)
       } else {
-        weatherValue = Math.round((data.daily?.temperature_2m_max?.[0] || data.current.temperature_2m) * 10)
+        const observation = (await loadPolicyHistory(policyId)).find(o => o.day === day)
+        if (observation) {
+          showMsg(`Observation value: ${observation.value}${policy.unit}. Triggering claim...`, 'info')
+          tx = await contract.claim(policyId, day)
+        } else if (day - 1 > utcDay(policy.startTime * 1000)) {
+          // Cycle hasn't recorded today yet: settle yesterday, which has ended, with reporter-signed reports
+          const signed = await fetchSignedReports(policy, day - 1)
+          showMsg(`Signed reports from ${signed.length} reporters. Settling claim...`, 'info')
+          tx = await contract.settle(policyId, signed)
+        } else {
+          throw new Error('No observation recorded today yet')
+        }
       }
-
-      showMsg(`Weather value: ${weatherValue / 10}. Triggering claim...`, 'info')
-      const tx = await contract.processClaim(policyId, weatherValue)
       setLastTx(tx.hash)
       showMsg('Claim tx submitted...', 'info')
       await tx.wait()
@@ -374,8 +314,7 @@ function App() {
       loadData(contract, account)
     } catch (err) {
       console.error(err)
-      const reason = err.reason || err.message || 'Claim failed'
-      showMsg(reason.includes('Conditions not met') ? 'Weather conditions not met yet' : reason, 'error')
+      showMsg(decodeRevert(err).message, 'error')
     }
     setLoading(false)
   }
@@ -387,9 +326,9 @@ function App() {
     try {
       let tx
       if (action === 'deposit') {
-        tx = await contract.depositLiquidity({ value: ethers.parseEther(value) })
+        tx = await contract.deposit(ethers.parseEther(value))
       } else {
-        tx = await contract.withdrawLiquidity(ethers.parseEther(value))
+        tx = await contract.withdraw(ethers.parseEther(value))
       }
       setLastTx(tx.hash)
       showMsg(`${action === 'deposit' ? 'Deposit' : 'Withdrawal'} submitted...`, 'info')
@@ -398,7 +337,7 @@ function App() {
       loadData(contract, account)
     } catch (err) {
       console.error(err)
-      showMsg(err.reason || 'Pool action failed', 'error')
+      showMsg(decodeRevert(err).message, 'error')
     }
     setLoading(false)
   }
@@ -408,13 +347,13 @@ function App() {
     if (!contract) return
     setLoading(true)
     try {
-      const tx = await contract.voteOnProposal(proposalId, support)
+      const tx = await contract.vote(proposalId, support)
       setLastTx(tx.hash)
       await tx.wait()
       showMsg('Vote cast!', 'success')
       loadData(contract, account)
     } catch (err) {
-      showMsg(err.reason || 'Vote failed', 'error')
+      showMsg(decodeRevert(err).message, 'error')
     }
     setLoading(false)
   }
@@ -423,13 +362,13 @@ function App() {
     if (!contract) return
     setLoading(true)
     try {
-      const tx = await contract.proposeParameterChange(param, value)
+      const tx = await contract.propose(param, value)
       setLastTx(tx.hash)
       await tx.wait()
       showMsg('Proposal created!', 'success')
       loadData(contract, account)
     } catch (err) {
-      showMsg(err.reason || 'Proposal failed', 'error')
+      showMsg(decodeRevert(err).message, 'error')
     }
     setLoading(false)
   }
@@ -438,13 +377,13 @@ function App() {
     if (!contract) return
     setLoading(true)
     try {
-      const tx = await contract.executeProposal(proposalId)
+      const tx = await contract.execute(proposalId)
       setLastTx(tx.hash)
       await tx.wait()
       showMsg('Proposal executed!', 'success')
       loadData(contract, account)
     } catch (err) {
-      showMsg(err.reason || 'Execution failed', 'error')
+      showMsg(decodeRevert(err).message, 'error')
     }
     setLoading(false)
   }
@@ -481,6 +420,7 @@ function App() {
       <Header
         account={account}
         networkOk={networkOk}
+        networkName={CONFIG.network.name}
         connect={connect}
         disconnect={disconnect}
         switchNetwork={switchNetwork}
@@ -493,9 +433,9 @@ function App() {
         {msg && (
           <div className={`notification-banner ${msg.type}`}>
             {msg.text}
-            {lastTx && (msg.type === 'success' || msg.type === 'info') && (
-              <a href={`${ARBISCAN_URL}${lastTx}`} target="_blank" rel="noreferrer" className="tx-link">
-                View on Arbiscan ↗
+            {lastTx && explorerTxUrl(CONFIG.network, lastTx) && (msg.type === 'success' || msg.type === 'info') && (
+              <a href={explorerTxUrl(CONFIG.network, lastTx)} target="_blank" rel="noreferrer" className="tx-link">
+                View on explorer ↗
               </a>
             )}
           </div>
@@ -530,6 +470,7 @@ function App() {
                       key={p.id}
                       policy={p}
                       onTrigger={triggerClaim}
+                      onLoadHistory={loadPolicyHistory}
                       loading={loading}
                       ethPrice={ethPrice}
                     />
@@ -1,5 +1,6 @@
 import React from 'react';
 import LocationPicker from './LocationPicker';
+import { canonicalLocation, isDayCount, riskTierOf, unitOf, MAX_INDEX_WINDOW_DAYS, RISK_MULTIPLIERS, RISK_TIERS } from '../../../sdk/index.js';
 
 const WEATHER_TYPES = [
     { id: 0, name: 'Drought', icon: '☀️', desc: 'Payout if rainfall below threshold' },
@@ -8,43 +9,45 @@ const WEATHER_TYPES = [
     { id: 3, name: 'Heat', icon: '🔥', desc: 'Payout if temp above threshold' }
 ];
 
-const RISK_LABELS = ['Low Risk (12×)', 'Medium Risk (10×)', 'High Risk (8×)', 'Critical Risk (6×)'];
-const RISK_CLASSES = ['low', 'medium', 'high', 'critical'];
-const RISK_MULTIPLIERS = [12, 10, 8, 6];
-
-function getRiskTier(type, threshold) {
-    const t = parseInt(threshold) || 0;
-    if (type === 0) { // Drought
-        if (t <= 20) return 0;
-        if (t <= 50) return 1;
-        if (t <= 100) return 2;
-        return 3;
-    } else if (type === 1) { // Flood
-        if (t >= 200) return 0;
-        if (t >= 100) return 1;
-        if (t >= 50) return 2;
-        return 3;
-    } else if (type === 2) { // Frost
-        if (t <= -100) return 0;
-        if (t <= -20) return 1;
-        if (t <= 20) return 2;
-        return 3;
-    } else { // Heat
-        if (t >= 450) return 0;
-        if (t >= 400) return 1;
-        if (t >= 350) return 2;
-        return 3;
-    }
+const INDEX_FUNCTIONS = [
+    { id: 0, name: 'Daily', desc: "Today's reading" },
+    { id: 1, name: 'Rolling Sum', desc: 'Total over the window' },
+    { id: 2, name: 'Rolling Max', desc: 'Highest day in the window' },
+    { id: 3, name: 'Rolling Min', desc: 'Lowest day in the window' },
+    { id: 4, name: 'Days Above', desc: 'Days above the daily level' },
+    { id: 5, name: 'Days Below', desc: 'Days below the daily level' }
+];
+
+// Tier the contract will assign, for the preview; unfinished inputs read as 0 (1 for a day count)
+function previewTier(form, indexFn) {
+    const days = isDayCount(indexFn);
+    const threshold = days ? Math.max(1, parseInt(form.threshold) || 1) : parseFloat(form.threshold) || 0;
+    return riskTierOf(Number(form.type), threshold, {
+        fn: indexFn,
+        windowDays: parseInt(form.windowDays) || 1,
+        dayLevel: parseFloat(form.dayLevel) || 0
+    });
 }
 
 const CreatePolicy = ({ form, handleInput, buyPolicy, loading, ethPrice, children }) => {
     const premium = parseFloat(form.premium || 0);
-    const riskTier = getRiskTier(form.type, form.threshold);
-    const multiplier = RISK_MULTIPLIERS[riskTier];
+    const indexFn = Number(form.indexFn);
+    const dayCount = isDayCount(indexFn);
+    const unit = unitOf(Number(form.type));
+    const riskTier = previewTier(form, indexFn);
+    const multiplier = RISK_MULTIPLIERS[RISK_TIERS.indexOf(riskTier)];
     const coverage = (premium * multiplier).toFixed(4);
     const usdPremium = ethPrice ? `≈ $${(premium * ethPrice).toFixed(2)}` : '';
     const usdCoverage = ethPrice ? `≈ $${(parseFloat(coverage) * ethPrice).toFixed(2)}` : '';
 
+    let locationKey = null;
+    let locationError = null;
+    try {
+        locationKey = canonicalLocation(form.lat, form.lon);
+    } catch (e) {
+        locationError = e.message;
+    }
+
     const handleLocationSelect = (lat, lon) => {
         handleInput({ target: { name: 'lat', value: lat } });
         handleInput({ target: { name: 'lon', value: lon } });
@@ -91,11 +94,47 @@ const CreatePolicy = ({ form, handleInput, buyPolicy, loading, ethPrice, childre
                         <input name="lon" value={form.lon} onChange={handleInput} placeholder="-74.0060" />
                     </div>
                 </div>
+                <small className="helper-text">
+                    {locationError || `Policy location key: ${locationKey} (±0.005°)`}
+                </small>
+
+                <div className="form-row">
+                    <div className="form-group">
+                        <label>Index</label>
+                        <select
+                            name="indexFn"
+                            value={form.indexFn}
+                            onChange={e => {
+                                handleInput(e);
+                                if (Number(e.target.value) === 0) handleInput({ target: { name: 'windowDays', value: '1' } });
+                            }}
+                        >
+                            {INDEX_FUNCTIONS.map(f => (
+                                <option key={f.id} value={f.id}>{f.name}</option>
+                            ))}
+                        </select>
+                        <small className="helper-text">{INDEX_FUNCTIONS[indexFn].desc}</small>
+                    </div>
+                    {indexFn !== 0 && (
+                        <div className="form-group">
+                            <label>Window (days)</label>
+                            <input name="windowDays" type="number" min="1" max={MAX_INDEX_WINDOW_DAYS} value={form.windowDays} onChange={handleInput} placeholder="7" />
+                        </div>
+                    )}
+                </div>
+
+                {dayCount && (
+                    <div className="form-group">
+                        <label>Daily Level ({unit})</label>
+                        <input name="dayLevel" type="number" step="0.1" value={form.dayLevel} onChange={handleInput} placeholder="1" />
+                        <small className="helper-text">Threshold is the number of days past this level</small>
+                    </div>
+                )}
 
                 <div className="form-row">
                     <div className="form-group">
-                        <label>Threshold Value</label>
-                        <input name="threshold" type="number" value={form.threshold} onChange={handleInput} placeholder="100" />
+                        <label>{dayCount ? 'Threshold (days)' : `Threshold (${unit})`}</label>
+                        <input name="threshold" type="number" step={dayCount ? '1' : '0.1'} min={dayCount ? 1 : undefined} max={dayCount ? form.windowDays : undefined} value={form.threshold} onChange={handleInput} placeholder="10" />
                     </div>
                     <div className="form-group">
                         <label>Premium (ETH)</label>
@@ -104,8 +143,8 @@ const CreatePolicy = ({ form, handleInput, buyPolicy, loading, ethPrice, childre
                     </div>
                 </div>
 
-                <div className={`risk-preview ${RISK_CLASSES[riskTier]}`}>
-                    <span className="risk-label">{RISK_LABELS[riskTier]}</span>
+                <div className={`risk-preview ${riskTier.toLowerCase()}`}>
+                    <span className="risk-label">{riskTier} Risk ({multiplier}×)</span>
                     <span>{multiplier}× coverage</span>
                 </div>
 
@@ -117,7 +156,7 @@ const CreatePolicy = ({ form, handleInput, buyPolicy, loading, ethPrice, childre
                     <span className="highlight">{coverage} ETH</span>
                 </div>
 
-                <button type="submit" className="btn-buy" disabled={loading}>
+                <button type="submit" className="btn-buy" disabled={loading || !!locationError}>
                     {loading ? 'Processing Transaction...' : '🛡️ Purchase Policy'}
                 </button>
             </form>
@@ -6,8 +6,7 @@ const PARAM_OPTIONS = [
     { value: 'protocolFeePercent', label: 'Protocol Fee %', desc: 'Fee percentage (max 50)' },
 ];
 
-const STATUS_LABELS = ['Pending', 'Approved', 'Rejected', 'Executed'];
-const STATUS_CLASSES = ['pending', 'executed', 'rejected', 'executed'];
+const STATUS_CLASSES = { Pending: 'pending', Approved: 'executed', Rejected: 'rejected', Executed: 'executed' };
 
 const Governance = ({ proposals, isLP, loading, onVote, onPropose, onExecute }) => {
     const [param, setParam] = useState('minPremium');
@@ -37,22 +36,22 @@ const Governance = ({ proposals, isLP, loading, onVote, onPropose, onExecute })
                         const totalVotes = Number(prop.votesFor) + Number(prop.votesAgainst);
                         const forPct = totalVotes > 0 ? (Number(prop.votesFor) / totalVotes) * 100 : 50;
                         const againstPct = 100 - forPct;
-                        const isPending = prop.status === 0;
-                        const isExpired = Date.now() / 1000 >= Number(prop.deadline);
+                        const isPending = prop.status === 'Pending';
+                        const isExpired = Date.now() / 1000 >= prop.deadline;
 
                         return (
                             <div key={prop.id} className="proposal-card">
                                 <div className="proposal-header">
                                     <span className="proposal-id">Proposal #{prop.id}</span>
                                     <span className={`proposal-status ${STATUS_CLASSES[prop.status]}`}>
-                                        {STATUS_LABELS[prop.status]}
+                                        {prop.status}
                                     </span>
                                 </div>
 
                                 <div className="proposal-body">
-                                    <span className="proposal-param">{prop.paramName}</span>
+                                    <span className="proposal-param">{prop.param}</span>
                                     {' → '}
-                                    <span className="proposal-value">{prop.newValue}</span>
+                                    <span className="proposal-value">{prop.value.toString()}</span>
                                 </div>
 
                                 <div className="vote-bar">
@@ -60,8 +59,8 @@ const Governance = ({ proposals, isLP, loading, onVote, onPropose, onExecute })
                                     <div className="vote-against" style={{ width: `${againstPct}%` }} />
                                 </div>
                                 <div className="vote-labels">
-                                    <span>For: {prop.votesFor}</span>
-                                    <span>Against: {prop.votesAgainst}</span>
+                                    <span>For: {prop.votesFor.toString()}</span>
+                                    <span>Against: {prop.votesAgainst.toString()}</span>
                                 </div>
 
                                 {isPending && !isExpired && isLP && (
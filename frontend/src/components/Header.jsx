@@ -1,6 +1,6 @@
 import React, { useState } from 'react';
 
-const Header = ({ account, networkOk, connect, disconnect, switchNetwork, ethPrice, activeTab, onTabChange }) => {
+const Header = ({ account, networkOk, networkName, connect, disconnect, switchNetwork, ethPrice, activeTab, onTabChange }) => {
     const [menuOpen, setMenuOpen] = useState(false);
 
     return (
@@ -39,7 +39,7 @@ const Header = ({ account, networkOk, connect, disconnect, switchNetwork, ethPri
                         className={`network-badge ${networkOk ? 'ok' : 'warning'}`}
                         onClick={!networkOk ? switchNetwork : undefined}
                     >
-                        {networkOk ? '✓ Arbitrum Sepolia' : '⚠ Wrong Network'}
+                        {networkOk ? `✓ ${networkName}` : '⚠ Wrong Network'}
                     </button>
                 )}
 
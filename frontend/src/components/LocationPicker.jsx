@@ -1,5 +1,6 @@
 import React from 'react';
 
+// Backtest a city's pricing with scripts/backtest.js before adding it here
 const CITIES = [
     { name: 'New York', lat: '40.7128', lon: '-74.0060' },
     { name: 'London', lat: '51.5074', lon: '-0.1278' },
@@ -1,29 +1,47 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { ethers } from 'ethers';
+import { isDayCount } from '../../../sdk/index.js';
 
-const STATUS_LABELS = ['Active', 'Claimed', 'Expired', 'Cancelled'];
-const WEATHER_ICONS = ['☀️', '🌊', '❄️', '🔥'];
-const WEATHER_NAMES = ['Drought', 'Flood', 'Frost', 'Heat'];
-const RISK_LABELS = ['Low', 'Medium', 'High', 'Critical'];
-const RISK_COLORS = ['#22c55e', '#3b82f6', '#eab308', '#ef4444'];
+const WEATHER_ICONS = { Drought: '☀️', Flood: '🌊', Frost: '❄️', Heat: '🔥' };
+const INDEX_NAMES = {
+    Daily: 'Daily', RollingSum: 'Rolling Sum', RollingMax: 'Rolling Max',
+    RollingMin: 'Rolling Min', DaysAbove: 'Days Above', DaysBelow: 'Days Below'
+};
+const RISK_COLORS = { Low: '#22c55e', Medium: '#3b82f6', High: '#eab308', Critical: '#ef4444' };
 
-const PolicyCard = ({ policy, onTrigger, loading, ethPrice }) => {
-    const statusClass = STATUS_LABELS[policy.status].toLowerCase();
+const PolicyCard = ({ policy, onTrigger, onLoadHistory, loading, ethPrice }) => {
+    const [history, setHistory] = useState(null);
+    const [showHistory, setShowHistory] = useState(false);
+    const statusClass = policy.status.toLowerCase();
 
     // Calculate time progress
     const now = Date.now() / 1000;
-    const start = Number(policy.startTime);
-    const end = Number(policy.endTime);
+    const start = policy.startTime;
+    const end = policy.endTime;
     const total = end - start;
     const elapsed = Math.min(now - start, total);
     const progressPct = total > 0 ? Math.min((elapsed / total) * 100, 100) : 0;
     const daysLeft = Math.max(0, Math.ceil((end - now) / 86400));
 
-    const coverageEth = ethers.formatEther(policy.coverageAmount);
+    const coverageEth = ethers.formatEther(policy.coverage);
     const premiumEth = ethers.formatEther(policy.premium);
     const usdCoverage = ethPrice ? `≈ $${(parseFloat(coverageEth) * ethPrice).toFixed(2)}` : '';
 
-    const riskTier = policy.riskTier !== undefined ? Number(policy.riskTier) : 1;
+    const index = policy.index.fn !== 'Daily' ? policy.index : null;
+    const unit = policy.unit;
+    const threshold = isDayCount(policy.index.fn) ? `${policy.threshold} days` : `${policy.threshold}${unit}`;
+
+    const toggleHistory = async () => {
+        if (!showHistory && history === null) {
+            try {
+                setHistory(await onLoadHistory(policy.id));
+            } catch (e) {
+                console.error('history load failed:', e);
+                setHistory([]);
+            }
+        }
+        setShowHistory(!showHistory);
+    };
 
     return (
         <div className={`policy-card ${statusClass}`}>
@@ -33,7 +51,7 @@ const PolicyCard = ({ policy, onTrigger, loading, ethPrice }) => {
                     <span className="nft-indicator">🖼 NFT</span>
                 </div>
                 <span className={`status-badge ${statusClass}`}>
-                    {STATUS_LABELS[policy.status]}
+                    {policy.status}
                 </span>
             </div>
 
@@ -41,20 +59,30 @@ const PolicyCard = ({ policy, onTrigger, loading, ethPrice }) => {
                 <div className="policy-row">
                     <span className="label">Type</span>
                     <span className="value">
-                        {WEATHER_ICONS[policy.weatherType]} {WEATHER_NAMES[policy.weatherType]}
+                        {WEATHER_ICONS[policy.weatherType]} {policy.weatherType}
                     </span>
                 </div>
 
                 <div className="policy-row">
                     <span className="label">Risk Tier</span>
-                    <span className="value" style={{ color: RISK_COLORS[riskTier] }}>
-                        {RISK_LABELS[riskTier]}
+                    <span className="value" style={{ color: RISK_COLORS[policy.riskTier] }}>
+                        {policy.riskTier}
                     </span>
                 </div>
 
+                {index && (
+                    <div className="policy-row">
+                        <span className="label">Index</span>
+                        <span className="value">
+                            {INDEX_NAMES[index.fn]} · {index.windowDays}d
+                            {isDayCount(index.fn) && ` (level ${index.dayLevel}${unit})`}
+                        </span>
+                    </div>
+                )}
+
                 <div className="policy-row">
                     <span className="label">Threshold</span>
-                    <span className="value">{Number(policy.triggerThreshold)}</span>
+                    <span className="value">{threshold}</span>
                 </div>
 
                 <div className="policy-row">
@@ -82,7 +110,7 @@ const PolicyCard = ({ policy, onTrigger, loading, ethPrice }) => {
             </div>
 
             {/* Time progress bar */}
-            {policy.status === 0 && (
+            {policy.status === 'Active' && (
                 <div className="policy-progress">
                     <div className="progress-bar">
                         <div className="progress-fill" style={{ width: `${progressPct}%` }} />
@@ -99,7 +127,27 @@ const PolicyCard = ({ policy, onTrigger, loading, ethPrice }) => {
                 <small>End: {new Date(end * 1000).toLocaleDateString()}</small>
             </div>
 
-            {policy.status === 0 && (
+            {onLoadHistory && (
+                <button className="btn-history" onClick={toggleHistory}>
+                    {showHistory ? 'Hide History' : '📜 Observation History'}
+                </button>
+            )}
+
+            {showHistory && history && (
+                <div className="policy-history">
+                    {history.length === 0 ? (
+                        <small>No observations recorded during this term yet</small>
+                    ) : history.map(o => (
+                        <div key={o.day} className="history-row">
+                            <span>{new Date(o.day * 86400000).toISOString().slice(0, 10)}</span>
+                            <span className="value">{o.value}{unit}</span>
+                            <small>{o.sourceCount} src · {o.minValue}–{o.maxValue}</small>
+                        </div>
+                    ))}
+                </div>
+            )}
+
+            {policy.status === 'Active' && (
                 <button
                     className="btn-trigger"
                     onClick={() => onTrigger(policy.id)}
@@ -3,9 +3,13 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  // ../sdk imports ethers too; bundle the frontend's copy once
+  resolve: { dedupe: ['ethers'] },
   server: {
     port: 3000,
-    open: true
+    open: true,
+    // Shared config and SDK live in ../config and ../sdk
+    fs: { allow: ['..'] }
   },
   build: {
     outDir: 'dist'
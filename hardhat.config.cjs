@@ -1,6 +1,9 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
 
+// Shared network settings (validated by config/index.js for the workflow, scripts and frontend)
+const { environments } = require("./config/weathershield.json");
+
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
   solidity: {
@@ -10,6 +13,8 @@ module.exports = {
         enabled: true,
         runs: 200,
       },
+      // IR pipeline keeps WeatherShield under the 24 KB code size limit
+      viaIR: true,
     },
   },
   networks: {
@@ -17,8 +22,8 @@ module.exports = {
       chainId: 31337,
     },
     localhost: {
-      url: "http://127.0.0.1:8545",
-      chainId: 31337,
+      url: environments.local.network.rpcUrl,
+      chainId: environments.local.network.chainId,
     },
     sepolia: {
       url: process.env.SEPOLIA_RPC_URL || "https://rpc.sepolia.org",
@@ -26,15 +31,21 @@ module.exports = {
       chainId: 11155111,
     },
     arbitrumSepolia: {
-      url: process.env.ARBITRUM_SEPOLIA_RPC_URL || "https://sepolia-rollup.arbitrum.io/rpc",
+      url: process.env.ARBITRUM_SEPOLIA_RPC_URL || environments.arbitrumSepolia.network.rpcUrl,
+      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+      chainId: environments.arbitrumSepolia.network.chainId,
+    },
+    arbitrumOne: {
+      url: process.env.ARBITRUM_ONE_RPC_URL || environments.mainnet.network.rpcUrl,
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 421614,
+      chainId: environments.mainnet.network.chainId,
     },
   },
   etherscan: {
     apiKey: {
       sepolia: process.env.ETHERSCAN_API_KEY || "",
       arbitrumSepolia: process.env.ARBISCAN_API_KEY || "",
+      arbitrumOne: process.env.ARBISCAN_API_KEY || "",
     },
   },
   paths: {
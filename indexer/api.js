@@ -0,0 +1,128 @@
+// Read-only JSON API over the store. Amounts are wei as decimal strings and
+// times ISO 8601, as in `admin.js --json`. `since`/`until` take an ISO date or
+// unix seconds; lists take `limit` (≤ 1000) and `offset`.
+//
+//   GET /status                          chain, contract and indexed block
+//   GET /policies?holder&status&location&type
+//   GET /policies/:id
+//   GET /claims?location&holder&since&until
+//   GET /weather?location&since&until
+//   GET /lps                             positions with pool share and exposure
+//   GET /lps/:address
+//   GET /proposals
+//   GET /proposals/:id                   with votes
+
+import { createServer } from 'node:http';
+import { getAddress, isAddress } from 'ethers';
+import { POLICY_STATUSES, WEATHER_TYPES } from '../sdk/index.js';
+
+const MAX_LIMIT = 1000;
+
+class RequestError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// ─── Query parameters ────────────────────────────────────────────────
+
+function address(raw, name) {
+  if (raw === null) return undefined;
+  if (!isAddress(raw)) throw new RequestError(400, `${name} must be an address, got ${raw}`);
+  return getAddress(raw);
+}
+
+function time(raw, name) {
+  if (raw === null) return undefined;
+  const seconds = /^\d+$/.test(raw) ? Number(raw) : Date.parse(raw) / 1000;
+  if (!Number.isFinite(seconds)) throw new RequestError(400, `${name} must be an ISO date or unix seconds, got ${raw}`);
+  return Math.floor(seconds);
+}
+
+function oneOf(names, raw, name) {
+  if (raw === null) return undefined;
+  const match = names.find(n => n.toLowerCase() === raw.toLowerCase());
+  if (!match) throw new RequestError(400, `${name} must be one of ${names.join(', ')}, got ${raw}`);
+  return match;
+}
+
+function count(raw, name, fallback, max = Number.MAX_SAFE_INTEGER) {
+  if (raw === null) return fallback;
+  if (!/^\d+$/.test(raw) || Number(raw) > max) throw new RequestError(400, `${name} must be an integer 0-${max}, got ${raw}`);
+  return Number(raw);
+}
+
+function page(query) {
+  return { limit: count(query.get('limit'), 'limit', 100, MAX_LIMIT), offset: count(query.get('offset'), 'offset', 0) };
+}
+
+function found(value, what) {
+  if (value === null) throw new RequestError(404, `${what} not found`);
+  return value;
+}
+
+// ─── Routes ──────────────────────────────────────────────────────────
+
+const ROUTES = [
+  [/^\/status$/, (store) => store.info()],
+  [/^\/policies$/, (store, query) => {
+    const type = oneOf(WEATHER_TYPES, query.get('type'), 'type');
+    return store.policies({
+      holder: address(query.get('holder'), 'holder'),
+      status: oneOf(POLICY_STATUSES, query.get('status'), 'status'),
+      location: query.get('location') ?? undefined,
+      weatherType: type === undefined ? undefined : WEATHER_TYPES.indexOf(type),
+      ...page(query)
+    });
+  }],
+  [/^\/policies\/(\d+)$/, (store, query, id) => found(store.policy(Number(id)), `policy ${id}`)],
+  [/^\/claims$/, (store, query) => store.claims({
+    location: query.get('location') ?? undefined,
+    holder: address(query.get('holder'), 'holder'),
+    since: time(query.get('since'), 'since'),
+    until: time(query.get('until'), 'until'),
+    ...page(query)
+  })],
+  [/^\/weather$/, (store, query) => store.weather({
+    location: query.get('location') ?? undefined,
+    since: time(query.get('since'), 'since'),
+    until: time(query.get('until'), 'until'),
+    ...page(query)
+  })],
+  [/^\/lps$/, (store) => store.lps()],
+  [/^\/lps\/([^/]+)$/, (store, query, raw) => {
+    const lp = address(raw, 'address');
+    return found(store.lp(lp), `LP ${lp}`);
+  }],
+  [/^\/proposals$/, (store) => store.proposals()],
+  [/^\/proposals\/(\d+)$/, (store, query, id) => found(store.proposal(Number(id)), `proposal ${id}`)]
+];
+
+/**
+ * HTTP server for the API; call listen() on it
+ * @param {ReturnType<typeof import('./store.js').openStore>} store
+ * @returns {import('node:http').Server}
+ */
+export function createApi(store) {
+  return createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, { 'content-type': 'application/json', 'access-control-allow-origin': '*' });
+      res.end(JSON.stringify(body));
+    };
+    if (req.method !== 'GET') return send(405, { error: `${req.method} not allowed` });
+
+    const url = new URL(req.url, 'http://localhost');
+    for (const [pattern, handler] of ROUTES) {
+      const match = pattern.exec(url.pathname);
+      if (!match) continue;
+      try {
+        return send(200, handler(store, url.searchParams, ...match.slice(1)));
+      } catch (err) {
+        if (err instanceof RequestError) return send(err.status, { error: err.message });
+        return send(500, { error: err.message });
+      }
+    }
+    send(404, { error: `no route for ${url.pathname}` });
+  });
+}
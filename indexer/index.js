@@ -0,0 +1,122 @@
+/*
+  WeatherShield indexer
+
+  Follows the environment's WeatherShield events (policies, claims,
+  expiries, cancellations, weather updates, liquidity and governance) into a
+  SQLite database and serves them as a JSON API, so clients can query
+  "claims in Lagos last month" or an LP's exposure without walking the
+  contract's getters one call at a time. Reorgs are rolled back; see sync.js.
+  Routes are listed in api.js.
+
+  The contract and its deployment block come from the environment's
+  deployment manifest (see config/index.js). A database is bound to one chain
+  and contract: point --db elsewhere after a redeploy to another address.
+
+  Usage:
+    node indexer/index.js --env local                 # sync, serve on :4000, keep following
+    node indexer/index.js --env local --once          # sync to the head and exit
+    curl 'localhost:4000/claims?location=6.52,3.38&since=2026-09-01&until=2026-10-01'
+
+  Options:
+    --env <name>            config environment (or WEATHERSHIELD_ENV)
+    --rpc <url>             RPC URL instead of the environment's
+    --db <file>             database (default: indexer/data/<env>.sqlite)
+    --port <n>              API port (default: 4000)
+    --start-block <n>       first block to index (default: the manifest's deploy block)
+    --confirmations <n>     stay this many blocks behind the head (default: 0)
+    --interval <ms>         poll interval (default: 2000)
+    --once                  sync once, print the status and exit
+*/
+
+import { mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { JsonRpcProvider, Network } from 'ethers';
+import { loadConfig, selectEnvironment } from '../config/index.js';
+import { WEATHER_SHIELD_ABI } from '../sdk/index.js';
+import { openStore } from './store.js';
+import { createIndexer } from './sync.js';
+import { createApi } from './api.js';
+
+export { openStore, createIndexer, createApi };
+
+function integer(raw, name, fallback) {
+  if (raw === undefined) return fallback;
+  if (!/^\d+$/.test(raw)) throw new Error(`${name} must be a non-negative integer, got ${raw}`);
+  return Number(raw);
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const flag = (name) => args.includes(name);
+  const option = (name) => {
+    const i = args.indexOf(name);
+    return i >= 0 ? args[i + 1] : undefined;
+  };
+
+  const rpcUrl = option('--rpc');
+  const config = loadConfig(selectEnvironment(option('--env')), rpcUrl ? { network: { rpcUrl } } : {});
+  const startBlock = integer(option('--start-block'), '--start-block', config.deployment?.contracts.WeatherShield?.blockNumber);
+  if (startBlock === undefined || startBlock === null) {
+    throw new Error(`no deploy block in the ${config.environment} deployment manifest; pass --start-block`);
+  }
+
+  const file = option('--db') ?? fileURLToPath(new URL(`data/${config.environment}.sqlite`, import.meta.url));
+  mkdirSync(dirname(file), { recursive: true });
+  const store = openStore(file);
+  store.init({ chainId: config.network.chainId, contract: config.contracts.weatherShield, startBlock });
+
+  const provider = new JsonRpcProvider(config.network.rpcUrl, Network.from(config.network.chainId), { staticNetwork: true });
+  const chainId = Number(await provider.send('eth_chainId', []));
+  if (chainId !== config.network.chainId) {
+    throw new Error(`${config.network.rpcUrl} is chain ${chainId}, ${config.environment} expects ${config.network.chainId}`);
+  }
+
+  const indexer = createIndexer({
+    provider,
+    store,
+    address: config.contracts.weatherShield,
+    abi: WEATHER_SHIELD_ABI,
+    startBlock,
+    confirmations: integer(option('--confirmations'), '--confirmations', 0),
+    log: line => console.log(line)
+  });
+
+  console.log(`\n── WeatherShield indexer (${config.network.name}, ${config.contracts.weatherShield}) ──`);
+  console.log(`  Database: ${file}`);
+  if (flag('--once')) {
+    try {
+      const { indexedBlock, head } = await indexer.sync();
+      console.log(`✓ Indexed to block ${indexedBlock} (head ${head})`);
+    } finally {
+      provider.destroy();
+      store.close();
+    }
+    return;
+  }
+
+  const port = integer(option('--port'), '--port', 4000);
+  const server = createApi(store);
+  await new Promise((resolve, reject) => server.once('error', reject).listen(port, resolve));
+  console.log(`  API:      http://localhost:${port}`);
+  await indexer.follow({
+    interval: integer(option('--interval'), '--interval', 2000),
+    onError: err => console.error(`✗ ${err.shortMessage ?? err.message} (retrying)`)
+  });
+
+  const shutdown = () => {
+    indexer.stop();
+    server.close();
+    provider.destroy();
+    store.close();
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    console.error(`✗ ${err.shortMessage ?? err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,347 @@
+// SQLite store for indexed WeatherShield events.
+// Tables are append-only projections of events: every row carries the block
+// it came from, and derived state (a policy's status, an LP's shares, a
+// proposal's tally) is computed when queried. Rolling back a reorg is then
+// deleting the rows above the fork point, with nothing to undo.
+
+import Database from 'better-sqlite3';
+import { INDEX_FUNCTIONS, RISK_TIERS, WEATHER_TYPES } from '../sdk/index.js';
+
+// WeatherShield.VOTING_PERIOD
+const VOTING_PERIOD = 3 * 24 * 60 * 60;
+
+// Columns every event table has, for rollback and provenance
+const EVENT_COLUMNS = 'block_number INTEGER NOT NULL, log_index INTEGER NOT NULL, tx_hash TEXT NOT NULL, timestamp INTEGER NOT NULL';
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+  -- Hashes of indexed blocks that had events, and of each synced range's last block
+  CREATE TABLE IF NOT EXISTS checkpoints (number INTEGER PRIMARY KEY, hash TEXT NOT NULL, timestamp INTEGER NOT NULL);
+
+  CREATE TABLE IF NOT EXISTS policies (
+    id INTEGER PRIMARY KEY, holder TEXT NOT NULL, premium TEXT NOT NULL, coverage TEXT NOT NULL,
+    weather_type INTEGER NOT NULL, location TEXT NOT NULL, risk_tier INTEGER NOT NULL,
+    trigger_threshold INTEGER NOT NULL, start_time INTEGER NOT NULL, end_time INTEGER NOT NULL,
+    index_fn INTEGER NOT NULL, window_days INTEGER NOT NULL, ${EVENT_COLUMNS});
+  CREATE INDEX IF NOT EXISTS policies_holder ON policies (holder);
+  CREATE INDEX IF NOT EXISTS policies_location ON policies (location);
+  CREATE TABLE IF NOT EXISTS claims (
+    policy_id INTEGER PRIMARY KEY, holder TEXT NOT NULL, payout TEXT NOT NULL,
+    trigger_value INTEGER NOT NULL, observation_day INTEGER NOT NULL, ${EVENT_COLUMNS});
+  CREATE TABLE IF NOT EXISTS expirations (policy_id INTEGER PRIMARY KEY, ${EVENT_COLUMNS});
+  CREATE TABLE IF NOT EXISTS cancellations (policy_id INTEGER PRIMARY KEY, refund TEXT NOT NULL, ${EVENT_COLUMNS});
+
+  CREATE TABLE IF NOT EXISTS weather (
+    location TEXT NOT NULL, value INTEGER NOT NULL, source_count INTEGER NOT NULL, ${EVENT_COLUMNS},
+    PRIMARY KEY (block_number, log_index));
+  CREATE INDEX IF NOT EXISTS weather_location ON weather (location, timestamp);
+
+  CREATE TABLE IF NOT EXISTS liquidity (
+    provider TEXT NOT NULL, kind TEXT NOT NULL, amount TEXT NOT NULL, shares TEXT NOT NULL, ${EVENT_COLUMNS},
+    PRIMARY KEY (block_number, log_index));
+
+  CREATE TABLE IF NOT EXISTS proposals (
+    id INTEGER PRIMARY KEY, param TEXT NOT NULL, value TEXT NOT NULL, proposer TEXT NOT NULL, ${EVENT_COLUMNS});
+  CREATE TABLE IF NOT EXISTS votes (
+    proposal_id INTEGER NOT NULL, voter TEXT NOT NULL, support INTEGER NOT NULL, weight TEXT NOT NULL, ${EVENT_COLUMNS},
+    PRIMARY KEY (proposal_id, voter));
+  CREATE TABLE IF NOT EXISTS executions (proposal_id INTEGER PRIMARY KEY, ${EVENT_COLUMNS});
+`;
+
+const EVENT_TABLES = ['policies', 'claims', 'expirations', 'cancellations', 'weather', 'liquidity', 'proposals', 'votes', 'executions'];
+
+const POLICY_SELECT = `
+  SELECT p.*,
+    CASE WHEN c.policy_id IS NOT NULL THEN 'Claimed'
+         WHEN e.policy_id IS NOT NULL THEN 'Expired'
+         WHEN x.policy_id IS NOT NULL THEN 'Cancelled'
+         ELSE 'Active' END AS status,
+    c.payout, c.trigger_value, c.observation_day, c.timestamp AS claimed_at, x.refund
+  FROM policies p
+  LEFT JOIN claims c ON c.policy_id = p.id
+  LEFT JOIN expirations e ON e.policy_id = p.id
+  LEFT JOIN cancellations x ON x.policy_id = p.id`;
+
+export class StoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StoreError';
+  }
+}
+
+const iso = (seconds) => new Date(seconds * 1000).toISOString();
+const sum = (values) => values.reduce((a, b) => a + BigInt(b), 0n);
+
+/** WHERE clause and parameters for the filters that are set */
+function where(filters) {
+  const set = filters.filter(([, value]) => value !== undefined && value !== null && value !== '');
+  return { clause: set.length ? `WHERE ${set.map(([sql]) => sql).join(' AND ')}` : '', params: set.map(([, value]) => value) };
+}
+
+function toPolicy(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    holder: row.holder,
+    weatherType: WEATHER_TYPES[row.weather_type],
+    location: row.location,
+    triggerThreshold: row.trigger_threshold,
+    index: { fn: INDEX_FUNCTIONS[row.index_fn], windowDays: row.window_days },
+    riskTier: RISK_TIERS[row.risk_tier],
+    premium: row.premium,
+    coverage: row.coverage,
+    startTime: iso(row.start_time),
+    endTime: iso(row.end_time),
+    txHash: row.tx_hash,
+    ...(row.status === 'Claimed' && { payout: row.payout, triggerValue: row.trigger_value, claimedAt: iso(row.claimed_at) }),
+    ...(row.status === 'Cancelled' && { refund: row.refund })
+  };
+}
+
+function toProposal(row, votes, now) {
+  const votesFor = sum(votes.filter(v => v.support).map(v => v.weight));
+  const votesAgainst = sum(votes.filter(v => !v.support).map(v => v.weight));
+  const deadline = row.timestamp + VOTING_PERIOD;
+  // Rejection emits no event: a proposal past its deadline and not executed was rejected or is still executable
+  const status = row.executed_at !== null ? 'Executed' : now < deadline ? 'Voting' : 'Ended';
+  return {
+    id: row.id,
+    status,
+    param: row.param,
+    value: row.value,
+    proposer: row.proposer,
+    votesFor: votesFor.toString(),
+    votesAgainst: votesAgainst.toString(),
+    voters: votes.length,
+    createdAt: iso(row.timestamp),
+    deadline: iso(deadline),
+    ...(row.executed_at !== null && { executedAt: iso(row.executed_at) })
+  };
+}
+
+/**
+ * Open (or create) an index database. Event values arrive as decimal strings
+ * (uint256/int256 don't fit a JS number): amounts stay TEXT, and INTEGER
+ * columns store the rest as integers by SQLite's type affinity.
+ * @param {string} [file] path, or ':memory:'
+ */
+export function openStore(file = ':memory:') {
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(SCHEMA);
+
+  const getMeta = db.prepare('SELECT value FROM meta WHERE key = ?').pluck();
+  const setMeta = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value');
+  const insert = {
+    checkpoint: db.prepare('INSERT OR REPLACE INTO checkpoints (number, hash, timestamp) VALUES (@number, @hash, @timestamp)'),
+    PolicyCreated: db.prepare(`INSERT INTO policies VALUES (@policyId, @holder, @premium, @coverageAmount, @weatherType, @location,
+      @riskTier, @triggerThreshold, @startTime, @endTime, @indexFn, @windowDays, @blockNumber, @logIndex, @txHash, @timestamp)`),
+    PolicyClaimed: db.prepare(`INSERT INTO claims VALUES (@policyId, @holder, @payoutAmount, @triggerValue, @observationDay,
+      @blockNumber, @logIndex, @txHash, @timestamp)`),
+    PolicyExpired: db.prepare('INSERT INTO expirations VALUES (@policyId, @blockNumber, @logIndex, @txHash, @timestamp)'),
+    PolicyCancelled: db.prepare('INSERT INTO cancellations VALUES (@policyId, @refundAmount, @blockNumber, @logIndex, @txHash, @timestamp)'),
+    WeatherDataUpdated: db.prepare(`INSERT INTO weather VALUES (@location, @value, @sourceCount,
+      @blockNumber, @logIndex, @txHash, @timestamp)`),
+    LiquidityDeposited: db.prepare(`INSERT INTO liquidity VALUES (@provider, 'deposit', @amount, @shares,
+      @blockNumber, @logIndex, @txHash, @timestamp)`),
+    LiquidityWithdrawn: db.prepare(`INSERT INTO liquidity VALUES (@provider, 'withdraw', @amount, @shares,
+      @blockNumber, @logIndex, @txHash, @timestamp)`),
+    ProposalCreated: db.prepare(`INSERT INTO proposals VALUES (@proposalId, @paramName, @newValue, @proposer,
+      @blockNumber, @logIndex, @txHash, @timestamp)`),
+    VoteCast: db.prepare('INSERT INTO votes VALUES (@proposalId, @voter, @support, @weight, @blockNumber, @logIndex, @txHash, @timestamp)'),
+    ProposalExecuted: db.prepare('INSERT INTO executions VALUES (@proposalId, @blockNumber, @logIndex, @txHash, @timestamp)')
+  };
+  const deleteAbove = EVENT_TABLES.map(table => db.prepare(`DELETE FROM ${table} WHERE block_number > ?`));
+  const deleteCheckpointsAbove = db.prepare('DELETE FROM checkpoints WHERE number > ?');
+
+  const metaNumber = (key) => {
+    const value = getMeta.get(key);
+    return value === undefined ? null : Number(value);
+  };
+
+  // Ledger state from events: shares per LP, and totals
+  function lpRows(provider) {
+    const rows = db.prepare(`SELECT provider, kind, amount, shares FROM liquidity ${provider ? 'WHERE provider = ?' : ''} ORDER BY block_number, log_index`)
+      .all(...(provider ? [provider] : []));
+    const positions = new Map();
+    for (const { provider: address, kind, amount, shares } of rows) {
+      const p = positions.get(address) ?? { address, shares: 0n, deposited: 0n, withdrawn: 0n };
+      if (kind === 'deposit') {
+        p.shares += BigInt(shares);
+        p.deposited += BigInt(amount);
+      } else {
+        p.shares -= BigInt(shares);
+        p.withdrawn += BigInt(amount);
+      }
+      positions.set(address, p);
+    }
+    return [...positions.values()];
+  }
+
+  const totalShares = () => sum(lpRows().map(p => p.shares));
+
+  const activeCoverage = () =>
+    sum(db.prepare(`SELECT coverage FROM (${POLICY_SELECT}) WHERE status = 'Active'`).pluck().all());
+
+  function toPosition(p, shares, coverage) {
+    // Pro rata share of the pool, in millionths to stay in integers
+    const share = shares > 0n ? (p.shares * 1_000_000n) / shares : 0n;
+    return {
+      address: p.address,
+      shares: p.shares.toString(),
+      deposited: p.deposited.toString(),
+      withdrawn: p.withdrawn.toString(),
+      poolShare: Number(share) / 1_000_000,
+      exposure: ((coverage * p.shares) / (shares || 1n)).toString()
+    };
+  }
+
+  return {
+    db,
+
+    /**
+     * Bind the database to a chain and contract; refuses a database built for another
+     * @param {{ chainId: number, contract: string, startBlock: number }} target
+     */
+    init({ chainId, contract, startBlock }) {
+      const existing = { chainId: getMeta.get('chainId'), contract: getMeta.get('contract') };
+      if (existing.contract !== undefined && (existing.contract !== contract || Number(existing.chainId) !== chainId)) {
+        throw new StoreError(`database indexes ${existing.contract} on chain ${existing.chainId}, not ${contract} on chain ${chainId}`);
+      }
+      db.transaction(() => {
+        setMeta.run('chainId', String(chainId));
+        setMeta.run('contract', contract);
+        if (getMeta.get('startBlock') === undefined) setMeta.run('startBlock', String(startBlock));
+      })();
+    },
+
+    /**
+     * @returns {{ chainId: number|null, contract: string|null, startBlock: number|null,
+     *   indexedBlock: number|null, indexedTime: number|null }} indexedTime is the chain time at indexedBlock
+     */
+    info() {
+      return {
+        chainId: metaNumber('chainId'),
+        contract: getMeta.get('contract') ?? null,
+        startBlock: metaNumber('startBlock'),
+        indexedBlock: metaNumber('indexedBlock'),
+        indexedTime: metaNumber('indexedTime')
+      };
+    },
+
+    /** A page of checkpoints below `before`, newest first */
+    checkpoints(before = Number.MAX_SAFE_INTEGER, limit = 64) {
+      return db.prepare('SELECT number, hash, timestamp FROM checkpoints WHERE number < ? ORDER BY number DESC LIMIT ?').all(before, limit);
+    },
+
+    /**
+     * Store a synced range atomically
+     * @param {{ checkpoints: { number: number, hash: string, timestamp: number }[], events: { name: string }[] }} range
+     *   events flattened by the syncer, in log order; the last checkpoint is the range's last block
+     */
+    apply({ checkpoints, events }) {
+      const last = checkpoints[checkpoints.length - 1];
+      db.transaction(() => {
+        for (const checkpoint of checkpoints) insert.checkpoint.run(checkpoint);
+        for (const event of events) insert[event.name].run(event);
+        setMeta.run('indexedBlock', String(last.number));
+        setMeta.run('indexedTime', String(last.timestamp));
+      })();
+    },
+
+    /**
+     * Forget everything above a block that is still canonical
+     * @param {{ number: number, timestamp: number|null }} block
+     */
+    rollback({ number, timestamp }) {
+      db.transaction(() => {
+        for (const statement of deleteAbove) statement.run(number);
+        deleteCheckpointsAbove.run(number);
+        setMeta.run('indexedBlock', String(number));
+        if (timestamp === null) db.prepare("DELETE FROM meta WHERE key = 'indexedTime'").run();
+        else setMeta.run('indexedTime', String(timestamp));
+      })();
+    },
+
+    // ─── Queries ─────────────────────────────────────────────────────
+    // Filters are optional; addresses are checksummed, times unix seconds
+
+    policies({ holder, status, location, weatherType, limit = 100, offset = 0 } = {}) {
+      const { clause, params } = where([
+        ['holder = ?', holder], ['status = ?', status], ['location = ?', location], ['weather_type = ?', weatherType]
+      ]);
+      return db.prepare(`SELECT * FROM (${POLICY_SELECT}) ${clause} ORDER BY id LIMIT ? OFFSET ?`)
+        .all(...params, limit, offset)
+        .map(toPolicy);
+    },
+
+    policy(id) {
+      const row = db.prepare(`SELECT * FROM (${POLICY_SELECT}) WHERE id = ?`).get(id);
+      return row ? toPolicy(row) : null;
+    },
+
+    claims({ location, holder, since, until, limit = 100, offset = 0 } = {}) {
+      const { clause, params } = where([
+        ['p.location = ?', location], ['c.holder = ?', holder], ['c.timestamp >= ?', since], ['c.timestamp < ?', until]
+      ]);
+      const rows = db.prepare(`SELECT c.*, p.location, p.weather_type FROM claims c JOIN policies p ON p.id = c.policy_id
+        ${clause} ORDER BY c.block_number DESC, c.log_index DESC LIMIT ? OFFSET ?`)
+        .all(...params, limit, offset);
+      return rows.map(row => ({
+        policyId: row.policy_id,
+        holder: row.holder,
+        location: row.location,
+        weatherType: WEATHER_TYPES[row.weather_type],
+        payout: row.payout,
+        triggerValue: row.trigger_value,
+        observationDay: row.observation_day,
+        claimedAt: iso(row.timestamp),
+        txHash: row.tx_hash
+      }));
+    },
+
+    weather({ location, since, until, limit = 100, offset = 0 } = {}) {
+      const { clause, params } = where([['location = ?', location], ['timestamp >= ?', since], ['timestamp < ?', until]]);
+      const rows = db.prepare(`SELECT * FROM weather ${clause} ORDER BY block_number DESC, log_index DESC LIMIT ? OFFSET ?`)
+        .all(...params, limit, offset);
+      return rows.map(row => ({ location: row.location, value: row.value, sourceCount: row.source_count, timestamp: iso(row.timestamp), txHash: row.tx_hash }));
+    },
+
+    /** LP positions with their pro rata share of the pool and of active coverage */
+    lps() {
+      const shares = totalShares();
+      const coverage = activeCoverage();
+      return lpRows().filter(p => p.shares > 0n).map(p => toPosition(p, shares, coverage));
+    },
+
+    lp(address) {
+      const [position] = lpRows(address);
+      return position ? toPosition(position, totalShares(), activeCoverage()) : null;
+    },
+
+    /** Proposals with their tallies; open vs ended is judged at the indexed chain time */
+    proposals() {
+      const now = metaNumber('indexedTime') ?? 0;
+      const rows = db.prepare(`SELECT p.*, e.timestamp AS executed_at FROM proposals p
+        LEFT JOIN executions e ON e.proposal_id = p.id ORDER BY p.id`).all();
+      const votes = db.prepare('SELECT * FROM votes ORDER BY block_number, log_index').all();
+      return rows.map(row => toProposal(row, votes.filter(v => v.proposal_id === row.id), now));
+    },
+
+    proposal(id) {
+      const now = metaNumber('indexedTime') ?? 0;
+      const row = db.prepare(`SELECT p.*, e.timestamp AS executed_at FROM proposals p
+        LEFT JOIN executions e ON e.proposal_id = p.id WHERE p.id = ?`).get(id);
+      if (!row) return null;
+      const votes = db.prepare('SELECT * FROM votes WHERE proposal_id = ? ORDER BY block_number, log_index').all(id);
+      return {
+        ...toProposal(row, votes, now),
+        votes: votes.map(v => ({ voter: v.voter, support: Boolean(v.support), weight: v.weight, timestamp: iso(v.timestamp) }))
+      };
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
@@ -0,0 +1,165 @@
+// Follows WeatherShield's events into the store, a range of blocks at a time.
+//
+// Reorgs: the store keeps the hash of every block it took events from and of
+// each range's last block. Before syncing, the newest checkpoint is compared
+// with the chain; on a mismatch the checkpoints are walked back to the newest
+// one still canonical, everything above it is rolled back and re-synced. A
+// canonical checkpoint implies all its ancestors are, so sparse checkpoints
+// are enough. A reorg in the middle of a range is caught by checking each
+// log's blockHash against the block fetched for its timestamp.
+
+import { Contract, Interface } from 'ethers';
+
+// Events indexed; the store has a table for each
+export const EVENTS = [
+  'PolicyCreated', 'PolicyClaimed', 'PolicyExpired', 'PolicyCancelled', 'WeatherDataUpdated',
+  'LiquidityDeposited', 'LiquidityWithdrawn', 'ProposalCreated', 'VoteCast', 'ProposalExecuted'
+];
+
+// A range whose logs keep straddling a reorg is retried this often before giving up
+const MAX_REORG_RETRIES = 5;
+
+/** Event args as a flat row: numbers as decimal strings, booleans as 0/1 */
+function flatten(fragment, args) {
+  return Object.fromEntries(fragment.inputs.map(({ name }, i) => {
+    const value = args[i];
+    return [name, typeof value === 'bigint' ? value.toString() : typeof value === 'boolean' ? Number(value) : value];
+  }));
+}
+
+/**
+ * @param {{
+ *   provider: import('ethers').Provider,
+ *   store: ReturnType<typeof import('./store.js').openStore>,
+ *   address: string,
+ *   abi: object[],
+ *   startBlock?: number,
+ *   batchSize?: number,
+ *   confirmations?: number,
+ *   log?: (line: string) => void
+ * }} options
+ *   startBlock is the deployment block; confirmations keeps that many blocks behind the head
+ */
+export function createIndexer({ provider, store, address, abi, startBlock = 0, batchSize = 2000, confirmations = 0, log = () => {} }) {
+  const iface = new Interface(abi);
+  const contract = new Contract(address, abi, provider);
+  const topics = [EVENTS.map(name => iface.getEvent(name).topicHash)];
+
+  /** Roll back to the newest checkpoint still on the chain; returns whether anything was rolled back */
+  async function checkReorg() {
+    let newest = true;
+    for (let page = store.checkpoints(); page.length; page = store.checkpoints(page[page.length - 1].number)) {
+      for (const checkpoint of page) {
+        const block = await provider.getBlock(checkpoint.number);
+        if (block?.hash === checkpoint.hash) {
+          if (newest) return false;
+          store.rollback(checkpoint);
+          log(`  ↺ reorg: rolled back to block ${checkpoint.number}`);
+          return true;
+        }
+        newest = false;
+      }
+    }
+    if (newest) return false;
+    store.rollback({ number: startBlock - 1, timestamp: null });
+    log(`  ↺ reorg below every checkpoint: re-indexing from block ${startBlock}`);
+    return true;
+  }
+
+  /** Index [from, to]; false if the chain reorganized under the range */
+  async function indexRange(from, to) {
+    const logs = await provider.getLogs({ address, topics, fromBlock: from, toBlock: to });
+    const numbers = [...new Set([...logs.map(l => l.blockNumber), to])];
+    const blocks = new Map();
+    for (const number of numbers) {
+      const block = await provider.getBlock(number);
+      if (!block) return false;
+      blocks.set(number, block);
+    }
+    if (logs.some(l => l.blockHash !== blocks.get(l.blockNumber).hash)) return false;
+
+    const events = [];
+    for (const entry of logs) {
+      const { fragment, args, name } = iface.parseLog(entry);
+      const event = {
+        name,
+        ...flatten(fragment, args),
+        blockNumber: entry.blockNumber,
+        logIndex: entry.index,
+        txHash: entry.transactionHash,
+        timestamp: blocks.get(entry.blockNumber).timestamp
+      };
+      if (name === 'PolicyCreated') {
+        // Terms the event doesn't carry; they never change once the policy exists
+        const policy = await contract.getPolicy(args.policyId);
+        Object.assign(event, {
+          triggerThreshold: policy.triggerThreshold.toString(),
+          startTime: Number(policy.startTime),
+          endTime: Number(policy.endTime),
+          indexFn: Number(policy.index.fn),
+          windowDays: Number(policy.index.windowDays)
+        });
+      }
+      events.push(event);
+    }
+
+    store.apply({
+      checkpoints: [...blocks.values()].sort((a, b) => a.number - b.number)
+        .map(({ number, hash, timestamp }) => ({ number, hash, timestamp })),
+      events
+    });
+    if (events.length) log(`  ✓ blocks ${from}-${to}: ${events.length} event${events.length === 1 ? '' : 's'}`);
+    return true;
+  }
+
+  /**
+   * Catch up with the chain head (less `confirmations`)
+   * @returns {Promise<{ indexedBlock: number, head: number }>}
+   */
+  async function sync() {
+    let retries = 0;
+    await checkReorg();
+    const head = (await provider.getBlockNumber()) - confirmations;
+    let from = (store.info().indexedBlock ?? startBlock - 1) + 1;
+    while (from <= head) {
+      const to = Math.min(from + batchSize - 1, head);
+      if (await indexRange(from, to)) {
+        from = to + 1;
+        continue;
+      }
+      if (++retries > MAX_REORG_RETRIES) throw new Error(`blocks ${from}-${to} kept changing while indexing`);
+      await checkReorg();
+      from = (store.info().indexedBlock ?? startBlock - 1) + 1;
+    }
+    return { indexedBlock: store.info().indexedBlock ?? startBlock - 1, head };
+  }
+
+  let timer = null;
+  let stopped = false;
+
+  return {
+    sync,
+
+    /**
+     * Sync now and then every `interval` ms until stop(); errors are logged and retried
+     * @param {{ interval?: number, onError?: (err: Error) => void }} [options]
+     */
+    async follow({ interval = 2000, onError = () => {} } = {}) {
+      stopped = false;
+      const tick = async () => {
+        try {
+          await sync();
+        } catch (err) {
+          onError(err);
+        }
+        if (!stopped) timer = setTimeout(tick, interval);
+      };
+      await tick();
+    },
+
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+    }
+  };
+}
@@ -0,0 +1,402 @@
+/*
+  WeatherShield admin
+
+  Operator commands for the contract's owner functions, and read-only views
+  of the pool and policies. Connects to the environment's RPC and the
+  WeatherShield address from its deployment manifest (see config/index.js).
+  Writes are signed with PRIVATE_KEY, or on a local chain with the node's
+  first account.
+
+  Every write is simulated with staticCall first: a revert is reported
+  before anything is sent. --dry-run stops there; otherwise the command asks
+  for confirmation unless --yes is given. `expire` sends one transaction per
+  batch of policies, sized as the workflow's expiry sweep sizes them. With
+  --json, amounts are wei as decimal strings and the prompt goes to stderr.
+
+  Usage:
+    node scripts/admin.js pool                          # liquidity, reserved vs available, fees, surplus
+    node scripts/admin.js settings                      # owner, CRE writer, premium and term settings
+    node scripts/admin.js policies [--status expired]   # policy counts by status, and the policies
+    node scripts/admin.js expired                       # Active policies past their end, awaiting expiry
+    node scripts/admin.js set-cre <address>             # setCREAuthorized
+    node scripts/admin.js set-min-premium <eth>         # setMinPremium
+    node scripts/admin.js set-policy-duration <days>    # setPolicyDuration
+    node scripts/admin.js deposit <eth>                 # depositFunds (outside the LP pool)
+    node scripts/admin.js withdraw-excess <eth>         # withdrawExcess
+    node scripts/admin.js withdraw-fees                 # withdrawProtocolFees
+    node scripts/admin.js expire                        # expirePolicies over the `expired` list, in batches
+
+  Options:
+    --env <name>   config environment (or WEATHERSHIELD_ENV)
+    --rpc <url>    RPC URL instead of the environment's
+    --dry-run      simulate writes, send nothing
+    --yes          send without asking
+    --json         machine-readable output
+*/
+
+import 'dotenv/config';
+import { createInterface } from 'node:readline/promises';
+import { Contract, JsonRpcProvider, Network, Wallet, formatEther, getAddress, isAddress, parseEther } from 'ethers';
+import { loadConfig, selectEnvironment, explorerTxUrl, MAX_TX_GAS } from '../config/index.js';
+import { POLICY_STATUSES, WEATHER_SHIELD_ABI, isDayCount, revertReason, toPolicy } from '../sdk/index.js';
+
+const LOCAL_CHAIN_ID = 31337;
+const DAY = 24 * 60 * 60;
+const PAGE_SIZE = 100;
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(name);
+const option = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+};
+const VALUE_OPTIONS = ['--env', '--rpc', '--status'];
+const positional = args.filter((arg, i) => !arg.startsWith('--') && !VALUE_OPTIONS.includes(args[i - 1]));
+const json = flag('--json');
+
+// ─── Argument parsing ────────────────────────────────────────────────
+
+function ethAmount(raw, name) {
+  if (raw === undefined) throw new Error(`${name} is required`);
+  let wei;
+  try {
+    wei = parseEther(raw);
+  } catch {
+    throw new Error(`${name} must be an amount of ETH, got ${raw}`);
+  }
+  if (wei <= 0n) throw new Error(`${name} must be more than 0, got ${raw}`);
+  return wei;
+}
+
+function address(raw, name) {
+  if (raw === undefined) throw new Error(`${name} is required`);
+  if (!isAddress(raw)) throw new Error(`${name} must be an address, got ${raw}`);
+  return getAddress(raw);
+}
+
+// ─── Reads ───────────────────────────────────────────────────────────
+
+/** The SDK's Policy as listed: threshold in its unit, coverage in wei as a string */
+function listedPolicy(id, raw, now) {
+  const p = toPolicy(id, raw);
+  return {
+    id: p.id,
+    status: p.status,
+    awaitingExpiry: p.status === 'Active' && p.endTime < now,
+    holder: p.holder,
+    weatherType: p.weatherType,
+    location: p.location,
+    threshold: p.threshold,
+    unit: isDayCount(p.index.fn) ? 'days' : p.unit,
+    index: p.index,
+    coverage: p.coverage.toString(),
+    endTime: new Date(p.endTime * 1000).toISOString()
+  };
+}
+
+async function latestTimestamp(provider) {
+  return (await provider.getBlock('latest')).timestamp;
+}
+
+/** Fetch policies by id, a page of calls at a time */
+async function fetchPolicies(contract, ids, now) {
+  const policies = [];
+  for (let i = 0; i < ids.length; i += PAGE_SIZE) {
+    const page = ids.slice(i, i + PAGE_SIZE);
+    const raw = await Promise.all(page.map(id => contract.getPolicy(id)));
+    policies.push(...raw.map((p, j) => listedPolicy(page[j], p, now)));
+  }
+  return policies;
+}
+
+/** Active policies whose term has ended; expirePolicy releases their reserved coverage */
+async function awaitingExpiry(contract, provider) {
+  const total = Number(await contract.activePolicyCount());
+  const ids = [];
+  for (let offset = 0; offset < total; offset += PAGE_SIZE) {
+    ids.push(...(await contract.getActivePolicyIds(offset, PAGE_SIZE)).map(Number));
+  }
+  const now = await latestTimestamp(provider);
+  return (await fetchPolicies(contract, ids.sort((a, b) => a - b), now)).filter(p => p.awaitingExpiry);
+}
+
+const READS = {
+  async pool({ contract, provider, target }) {
+    const [totalLiquidity, totalShares, reservedFunds, availableLiquidity, protocolFees] = await contract.getPoolStats();
+    const balance = await provider.getBalance(target);
+    // ETH not owed to LPs, reserved for coverage or due as fees: what withdrawExcess can take safely
+    const committed = protocolFees + (totalLiquidity > reservedFunds ? totalLiquidity : reservedFunds);
+    const surplus = balance > committed ? balance - committed : 0n;
+    return {
+      balance: balance.toString(),
+      totalLiquidity: totalLiquidity.toString(),
+      totalShares: totalShares.toString(),
+      reservedFunds: reservedFunds.toString(),
+      availableLiquidity: availableLiquidity.toString(),
+      utilization: totalLiquidity > 0n ? Number((reservedFunds * 10000n) / totalLiquidity) / 10000 : null,
+      protocolFees: protocolFees.toString(),
+      surplus: surplus.toString()
+    };
+  },
+
+  async settings({ contract }) {
+    const [owner, creAuthorized, minPremium, policyDuration, protocolFeePercent, policyCounter, activePolicies] = await Promise.all([
+      contract.owner(), contract.creAuthorized(), contract.minPremium(), contract.policyDuration(),
+      contract.protocolFeePercent(), contract.policyCounter(), contract.activePolicyCount()
+    ]);
+    const riskMultipliers = await Promise.all([0, 1, 2, 3].map(i => contract.riskMultipliers(i)));
+    return {
+      owner,
+      creAuthorized,
+      minPremium: minPremium.toString(),
+      policyDurationSeconds: Number(policyDuration),
+      protocolFeePercent: Number(protocolFeePercent),
+      riskMultipliers: riskMultipliers.map(Number),
+      policies: Number(policyCounter),
+      activePolicies: Number(activePolicies)
+    };
+  },
+
+  async policies({ contract, provider }) {
+    const status = option('--status');
+    const wanted = status === undefined ? null : POLICY_STATUSES.find(s => s.toLowerCase() === status.toLowerCase());
+    if (wanted === undefined) throw new Error(`--status must be one of ${POLICY_STATUSES.join(', ').toLowerCase()}, got ${status}`);
+
+    const count = Number(await contract.policyCounter());
+    const all = await fetchPolicies(contract, Array.from({ length: count }, (_, id) => id), await latestTimestamp(provider));
+    const byStatus = Object.fromEntries(POLICY_STATUSES.map(s => [s, all.filter(p => p.status === s).length]));
+    return { total: count, byStatus, policies: wanted ? all.filter(p => p.status === wanted) : all };
+  },
+
+  async expired({ contract, provider }) {
+    const policies = await awaitingExpiry(contract, provider);
+    const reserved = policies.reduce((sum, p) => sum + BigInt(p.coverage), 0n);
+    return { count: policies.length, reservedToRelease: reserved.toString(), policies };
+  }
+};
+
+// ─── Writes ──────────────────────────────────────────────────────────
+// Each returns the call to make and a one-line description of its effect,
+// a list of them to send in order, or null when there is nothing to do
+
+// Policies per expirePolicies call: the workflow's sweep batch, kept under the
+// CRE transaction gas limit at its gas per policy
+function expiryBatchSize({ workflow }) {
+  const fit = Math.floor((MAX_TX_GAS - workflow.gasLimit) / workflow.expiryGasPerPolicy);
+  return Math.max(1, Math.min(workflow.expiryBatchSize, fit));
+}
+
+const WRITES = {
+  async 'set-cre'({ contract }, [raw]) {
+    const next = address(raw, '<address>');
+    return { method: 'setCREAuthorized', args: [next], summary: `creAuthorized ${await contract.creAuthorized()} → ${next}` };
+  },
+
+  async 'set-min-premium'({ contract }, [raw]) {
+    const wei = ethAmount(raw, '<eth>');
+    return { method: 'setMinPremium', args: [wei], summary: `minPremium ${formatEther(await contract.minPremium())} → ${formatEther(wei)} ETH` };
+  },
+
+  async 'set-policy-duration'({ contract }, [raw]) {
+    const days = Number(raw);
+    if (raw === undefined || !Number.isFinite(days) || days <= 0) throw new Error(`<days> must be a positive number, got ${raw}`);
+    const seconds = Math.round(days * DAY);
+    const current = Number(await contract.policyDuration()) / DAY;
+    return { method: 'setPolicyDuration', args: [seconds], summary: `policyDuration ${current} → ${seconds / DAY} days (new policies only)` };
+  },
+
+  async deposit(_, [raw]) {
+    const wei = ethAmount(raw, '<eth>');
+    return { method: 'depositFunds', args: [], value: wei, summary: `deposit ${formatEther(wei)} ETH outside the LP pool (no shares)` };
+  },
+
+  async 'withdraw-excess'(ctx, [raw]) {
+    const wei = ethAmount(raw, '<eth>');
+    const { surplus } = await READS.pool(ctx);
+    const warnings = wei > BigInt(surplus)
+      ? [`${formatEther(wei - BigInt(surplus))} ETH of this is LP liquidity, reserved coverage or protocol fees (surplus is ${formatEther(surplus)} ETH)`]
+      : [];
+    return { method: 'withdrawExcess', args: [wei], summary: `withdraw ${formatEther(wei)} ETH to the owner`, warnings };
+  },
+
+  async 'withdraw-fees'({ contract }) {
+    const fees = await contract.protocolFees();
+    return { method: 'withdrawProtocolFees', args: [], summary: `withdraw ${formatEther(fees)} ETH of protocol fees to the owner` };
+  },
+
+  async expire(ctx) {
+    const { count, policies } = await READS.expired(ctx);
+    if (count === 0) return null;
+    const size = expiryBatchSize(ctx.config);
+    const calls = [];
+    for (let i = 0; i < count; i += size) {
+      const batch = policies.slice(i, i + size);
+      const ids = batch.map(p => p.id);
+      const reserved = batch.reduce((sum, p) => sum + BigInt(p.coverage), 0n);
+      calls.push({ method: 'expirePolicies', args: [ids], summary: `expire policies ${ids.join(', ')}, releasing ${formatEther(reserved)} ETH of reserved coverage` });
+    }
+    return calls;
+  }
+};
+
+async function signerFor(provider, chainId) {
+  if (process.env.PRIVATE_KEY) return new Wallet(process.env.PRIVATE_KEY, provider);
+  if (chainId === LOCAL_CHAIN_ID) return provider.getSigner(0);
+  throw new Error('PRIVATE_KEY is not set');
+}
+
+async function confirm(question) {
+  if (!process.stdin.isTTY) throw new Error('not sending without confirmation: stdin is not a terminal (pass --yes)');
+  const rl = createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    return /^y(es)?$/i.test((await rl.question(`${question} [y/N] `)).trim());
+  } finally {
+    rl.close();
+  }
+}
+
+async function write(ctx, command, params) {
+  const planned = await WRITES[command](ctx, params);
+  if (planned === null) return { command, summary: 'nothing to do', sent: false };
+  const calls = Array.isArray(planned) ? planned : [planned];
+
+  const signer = await signerFor(ctx.provider, ctx.config.network.chainId);
+  const from = await signer.getAddress();
+  const prepared = [];
+  for (const call of calls) {
+    const fn = ctx.contract.connect(signer).getFunction(call.method);
+    const callArgs = [...call.args, ...(call.value ? [{ value: call.value }] : [])];
+    const result = {
+      command,
+      method: call.method,
+      args: call.args.map(a => (Array.isArray(a) ? a.map(String) : String(a))),
+      value: (call.value ?? 0n).toString(),
+      from,
+      to: ctx.target,
+      summary: call.summary,
+      warnings: call.warnings ?? [],
+      dryRun: flag('--dry-run'),
+      sent: false
+    };
+
+    try {
+      await fn.staticCall(...callArgs);
+      result.gasEstimate = (await fn.estimateGas(...callArgs)).toString();
+    } catch (err) {
+      throw new Error(`${call.method} would revert: ${revertReason(err) ?? err.shortMessage ?? err.message}`);
+    }
+    if (!json) printWrite(result);
+    prepared.push({ fn, callArgs, result });
+  }
+  const results = prepared.map(p => p.result);
+  const output = Array.isArray(planned) ? results : results[0];
+  if (flag('--dry-run')) return output;
+
+  if (!flag('--yes')) {
+    const transactions = calls.length === 1 ? calls[0].method : `${calls.length} ${calls[0].method} transactions`;
+    if (!(await confirm(`Send ${transactions} from ${from} on ${ctx.config.network.name}?`))) {
+      throw new Error('aborted; nothing sent');
+    }
+  }
+  for (const { fn, callArgs, result } of prepared) {
+    const receipt = await (await fn.send(...callArgs)).wait();
+    result.sent = true;
+    result.transaction = {
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      url: explorerTxUrl(ctx.config.network, receipt.hash)
+    };
+  }
+  return output;
+}
+
+// ─── Output ──────────────────────────────────────────────────────────
+
+const eth = (wei) => `${formatEther(wei)} ETH`;
+
+function printPolicies(policies) {
+  for (const p of policies) {
+    const status = p.awaitingExpiry ? 'Active (ended)' : p.status;
+    const trigger = `${p.threshold} ${p.unit}`;
+    console.log(`  #${String(p.id).padEnd(5)} ${status.padEnd(15)} ${p.weatherType.padEnd(8)} ${trigger.padEnd(9)} ${p.location.padEnd(16)} ${eth(p.coverage).padStart(16)}  ends ${p.endTime}`);
+  }
+}
+
+const PRINT = {
+  pool(r) {
+    console.log(`  Balance:             ${eth(r.balance)}`);
+    console.log(`  LP liquidity:        ${eth(r.totalLiquidity)} (${formatEther(r.totalShares)} shares)`);
+    console.log(`  Reserved:            ${eth(r.reservedFunds)}${r.utilization === null ? '' : ` (${(r.utilization * 100).toFixed(1)}% utilized)`}`);
+    console.log(`  Available:           ${eth(r.availableLiquidity)}`);
+    console.log(`  Protocol fees:       ${eth(r.protocolFees)}`);
+    console.log(`  Surplus:             ${eth(r.surplus)}`);
+  },
+  settings(r) {
+    console.log(`  Owner:               ${r.owner}`);
+    console.log(`  CRE authorized:      ${r.creAuthorized}`);
+    console.log(`  Min premium:         ${eth(r.minPremium)}`);
+    console.log(`  Policy duration:     ${r.policyDurationSeconds / DAY} days`);
+    console.log(`  Protocol fee:        ${r.protocolFeePercent}%`);
+    console.log(`  Risk multipliers:    ${r.riskMultipliers.join(', ')} (Low → Critical)`);
+    console.log(`  Policies:            ${r.policies} (${r.activePolicies} active)`);
+  },
+  policies(r) {
+    console.log(`  ${r.total} policies: ${Object.entries(r.byStatus).map(([s, n]) => `${n} ${s.toLowerCase()}`).join(', ')}`);
+    printPolicies(r.policies);
+  },
+  expired(r) {
+    console.log(`  ${r.count} ended policies awaiting expiry, ${eth(r.reservedToRelease)} reserved`);
+    printPolicies(r.policies);
+  }
+};
+
+function printWrite(r) {
+  console.log(`  ${r.method}: ${r.summary}`);
+  for (const warning of r.warnings ?? []) console.log(`  ⚠ ${warning}`);
+  if (r.gasEstimate) console.log(`  Simulated OK from ${r.from}, ~${r.gasEstimate} gas`);
+}
+
+// ─── Main ────────────────────────────────────────────────────────────
+
+async function main() {
+  const [command, ...params] = positional;
+  if (!(command in READS) && !(command in WRITES)) {
+    throw new Error(`${command ? `unknown command ${command}` : 'command is required'} (one of: ${[...Object.keys(READS), ...Object.keys(WRITES)].join(', ')})`);
+  }
+
+  const rpcUrl = option('--rpc');
+  const config = loadConfig(selectEnvironment(option('--env')), rpcUrl ? { network: { rpcUrl } } : {});
+  const provider = new JsonRpcProvider(config.network.rpcUrl, Network.from(config.network.chainId), { staticNetwork: true });
+  try {
+    const chainId = Number(await provider.send('eth_chainId', []));
+    if (chainId !== config.network.chainId) {
+      throw new Error(`${config.network.rpcUrl} is chain ${chainId}, ${config.environment} expects ${config.network.chainId}`);
+    }
+    const target = config.contracts.weatherShield;
+    const ctx = { config, provider, target, contract: new Contract(target, WEATHER_SHIELD_ABI, provider) };
+
+    if (!json) console.log(`\n── WeatherShield ${command} (${config.network.name}, ${target}) ──`);
+    const result = command in READS ? await READS[command](ctx) : await write(ctx, command, params);
+    if (json) {
+      console.log(JSON.stringify(result, null, 2));
+      return;
+    }
+    if (command in READS) PRINT[command](result);
+    else if (!Array.isArray(result) && !result.method) console.log(`  ${result.summary}`);
+    else if (flag('--dry-run')) console.log('✓ Dry run; nothing sent');
+    else {
+      for (const { transaction: { hash, blockNumber, gasUsed, url } } of [result].flat()) {
+        console.log(`✓ Sent ${hash} (block ${blockNumber}, ${gasUsed} gas)${url ? `\n  ${url}` : ''}`);
+      }
+    }
+    console.log();
+  } finally {
+    provider.destroy();
+  }
+}
+
+main().catch((err) => {
+  console.error(`✗ ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,367 @@
+/*
+  WeatherShield pricing backtest
+
+  Replays a policy over every term in a local archive of daily weather and
+  compares how often it would have paid out with what the contract charges:
+  trigger frequency, expected loss per unit of coverage, the fair premium,
+  and the loss ratio under the risk tier's coverage multiplier.
+
+  Triggers follow WeatherShield: one payout of the full coverage per term,
+  the first time the day's value (or the policy's windowed index) crosses
+  the threshold. Values are in contract units (×10: mm or °C). Tiers and
+  triggers come from the SDK, index values from the workflow's indices.ts.
+
+  Archive: daily rows with a date, precipitation (mm) and min/max
+  temperature (°C), as
+    - CSV with a header row: date,precip,tempMin,tempMax (an Open-Meteo
+      archive CSV export works as is)
+    - JSON: an array of { date, precip, tempMin, tempMax }, or an Open-Meteo
+      archive response ({ daily: { time, precipitation_sum, ... } })
+
+  Usage:
+    node scripts/backtest.js --archive data/nyc.csv --type 1 --threshold 200
+    node scripts/backtest.js --archive data/nyc.csv --type 0 --threshold 300 --index sum --window 14
+    node scripts/backtest.js --archive data/nyc.csv --type 3 --threshold 5 --index above --window 30 --day-level 320
+    node scripts/backtest.js ... --term 30 --step 1 --multipliers 12,10,8,6 --fee 20
+    node scripts/backtest.js ... --json                    # machine-readable report
+*/
+
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import {
+  INDEX_FUNCTIONS, MAX_INDEX_WINDOW_DAYS, RISK_MULTIPLIERS, RISK_TIERS, WEATHER_TYPES,
+  fromChainValue, isDayCount, isTriggered, metricOf, riskTierOf, unitOf
+} from '../sdk/index.js';
+
+const require = createRequire(import.meta.url);
+const { requireWorkflow } = require('../cre-workflow/transpile.cjs');
+const { computeIndex } = requireWorkflow('indices');
+const workflowMetricOf = requireWorkflow('metrics').metricOf;
+
+// --index values
+const INDEX_OPTIONS = { daily: 'Daily', sum: 'RollingSum', max: 'RollingMax', min: 'RollingMin', above: 'DaysAbove', below: 'DaysBelow' };
+// Archive columns by metric
+const COLUMN_OF = { Precipitation: 'precip', TempMin: 'tempMin', TempMax: 'tempMax' };
+
+// WeatherShield defaults; governance can change them on-chain
+const DEFAULTS = { term: 30, multipliers: RISK_MULTIPLIERS, fee: 20 };
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(name);
+const option = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+};
+
+function integer(name, fallback, [min, max] = [-Infinity, Infinity]) {
+  const raw = option(name);
+  if (raw === undefined) {
+    if (fallback === undefined) throw new Error(`${name} is required`);
+    return fallback;
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${name} must be an integer${min > -Infinity ? ` in [${min}, ${max}]` : ''}, got ${raw}`);
+  }
+  return value;
+}
+
+function parseArgs() {
+  const archive = option('--archive');
+  if (!archive) throw new Error('--archive is required');
+
+  const type = integer('--type', undefined, [0, 3]);
+  const threshold = integer('--threshold');
+  const indexName = option('--index') ?? 'daily';
+  if (!Object.hasOwn(INDEX_OPTIONS, indexName)) {
+    throw new Error(`--index must be one of ${Object.keys(INDEX_OPTIONS).join(', ')}, got ${indexName}`);
+  }
+  const fn = INDEX_OPTIONS[indexName];
+  const windowDays = integer('--window', 1, [1, MAX_INDEX_WINDOW_DAYS]);
+  if (fn === 'Daily' && windowDays !== 1) throw new Error('--window needs --index');
+  const dayCount = isDayCount(fn);
+  const dayLevel = integer('--day-level', dayCount ? undefined : 0);
+  if (dayCount && (threshold < 1 || threshold > windowDays)) {
+    throw new Error(`--threshold must be a day count in [1, ${windowDays}] for --index ${indexName}, got ${threshold}`);
+  }
+
+  const multipliers = (option('--multipliers') ?? DEFAULTS.multipliers.join(',')).split(',').map(Number);
+  if (multipliers.length !== 4 || !multipliers.every(m => Number.isInteger(m) && m > 0)) {
+    throw new Error('--multipliers must be four positive integers (Low,Medium,High,Critical)');
+  }
+
+  return {
+    archive,
+    policy: { weatherType: WEATHER_TYPES[type], threshold, index: { fn, windowDays, dayLevel } },
+    term: integer('--term', DEFAULTS.term, [1, 3650]),
+    step: integer('--step', 1, [1, 3650]),
+    multipliers,
+    fee: integer('--fee', DEFAULTS.fee, [0, 99]),
+    json: flag('--json')
+  };
+}
+
+// ─── Archive ─────────────────────────────────────────────────────────
+
+const COLUMNS = {
+  date: ['date', 'time', 'datetime'],
+  precip: ['precip', 'precipitation', 'precipitation_sum', 'precip_mm'],
+  tempMin: ['tempmin', 'temp_min', 'temperature_2m_min', 'mintemp_c'],
+  tempMax: ['tempmax', 'temp_max', 'temperature_2m_max', 'maxtemp_c']
+};
+
+function number(value, what) {
+  if (value === null || value === undefined || value === '') return null; // missing day
+  const n = typeof value === 'number' ? value : Number(value);
+  if (!Number.isFinite(n)) throw new Error(`${what}: expected a number, got ${JSON.stringify(value)}`);
+  return n;
+}
+
+function row(date, precip, tempMin, tempMax, where) {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+    throw new Error(`${where}: expected a YYYY-MM-DD date, got ${JSON.stringify(date)}`);
+  }
+  return {
+    date,
+    precip: number(precip, `${where} precip`),
+    tempMin: number(tempMin, `${where} tempMin`),
+    tempMax: number(tempMax, `${where} tempMax`)
+  };
+}
+
+function parseCsv(text, path) {
+  const lines = text.split(/\r?\n/);
+  // Open-Meteo exports start with a location block; the data header names the date column
+  const headerAt = lines.findIndex(line => COLUMNS.date.includes(line.split(',')[0].trim().toLowerCase()));
+  if (headerAt < 0) throw new Error(`${path}: no header row starting with ${COLUMNS.date.join(' / ')}`);
+
+  // "temperature_2m_max (°C)" → "temperature_2m_max"
+  const header = lines[headerAt].split(',').map(h => h.replace(/\(.*\)/, '').trim().toLowerCase());
+  const column = (field) => {
+    const i = header.findIndex(h => COLUMNS[field].includes(h));
+    if (i < 0) throw new Error(`${path}: no ${field} column (expected one of ${COLUMNS[field].join(', ')})`);
+    return i;
+  };
+  const at = { date: column('date'), precip: column('precip'), tempMin: column('tempMin'), tempMax: column('tempMax') };
+
+  return lines.slice(headerAt + 1)
+    .map((line, i) => ({ cells: line.split(',').map(c => c.trim()), lineNo: headerAt + i + 2 }))
+    .filter(({ cells }) => cells.some(c => c !== ''))
+    .map(({ cells, lineNo }) => row(cells[at.date], cells[at.precip], cells[at.tempMin], cells[at.tempMax], `${path}:${lineNo}`));
+}
+
+function parseJson(data, path) {
+  if (Array.isArray(data)) {
+    return data.map((d, i) => row(d?.date, d?.precip, d?.tempMin, d?.tempMax, `${path}[${i}]`));
+  }
+  const daily = data?.daily;
+  if (daily && Array.isArray(daily.time)) {
+    return daily.time.map((date, i) => row(date, daily.precipitation_sum?.[i], daily.temperature_2m_min?.[i],
+      daily.temperature_2m_max?.[i], `${path} daily[${i}]`));
+  }
+  throw new Error(`${path}: expected an array of daily rows or an Open-Meteo response with "daily"`);
+}
+
+/**
+ * Daily series from an archive file, one entry per calendar day from the
+ * first date to the last; days the archive lacks (or lacks a value for) are null
+ */
+function loadArchive(path) {
+  const text = readFileSync(path, 'utf8');
+  const rows = path.toLowerCase().endsWith('.json') ? parseJson(JSON.parse(text), path) : parseCsv(text, path);
+  if (rows.length === 0) throw new Error(`${path}: no daily rows`);
+
+  rows.sort((a, b) => a.date.localeCompare(b.date));
+  const first = Date.parse(rows[0].date);
+  const length = (Date.parse(rows[rows.length - 1].date) - first) / 86_400_000 + 1;
+  const days = Array.from({ length }, (_, i) => ({ date: new Date(first + i * 86_400_000).toISOString().slice(0, 10), values: null }));
+  for (const r of rows) {
+    const i = (Date.parse(r.date) - first) / 86_400_000;
+    if (days[i].values) throw new Error(`${path}: ${r.date} appears twice`);
+    days[i].values = r;
+  }
+  return days;
+}
+
+// ─── Pricing rules (WeatherShield.sol) ───────────────────────────────
+
+// The SDK takes weather values in mm or °C; the backtest keeps contract units
+const realUnits = (value, fn) => (isDayCount(fn) ? value : fromChainValue(value));
+
+/** WeatherShield.getIndexRiskTier, as a position in RISK_TIERS */
+function riskTier({ weatherType, threshold, index }) {
+  const { fn, windowDays, dayLevel } = index;
+  return RISK_TIERS.indexOf(riskTierOf(weatherType, realUnits(threshold, fn), { fn, windowDays, dayLevel: fromChainValue(dayLevel) }));
+}
+
+/** WeatherShield._windowSatisfied: whether a partial window may already pay */
+function partialWindowCounts({ weatherType, index }) {
+  const below = weatherType === 'Drought' || weatherType === 'Frost';
+  return !((below && (index.fn === 'RollingSum' || index.fn === 'RollingMax')) || (!below && index.fn === 'RollingMin'));
+}
+
+/**
+ * Day of the term the policy would first pay out on, or null if it never
+ * triggers. Windows never reach back before the term start.
+ * @param {{ date: string, precip: number, tempMin: number, tempMax: number }[]} rows  the term's days
+ */
+function firstTrigger(policy, rows) {
+  const { weatherType, threshold, index } = policy;
+  const metric = workflowMetricOf(WEATHER_TYPES.indexOf(weatherType));
+  const spec = { ...index, fn: INDEX_FUNCTIONS.indexOf(index.fn) };
+  const partial = partialWindowCounts(policy);
+  for (let day = 0; day < rows.length; day++) {
+    if (!partial && day + 1 < index.windowDays) continue;
+    const window = rows.slice(Math.max(0, day + 1 - index.windowDays), day + 1);
+    const value = computeIndex(window, metric, spec);
+    if (isTriggered(weatherType, realUnits(threshold, index.fn), realUnits(value, index.fn), index.fn)) return day;
+  }
+  return null;
+}
+
+// ─── Backtest ────────────────────────────────────────────────────────
+
+/**
+ * Run the policy over every term the archive fully covers
+ * @returns the report printed by the CLI (and emitted with --json)
+ */
+function backtest(days, { policy, term, step, multipliers, fee }) {
+  const metric = metricOf(policy.weatherType);
+  const column = COLUMN_OF[metric];
+  // A day counts when the archive has the policy's series for it
+  const rows = days.map(d => (d.values && d.values[column] !== null ? d.values : null));
+
+  const byMonth = Array.from({ length: 12 }, () => ({ terms: 0, triggered: 0 }));
+  const triggerDays = [];
+  let terms = 0;
+  let triggered = 0;
+  let incomplete = 0;
+  for (let start = 0; start + term <= days.length; start += step) {
+    const window = rows.slice(start, start + term);
+    if (window.includes(null)) {
+      incomplete++;
+      continue;
+    }
+    const month = byMonth[Number(days[start].date.slice(5, 7)) - 1];
+    const day = firstTrigger(policy, window);
+    terms++;
+    month.terms++;
+    if (day !== null) {
+      triggered++;
+      month.triggered++;
+      triggerDays.push(day);
+    }
+  }
+  if (terms === 0) throw new Error(`the archive has no complete ${term}-day term`);
+
+  const frequency = triggered / terms;
+  const tier = riskTier(policy);
+  const multiplier = multipliers[tier];
+  const lpShare = 1 - fee / 100;
+  const ratio = (x) => Math.round(x * 10_000) / 10_000;
+
+  return {
+    policy: {
+      weatherType: policy.weatherType,
+      metric,
+      threshold: policy.threshold,
+      index: policy.index,
+      termDays: term
+    },
+    archive: {
+      from: days[0].date,
+      to: days[days.length - 1].date,
+      days: days.length,
+      missingDays: rows.filter(r => r === null).length
+    },
+    terms: { simulated: terms, incomplete, step, independent: Math.floor(days.length / term) },
+    triggered,
+    triggerFrequency: ratio(frequency),
+    // Each term pays the full coverage at most once
+    expectedLossPerCoverage: ratio(frequency),
+    medianTriggerDay: triggerDays.length ? triggerDays.sort((a, b) => a - b)[Math.floor(triggerDays.length / 2)] + 1 : null,
+    pricing: {
+      riskTier: RISK_TIERS[tier],
+      multiplier,
+      protocolFeePercent: fee,
+      premiumPerCoverage: ratio(1 / multiplier),
+      fairPremiumPerCoverage: ratio(frequency),
+      // The pool only keeps the premium net of the protocol fee
+      breakEvenPremiumPerCoverage: ratio(frequency / lpShare),
+      lossRatio: ratio(frequency * multiplier),
+      lpLossRatio: ratio((frequency * multiplier) / lpShare),
+      breakEvenMultiplier: frequency > 0 ? ratio(lpShare / frequency) : null
+    },
+    byStartMonth: byMonth.map((m, i) => ({
+      month: i + 1,
+      terms: m.terms,
+      triggerFrequency: m.terms ? ratio(m.triggered / m.terms) : null
+    }))
+  };
+}
+
+// ─── Output ──────────────────────────────────────────────────────────
+
+const pct = (x) => `${(x * 100).toFixed(1)}%`;
+
+function describePolicy({ policy }) {
+  const { weatherType, metric, threshold, index, termDays } = policy;
+  const unit = unitOf(weatherType);
+  const below = weatherType === 'Drought' || weatherType === 'Frost';
+  const level = (v) => `${(v / 10).toFixed(1)} ${unit}`;
+  let condition;
+  if (index.fn === 'Daily') condition = `daily ${metric} ${below ? '<' : '>'} ${level(threshold)}`;
+  else if (index.fn === 'DaysAbove' || index.fn === 'DaysBelow') {
+    condition = `${threshold}+ days ${index.fn === 'DaysAbove' ? '>' : '<'} ${level(index.dayLevel)} in ${index.windowDays} days`;
+  } else condition = `${index.fn}(${index.windowDays}d) ${metric} ${below ? '<' : '>'} ${level(threshold)}`;
+  return `${weatherType}, ${condition}, ${termDays}-day term`;
+}
+
+function print(report, archivePath) {
+  const { pricing: p } = report;
+  const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+  console.log('\n── WeatherShield Backtest ─────────────────────────────────');
+  console.log(`  Policy:   ${describePolicy(report)}`);
+  console.log(`  Archive:  ${archivePath}, ${report.archive.from} → ${report.archive.to} (${report.archive.days} days, ${report.archive.missingDays} missing)`);
+  console.log(`  Terms:    ${report.terms.simulated} starting every ${report.terms.step} day(s), ~${report.terms.independent} non-overlapping` +
+    (report.terms.incomplete ? `; ${report.terms.incomplete} skipped for missing days` : ''));
+
+  console.log('\n── Loss ───────────────────────────────────────────────────');
+  console.log(`  Trigger frequency:         ${pct(report.triggerFrequency)} (${report.triggered} of ${report.terms.simulated} terms)`);
+  console.log(`  Expected loss / coverage:  ${report.expectedLossPerCoverage.toFixed(4)}`);
+  if (report.medianTriggerDay !== null) console.log(`  Median payout day:         ${report.medianTriggerDay} of ${report.policy.termDays}`);
+
+  console.log('\n── Pricing ────────────────────────────────────────────────');
+  console.log(`  Risk tier:                 ${p.riskTier} → coverage = ${p.multiplier}× premium (premium ${pct(p.premiumPerCoverage)} of coverage)`);
+  console.log(`  Fair premium:              ${pct(p.fairPremiumPerCoverage)} of coverage (${pct(p.breakEvenPremiumPerCoverage)} with the ${p.protocolFeePercent}% protocol fee)`);
+  console.log(`  Loss ratio at ${p.multiplier}×:`.padEnd(29) + `${p.lossRatio.toFixed(2)} (LP pool: ${p.lpLossRatio.toFixed(2)})`);
+  console.log(`  Break-even multiplier:     ${p.breakEvenMultiplier === null ? 'any (never triggered)' : `${p.breakEvenMultiplier.toFixed(2)}×`}`);
+  console.log(p.lpLossRatio > 1
+    ? `  ✗ Underpriced: the pool pays out ${p.lpLossRatio.toFixed(2)}× what it keeps in premiums`
+    : `  ✓ Premiums cover expected payouts (pool keeps ${pct(1 - p.lpLossRatio)} of net premiums)`);
+
+  console.log('\n── Trigger frequency by start month ───────────────────────');
+  for (const m of report.byStartMonth) {
+    if (m.terms === 0) continue;
+    const bar = '█'.repeat(Math.round(m.triggerFrequency * 40));
+    console.log(`  ${monthNames[m.month - 1]}  ${pct(m.triggerFrequency).padStart(6)}  ${bar}`);
+  }
+  console.log();
+}
+
+function main() {
+  let options;
+  let report;
+  try {
+    options = parseArgs();
+    report = backtest(loadArchive(options.archive), options);
+  } catch (err) {
+    console.error(`✗ ${err.message}`);
+    process.exit(1);
+  }
+  if (options.json) console.log(JSON.stringify(report, null, 2));
+  else print(report, options.archive);
+}
+
+main();
@@ -0,0 +1,155 @@
+/*
+  WeatherShield config tool
+
+  Validates config/weathershield.json for an environment and keeps the CRE
+  YAML files in sync with it (cre.config.yaml is generated; the lines tagged
+  "# config: <field>" in cre-workflows/weather-monitor.yaml are rewritten in
+  place). The committed YAML files are for arbitrumSepolia; until it has a
+  deployment manifest they carry an empty contract address. --check also
+  compares the SDK's ABI copies (sdk/abi) with the ABI hashes in every
+  deployment manifest (deployments/<network>.json).
+
+  Usage:
+    node scripts/config.js                         # print the resolved config (WEATHERSHIELD_ENV or local)
+    node scripts/config.js --env mainnet           # ... for another environment
+    node scripts/config.js --write                 # regenerate the CRE YAML files (arbitrumSepolia)
+    node scripts/config.js --check                 # exit 1 if the YAML files or SDK ABIs are out of date
+*/
+
+import { readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { ZeroAddress, id } from 'ethers';
+import { loadConfig, selectEnvironment, ConfigError } from '../config/index.js';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const CRE_CONFIG = `${root}cre.config.yaml`;
+const WORKFLOW_YAML = `${root}cre-workflows/weather-monitor.yaml`;
+const SDK_ABI_DIR = `${root}sdk/abi/`;
+const DEPLOYMENTS_DIR = `${root}deployments/`;
+
+// Environment the committed CRE files are generated for
+const CRE_ENVIRONMENT = 'arbitrumSepolia';
+
+const args = process.argv.slice(2);
+const flag = (name) => args.includes(name);
+const option = (name) => {
+  const i = args.indexOf(name);
+  return i >= 0 ? args[i + 1] : undefined;
+};
+
+function kebab(name) {
+  return name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+function creConfig(config) {
+  const network = kebab(config.environment);
+  return `# CRE config for WeatherShield
+# Generated from config/weathershield.json (${config.environment}) by \`node scripts/config.js --write\`; do not edit.
+
+networks:
+  ${network}:
+    rpc: "${config.network.rpcUrl}"
+    chainId: ${config.network.chainId}
+
+contracts:
+  weathershield:
+    address: "${config.contracts.weatherShield}"
+    network: ${network}
+
+workflows:
+  - ./cre-workflows/weather-monitor.yaml
+`;
+}
+
+// Config for the CRE files. An environment without a deployment still gets them, pointing
+// at its network with an empty contract address, rather than at another chain.
+function creFilesConfig(environment) {
+  try {
+    return loadConfig(environment);
+  } catch (err) {
+    const undeployed = err instanceof ConfigError
+      && err.problems.every(p => p.startsWith('contracts.weatherShield: not deployed'));
+    if (!undeployed) throw err;
+    const config = loadConfig(environment, { contracts: { weatherShield: ZeroAddress } });
+    return { ...config, contracts: { weatherShield: '' } };
+  }
+}
+
+// Only the lines tagged "# config: <field>" are rewritten
+function workflowYaml(config, current) {
+  return current
+    .replace(/^(\s*default: )"[^"]*"(\s*# config: contracts\.weatherShield)$/m, `$1"${config.contracts.weatherShield}"$2`)
+    .replace(/^(\s*schedule: )"[^"]*"(\s*# config: workflow\.schedule)$/m, `$1"${config.workflow.schedule}"$2`)
+    .replace(/^(\s*gas_limit: )\d+(\s*# config: workflow\.gasLimit)$/gm, `$1${config.workflow.gasLimit}$2`);
+}
+
+// SDK ABI files (named after their contract) whose hash differs from the one deployed
+// in `deployment`, and those whose contract is in it without a recorded hash
+function checkAbis(deployment) {
+  const deployed = deployment.contracts;
+  const checked = readdirSync(SDK_ABI_DIR)
+    .map(file => ({ file, contract: deployed[file.replace(/\.json$/, '')] }))
+    .filter(({ contract }) => contract);
+  const unhashed = checked.filter(({ contract }) => !contract.abiHash);
+  const stale = checked.filter(({ file, contract }) => {
+    if (!contract.abiHash) return false;
+    const { abi } = JSON.parse(readFileSync(`${SDK_ABI_DIR}${file}`, 'utf8'));
+    return id(JSON.stringify(abi)) !== contract.abiHash;
+  });
+  return { checked: checked.length, stale: stale.map(({ file }) => file), unhashed: unhashed.map(({ file }) => file) };
+}
+
+function main() {
+  let config;
+  try {
+    config = flag('--write') || flag('--check')
+      ? creFilesConfig(option('--env') ?? CRE_ENVIRONMENT)
+      : loadConfig(selectEnvironment(option('--env')));
+  } catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(`✗ ${err.message}`);
+    process.exit(1);
+  }
+
+  const workflowCurrent = readFileSync(WORKFLOW_YAML, 'utf8');
+  const expected = [
+    [CRE_CONFIG, creConfig(config)],
+    [WORKFLOW_YAML, workflowYaml(config, workflowCurrent)]
+  ];
+
+  if (flag('--write')) {
+    for (const [path, content] of expected) writeFileSync(path, content);
+    console.log(`✓ CRE YAML files written for ${config.environment}`);
+    if (!config.deployment) console.log(`⚠ ${config.environment} has no deployment yet: the contract address is empty until scripts/deploy.js writes its manifest`);
+    return;
+  }
+
+  if (flag('--check')) {
+    const stale = expected.filter(([path, content]) => readFileSync(path, 'utf8') !== content);
+    for (const [path] of stale) {
+      console.error(`✗ ${path.slice(root.length)} is out of date for ${config.environment}; run node scripts/config.js --write`);
+    }
+    let failed = stale.length > 0;
+    const matched = [];
+    for (const file of readdirSync(DEPLOYMENTS_DIR).filter(f => f.endsWith('.json'))) {
+      const manifest = `deployments/${file}`;
+      const abis = checkAbis(JSON.parse(readFileSync(`${DEPLOYMENTS_DIR}${file}`, 'utf8')));
+      for (const abi of abis.stale) {
+        console.error(`✗ sdk/abi/${abi} doesn't match the ABI deployed in ${manifest}`);
+      }
+      for (const abi of abis.unhashed) {
+        console.error(`✗ ${manifest} has no abiHash for ${abi.replace(/\.json$/, '')}; redeploy with scripts/deploy.js to record it`);
+      }
+      if (abis.stale.length > 0 || abis.unhashed.length > 0) failed = true;
+      else if (abis.checked > 0) matched.push(manifest);
+    }
+    if (failed) process.exit(1);
+    console.log(`✓ CRE YAML files match config/weathershield.json (${config.environment})`);
+    if (matched.length > 0) console.log(`✓ SDK ABIs match ${matched.join(', ')}`);
+    return;
+  }
+
+  console.log(JSON.stringify(config, null, 2));
+}
+
+main();
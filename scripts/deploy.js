@@ -1,26 +1,155 @@
-const hre = require("hardhat");
+/*
+  WeatherShield deploy
+
+  Deploys WeatherShield against the network's Chainlink ETH/USD feed (a
+  MockV3Aggregator at $2,000 on hardhat/localhost), authorizes the CRE
+  forwarder, seeds the liquidity pool and writes deployments/<network>.json.
+  config/index.js reads the contract addresses from that manifest, so the
+  workflow, scripts and frontend pick up a new deployment from there.
+
+  Options are environment variables (hardhat run takes no script arguments):
+    CRE_FORWARDER    address allowed to write weather data (default: the deployer)
+    SEED_LIQUIDITY   ETH deposited into the pool by the deployer (default: per network, below)
+    PRICE_FEED       ETH/USD feed to use instead of the network's default
+
+  Usage:
+    npx hardhat run scripts/deploy.js --network localhost
+    CRE_FORWARDER=0x... npx hardhat run scripts/deploy.js --network arbitrumSepolia
+*/
+
+import 'dotenv/config';
+import hre from 'hardhat';
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const DEPLOYMENTS_DIR = fileURLToPath(new URL('../deployments/', import.meta.url));
+
+// Chainlink ETH/USD feeds (docs.chain.link/data-feeds/price-feeds/addresses); null = deploy a mock
+export const NETWORKS = {
+  hardhat: { priceFeed: null, seedLiquidity: '10' },
+  localhost: { priceFeed: null, seedLiquidity: '10' },
+  sepolia: { priceFeed: '0x694AA1769357215DE4FAC081bf1f309aDC325306', seedLiquidity: '0.1' },
+  arbitrumSepolia: { priceFeed: '0xd30e2101a97dcbAeBCBC04F14C3f624E67A35165', seedLiquidity: '0.1' },
+  arbitrumOne: { priceFeed: '0x639Fe6ab55C921f74e7fac1ee960C0B6293ba612', seedLiquidity: '0' },
+};
+
+// MockV3Aggregator: 8 decimals, $2,000
+const MOCK_FEED_ARGS = [8, 200000000000n];
+
+// Deployed by the WeatherShield constructor, read back through its getters
+const CHILD_CONTRACTS = { renderer: 'PolicyRenderer', ledger: 'ObservationLedger', oracle: 'WeatherOracle' };
+
+/**
+ * keccak256 of a contract's ABI as compact JSON, so a manifest and a copied
+ * ABI (sdk/abi) can be checked against each other
+ * @param {object[]} abi
+ */
+export function abiHash(abi) {
+  return hre.ethers.id(JSON.stringify(abi));
+}
+
+async function contractEntry(name, address, deployTx) {
+  const { abi } = await hre.artifacts.readArtifact(name);
+  const receipt = deployTx ? await deployTx.wait() : null;
+  return {
+    address,
+    ...(receipt && { transactionHash: receipt.hash, blockNumber: receipt.blockNumber }),
+    abiHash: abiHash(abi),
+  };
+}
+
+/**
+ * Deploy and set up WeatherShield on the network hardhat is connected to
+ * @param {{ creForwarder?: string, seedLiquidity?: bigint, priceFeed?: string, deployer?: import('ethers').Signer }} [options]
+ *   seedLiquidity in wei; the rest default as documented above
+ * @returns {Promise<object>} the deployment manifest
+ */
+export async function deploy(options = {}) {
+  const { ethers, network } = hre;
+  const defaults = NETWORKS[network.name];
+  const deployer = options.deployer ?? (await ethers.getSigners())[0];
+  if (!deployer) throw new Error(`no deployer account for ${network.name}; set PRIVATE_KEY`);
+
+  const contracts = {};
+  let priceFeed = options.priceFeed ?? defaults?.priceFeed;
+  if (priceFeed === undefined) {
+    throw new Error(`no ETH/USD feed known for network ${network.name}; set PRICE_FEED`);
+  }
+  if (priceFeed === null) {
+    const mock = await ethers.deployContract('MockV3Aggregator', MOCK_FEED_ARGS, deployer);
+    priceFeed = await mock.getAddress();
+    contracts.MockV3Aggregator = await contractEntry('MockV3Aggregator', priceFeed, mock.deploymentTransaction());
+  } else if ((await ethers.provider.getCode(priceFeed)) === '0x') {
+    throw new Error(`price feed ${priceFeed} has no code on ${network.name}`);
+  }
+
+  const weatherShield = await ethers.deployContract('WeatherShield', [priceFeed], deployer);
+  const address = await weatherShield.getAddress();
+  contracts.WeatherShield = await contractEntry('WeatherShield', address, weatherShield.deploymentTransaction());
+  for (const [getter, name] of Object.entries(CHILD_CONTRACTS)) {
+    contracts[name] = await contractEntry(name, await weatherShield[getter]());
+  }
+
+  const creForwarder = options.creForwarder ?? (await deployer.getAddress());
+  if (creForwarder !== (await weatherShield.creAuthorized())) {
+    await (await weatherShield.setCREAuthorized(creForwarder)).wait();
+  }
+
+  const seedLiquidity = options.seedLiquidity ?? ethers.parseEther(defaults?.seedLiquidity ?? '0');
+  if (seedLiquidity > 0n) {
+    await (await weatherShield.depositLiquidity({ value: seedLiquidity })).wait();
+  }
+
+  return {
+    network: network.name,
+    chainId: Number((await ethers.provider.getNetwork()).chainId),
+    deployer: await deployer.getAddress(),
+    priceFeed,
+    creAuthorized: creForwarder,
+    seedLiquidity: seedLiquidity.toString(),
+    contracts,
+  };
+}
+
+/**
+ * Write a manifest to deployments/<network>.json
+ * @returns {string} the file written
+ */
+export function writeManifest(manifest, dir = DEPLOYMENTS_DIR) {
+  mkdirSync(dir, { recursive: true });
+  const file = `${dir}${manifest.network}.json`;
+  writeFileSync(file, `${JSON.stringify(manifest, null, 2)}\n`);
+  return file;
+}
 
 async function main() {
-  console.log("Deploying WeatherShield...");
-  
-  const WeatherShield = await hre.ethers.getContractFactory("WeatherShield");
-  const contract = await WeatherShield.deploy();
-  await contract.waitForDeployment();
-  
-  const addr = await contract.getAddress();
-  console.log("WeatherShield deployed to:", addr);
-  
-  // fund it with some ETH for payouts
-  const [owner] = await hre.ethers.getSigners();
-  const tx = await owner.sendTransaction({
-    to: addr,
-    value: hre.ethers.parseEther("0.1")
+  const { ethers, network } = hre;
+  console.log(`Deploying WeatherShield to ${network.name}...`);
+
+  const manifest = await deploy({
+    creForwarder: process.env.CRE_FORWARDER ? ethers.getAddress(process.env.CRE_FORWARDER) : undefined,
+    seedLiquidity: process.env.SEED_LIQUIDITY ? ethers.parseEther(process.env.SEED_LIQUIDITY) : undefined,
+    priceFeed: process.env.PRICE_FEED ? ethers.getAddress(process.env.PRICE_FEED) : undefined,
   });
-  await tx.wait();
-  console.log("Funded contract with 0.1 ETH");
+
+  const { contracts } = manifest;
+  console.log(`  Price feed:       ${manifest.priceFeed}${contracts.MockV3Aggregator ? ' (mock, $2,000)' : ''}`);
+  console.log(`  WeatherShield:    ${contracts.WeatherShield.address}`);
+  console.log(`  CRE authorized:   ${manifest.creAuthorized}`);
+  console.log(`  Pool seeded with: ${ethers.formatEther(manifest.seedLiquidity)} ETH`);
+
+  // The in-process network is gone when this script exits
+  if (network.name === 'hardhat') {
+    console.log('✓ Deployed to the in-process hardhat network; no manifest written');
+    return;
+  }
+  const file = writeManifest(manifest);
+  console.log(`✓ Manifest written to ${file.slice(fileURLToPath(new URL('..', import.meta.url)).length)}`);
 }
 
-main().catch((err) => {
-  console.error(err);
-  process.exitCode = 1;
-});
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    console.error(`✗ ${err.shortMessage ?? err.message}`);
+    process.exit(1);
+  });
+}
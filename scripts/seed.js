@@ -0,0 +1,387 @@
+/*
+  WeatherShield local seed
+
+  Deploys WeatherShield (scripts/deploy.js) to a local Hardhat chain and plays
+  a scenario file against it: LP deposits, policies, weather readings, claims,
+  cancellations, governance proposals and price moves, with Hardhat time
+  travel in between. The frontend can then be developed against realistic
+  state without a testnet.
+
+  A scenario is YAML: named Hardhat accounts, then steps run in order. Each
+  step is one of
+    deposit:  { from, amount }                          depositLiquidity, amount in ETH
+    withdraw: { from, percent }                         withdrawLiquidity of a share of the LP's shares
+    policy:   { name, from, type, threshold, location, premium, index? }
+                                                        purchasePolicy, or purchaseIndexPolicy with
+                                                        index: { fn, windowDays, dayLevel? }
+    weather:  { location, metric, values }              recordObservation, as the deployer
+    index:    { policy, value, sourceCount? }           updatePolicyIndex for a windowed policy
+    claim:    <policy>                                  processClaim on the policy's latest observation
+    cancel:   <policy>                                  cancelPolicy, as the holder
+    expire:   [<policy>, ...]                           expirePolicies
+    propose:  { name, from, param, value }              proposeParameterChange; value may be "0.002 ETH"
+    vote:     { proposal, from, support }               voteOnProposal
+    execute:  <proposal>                                executeProposal
+    price:    <usd>                                     MockV3Aggregator.updateAnswer
+    advance:  <duration>                                evm_increaseTime + evm_mine: 3d, 12h, 30m or seconds
+  `deployer` (account #0) is always defined. Thresholds and weather values
+  are in tenths (mm or °C), as on-chain. See scenarios/demo.yaml.
+
+  The scenario is checked before anything is deployed, so a typo fails with
+  its step number instead of half-seeding the chain. Options are environment
+  variables (hardhat run takes no script arguments):
+    SCENARIO    scenario file (default: scenarios/demo.yaml)
+
+  Usage:
+    npx hardhat node                                   # in another terminal, fresh
+    npx hardhat run scripts/seed.js --network localhost
+    SCENARIO=scenarios/mine.yaml npm run seed:local
+*/
+
+import hre from 'hardhat';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import yaml from 'js-yaml';
+import { deploy, writeManifest } from './deploy.js';
+import { INDEX_FUNCTIONS, METRICS, POLICY_STATUSES, WEATHER_TYPES, metricOf, revertReason } from '../sdk/index.js';
+
+export const DEMO_SCENARIO = fileURLToPath(new URL('../scenarios/demo.yaml', import.meta.url));
+
+const LOCAL_CHAIN_ID = 31337;
+const DURATION_UNITS = { d: 24 * 60 * 60, h: 60 * 60, m: 60, s: 1 };
+const FEED_DECIMALS = 8;
+
+export class ScenarioError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScenarioError';
+  }
+}
+
+// ─── Scenario checks ─────────────────────────────────────────────────
+
+function duration(raw) {
+  if (Number.isInteger(raw) && raw > 0) return raw;
+  const match = /^(\d+)([dhms])$/.exec(String(raw));
+  if (!match || Number(match[1]) === 0) throw new Error(`expected a duration like 3d, 12h, 30m or seconds, got ${raw}`);
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+function eth(raw, name) {
+  let wei;
+  try {
+    wei = hre.ethers.parseEther(String(raw));
+  } catch {
+    throw new Error(`${name} must be an amount of ETH, got ${raw}`);
+  }
+  if (wei <= 0n) throw new Error(`${name} must be more than 0, got ${raw}`);
+  return wei;
+}
+
+function oneOf(names, raw, name) {
+  const i = names.indexOf(raw);
+  if (i < 0) throw new Error(`${name} must be one of ${names.join(', ')}, got ${raw}`);
+  return i;
+}
+
+function integer(raw, name) {
+  if (!Number.isInteger(raw)) throw new Error(`${name} must be an integer, got ${raw}`);
+  return raw;
+}
+
+/**
+ * Check a parsed scenario and resolve it into the calls seed() makes:
+ * accounts to indices, names to the steps that define them, amounts to wei
+ * @param {object} scenario
+ * @param {number} accountCount signers available on the chain
+ * @returns {{ seedLiquidity?: bigint, accounts: Record<string, number>, steps: object[] }}
+ * @throws {ScenarioError}
+ */
+export function validateScenario(scenario, accountCount = 20) {
+  if (!scenario || typeof scenario !== 'object') throw new ScenarioError('scenario must be a YAML mapping');
+  const accounts = { deployer: 0, ...scenario.accounts };
+  for (const [name, index] of Object.entries(accounts)) {
+    if (!Number.isInteger(index) || index < 0 || index >= accountCount) {
+      throw new ScenarioError(`account ${name}: index must be 0-${accountCount - 1}, got ${index}`);
+    }
+  }
+  if (!Array.isArray(scenario.steps) || scenario.steps.length === 0) throw new ScenarioError('scenario has no steps');
+
+  const policies = new Map(); // name → policy step
+  const proposals = new Set();
+  const account = (name) => {
+    if (!(name in accounts)) throw new Error(`unknown account ${name}`);
+    return name;
+  };
+  const policy = (name) => {
+    if (!policies.has(name)) throw new Error(`unknown policy ${name}`);
+    return name;
+  };
+  const proposal = (name) => {
+    if (!proposals.has(name)) throw new Error(`unknown proposal ${name}`);
+    return name;
+  };
+  const fresh = (name, defined, kind) => {
+    if (typeof name !== 'string' || !name) throw new Error(`${kind} needs a name`);
+    if (defined.has(name)) throw new Error(`${kind} ${name} is defined twice`);
+    return name;
+  };
+
+  const CHECKS = {
+    deposit: (s) => ({ from: account(s.from), amount: eth(s.amount, 'amount') }),
+    withdraw: (s) => {
+      if (!(s.percent > 0 && s.percent <= 100)) throw new Error(`percent must be in (0, 100], got ${s.percent}`);
+      return { from: account(s.from), percent: s.percent };
+    },
+    policy: (s) => {
+      const checked = {
+        name: fresh(s.name, policies, 'policy'),
+        from: account(s.from),
+        type: oneOf(WEATHER_TYPES, s.type, 'type'),
+        threshold: integer(s.threshold, 'threshold'),
+        location: String(s.location),
+        premium: eth(s.premium, 'premium'),
+        index: null
+      };
+      if (s.index) {
+        checked.index = {
+          fn: oneOf(INDEX_FUNCTIONS, s.index.fn, 'index.fn'),
+          windowDays: integer(s.index.windowDays, 'index.windowDays'),
+          dayLevel: integer(s.index.dayLevel ?? 0, 'index.dayLevel')
+        };
+      }
+      policies.set(checked.name, checked);
+      return checked;
+    },
+    weather: (s) => {
+      if (!Array.isArray(s.values) || s.values.length === 0) throw new Error('values must be a non-empty list');
+      return {
+        location: String(s.location),
+        metric: oneOf(METRICS, s.metric, 'metric'),
+        values: s.values.map((v, i) => integer(v, `values[${i}]`))
+      };
+    },
+    index: (s) => {
+      if (!policies.get(policy(s.policy)).index) throw new Error(`policy ${s.policy} is a daily policy; use weather`);
+      return { policy: s.policy, value: integer(s.value, 'value'), sourceCount: integer(s.sourceCount ?? 3, 'sourceCount') };
+    },
+    claim: (s) => policy(s),
+    cancel: (s) => policy(s),
+    expire: (s) => {
+      if (!Array.isArray(s)) throw new Error('expire takes a list of policies');
+      return s.map(policy);
+    },
+    propose: (s) => {
+      const name = fresh(s.name, proposals, 'proposal');
+      const value = /^\s*[\d.]+\s*ETH\s*$/i.test(String(s.value))
+        ? eth(String(s.value).replace(/ETH/i, '').trim(), 'value')
+        : BigInt(integer(s.value, 'value'));
+      proposals.add(name);
+      return { name, from: account(s.from), param: String(s.param), value };
+    },
+    vote: (s) => {
+      if (typeof s.support !== 'boolean') throw new Error(`support must be true or false, got ${s.support}`);
+      return { proposal: proposal(s.proposal), from: account(s.from), support: s.support };
+    },
+    execute: (s) => proposal(s),
+    price: (s) => {
+      if (!(typeof s === 'number' && s > 0)) throw new Error(`price must be a USD amount, got ${s}`);
+      return hre.ethers.parseUnits(String(s), FEED_DECIMALS);
+    },
+    advance: (s) => duration(s)
+  };
+
+  const steps = scenario.steps.map((step, i) => {
+    const keys = step && typeof step === 'object' ? Object.keys(step) : [];
+    if (keys.length !== 1 || !CHECKS[keys[0]]) {
+      throw new ScenarioError(`step ${i + 1}: expected one of ${Object.keys(CHECKS).join(', ')}, got ${JSON.stringify(step)}`);
+    }
+    const [kind] = keys;
+    try {
+      return { kind, spec: CHECKS[kind](step[kind]) };
+    } catch (err) {
+      throw new ScenarioError(`step ${i + 1} (${kind}): ${err.message}`);
+    }
+  });
+
+  let seedLiquidity;
+  if (scenario.seedLiquidity !== undefined) {
+    seedLiquidity = scenario.seedLiquidity === 0 ? 0n : eth(scenario.seedLiquidity, 'seedLiquidity');
+  }
+  return { seedLiquidity, accounts, steps };
+}
+
+/**
+ * Read a scenario file; seed() checks it
+ * @param {string} [file]
+ * @throws {ScenarioError}
+ */
+export function loadScenario(file = DEMO_SCENARIO) {
+  let scenario;
+  try {
+    scenario = yaml.load(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new ScenarioError(`${file}: ${err.message}`);
+  }
+  return scenario;
+}
+
+// ─── Seeding ─────────────────────────────────────────────────────────
+
+/**
+ * Deploy and play a scenario on the local chain hardhat is connected to
+ * @param {object} scenario parsed scenario (see loadScenario)
+ * @param {{ log?: (line: string) => void }} [options]
+ * @returns {Promise<{ manifest: object, policies: Record<string, number>, proposals: Record<string, number> }>}
+ *   the deployment manifest and the on-chain ids of the named policies and proposals
+ */
+export async function seed(scenario, { log = () => {} } = {}) {
+  const { ethers, network } = hre;
+  const { chainId } = await ethers.provider.getNetwork();
+  if (Number(chainId) !== LOCAL_CHAIN_ID) {
+    throw new Error(`seeding needs a local Hardhat chain (chain ${LOCAL_CHAIN_ID}) for time travel; ${network.name} is chain ${chainId}`);
+  }
+  const signers = await ethers.getSigners();
+  const { seedLiquidity, accounts, steps } = validateScenario(scenario, signers.length);
+  const signer = (name) => signers[accounts[name]];
+
+  const manifest = await deploy({ deployer: signers[0], seedLiquidity });
+  const shield = await ethers.getContractAt('WeatherShield', manifest.contracts.WeatherShield.address, signers[0]);
+  const ledger = await ethers.getContractAt('ObservationLedger', manifest.contracts.ObservationLedger.address);
+  log(`Deployed WeatherShield at ${manifest.contracts.WeatherShield.address}`);
+
+  const policies = {};
+  const proposals = {};
+  const policySpecs = {};
+  const send = async (promise) => (await promise).wait();
+  const now = async () => (await ethers.provider.getBlock('latest')).timestamp;
+
+  /** UTC day a policy settles on: its latest ledger entry, or for windowed policies its index */
+  async function settlementDay(name) {
+    const { type, location, index } = policySpecs[name];
+    if (index) {
+      const { timestamp, isValid } = await shield.policyIndexData(policies[name]);
+      if (!isValid) throw new Error(`policy ${name} has no index value`);
+      return Number(timestamp / 86400n);
+    }
+    const metric = METRICS.indexOf(metricOf(type));
+    const obs = await ledger.latestObservation(location, metric);
+    if (obs.timestamp === 0n) throw new Error(`no ${METRICS[metric]} observation at ${location}`);
+    return Number(obs.day);
+  }
+
+  const STEPS = {
+    async deposit({ from, amount }) {
+      await send(shield.connect(signer(from)).depositLiquidity({ value: amount }));
+      return `${from} ${ethers.formatEther(amount)} ETH`;
+    },
+    async withdraw({ from, percent }) {
+      const { shares } = await shield.lpPositions(signer(from).address);
+      const amount = (shares * BigInt(Math.round(percent * 100))) / 10000n;
+      await send(shield.connect(signer(from)).withdrawLiquidity(amount));
+      return `${from} ${percent}% of their shares`;
+    },
+    async policy(spec) {
+      const { name, from, type, threshold, location, premium, index } = spec;
+      const holder = shield.connect(signer(from));
+      const receipt = await send(index
+        ? holder.purchaseIndexPolicy(type, threshold, location, index, { value: premium })
+        : holder.purchasePolicy(type, threshold, location, { value: premium }));
+      const created = receipt.logs.map(l => shield.interface.parseLog(l)).find(e => e?.name === 'PolicyCreated');
+      policies[name] = Number(created.args.policyId);
+      policySpecs[name] = spec;
+      const kind = index ? `${INDEX_FUNCTIONS[index.fn]} ${index.windowDays}d ` : '';
+      return `#${policies[name]} ${name}: ${kind}${WEATHER_TYPES[type]} ${threshold} at ${location}, ${ethers.formatEther(premium)} ETH by ${from}`;
+    },
+    async weather({ location, metric, values }) {
+      await send(shield.recordObservation(location, metric, values));
+      return `${METRICS[metric]} at ${location}: [${values.join(', ')}]`;
+    },
+    async index({ policy, value, sourceCount }) {
+      await send(shield.updatePolicyIndex(policies[policy], value, sourceCount));
+      return `${policy} = ${value}`;
+    },
+    async claim(name) {
+      const day = await settlementDay(name);
+      await send(shield.processClaim(policies[name], day));
+      const { coverageAmount } = await shield.getPolicy(policies[name]);
+      return `${name} paid ${ethers.formatEther(coverageAmount)} ETH (day ${day})`;
+    },
+    async cancel(name) {
+      await send(shield.connect(signer(policySpecs[name].from)).cancelPolicy(policies[name]));
+      return name;
+    },
+    async expire(names) {
+      await send(shield.expirePolicies(names.map(name => policies[name])));
+      return names.join(', ');
+    },
+    async propose({ name, from, param, value }) {
+      const receipt = await send(shield.connect(signer(from)).proposeParameterChange(param, value));
+      const created = receipt.logs.map(l => shield.interface.parseLog(l)).find(e => e?.name === 'ProposalCreated');
+      proposals[name] = Number(created.args.proposalId);
+      return `#${proposals[name]} ${name}: ${param} → ${value} by ${from}`;
+    },
+    async vote({ proposal, from, support }) {
+      await send(shield.connect(signer(from)).voteOnProposal(proposals[proposal], support));
+      return `${from} ${support ? 'for' : 'against'} ${proposal}`;
+    },
+    async execute(name) {
+      await send(shield.executeProposal(proposals[name]));
+      const { status } = await shield.getProposal(proposals[name]);
+      return `${name}: ${['Pending', 'Approved', 'Rejected', 'Executed'][Number(status)]}`;
+    },
+    async price(answer) {
+      if (!manifest.contracts.MockV3Aggregator) throw new Error('the price feed is not a mock');
+      const feed = await ethers.getContractAt('MockV3Aggregator', manifest.priceFeed, signers[0]);
+      await send(feed.updateAnswer(answer));
+      return `ETH/USD ${ethers.formatUnits(answer, FEED_DECIMALS)}`;
+    },
+    async advance(seconds) {
+      await network.provider.send('evm_increaseTime', [seconds]);
+      await network.provider.send('evm_mine');
+      const [unit, size] = Object.entries(DURATION_UNITS).find(([, size]) => seconds % size === 0);
+      return `${seconds / size}${unit} to ${new Date((await now()) * 1000).toISOString()}`;
+    }
+  };
+
+  for (const [i, { kind, spec }] of steps.entries()) {
+    let detail;
+    try {
+      detail = await STEPS[kind](spec);
+    } catch (err) {
+      throw new Error(`step ${i + 1} (${kind}): ${revertReason(err) ?? err.shortMessage ?? err.message}`);
+    }
+    log(`  ✓ ${kind.padEnd(8)} ${detail}`);
+  }
+
+  return { manifest, policies, proposals };
+}
+
+async function main() {
+  const { ethers, network } = hre;
+  const scenarioFile = process.env.SCENARIO ?? DEMO_SCENARIO;
+  console.log(`Seeding ${network.name} from ${scenarioFile}...`);
+
+  const { manifest, policies } = await seed(loadScenario(scenarioFile), { log: line => console.log(line) });
+
+  const shield = await ethers.getContractAt('WeatherShield', manifest.contracts.WeatherShield.address);
+  const [totalLiquidity, , reservedFunds] = await shield.getPoolStats();
+  const statuses = await Promise.all(Object.values(policies).map(id => shield.getPolicy(id).then(p => POLICY_STATUSES[Number(p.status)])));
+  const counts = POLICY_STATUSES.map(s => `${statuses.filter(x => x === s).length} ${s.toLowerCase()}`).join(', ');
+  console.log(`  Pool:     ${ethers.formatEther(totalLiquidity)} ETH, ${ethers.formatEther(reservedFunds)} reserved`);
+  console.log(`  Policies: ${counts}`);
+
+  if (network.name === 'hardhat') {
+    console.log('✓ Seeded the in-process hardhat network; it is gone when this script exits');
+    return;
+  }
+  const file = writeManifest(manifest);
+  console.log(`✓ Seeded; manifest written to ${file.slice(fileURLToPath(new URL('..', import.meta.url)).length)}`);
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main().catch((err) => {
+    console.error(`✗ ${err.shortMessage ?? err.message}`);
+    process.exit(1);
+  });
+}
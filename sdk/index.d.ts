@@ -0,0 +1,210 @@
+// Types for ./index.js, shared with the TypeScript workflow.
+
+import type { Contract, ContractRunner, Log, TransactionReceipt, TransactionResponse } from 'ethers';
+
+export type PolicyStatus = 'Active' | 'Claimed' | 'Expired' | 'Cancelled';
+export type WeatherType = 'Drought' | 'Flood' | 'Frost' | 'Heat';
+export type RiskTier = 'Low' | 'Medium' | 'High' | 'Critical';
+export type IndexFunction = 'Daily' | 'RollingSum' | 'RollingMax' | 'RollingMin' | 'DaysAbove' | 'DaysBelow';
+export type Metric = 'Precipitation' | 'TempMin' | 'TempMax';
+export type ProposalStatus = 'Pending' | 'Approved' | 'Rejected' | 'Executed';
+export type Unit = 'mm' | '°C';
+
+export const WEATHER_SHIELD_ABI: readonly object[];
+export const WEATHER_ORACLE_ABI: readonly object[];
+
+export const POLICY_STATUSES: readonly PolicyStatus[];
+export const WEATHER_TYPES: readonly WeatherType[];
+export const RISK_TIERS: readonly RiskTier[];
+export const INDEX_FUNCTIONS: readonly IndexFunction[];
+export const METRICS: readonly Metric[];
+export const PROPOSAL_STATUSES: readonly ProposalStatus[];
+export const RISK_MULTIPLIERS: readonly number[];
+export const MAX_INDEX_WINDOW_DAYS: number;
+export const GOVERNANCE_PARAMS: readonly string[];
+/** Contract units per mm or °C */
+export const VALUE_SCALE: number;
+/** Display text by revert reason */
+export const REVERT_MESSAGES: Readonly<Record<string, string>>;
+
+export class WeatherShieldError extends Error {
+    constructor(message: string, details?: { reason?: string | null; cause?: unknown });
+    /** The contract's revert reason or custom error; null when the call didn't revert */
+    reason: string | null;
+}
+
+/** Enum values may be given by name or by position */
+export type EnumValue<Name extends string> = Name | number | bigint;
+
+export function enumName<Name extends string>(names: readonly Name[], value: EnumValue<Name>): Name;
+export function metricOf(weatherType: EnumValue<WeatherType>): Metric;
+export function unitOf(weatherType: EnumValue<WeatherType>): Unit;
+export function isDayCount(fn: EnumValue<IndexFunction>): boolean;
+/** mm or °C to contract units (tenths), rounded */
+export function toChainValue(value: number | string): number;
+/** Contract units to mm or °C */
+export function fromChainValue(raw: number | bigint): number;
+/** UTC day number (unix seconds / 86400) */
+export function utcDay(ms?: number): number;
+
+/** Fraction digits of a location key's coordinates */
+export const LOCATION_DECIMALS: number;
+/** "<lat>,<lon>" key the contracts accept, e.g. "40.71,-74.01"; throws on non-numeric or out-of-range coordinates */
+export function canonicalLocation(lat: number | string, lon: number | string): string;
+
+export interface IndexTerms {
+    fn?: EnumValue<IndexFunction>;
+    /** 1 for Daily; 1-MAX_INDEX_WINDOW_DAYS otherwise */
+    windowDays?: number;
+    /** Level a day must pass to count, in mm or °C (DaysAbove/DaysBelow) */
+    dayLevel?: number;
+}
+
+export interface PolicyTerms {
+    weatherType: EnumValue<WeatherType>;
+    /** mm or °C, or a number of days for DaysAbove/DaysBelow */
+    threshold: number;
+    /** Daily when omitted */
+    index?: IndexTerms;
+}
+
+export function riskTierOf(weatherType: EnumValue<WeatherType>, threshold: number, index?: IndexTerms): RiskTier;
+/** Whether a policy's index value pays out; `value` in the threshold's units */
+export function isTriggered(weatherType: EnumValue<WeatherType>, threshold: number, value: number, fn?: EnumValue<IndexFunction>): boolean;
+
+export interface Policy {
+    id: number;
+    holder: string;
+    /** wei */
+    premium: bigint;
+    /** Payout if triggered, in wei */
+    coverage: bigint;
+    /** Unix seconds */
+    startTime: number;
+    endTime: number;
+    weatherType: WeatherType;
+    metric: Metric;
+    unit: Unit;
+    /** In `unit`, or days for DaysAbove/DaysBelow */
+    threshold: number;
+    location: string;
+    status: PolicyStatus;
+    riskTier: RiskTier;
+    index: { fn: IndexFunction; windowDays: number; dayLevel: number };
+}
+
+/** Amounts in wei */
+export interface Pool {
+    totalLiquidity: bigint;
+    totalShares: bigint;
+    /** Locked as coverage of active policies */
+    reserved: bigint;
+    available: bigint;
+    protocolFees: bigint;
+}
+
+export interface LpPosition {
+    deposited: bigint;
+    shares: bigint;
+    /** Current value of the shares, in wei */
+    value: bigint;
+}
+
+export interface Proposal {
+    id: number;
+    param: string;
+    value: bigint;
+    proposer: string;
+    /** Share-weighted */
+    votesFor: bigint;
+    votesAgainst: bigint;
+    /** Unix seconds */
+    deadline: number;
+    status: ProposalStatus;
+}
+
+/** One location's metric on one UTC day; values in mm or °C */
+export interface Observation {
+    day: number;
+    value: number;
+    minValue: number;
+    maxValue: number;
+    sourceCount: number;
+    /** When the day's entry was last revised */
+    timestamp: number;
+}
+
+export interface WeatherData {
+    /** mm or °C, or days for a DaysAbove/DaysBelow index */
+    value: number;
+    timestamp: number;
+    valid: boolean;
+    sourceCount: number;
+}
+
+export interface Stats {
+    policies: number;
+    premiums: bigint;
+    payouts: bigint;
+    balance: bigint;
+}
+
+export interface Quote {
+    riskTier: RiskTier;
+    multiplier: number;
+    premium: bigint;
+    coverage: bigint;
+}
+
+export interface SignedReport {
+    report: object;
+    signature: string;
+}
+
+export function toPolicy(id: number | bigint, raw: any): Policy;
+export function toPool(raw: any): Pool;
+export function toProposal(id: number | bigint, raw: any): Proposal;
+export function toObservation(raw: any): Observation;
+export function toWeatherData(raw: any, fn?: EnumValue<IndexFunction>): WeatherData;
+
+export function revertReason(err: unknown): string | null;
+export function decodeRevert(err: unknown): WeatherShieldError;
+
+export interface WeatherShieldClient {
+    address: string;
+    contract: Contract;
+
+    /** null if there is no policy with that id */
+    policy(id: number | bigint): Promise<Policy | null>;
+    policiesOf(holder: string): Promise<Policy[]>;
+    pool(): Promise<Pool>;
+    lpPosition(lp: string): Promise<LpPosition>;
+    proposal(id: number | bigint): Promise<Proposal>;
+    proposals(): Promise<Proposal[]>;
+    stats(): Promise<Stats>;
+    /** USD per ETH */
+    ethUsdPrice(): Promise<number>;
+    observations(policyId: number | bigint, pageSize?: number): Promise<Observation[]>;
+    policyIndex(policyId: number | bigint): Promise<WeatherData>;
+    isClaimable(policyId: number | bigint): Promise<boolean>;
+    quote(terms: PolicyTerms & { premium: bigint }): Promise<Quote>;
+
+    purchase(terms: PolicyTerms & { location: string; premium: bigint }): Promise<TransactionResponse>;
+    policyIdFrom(receipt: TransactionReceipt): number;
+    cancel(policyId: number | bigint): Promise<TransactionResponse>;
+    /** `day` defaults to today (UTC) */
+    claim(policyId: number | bigint, day?: number): Promise<TransactionResponse>;
+    settle(policyId: number | bigint, signed: SignedReport[]): Promise<TransactionResponse>;
+    deposit(amount: bigint): Promise<TransactionResponse>;
+    withdraw(shares: bigint): Promise<TransactionResponse>;
+    propose(param: string, value: bigint | number | string): Promise<TransactionResponse>;
+    vote(proposalId: number | bigint, support: boolean): Promise<TransactionResponse>;
+    execute(proposalId: number | bigint): Promise<TransactionResponse>;
+
+    /** Resolves to an unsubscribe function */
+    on(event: string, listener: (args: Record<string, any>, log: Log) => void): Promise<() => Promise<void>>;
+    off(): Promise<void>;
+    connect(runner: ContractRunner): WeatherShieldClient;
+}
+
+export function createWeatherShield(address: string, runner: ContractRunner): WeatherShieldClient;
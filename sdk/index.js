@@ -0,0 +1,541 @@
+// WeatherShield SDK.
+// One client for the frontend, the CRE workflow and the scripts: the
+// contracts' ABIs, enums by name instead of by position, weather values in
+// real units (mm, °C) instead of the contract's tenths, quotes priced by the
+// contract itself, write helpers whose failures carry the revert reason, and
+// event subscriptions. Amounts stay wei as bigint; times are unix seconds.
+
+import { Contract, ZeroAddress } from 'ethers';
+import WeatherShield from './abi/WeatherShield.json' with { type: 'json' };
+import WeatherOracle from './abi/WeatherOracle.json' with { type: 'json' };
+
+// Copies of the compiled ABIs; `npm run config:check` compares them with the deployed ones
+export const WEATHER_SHIELD_ABI = WeatherShield.abi;
+export const WEATHER_ORACLE_ABI = WeatherOracle.abi;
+
+// IWeatherShield enums, in declaration order
+export const POLICY_STATUSES = Object.freeze(['Active', 'Claimed', 'Expired', 'Cancelled']);
+export const WEATHER_TYPES = Object.freeze(['Drought', 'Flood', 'Frost', 'Heat']);
+export const RISK_TIERS = Object.freeze(['Low', 'Medium', 'High', 'Critical']);
+export const INDEX_FUNCTIONS = Object.freeze(['Daily', 'RollingSum', 'RollingMax', 'RollingMin', 'DaysAbove', 'DaysBelow']);
+export const METRICS = Object.freeze(['Precipitation', 'TempMin', 'TempMax']);
+export const PROPOSAL_STATUSES = Object.freeze(['Pending', 'Approved', 'Rejected', 'Executed']);
+
+// WeatherShield.riskMultipliers: coverage = premium × multiplier, by risk tier
+export const RISK_MULTIPLIERS = Object.freeze([12, 10, 8, 6]);
+export const MAX_INDEX_WINDOW_DAYS = 90;
+// Parameters executeProposal applies; others pass the vote and change nothing
+export const GOVERNANCE_PARAMS = Object.freeze(['minPremium', 'policyDuration', 'protocolFeePercent']);
+
+// The contract stores weather values as integers in tenths of a mm or °C
+export const VALUE_SCALE = 10;
+const PRICE_DECIMALS = 8; // Chainlink ETH/USD
+const DAY = 24 * 60 * 60;
+
+// Settled series per weather type, as WeatherShield._metricOf
+const METRIC_OF = { Drought: 'Precipitation', Flood: 'Precipitation', Frost: 'TempMin', Heat: 'TempMax' };
+const UNITS = { Precipitation: 'mm', TempMin: '°C', TempMax: '°C' };
+
+// WeatherShield.getRiskTier bands in contract units, Low to High; below High is Critical.
+// Drought and Frost are riskier the higher the threshold, Flood and Heat the lower.
+const RISK_BANDS = {
+  Drought: { bands: [20, 50, 100], safer: (t, band) => t <= band },
+  Flood: { bands: [200, 100, 50], safer: (t, band) => t >= band },
+  Frost: { bands: [-100, -20, 20], safer: (t, band) => t <= band },
+  Heat: { bands: [450, 400, 350], safer: (t, band) => t >= band }
+};
+
+// Revert reasons a user can run into, reworded for display; other reasons are shown as they are
+export const REVERT_MESSAGES = Object.freeze({
+  'Insufficient pool liquidity': 'The pool cannot cover this policy right now; try a smaller premium',
+  'Premium too low': 'The premium is below the minimum',
+  'Need location': 'Choose a location',
+  'Bad window': `The index window must be 1-${MAX_INDEX_WINDOW_DAYS} days`,
+  'Conditions not met': 'Weather conditions not met yet',
+  'No observation': 'No observation recorded for that day yet',
+  'Window incomplete': 'The index window has not been observed in full yet',
+  'Day outside term': 'That day is outside the policy term',
+  'Not active': 'The policy or proposal is no longer active',
+  'Expired': 'The policy term has ended',
+  'Not your policy': 'Only the policy holder can do that',
+  'Too late to cancel': 'Policies can only be cancelled in the first half of their term',
+  'Not a liquidity provider': 'Only liquidity providers can do that',
+  'Exceeds your shares': 'That is more than your pool shares',
+  'Funds reserved for active policies': 'Those funds back active policies; withdraw less',
+  'Voting ended': 'Voting on this proposal has ended',
+  'Already voted': 'You already voted on this proposal',
+  'Voting not ended': 'Voting on this proposal is still open'
+});
+
+export class WeatherShieldError extends Error {
+  /**
+   * @param {string} message  for display
+   * @param {{ reason?: string | null, cause?: unknown }} [details]
+   *   reason is the contract's revert reason or custom error, null when the call didn't revert
+   */
+  constructor(message, { reason = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'WeatherShieldError';
+    this.reason = reason;
+  }
+}
+
+// ─── Enums and units ─────────────────────────────────────────────────
+
+/** Position of an enum value given by name or number */
+function enumIndex(names, value, what) {
+  const i = typeof value === 'string' ? names.indexOf(value) : Number(value);
+  if (!Number.isInteger(i) || i < 0 || i >= names.length) {
+    throw new TypeError(`${what} must be one of ${names.join(', ')}, got ${value}`);
+  }
+  return i;
+}
+
+/**
+ * Name of an enum value given by name or number
+ * @param {readonly string[]} names  one of the enum arrays above
+ * @param {string | number | bigint} value
+ */
+export function enumName(names, value) {
+  return names[enumIndex(names, value, 'value')];
+}
+
+/** Series a weather type settles on */
+export function metricOf(weatherType) {
+  return METRIC_OF[enumName(WEATHER_TYPES, weatherType)];
+}
+
+/** Unit of a weather type's values: "mm" or "°C" */
+export function unitOf(weatherType) {
+  return UNITS[metricOf(weatherType)];
+}
+
+/** Whether an index function's threshold is a number of days rather than a weather value */
+export function isDayCount(fn) {
+  const name = enumName(INDEX_FUNCTIONS, fn);
+  return name === 'DaysAbove' || name === 'DaysBelow';
+}
+
+/**
+ * Weather value in contract units (tenths), rounded
+ * @param {number | string} value  mm or °C
+ */
+export function toChainValue(value) {
+  const n = typeof value === 'string' && value.trim() === '' ? NaN : Number(value);
+  if (value === null || !Number.isFinite(n)) {
+    throw new TypeError(`weather value must be a number, got ${value}`);
+  }
+  return Math.round(n * VALUE_SCALE);
+}
+
+/**
+ * Weather value in mm or °C from contract units
+ * @param {number | bigint} raw
+ */
+export function fromChainValue(raw) {
+  return Number(raw) / VALUE_SCALE;
+}
+
+/** A policy threshold in contract units: day counts as they are, weather values in tenths */
+function chainThreshold(threshold, fn) {
+  if (!isDayCount(fn)) return toChainValue(threshold);
+  const days = Number(threshold);
+  if (!Number.isInteger(days) || days < 1) throw new TypeError(`a day-count threshold must be a whole number of days from 1, got ${threshold}`);
+  return days;
+}
+
+/** IndexSpec struct for an index given in real units; Daily when omitted */
+function toIndexSpec(index = {}) {
+  const fn = enumIndex(INDEX_FUNCTIONS, index.fn ?? 'Daily', 'index.fn');
+  return { fn, windowDays: index.windowDays ?? 1, dayLevel: toChainValue(index.dayLevel ?? 0) };
+}
+
+/** UTC day number (unix seconds / 86400), the day key of the observation ledger and claims */
+export function utcDay(ms = Date.now()) {
+  return Math.floor(ms / (DAY * 1000));
+}
+
+/**
+ * Risk tier the contract will assign, computed locally (as getIndexRiskTier)
+ * for previews that shouldn't wait on a call; quote() asks the contract
+ * @param {string | number} weatherType
+ * @param {number} threshold  mm or °C, or days for DaysAbove/DaysBelow
+ * @param {{ fn?: string | number, windowDays?: number, dayLevel?: number }} [index]
+ * @returns {string} one of RISK_TIERS
+ */
+export function riskTierOf(weatherType, threshold, index = {}) {
+  const { bands, safer } = RISK_BANDS[enumName(WEATHER_TYPES, weatherType)];
+  const spec = toIndexSpec(index);
+  let t = chainThreshold(threshold, spec.fn);
+  if (INDEX_FUNCTIONS[spec.fn] === 'RollingSum') t = Math.trunc(t / spec.windowDays);
+  if (isDayCount(spec.fn)) t = spec.dayLevel;
+  let tier = bands.findIndex(band => safer(t, band));
+  if (tier === -1) tier = RISK_TIERS.length - 1;
+  // Day counts: one tier safer per further quarter of the window they require
+  if (isDayCount(spec.fn)) tier = Math.max(0, tier - Math.trunc((threshold - 1) * 4 / spec.windowDays));
+  return RISK_TIERS[tier];
+}
+
+/**
+ * Whether an index value pays out, as WeatherShield._checkIndexTrigger: a day
+ * count at or above the threshold, Drought and Frost below it, Flood and Heat above it
+ * @param {string | number} weatherType
+ * @param {number} threshold  mm or °C, or days for DaysAbove/DaysBelow
+ * @param {number} value  the policy's index value, in the same units
+ * @param {string | number} [fn]  index function; Daily when omitted
+ */
+export function isTriggered(weatherType, threshold, value, fn = 'Daily') {
+  if (isDayCount(fn)) return value >= chainThreshold(threshold, fn);
+  const [t, v] = [toChainValue(threshold), toChainValue(value)];
+  const name = enumName(WEATHER_TYPES, weatherType);
+  return name === 'Drought' || name === 'Frost' ? v < t : v > t;
+}
+
+// ─── Locations ───────────────────────────────────────────────────────
+
+// ObservationLedger.requireCanonicalLocation: "<lat>,<lon>" in decimal degrees
+// with exactly LOCATION_DECIMALS fraction digits, e.g. "40.71,-74.01"
+export const LOCATION_DECIMALS = 2;
+const LOCATION_SCALE = 10 ** LOCATION_DECIMALS;
+
+function formatScaled(scaled) {
+  const abs = Math.abs(scaled);
+  return `${scaled < 0 ? '-' : ''}${Math.floor(abs / LOCATION_SCALE)}.${String(abs % LOCATION_SCALE).padStart(LOCATION_DECIMALS, '0')}`;
+}
+
+/**
+ * The location key policies and observations are stored under; throws if the
+ * coordinates aren't numbers or are out of range
+ * @param {number | string} lat  degrees, -90 to 90
+ * @param {number | string} lon  degrees, -180 to 180
+ */
+export function canonicalLocation(lat, lon) {
+  const [la, lo] = [lat, lon].map(v => (typeof v === 'string' && v.trim() === '' ? NaN : Number(v)));
+  if (lat === null || lon === null || !Number.isFinite(la) || !Number.isFinite(lo)) {
+    throw new TypeError(`latitude and longitude must be numbers, got ${lat},${lon}`);
+  }
+  if (la < -90 || la > 90) throw new RangeError(`latitude must be between -90 and 90, got ${lat}`);
+  if (lo < -180 || lo > 180) throw new RangeError(`longitude must be between -180 and 180, got ${lon}`);
+  // `|| 0` folds -0 into 0 so "-0.00" is never produced
+  const scaledLat = Math.round(la * LOCATION_SCALE) || 0;
+  let scaledLon = Math.round(lo * LOCATION_SCALE) || 0;
+  // The antimeridian has one key: 180.00 is written as -180.00
+  if (scaledLon === 180 * LOCATION_SCALE) scaledLon = -180 * LOCATION_SCALE;
+  return `${formatScaled(scaledLat)},${formatScaled(scaledLon)}`;
+}
+
+// ─── Data model ──────────────────────────────────────────────────────
+
+/**
+ * Policy from getPolicy, with names for enums and real units for weather values
+ * @param {number | bigint} id
+ * @param {object} raw  WeatherShield.Policy
+ * @returns {import('./index').Policy}
+ */
+export function toPolicy(id, raw) {
+  const fn = INDEX_FUNCTIONS[Number(raw.index.fn)];
+  const weatherType = WEATHER_TYPES[Number(raw.weatherType)];
+  return {
+    id: Number(id),
+    holder: raw.holder,
+    premium: raw.premium,
+    coverage: raw.coverageAmount,
+    startTime: Number(raw.startTime),
+    endTime: Number(raw.endTime),
+    weatherType,
+    metric: metricOf(weatherType),
+    unit: unitOf(weatherType),
+    threshold: isDayCount(fn) ? Number(raw.triggerThreshold) : fromChainValue(raw.triggerThreshold),
+    location: raw.location,
+    status: POLICY_STATUSES[Number(raw.status)],
+    riskTier: RISK_TIERS[Number(raw.riskTier)],
+    index: { fn, windowDays: Number(raw.index.windowDays), dayLevel: fromChainValue(raw.index.dayLevel) }
+  };
+}
+
+/** @returns {import('./index').Pool} */
+export function toPool([totalLiquidity, totalShares, reserved, available, protocolFees]) {
+  return { totalLiquidity, totalShares, reserved, available, protocolFees };
+}
+
+/** @returns {import('./index').Proposal} */
+export function toProposal(id, raw) {
+  return {
+    id: Number(id),
+    param: raw.paramName,
+    value: raw.newValue,
+    proposer: raw.proposer,
+    votesFor: raw.votesFor,
+    votesAgainst: raw.votesAgainst,
+    deadline: Number(raw.deadline),
+    status: PROPOSAL_STATUSES[Number(raw.status)]
+  };
+}
+
+/**
+ * Observation ledger entry (a location's metric on one UTC day)
+ * @returns {import('./index').Observation}
+ */
+export function toObservation(raw) {
+  return {
+    day: Number(raw.day),
+    value: fromChainValue(raw.value),
+    minValue: fromChainValue(raw.minValue),
+    maxValue: fromChainValue(raw.maxValue),
+    sourceCount: Number(raw.sourceCount),
+    timestamp: Number(raw.timestamp)
+  };
+}
+
+/**
+ * Latest weather or index value; `fn` gives the index it was computed for
+ * (day counts are not scaled)
+ * @returns {import('./index').WeatherData}
+ */
+export function toWeatherData(raw, fn = 'Daily') {
+  return {
+    value: isDayCount(fn) ? Number(raw.value) : fromChainValue(raw.value),
+    timestamp: Number(raw.timestamp),
+    valid: raw.isValid,
+    sourceCount: Number(raw.sourceCount)
+  };
+}
+
+// ─── Errors ──────────────────────────────────────────────────────────
+
+/**
+ * Revert reason of a failed call or transaction: the require() message, a
+ * custom error with its arguments (e.g. OwnableUnauthorizedAccount(0x…)), or
+ * the in-process Hardhat network's reason string; null when it didn't revert
+ * @param {any} err
+ */
+export function revertReason(err) {
+  const { revert } = err ?? {};
+  if (revert) return revert.name === 'Error' ? revert.args[0] : `${revert.name}(${revert.args.join(', ')})`;
+  return err?.reason ?? /reverted with reason string '(.*)'/.exec(err?.message)?.[1] ?? null;
+}
+
+/**
+ * The error to show for a failed call or transaction, worded for users
+ * @param {any} err  as thrown by ethers or the wallet
+ * @returns {WeatherShieldError}
+ */
+export function decodeRevert(err) {
+  if (err instanceof WeatherShieldError) return err;
+  if (err?.code === 'ACTION_REJECTED' || err?.code === 4001) {
+    return new WeatherShieldError('Transaction rejected in the wallet', { cause: err });
+  }
+  const reason = revertReason(err);
+  const message = reason === null ? (err?.shortMessage ?? err?.message ?? String(err)) : (REVERT_MESSAGES[reason] ?? reason);
+  return new WeatherShieldError(message, { reason, cause: err });
+}
+
+// ─── Client ──────────────────────────────────────────────────────────
+
+/** Event args by name; values as emitted */
+function namedArgs(fragment, args) {
+  return Object.fromEntries(fragment.inputs.map(({ name }, i) => [name, args[i]]));
+}
+
+/**
+ * Client for a WeatherShield deployment
+ * @param {string} address
+ * @param {import('ethers').ContractRunner} runner  a provider for reads, a signer to write too
+ * @returns {import('./index').WeatherShieldClient}
+ */
+export function createWeatherShield(address, runner) {
+  const contract = new Contract(address, WEATHER_SHIELD_ABI, runner);
+  const subscriptions = new Set();
+
+  async function send(method, args, value) {
+    try {
+      return await contract.getFunction(method).send(...args, ...(value === undefined ? [] : [{ value }]));
+    } catch (err) {
+      throw decodeRevert(err);
+    }
+  }
+
+  async function call(promise) {
+    try {
+      return await promise;
+    } catch (err) {
+      throw decodeRevert(err);
+    }
+  }
+
+  const client = {
+    address,
+    contract,
+
+    // ── Reads ──
+
+    /** A policy, or null if there is none with that id */
+    async policy(id) {
+      const raw = await call(contract.getPolicy(id));
+      return raw.holder === ZeroAddress ? null : toPolicy(id, raw);
+    },
+
+    async policiesOf(holder) {
+      const ids = await call(contract.getUserPolicies(holder));
+      return call(Promise.all(ids.map(async id => toPolicy(id, await contract.getPolicy(id)))));
+    },
+
+    async pool() {
+      return toPool(await call(contract.getPoolStats()));
+    },
+
+    /** Shares, amount deposited and current value (deposits plus earned premiums) of an LP */
+    async lpPosition(lp) {
+      const [{ deposited, shares }, value] = await call(Promise.all([contract.lpPositions(lp), contract.getLPValue(lp)]));
+      return { deposited, shares, value };
+    },
+
+    async proposal(id) {
+      return toProposal(id, await call(contract.getProposal(id)));
+    },
+
+    async proposals() {
+      const count = Number(await call(contract.proposalCounter()));
+      return call(Promise.all(Array.from({ length: count }, (_, id) => contract.getProposal(id).then(raw => toProposal(id, raw)))));
+    },
+
+    /** Totals since deployment, and the contract's balance */
+    async stats() {
+      const [policies, premiums, payouts, balance] = await call(Promise.all([
+        contract.policyCounter(),
+        contract.totalPremiumsCollected(),
+        contract.totalPayouts(),
+        contract.getContractBalance()
+      ]));
+      return { policies: Number(policies), premiums, payouts, balance };
+    },
+
+    /** ETH price in USD from the contract's price feed */
+    async ethUsdPrice() {
+      return Number(await call(contract.getEthUsdPrice())) / 10 ** PRICE_DECIMALS;
+    },
+
+    /** Ledger entries recorded during a policy's term, oldest first */
+    async observations(policyId, pageSize = 50) {
+      const history = [];
+      for (let offset = 0; ; offset += pageSize) {
+        const page = await call(contract.getPolicyObservations(policyId, offset, pageSize));
+        history.push(...page.map(toObservation));
+        if (page.length < pageSize) return history;
+      }
+    },
+
+    /** Latest value of a windowed policy's index, in its units */
+    async policyIndex(policyId) {
+      const [policy, raw] = await call(Promise.all([contract.getPolicy(policyId), contract.policyIndexData(policyId)]));
+      return toWeatherData(raw, Number(policy.index.fn));
+    },
+
+    async isClaimable(policyId) {
+      return call(contract.isPolicyClaimable(policyId));
+    },
+
+    /**
+     * Risk tier and coverage the contract gives a premium on these terms
+     * @param {import('./index').PolicyTerms & { premium: bigint }} terms
+     */
+    async quote({ weatherType, threshold, premium, index }) {
+      const type = enumIndex(WEATHER_TYPES, weatherType, 'weatherType');
+      const spec = toIndexSpec(index);
+      const t = chainThreshold(threshold, spec.fn);
+      const [tier, coverage] = await call(spec.fn === 0
+        ? Promise.all([contract.getRiskTier(type, t), contract.calculateCoverage(premium, type, t)])
+        : Promise.all([contract.getIndexRiskTier(type, t, spec), contract.calculateIndexCoverage(premium, type, t, spec)]));
+      return { riskTier: RISK_TIERS[Number(tier)], multiplier: RISK_MULTIPLIERS[Number(tier)], premium, coverage };
+    },
+
+    // ── Writes (need a signer); each resolves to the sent transaction ──
+
+    /**
+     * Buy a policy; a Daily one unless `index` says otherwise
+     * @param {import('./index').PolicyTerms & { location: string, premium: bigint }} terms
+     */
+    purchase({ weatherType, threshold, location, premium, index }) {
+      const type = enumIndex(WEATHER_TYPES, weatherType, 'weatherType');
+      const spec = toIndexSpec(index);
+      const t = chainThreshold(threshold, spec.fn);
+      return spec.fn === 0
+        ? send('purchasePolicy', [type, t, location], premium)
+        : send('purchaseIndexPolicy', [type, t, location, spec], premium);
+    },
+
+    /** Id of the policy a purchase transaction created */
+    policyIdFrom(receipt) {
+      for (const log of receipt.logs) {
+        const parsed = contract.interface.parseLog(log);
+        if (parsed?.name === 'PolicyCreated') return Number(parsed.args.policyId);
+      }
+      throw new WeatherShieldError(`transaction ${receipt.hash} created no policy`);
+    },
+
+    cancel(policyId) {
+      return send('cancelPolicy', [policyId]);
+    },
+
+    /** Settle against the ledger's observation (or the policy's index) for `day`, today by default */
+    claim(policyId, day = utcDay()) {
+      return send('processClaim', [policyId, day]);
+    },
+
+    /** Settle a Daily policy with reporter-signed reports, ordered by signer */
+    settle(policyId, signed) {
+      return send('settleWithReport', [policyId, signed.map(s => s.report), signed.map(s => s.signature)]);
+    },
+
+    deposit(amount) {
+      return send('depositLiquidity', [], amount);
+    },
+
+    withdraw(shares) {
+      return send('withdrawLiquidity', [shares]);
+    },
+
+    propose(param, value) {
+      return send('proposeParameterChange', [param, value]);
+    },
+
+    vote(proposalId, support) {
+      return send('voteOnProposal', [proposalId, support]);
+    },
+
+    execute(proposalId) {
+      return send('executeProposal', [proposalId]);
+    },
+
+    // ── Events ──
+
+    /**
+     * Call `listener(args, log)` for each `event` the contract emits; args by name, as emitted
+     * @returns {() => Promise<void>} unsubscribe
+     */
+    async on(event, listener) {
+      const handler = (...params) => {
+        const payload = params[params.length - 1];
+        listener(namedArgs(payload.fragment, payload.args), payload.log);
+      };
+      await contract.on(event, handler);
+      const unsubscribe = async () => {
+        subscriptions.delete(unsubscribe);
+        await contract.off(event, handler);
+      };
+      subscriptions.add(unsubscribe);
+      return unsubscribe;
+    },
+
+    /** Drop every subscription made through this client */
+    async off() {
+      await Promise.all([...subscriptions].map(unsubscribe => unsubscribe()));
+    },
+
+    /** Same client with another runner, e.g. a signer after a wallet connects */
+    connect(nextRunner) {
+      return createWeatherShield(address, nextRunner);
+    }
+  };
+  return client;
+}
@@ -6,6 +6,12 @@ describe("WeatherShield", function () {
   let mockPriceFeed;
   let owner, user1, user2, lp1, lp2;
 
+  // UTC day number of the latest block, as recorded in the observation ledger
+  async function today() {
+    const block = await ethers.provider.getBlock("latest");
+    return Math.floor(block.timestamp / (24 * 60 * 60));
+  }
+
   beforeEach(async function () {
     [owner, user1, user2, lp1, lp2] = await ethers.getSigners();
 
@@ -134,6 +140,73 @@ describe("WeatherShield", function () {
     });
   });
 
+  // ────── Location Keys ──────
+  describe("location keys", function () {
+    const buy = (location) => contract.connect(user1).purchasePolicy(0, 100, location, {
+      value: ethers.parseEther("0.01")
+    });
+
+    it("accepts canonical keys at the range limits", async function () {
+      for (const loc of ["0.00,0.00", "-90.00,-180.00", "90.00,179.99", "6.52,3.38"]) {
+        await expect(buy(loc)).to.emit(contract, "PolicyCreated");
+      }
+    });
+
+    it("rejects non-canonical spellings of a coordinate", async function () {
+      for (const loc of [
+        "40.7128,-74.0060", "40.71, -74.00", "+40.71,-74.00", "040.71,-74.00",
+        "-0.00,10.00", "40.71,-74", "40.7,-74.00", "40.71", "40.71,-74.00,", "1234.00,0.00"
+      ]) {
+        await expect(buy(loc), loc).to.be.revertedWith("Bad location");
+      }
+    });
+
+    it("rejects coordinates outside valid ranges", async function () {
+      for (const loc of ["90.01,0.00", "-90.01,0.00", "0.00,180.00", "0.00,-180.01"]) {
+        await expect(buy(loc), loc).to.be.revertedWith("Coordinates out of range");
+      }
+    });
+
+    it("observations use the same canonical keys", async function () {
+      await expect(contract.recordObservation("40.7128,-74.0060", 0, [10])).to.be.revertedWith("Bad location");
+    });
+  });
+
+  // ────── Active Policy Index ──────
+  describe("active policy index", function () {
+    beforeEach(async function () {
+      for (let i = 0; i < 3; i++) {
+        await contract.connect(user1).purchasePolicy(0, 100, "40.71,-74.00", {
+          value: ethers.parseEther("0.01")
+        });
+      }
+    });
+
+    it("tracks newly purchased policies", async function () {
+      expect(await contract.activePolicyCount()).to.equal(3);
+      const ids = await contract.getActivePolicyIds(0, 10);
+      expect(ids.map(Number)).to.deep.equal([0, 1, 2]);
+    });
+
+    it("drops claimed, cancelled and expired policies", async function () {
+      await contract.recordObservation("40.71,-74.00", 0, [50]);
+      await contract.processClaim(1, await today());
+      await contract.connect(user1).cancelPolicy(0);
+      expect((await contract.getActivePolicyIds(0, 10)).map(Number)).to.deep.equal([2]);
+
+      await ethers.provider.send("evm_increaseTime", [31 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      await contract.expirePolicy(2);
+      expect(await contract.activePolicyCount()).to.equal(0);
+    });
+
+    it("paginates with offset and limit", async function () {
+      expect((await contract.getActivePolicyIds(1, 1)).map(Number)).to.deep.equal([1]);
+      expect((await contract.getActivePolicyIds(2, 5)).map(Number)).to.deep.equal([2]);
+      expect(await contract.getActivePolicyIds(3, 5)).to.deep.equal([]);
+    });
+  });
+
   // ────── Multi-Source Weather ──────
   describe("multi-source weather", function () {
     it("owner can update single-source weather", async function () {
@@ -166,6 +239,16 @@ describe("WeatherShield", function () {
         contract.connect(user1).updateWeatherData("40.71,-74.00", 50)
       ).to.be.revertedWith("Not authorized");
     });
+
+    it("CRE can persist the monitoring cursor", async function () {
+      await expect(contract.setMonitorCursor(7))
+        .to.emit(contract, "MonitorCursorUpdated").withArgs(7);
+      expect(await contract.monitorCursor()).to.equal(7);
+
+      await expect(
+        contract.connect(user1).setMonitorCursor(0)
+      ).to.be.revertedWith("Not authorized");
+    });
   });
 
   // ────── Claims ──────
@@ -177,10 +260,10 @@ describe("WeatherShield", function () {
     });
 
     it("processes claim when conditions met", async function () {
-      await contract.updateWeatherData("40.71,-74.00", 50);
+      await contract.recordObservation("40.71,-74.00", 0, [50]);
 
       const balBefore = await ethers.provider.getBalance(user1.address);
-      await expect(contract.processClaim(0, 50)).to.emit(contract, "PolicyClaimed");
+      await expect(contract.processClaim(0, await today())).to.emit(contract, "PolicyClaimed");
       const balAfter = await ethers.provider.getBalance(user1.address);
 
       expect(balAfter - balBefore).to.be.greaterThan(0);
@@ -190,22 +273,579 @@ describe("WeatherShield", function () {
     });
 
     it("rejects if conditions not met", async function () {
-      await contract.updateWeatherData("40.71,-74.00", 150);
-      await expect(contract.processClaim(0, 150)).to.be.revertedWith("Conditions not met");
+      await contract.recordObservation("40.71,-74.00", 0, [150]);
+      await expect(contract.processClaim(0, await today())).to.be.revertedWith("Conditions not met");
     });
 
     it("rejects claim for expired policy", async function () {
       await ethers.provider.send("evm_increaseTime", [31 * 24 * 60 * 60]);
       await ethers.provider.send("evm_mine");
 
-      await contract.updateWeatherData("40.71,-74.00", 50);
-      await expect(contract.processClaim(0, 50)).to.be.revertedWith("Expired");
+      await contract.recordObservation("40.71,-74.00", 0, [50]);
+      await expect(contract.processClaim(0, await today())).to.be.revertedWith("Expired");
     });
 
     it("rejects double claim", async function () {
-      await contract.updateWeatherData("40.71,-74.00", 50);
-      await contract.processClaim(0, 50);
-      await expect(contract.processClaim(0, 50)).to.be.revertedWith("Not active");
+      await contract.recordObservation("40.71,-74.00", 0, [50]);
+      await contract.processClaim(0, await today());
+      await expect(contract.processClaim(0, await today())).to.be.revertedWith("Not active");
+    });
+  });
+
+  // ────── Batched Writes ──────
+  describe("batched writes", function () {
+    // Gas estimates the workflow packs batches with
+    const { batch } = require("../config/weathershield.json").defaults.workflow;
+    const locations = (n) => Array.from({ length: n }, (_, i) => `${10 + i}.00,-74.00`);
+
+    it("records several observations in one transaction", async function () {
+      await contract.updateWeatherDataBatch(["40.71,-74.00", "51.51,-0.13"], [0, 2], [[40, 50, 60], [250]]);
+
+      const ledger = await ethers.getContractAt("ObservationLedger", await contract.ledger());
+      expect((await ledger.getObservation("40.71,-74.00", 0, await today())).value).to.equal(50);
+      expect((await ledger.getObservation("51.51,-0.13", 2, await today())).value).to.equal(250);
+      expect((await contract.getWeatherData("51.51,-0.13")).sourceCount).to.equal(1);
+    });
+
+    it("rejects the whole batch on a bad entry", async function () {
+      await expect(contract.updateWeatherDataBatch(["40.71,-74.00"], [0, 1], [[10]]))
+        .to.be.revertedWith("Length mismatch");
+      await expect(contract.updateWeatherDataBatch(["40.71,-74.00", "40.7,-74.00"], [0, 0], [[10], [10]]))
+        .to.be.revertedWith("Bad location");
+      await expect(contract.connect(user1).updateWeatherDataBatch(["40.71,-74.00"], [0], [[10]]))
+        .to.be.revertedWith("Not authorized");
+    });
+
+    it("pays triggered policies and skips the rest", async function () {
+      for (const threshold of [100, 100, 20]) {
+        await contract.connect(user1).purchasePolicy(0, threshold, "40.71,-74.00", { value: ethers.parseEther("0.01") });
+      }
+      await contract.processClaims([], await today()); // nothing to do
+      await contract.recordObservation("40.71,-74.00", 0, [50]);
+      const day = await today();
+      const coverage = (await contract.getPolicy(0)).coverageAmount;
+
+      expect(await contract.processClaims.staticCall([0, 1, 2, 99], day)).to.equal(2);
+      await expect(contract.connect(user2).processClaims([0, 1, 2, 99], day))
+        .to.emit(contract, "PolicyClaimed").withArgs(0, user1.address, coverage, 50, day)
+        .and.to.emit(contract, "ClaimSkipped").withArgs(2, "Conditions not met")
+        .and.to.emit(contract, "ClaimSkipped").withArgs(99, "Policy doesn't exist");
+      expect((await contract.getPolicy(1)).status).to.equal(1); // Claimed
+      expect((await contract.getPolicy(2)).status).to.equal(0); // 50 mm is not below 20: still Active
+      expect(await contract.processClaims.staticCall([0, 1], day)).to.equal(0);
+    });
+
+    it("stays within the workflow's gas estimates", async function () {
+      const n = 10;
+      const keys = locations(n);
+      const observed = await (await contract.updateWeatherDataBatch(keys, keys.map(() => 0), keys.map(() => [10, 20, 30]))).wait();
+      expect(observed.gasUsed).to.be.at.most(batch.baseGas + n * batch.observationGas);
+
+      const ids = [];
+      for (let i = 0; i < n; i++) {
+        await contract.connect(user1).purchasePolicy(0, 100, "40.71,-74.00", { value: ethers.parseEther("0.01") });
+        ids.push(i);
+      }
+      await contract.recordObservation("40.71,-74.00", 0, [50]);
+      const day = await today();
+      for (const count of [1, 2, n]) {
+        expect(await contract.processClaims.staticCall(ids.slice(0, count), day, { gasLimit: batch.baseGas + count * batch.claimGas }))
+          .to.equal(count);
+      }
+      const paid = await (await contract.processClaims(ids, day)).wait();
+      expect(paid.gasUsed).to.be.at.most(batch.baseGas + n * batch.claimGas);
+    });
+
+    it("reverts the batch when a claim runs out of gas instead of skipping it", async function () {
+      await contract.connect(user1).purchasePolicy(0, 100, "40.71,-74.00", { value: ethers.parseEther("0.01") });
+      await contract.recordObservation("40.71,-74.00", 0, [50]);
+      const day = await today();
+
+      await expect(contract.processClaims([0], day, { gasLimit: batch.baseGas + batch.claimGas / 4 }))
+        .to.be.revertedWith("Out of gas");
+      expect((await contract.getPolicy(0)).status).to.equal(0); // still Active, for the retry
+      await expect(contract.processClaims([0], day)).to.emit(contract, "PolicyClaimed");
+    });
+  });
+
+  // ────── Expiry ──────
+  describe("expiry", function () {
+    beforeEach(async function () {
+      await contract.connect(user1).purchasePolicy(0, 100, "40.71,-74.00", { value: ethers.parseEther("0.01") });
+      await contract.connect(user1).purchasePolicy(1, 100, "40.71,-74.00", { value: ethers.parseEther("0.01") });
+    });
+
+    it("rejects expiring a policy before endTime", async function () {
+      await expect(contract.expirePolicy(0)).to.be.revertedWith("Not expired yet");
+    });
+
+    it("batch-expires ended policies and releases reserves", async function () {
+      const reserved = await contract.reservedFunds();
+      await ethers.provider.send("evm_increaseTime", [31 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+
+      await expect(contract.connect(user2).expirePolicies([0, 1]))
+        .to.emit(contract, "ExpirySweep").withArgs(2, reserved);
+
+      expect(await contract.reservedFunds()).to.equal(0);
+      expect((await contract.getPolicy(1)).status).to.equal(2); // Expired
+    });
+
+    it("skips ineligible ids instead of reverting", async function () {
+      await contract.recordObservation("40.71,-74.00", 0, [50]);
+      await contract.processClaim(0, await today());
+      await ethers.provider.send("evm_increaseTime", [31 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+
+      const coverage = (await contract.getPolicy(1)).coverageAmount;
+      await expect(contract.expirePolicies([0, 1, 1, 99]))
+        .to.emit(contract, "ExpirySweep").withArgs(1, coverage);
+    });
+  });
+
+  // ────── Windowed Indices ──────
+  describe("windowed indices", function () {
+    const DAY = 24 * 60 * 60;
+    // IndexFunction: 0=Daily, 1=RollingSum, 2=RollingMax, 3=RollingMin, 4=DaysAbove, 5=DaysBelow
+    const rollingSum = (windowDays) => ({ fn: 1, windowDays, dayLevel: 0 });
+
+    it("stores the index spec on the policy", async function () {
+      await contract.connect(user1).purchaseIndexPolicy(0, 300, "40.71,-74.00", rollingSum(30), {
+        value: ethers.parseEther("0.01")
+      });
+      const policy = await contract.getPolicy(0);
+      expect(policy.index.fn).to.equal(1);
+      expect(policy.index.windowDays).to.equal(30);
+    });
+
+    it("plain purchases default to a daily index", async function () {
+      await contract.connect(user1).purchasePolicy(0, 100, "40.71,-74.00", { value: ethers.parseEther("0.01") });
+      const policy = await contract.getPolicy(0);
+      expect(policy.index.fn).to.equal(0);
+      expect(policy.index.windowDays).to.equal(1);
+    });
+
+    it("rejects out-of-range windows", async function () {
+      await expect(
+        contract.connect(user1).purchaseIndexPolicy(0, 300, "40.71,-74.00", rollingSum(0), { value: ethers.parseEther("0.01") })
+      ).to.be.revertedWith("Bad window");
+      await expect(
+        contract.connect(user1).purchaseIndexPolicy(0, 300, "40.71,-74.00", { fn: 0, windowDays: 7, dayLevel: 0 }, { value: ethers.parseEther("0.01") })
+      ).to.be.revertedWith("Daily index has 1-day window");
+    });
+
+    it("prices rolling sums on their daily average", async function () {
+      // 30-day drought sum below 30mm ≈ 1mm/day → Low risk
+      expect(await contract.getIndexRiskTier(0, 300, rollingSum(30))).to.equal(0);
+      expect(await contract.getRiskTier(0, 300)).to.equal(3);
+    });
+
+    it("drought rolling sum waits for a full window", async function () {
+      await contract.connect(user1).purchaseIndexPolicy(0, 300, "40.71,-74.00", rollingSum(7), {
+        value: ethers.parseEther("0.01")
+      });
+      await contract.updatePolicyIndex(0, 20, 3);
+      expect(await contract.isPolicyClaimable(0)).to.be.false;
+      await expect(contract.processClaim(0, await today())).to.be.revertedWith("Window incomplete");
+
+      await ethers.provider.send("evm_increaseTime", [7 * DAY]);
+      await ethers.provider.send("evm_mine");
+      expect(await contract.isPolicyClaimable(0)).to.be.true;
+      // Claims need the index written on the day they reference
+      await expect(contract.processClaim(0, await today())).to.be.revertedWith("No observation");
+      await contract.updatePolicyIndex(0, 20, 3);
+      await expect(contract.processClaim(0, await today())).to.emit(contract, "PolicyClaimed");
+    });
+
+    it("flood rolling sum can trigger on a partial window", async function () {
+      await contract.connect(user1).purchaseIndexPolicy(1, 800, "40.71,-74.00", rollingSum(3), {
+        value: ethers.parseEther("0.01")
+      });
+      await contract.updatePolicyIndex(0, 950, 2);
+      expect(await contract.isPolicyClaimable(0)).to.be.true;
+    });
+
+    it("day-count indices trigger once enough days qualify", async function () {
+      // Heat: at least 5 days above 35°C within 14 days
+      await contract.connect(user1).purchaseIndexPolicy(3, 5, "40.71,-74.00", { fn: 4, windowDays: 14, dayLevel: 350 }, {
+        value: ethers.parseEther("0.01")
+      });
+      await contract.updatePolicyIndex(0, 4, 3);
+      await expect(contract.processClaim(0, await today())).to.be.revertedWith("Conditions not met");
+      await contract.updatePolicyIndex(0, 5, 3);
+      await expect(contract.processClaim(0, await today())).to.emit(contract, "PolicyClaimed");
+    });
+
+    it("rejects day counts of zero or longer than the window", async function () {
+      const heatDays = { fn: 4, windowDays: 14, dayLevel: 350 };
+      for (const count of [0, 15]) {
+        await expect(
+          contract.connect(user1).purchaseIndexPolicy(3, count, "40.71,-74.00", heatDays, { value: ethers.parseEther("0.01") })
+        ).to.be.revertedWith("Day count outside window");
+      }
+      await contract.connect(user1).purchaseIndexPolicy(3, 14, "40.71,-74.00", heatDays, { value: ethers.parseEther("0.01") });
+      expect((await contract.getPolicy(0)).triggerThreshold).to.equal(14);
+    });
+
+    it("prices day counts on the share of the window they require", async function () {
+      // 35°C is High risk for a single day; each further quarter of the window is a tier safer
+      const heatDays = { fn: 4, windowDays: 30, dayLevel: 350 };
+      expect(await contract.getIndexRiskTier(3, 1, heatDays)).to.equal(2);
+      expect(await contract.getIndexRiskTier(3, 9, heatDays)).to.equal(1);
+      expect(await contract.getIndexRiskTier(3, 16, heatDays)).to.equal(0);
+      expect(await contract.getIndexRiskTier(3, 30, heatDays)).to.equal(0);
+      const premium = ethers.parseEther("0.01");
+      expect(await contract.calculateIndexCoverage(premium, 3, 30, heatDays))
+        .to.be.above(await contract.calculateIndexCoverage(premium, 3, 1, heatDays));
+    });
+
+    it("daily policies cannot receive an index update", async function () {
+      await contract.connect(user1).purchasePolicy(0, 100, "40.71,-74.00", { value: ethers.parseEther("0.01") });
+      await expect(contract.updatePolicyIndex(0, 10, 3)).to.be.revertedWith("Daily policy");
+    });
+  });
+
+  // ────── Observation Ledger ──────
+  describe("observation ledger", function () {
+    const DAY = 24 * 60 * 60;
+    const LOC = "40.71,-74.00";
+    // Metric: 0=Precipitation, 1=TempMin, 2=TempMax
+
+    it("records median and spread, one entry per day", async function () {
+      const ledger = await ethers.getContractAt("ObservationLedger", await contract.ledger());
+      await contract.recordObservation(LOC, 0, [60, 45, 50]);
+      const obs = await ledger.getObservation(LOC, 0, await today());
+      expect(obs.value).to.equal(50);
+      expect(obs.minValue).to.equal(45);
+      expect(obs.maxValue).to.equal(60);
+      expect(obs.sourceCount).to.equal(3);
+      expect((await contract.getWeatherData(LOC)).value).to.equal(50);
+    });
+
+    it("revises the current day and appends new days", async function () {
+      const ledger = await ethers.getContractAt("ObservationLedger", await contract.ledger());
+      await contract.recordObservation(LOC, 0, [10]);
+      await contract.recordObservation(LOC, 0, [30, 20]);
+      expect(await ledger.observationCount(LOC, 0)).to.equal(1);
+
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await ethers.provider.send("evm_mine");
+      await expect(contract.recordObservation(LOC, 0, [70]))
+        .to.emit(ledger, "ObservationRecorded").withArgs(LOC, 0, await today(), 70, 1, 70, 70);
+
+      const page = await ledger.getObservations(LOC, 0, 0, 10);
+      expect(page.map(o => Number(o.value))).to.deep.equal([25, 70]);
+      expect(Number(page[1].day)).to.equal(Number(page[0].day) + 1);
+      expect(await ledger.getObservations(LOC, 0, 1, 10)).to.have.length(1);
+      expect(await ledger.observationCount(LOC, 1)).to.equal(0);
+    });
+
+    it("only the CRE can record and only WeatherShield can write the ledger", async function () {
+      await expect(contract.connect(user1).recordObservation(LOC, 0, [10])).to.be.revertedWith("Not authorized");
+      await expect(contract.recordObservation(LOC, 0, [])).to.be.revertedWith("Bad source count");
+
+      const ledger = await ethers.getContractAt("ObservationLedger", await contract.ledger());
+      await expect(ledger.record(LOC, 0, [10])).to.be.revertedWith("Not authorized");
+    });
+
+    it("claims settle on the referenced observation day", async function () {
+      await contract.connect(user1).purchasePolicy(0, 100, LOC, { value: ethers.parseEther("0.1") });
+      const coverage = (await contract.getPolicy(0)).coverageAmount;
+      await expect(contract.processClaim(0, await today())).to.be.revertedWith("No observation");
+
+      await contract.recordObservation(LOC, 0, [40, 60, 50]);
+      const day = await today();
+      await expect(contract.processClaim(0, day))
+        .to.emit(contract, "PolicyClaimed").withArgs(0, user1.address, coverage, 50, day);
+    });
+
+    it("settles on the policy's own metric", async function () {
+      // Frost below 0°C
+      await contract.connect(user1).purchasePolicy(2, 0, LOC, { value: ethers.parseEther("0.01") });
+      await contract.recordObservation(LOC, 0, [0]);
+      expect(await contract.isPolicyClaimable(0)).to.be.false;
+
+      await contract.recordObservation(LOC, 1, [-30]);
+      expect(await contract.isPolicyClaimable(0)).to.be.true;
+    });
+
+    it("ignores observations recorded before the policy started", async function () {
+      await contract.recordObservation(LOC, 0, [10]);
+      await contract.connect(user1).purchasePolicy(0, 100, LOC, { value: ethers.parseEther("0.01") });
+      expect(await contract.isPolicyClaimable(0)).to.be.false;
+      await expect(contract.processClaim(0, await today())).to.be.revertedWith("Day outside term");
+    });
+
+    it("replays a policy's history within its term", async function () {
+      await contract.recordObservation(LOC, 0, [5]);
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await contract.connect(user1).purchasePolicy(0, 0, LOC, { value: ethers.parseEther("0.01") });
+      for (const v of [110, 120, 130]) {
+        await contract.recordObservation(LOC, 0, [v]);
+        await ethers.provider.send("evm_increaseTime", [DAY]);
+      }
+      await ethers.provider.send("evm_increaseTime", [30 * DAY]);
+      await contract.recordObservation(LOC, 0, [140]);
+
+      const history = await contract.getPolicyObservations(0, 0, 10);
+      expect(history.map(o => Number(o.value))).to.deep.equal([110, 120, 130]);
+      expect((await contract.getPolicyObservations(0, 2, 10)).map(o => Number(o.value))).to.deep.equal([130]);
+    });
+  });
+
+  // ────── Signed Reports ──────
+  describe("signed reports", function () {
+    const LOC = "40.71,-74.00";
+    const REPORT_TYPES = {
+      WeatherReport: [
+        { name: "location", type: "string" },
+        { name: "metric", type: "uint8" },
+        { name: "day", type: "uint32" },
+        { name: "value", type: "int256" },
+        { name: "sourceCount", type: "uint8" }
+      ]
+    };
+    let oracle, reporter, purchaseDay;
+
+    // First day a report can settle the policy on: the day after purchase, once it has ended
+    async function settleableDay() {
+      await ethers.provider.send("evm_increaseTime", [2 * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      return purchaseDay + 1;
+    }
+
+    async function sign(signer, report) {
+      const domain = {
+        name: "WeatherShield",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await contract.getAddress()
+      };
+      return signer.signTypedData(domain, REPORT_TYPES, report);
+    }
+
+    beforeEach(async function () {
+      reporter = lp2;
+      oracle = await ethers.getContractAt("WeatherOracle", await contract.oracle());
+      await oracle.setReporter(reporter.address, true);
+      await contract.connect(user1).purchasePolicy(0, 100, LOC, { value: ethers.parseEther("0.1") });
+      purchaseDay = await today();
+    });
+
+    it("anyone can settle with a report from an authorized reporter", async function () {
+      const report = { location: LOC, metric: 0, day: await settleableDay(), value: 40, sourceCount: 3 };
+      const signature = await sign(reporter, report);
+
+      await expect(contract.connect(user2).settleWithReport(0, [report], [signature]))
+        .to.emit(contract, "PolicyClaimed")
+        .and.to.emit(contract, "ReportSettled").withArgs(0, report.day, 40, [reporter.address]);
+      expect((await contract.getPolicy(0)).status).to.equal(1);
+    });
+
+    it("digest matches the EIP-712 typed data hash", async function () {
+      const report = { location: LOC, metric: 0, day: await today(), value: 40, sourceCount: 3 };
+      const domain = {
+        name: "WeatherShield",
+        version: "1",
+        chainId: (await ethers.provider.getNetwork()).chainId,
+        verifyingContract: await contract.getAddress()
+      };
+      expect(await oracle.hashReport(report)).to.equal(ethers.TypedDataEncoder.hash(domain, REPORT_TYPES, report));
+    });
+
+    it("rejects unknown or tampered signatures", async function () {
+      const report = { location: LOC, metric: 0, day: await settleableDay(), value: 40, sourceCount: 3 };
+      await expect(contract.settleWithReport(0, [report], [await sign(user2, report)]))
+        .to.be.revertedWith("Unknown reporter");
+
+      const signature = await sign(reporter, { ...report, value: 400 });
+      await expect(contract.settleWithReport(0, [report], [signature])).to.be.revertedWith("Unknown reporter");
+
+      await oracle.setReporter(reporter.address, false);
+      await expect(contract.settleWithReport(0, [report], [await sign(reporter, report)]))
+        .to.be.revertedWith("Unknown reporter");
+    });
+
+    it("rejects reports that do not cover the policy", async function () {
+      const day = await settleableDay();
+      const base = { location: LOC, metric: 0, day, value: 40, sourceCount: 3 };
+      for (const [report, reason] of [
+        [{ ...base, location: "40.71,-74.01" }, "Report mismatch"],
+        [{ ...base, metric: 1 }, "Report mismatch"],
+        [{ ...base, day: day - 2 }, "Day outside term"],
+        [{ ...base, day: day + 1 }, "Day outside term"],
+        [{ ...base, value: 150 }, "Conditions not met"]
+      ]) {
+        await expect(contract.settleWithReport(0, [report], [await sign(reporter, report)]), reason)
+          .to.be.revertedWith(reason);
+      }
+    });
+
+    it("settles on a day after the purchase day, once that day has ended", async function () {
+      const DAY = 24 * 60 * 60;
+      const report = (day) => ({ location: LOC, metric: 0, day, value: 40, sourceCount: 3 });
+      const settle = async (day) => contract.settleWithReport(0, [report(day)], [await sign(reporter, report(day))]);
+
+      // A report for the purchase day may have been signed before the policy was bought
+      await expect(settle(purchaseDay)).to.be.revertedWith("Day outside term");
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await ethers.provider.send("evm_mine");
+      await expect(settle(purchaseDay)).to.be.revertedWith("Day outside term");
+      // The day after purchase is still under way
+      await expect(settle(purchaseDay + 1)).to.be.revertedWith("Day outside term");
+
+      await ethers.provider.send("evm_increaseTime", [DAY]);
+      await ethers.provider.send("evm_mine");
+      await expect(settle(purchaseDay + 1)).to.emit(contract, "ReportSettled");
+    });
+
+    it("windowed policies cannot settle on a daily report", async function () {
+      await contract.connect(user1).purchaseIndexPolicy(0, 300, LOC, { fn: 1, windowDays: 7, dayLevel: 0 }, {
+        value: ethers.parseEther("0.01")
+      });
+      const report = { location: LOC, metric: 0, day: await today(), value: 0, sourceCount: 3 };
+      await expect(contract.settleWithReport(1, [report], [await sign(reporter, report)]))
+        .to.be.revertedWith("Daily policies only");
+    });
+
+    it("only the WeatherShield owner manages reporters", async function () {
+      await expect(oracle.connect(user1).setReporter(user1.address, true)).to.be.revertedWith("Not authorized");
+      await expect(oracle.setReporter(user1.address, true))
+        .to.emit(oracle, "ReporterUpdated").withArgs(user1.address, true);
+    });
+
+    it("processClaim on recorded data is permissionless", async function () {
+      await contract.recordObservation(LOC, 0, [40]);
+      await expect(contract.connect(user2).processClaim(0, await today())).to.emit(contract, "PolicyClaimed");
+    });
+
+    it("needs reports from a quorum of distinct reporters and settles on their median", async function () {
+      const others = (await ethers.getSigners()).slice(5, 7);
+      for (const r of others) await oracle.setReporter(r.address, true);
+      await oracle.setThreshold(2);
+
+      const day = await settleableDay();
+      const signed = [];
+      for (const [signer, value] of [[reporter, 40], [others[0], 60], [others[1], 200]]) {
+        const report = { location: LOC, metric: 0, day, value, sourceCount: 3 };
+        signed.push({ signer: signer.address, report, signature: await sign(signer, report) });
+      }
+      signed.sort((a, b) => (BigInt(a.signer) < BigInt(b.signer) ? -1 : 1));
+      const reports = signed.map(s => s.report);
+      const signatures = signed.map(s => s.signature);
+
+      await expect(contract.settleWithReport(0, reports.slice(0, 1), signatures.slice(0, 1)))
+        .to.be.revertedWith("Quorum not met");
+      await expect(contract.settleWithReport(0, [reports[0], reports[0]], [signatures[0], signatures[0]]))
+        .to.be.revertedWith("Signers not ascending");
+      await expect(contract.settleWithReport(0, [reports[1], reports[0]], [signatures[1], signatures[0]]))
+        .to.be.revertedWith("Signers not ascending");
+
+      await expect(contract.settleWithReport(0, reports, signatures))
+        .to.emit(contract, "ReportSettled").withArgs(0, day, 60, signed.map(s => s.signer));
+    });
+  });
+
+  // ────── Reporter Quorum ──────
+  describe("reporter quorum", function () {
+    const LOC = "40.71,-74.00";
+    let oracle, ledger, reporters;
+
+    beforeEach(async function () {
+      reporters = (await ethers.getSigners()).slice(5, 8);
+      oracle = await ethers.getContractAt("WeatherOracle", await contract.oracle());
+      ledger = await ethers.getContractAt("ObservationLedger", await contract.ledger());
+      for (const r of reporters) await oracle.setReporter(r.address, true);
+      await oracle.setThreshold(2);
+    });
+
+    it("keeps the threshold within the reporter set", async function () {
+      expect(await oracle.getReporters()).to.deep.equal(reporters.map(r => r.address));
+      await expect(oracle.setThreshold(4)).to.be.revertedWith("Threshold above reporters");
+      await expect(oracle.connect(user1).setThreshold(1)).to.be.revertedWith("Not authorized");
+
+      await oracle.setReporter(reporters[0].address, false);
+      await expect(oracle.setReporter(reporters[1].address, false)).to.be.revertedWith("Below threshold");
+      expect(await oracle.getReporters()).to.have.length(2);
+    });
+
+    it("records the median once M reporters have submitted", async function () {
+      const day = await today();
+      await expect(oracle.connect(reporters[0]).submitObservation(LOC, 0, day, 40, 3))
+        .to.emit(oracle, "ObservationSubmitted").withArgs(reporters[0].address, LOC, 0, day, 40, 3)
+        .and.not.to.emit(ledger, "ObservationRecorded");
+      expect(await ledger.observationCount(LOC, 0)).to.equal(0);
+
+      await expect(oracle.connect(reporters[1]).submitObservation(LOC, 0, day, 60, 2))
+        .to.emit(oracle, "QuorumReached")
+        .and.to.emit(ledger, "ObservationRecorded").withArgs(LOC, 0, day, 50, 2, 40, 60);
+
+      // Later submissions revise the day with every current value
+      await oracle.connect(reporters[2]).submitObservation(LOC, 0, day, 90, 3);
+      const obs = await ledger.getObservation(LOC, 0, day);
+      expect(obs.value).to.equal(60);
+      expect(obs.sourceCount).to.equal(3);
+
+      const [who, values] = await oracle.getObservationRound(LOC, 0, day);
+      expect(who).to.deep.equal(reporters.map(r => r.address));
+      expect(values).to.deep.equal([40n, 60n, 90n]);
+    });
+
+    it("a reporter's resubmission replaces its value", async function () {
+      const day = await today();
+      await oracle.connect(reporters[0]).submitObservation(LOC, 0, day, 40, 3);
+      await oracle.connect(reporters[0]).submitObservation(LOC, 0, day, 80, 3);
+      expect(await ledger.observationCount(LOC, 0)).to.equal(0);
+      const [, values] = await oracle.getObservationRound(LOC, 0, day);
+      expect(values).to.deep.equal([80n]);
+    });
+
+    it("revoked reporters drop out of open rounds", async function () {
+      const day = await today();
+      await oracle.connect(reporters[0]).submitObservation(LOC, 0, day, 40, 3);
+      await oracle.setReporter(reporters[0].address, false);
+      await oracle.connect(reporters[1]).submitObservation(LOC, 0, day, 60, 3);
+      expect(await ledger.observationCount(LOC, 0)).to.equal(0);
+    });
+
+    it("rejects direct CRE writes and bad submissions while the quorum is on", async function () {
+      const day = await today();
+      await expect(contract.recordObservation(LOC, 0, [40])).to.be.revertedWith("Quorum required");
+      await expect(contract.updateWeatherData(LOC, 40)).to.be.revertedWith("Quorum required");
+      await expect(oracle.connect(user1).submitObservation(LOC, 0, day, 40, 3)).to.be.revertedWith("Not a reporter");
+      await expect(oracle.connect(reporters[0]).submitObservation(LOC, 0, day - 1, 40, 3))
+        .to.be.revertedWith("Not current period");
+      // Location keys are checked by WeatherShield when the quorum's observation is recorded
+      await oracle.connect(reporters[0]).submitObservation("NYC", 0, day, 40, 3);
+      await expect(oracle.connect(reporters[1]).submitObservation("NYC", 0, day, 40, 3))
+        .to.be.revertedWith("Bad location");
+
+      await oracle.setThreshold(0);
+      await expect(oracle.connect(reporters[0]).submitObservation(LOC, 0, day, 40, 3))
+        .to.be.revertedWith("Quorum disabled");
+      await contract.recordObservation(LOC, 0, [40]);
+    });
+
+    it("a quorum observation settles claims", async function () {
+      await contract.connect(user1).purchasePolicy(0, 100, LOC, { value: ethers.parseEther("0.1") });
+      const day = await today();
+      await oracle.connect(reporters[0]).submitObservation(LOC, 0, day, 40, 3);
+      await oracle.connect(reporters[1]).submitObservation(LOC, 0, day, 70, 3);
+      expect(await contract.isPolicyClaimable(0)).to.be.true;
+      await expect(contract.connect(user2).processClaim(0, day)).to.emit(contract, "PolicyClaimed");
+    });
+
+    it("writes a policy's index from the reporters' median", async function () {
+      await contract.connect(user1).purchaseIndexPolicy(0, 300, LOC, { fn: 1, windowDays: 7, dayLevel: 0 }, {
+        value: ethers.parseEther("0.01")
+      });
+      const day = await today();
+      await oracle.connect(reporters[0]).submitIndex(0, day, 120, 3);
+      await expect(oracle.connect(reporters[1]).submitIndex(0, day, 100, 3))
+        .to.emit(contract, "PolicyIndexUpdated");
+      const data = await contract.policyIndexData(0);
+      expect(data.value).to.equal(110);
+      expect(data.sourceCount).to.equal(2);
     });
   });
 
@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { execFile } = require("node:child_process");
+const path = require("node:path");
+const { promisify } = require("node:util");
+const { deployLocal } = require("./harness/workflow.cjs");
+
+const { ethers, network } = hre;
+
+// scripts/admin.js against the in-process network, served over JSON-RPC the
+// way `hardhat node` would serve it. The CLI runs as a child process, so it
+// is awaited (never execFileSync) to keep this process answering its calls.
+describe("admin CLI", function () {
+  const root = path.join(__dirname, "..");
+  const NYC = "40.71,-74.01";
+  // Second Hardhat test account: not the owner
+  const NOT_OWNER_KEY = "0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d";
+
+  let server, rpcUrl;
+  let contract, holder;
+
+  before(async function () {
+    server = await hre.run("node:create-server", { hostname: "127.0.0.1", port: 0, provider: network.provider });
+    const { port } = await server.listen();
+    rpcUrl = `http://127.0.0.1:${port}`;
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  beforeEach(async function () {
+    let users;
+    ({ contract, users } = await deployLocal());
+    [holder] = users;
+  });
+
+  async function admin(args, env = {}) {
+    const { stdout } = await promisify(execFile)(
+      process.execPath,
+      ["scripts/admin.js", ...args, "--env", "local", "--rpc", rpcUrl, "--json"],
+      { cwd: root, env: { ...process.env, PRIVATE_KEY: "", ...env } }
+    );
+    return JSON.parse(stdout);
+  }
+
+  function adminError(args, env) {
+    return admin(args, env).then(
+      () => { throw new Error("expected admin.js to fail"); },
+      err => err.stderr.trim()
+    );
+  }
+
+  async function buy(threshold = 100) {
+    await contract.connect(holder).purchasePolicy(1, threshold, NYC, { value: ethers.parseEther("0.01") });
+  }
+
+  async function elapse(days) {
+    await ethers.provider.send("evm_increaseTime", [days * 24 * 60 * 60]);
+    await ethers.provider.send("evm_mine");
+  }
+
+  it("reports reserved vs available liquidity, fees and surplus", async function () {
+    await buy();
+    await contract.depositFunds({ value: ethers.parseEther("1") });
+    const coverage = (await contract.getPolicy(0)).coverageAmount;
+
+    const pool = await admin(["pool"]);
+    expect(pool.reservedFunds).to.equal(coverage.toString());
+    expect(BigInt(pool.availableLiquidity)).to.equal(BigInt(pool.totalLiquidity) - coverage);
+    expect(pool.protocolFees).to.equal(ethers.parseEther("0.002").toString()); // 20% of the premium
+    // Only what depositFunds added is owed to no one
+    expect(pool.surplus).to.equal(ethers.parseEther("1").toString());
+  });
+
+  it("lists policies by status and the ended ones awaiting expiry", async function () {
+    await buy();
+    await buy();
+    await elapse(31);
+    await buy();
+
+    const all = await admin(["policies"]);
+    expect(all.total).to.equal(3);
+    expect(all.byStatus).to.deep.equal({ Active: 3, Claimed: 0, Expired: 0, Cancelled: 0 });
+    expect((await admin(["policies", "--status", "expired"])).policies).to.be.empty;
+
+    const expired = await admin(["expired"]);
+    expect(expired.policies.map(p => p.id)).to.deep.equal([0, 1]);
+    expect(expired.policies[0]).to.include({ status: "Active", awaitingExpiry: true, location: NYC, weatherType: "Flood", threshold: 10, unit: "mm" });
+  });
+
+  it("simulates a write with --dry-run and sends nothing", async function () {
+    const block = await ethers.provider.getBlockNumber();
+    const result = await admin(["set-min-premium", "0.005", "--dry-run"]);
+
+    expect(result).to.include({ method: "setMinPremium", dryRun: true, sent: false });
+    expect(result.summary).to.equal("minPremium 0.001 → 0.005 ETH");
+    expect(Number(result.gasEstimate)).to.be.above(21000);
+    expect(await contract.minPremium()).to.equal(ethers.parseEther("0.001"));
+    expect(await ethers.provider.getBlockNumber()).to.equal(block);
+  });
+
+  it("sends owner writes with --yes", async function () {
+    const [, forwarder] = await ethers.getSigners();
+    const result = await admin(["set-policy-duration", "7", "--yes"]);
+    expect(result).to.include({ sent: true, summary: "policyDuration 30 → 7 days (new policies only)" });
+    expect(result.transaction.hash).to.match(/^0x[0-9a-f]{64}$/);
+    expect(await contract.policyDuration()).to.equal(7 * 24 * 60 * 60);
+
+    await admin(["set-cre", forwarder.address, "--yes"]);
+    expect(await contract.creAuthorized()).to.equal(forwarder.address);
+  });
+
+  it("expires the policies awaiting expiry", async function () {
+    await buy();
+    await elapse(31);
+
+    const [result] = await admin(["expire", "--yes"]);
+    expect(result.args).to.deep.equal([["0"]]);
+    expect((await contract.getPolicy(0)).status).to.equal(2);
+    expect(await contract.reservedFunds()).to.equal(0);
+
+    expect(await admin(["expire", "--yes"])).to.include({ summary: "nothing to do", sent: false });
+  });
+
+  it("expires in batches of the workflow's expiry batch size, one transaction each", async function () {
+    this.timeout(60000);
+    for (let i = 0; i < 51; i++) await buy();
+    await elapse(31);
+
+    const simulated = await admin(["expire", "--dry-run"]);
+    expect(simulated.map(r => r.args[0].length)).to.deep.equal([50, 1]);
+    expect(simulated.every(r => r.dryRun && !r.sent && Number(r.gasEstimate) > 21000)).to.be.true;
+    expect(simulated[1].summary).to.match(/^expire policies 50, releasing /);
+    expect((await contract.getPolicy(0)).status).to.equal(0);
+
+    const sent = await admin(["expire", "--yes"]);
+    expect(new Set(sent.map(r => r.transaction.hash)).size).to.equal(2);
+    expect(await contract.activePolicyCount()).to.equal(0);
+    expect(await contract.reservedFunds()).to.equal(0);
+  });
+
+  it("warns when withdrawExcess would take more than the surplus", async function () {
+    const result = await admin(["withdraw-excess", "1", "--dry-run"]);
+    expect(result.warnings).to.have.lengthOf(1);
+    expect(result.warnings[0]).to.match(/^1\.0 ETH of this is LP liquidity/);
+  });
+
+  it("reports reverts from the simulation before sending", async function () {
+    expect(await adminError(["withdraw-fees", "--yes"])).to.equal("✗ withdrawProtocolFees would revert: No fees");
+    expect(await adminError(["set-policy-duration", "0.5", "--yes"])).to.equal("✗ setPolicyDuration would revert: Too short");
+
+    const stranger = new ethers.Wallet(NOT_OWNER_KEY).address;
+    expect(await adminError(["deposit", "1", "--yes"], { PRIVATE_KEY: NOT_OWNER_KEY }))
+      .to.equal(`✗ depositFunds would revert: OwnableUnauthorizedAccount(${stranger})`);
+  });
+
+  it("asks before sending and refuses when it can't", async function () {
+    expect(await adminError(["withdraw-excess", "0.1"])).to.equal("✗ not sending without confirmation: stdin is not a terminal (pass --yes)");
+    expect(await adminError(["set-cre", "0x1234"])).to.equal("✗ <address> must be an address, got 0x1234");
+  });
+});
@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+const { execFileSync } = require("node:child_process");
+const { mkdtempSync, rmSync, writeFileSync } = require("node:fs");
+const { tmpdir } = require("node:os");
+const path = require("node:path");
+
+// scripts/backtest.js on a 90-day archive (Open-Meteo CSV export): dry days with
+// 1.2 mm every 7th day, 30 mm on Jan 11 and 25 mm on Mar 17
+describe("backtest", function () {
+  const root = path.join(__dirname, "..");
+  const ARCHIVE = path.join(__dirname, "fixtures/weather/archive-2025q1.csv");
+
+  function backtest(...args) {
+    return JSON.parse(execFileSync(process.execPath, ["scripts/backtest.js", ...args, "--json"], { cwd: root, stdio: "pipe" }));
+  }
+
+  it("counts the 30-day terms a daily flood policy pays out in", function () {
+    const report = backtest("--archive", ARCHIVE, "--type", "1", "--threshold", "200");
+
+    expect(report.archive).to.deep.equal({ from: "2025-01-01", to: "2025-03-31", days: 90, missingDays: 0 });
+    // Terms start on days 0-60; those covering day 10 (starts 0-10) or day 75 (starts 46-60) pay
+    expect(report.terms.simulated).to.equal(61);
+    expect(report.triggered).to.equal(26);
+    expect(report.triggerFrequency).to.equal(0.4262);
+    expect(report.byStartMonth.slice(0, 3).map(m => m.terms)).to.deep.equal([31, 28, 2]);
+  });
+
+  it("prices the trigger frequency against the risk tier's multiplier", function () {
+    const { pricing } = backtest("--archive", ARCHIVE, "--type", "1", "--threshold", "200");
+
+    expect(pricing).to.include({ riskTier: "Low", multiplier: 12, protocolFeePercent: 20 });
+    expect(pricing.fairPremiumPerCoverage).to.equal(0.4262);
+    expect(pricing.lossRatio).to.equal(5.1148);                  // 26/61 × 12
+    expect(pricing.lpLossRatio).to.equal(6.3934);                // ... on the 80% the pool keeps
+    expect(pricing.breakEvenMultiplier).to.equal(1.8769);        // 0.8 / (26/61)
+
+    const repriced = backtest("--archive", ARCHIVE, "--type", "1", "--threshold", "200", "--multipliers", "2,2,2,2", "--fee", "0");
+    expect(repriced.pricing.lossRatio).to.equal(repriced.pricing.lpLossRatio);
+    expect(repriced.pricing.lossRatio).to.be.below(1);
+  });
+
+  it("only lets a rolling-sum drought pay once its window is full", function () {
+    // 14-day rainfall below 5 mm: 2.4 mm in most windows, so every term pays once day 14 is observed
+    const report = backtest("--archive", ARCHIVE, "--type", "0", "--threshold", "50", "--index", "sum", "--window", "14");
+    expect(report.policy.index).to.deep.equal({ fn: "RollingSum", windowDays: 14, dayLevel: 0 });
+    expect(report.triggered).to.equal(report.terms.simulated);
+    expect(report.medianTriggerDay).to.be.at.least(14);
+    expect(report.pricing.riskTier).to.equal("Low"); // priced on 50 / 14 = 3 per day
+  });
+
+  it("counts qualifying days for day-count indices", function () {
+    // Max temperature is 8, 12 and 16 °C by month: 5+ days above 15 °C only happens in March
+    const report = backtest("--archive", ARCHIVE, "--type", "3", "--threshold", "5", "--index", "above", "--window", "30", "--day-level", "150");
+    expect(report.byStartMonth[0].triggerFrequency).to.equal(0);
+    expect(report.byStartMonth[2].triggerFrequency).to.equal(1);
+  });
+
+  it("skips terms that run into missing days", function () {
+    const dir = mkdtempSync(path.join(tmpdir(), "weathershield-backtest-"));
+    try {
+      const rows = Array.from({ length: 10 }, (_, i) => ({
+        date: `2025-01-${String(i + 1).padStart(2, "0")}`,
+        precip: i === 8 ? 40 : 0,
+        tempMin: 1,
+        tempMax: 5
+      })).filter(r => r.date !== "2025-01-04");
+      const archive = path.join(dir, "gap.json");
+      writeFileSync(archive, JSON.stringify(rows));
+
+      const report = backtest("--archive", archive, "--type", "1", "--threshold", "200", "--term", "3");
+      expect(report.archive.missingDays).to.equal(1);
+      expect(report.terms).to.include({ simulated: 5, incomplete: 3 });
+      expect(report.triggered).to.equal(2); // Jan 7-9 and Jan 8-10
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("rejects incomplete arguments", function () {
+    expect(() => backtest("--archive", ARCHIVE, "--type", "1"))
+      .to.throw(/--threshold is required/);
+    expect(() => backtest("--archive", ARCHIVE, "--type", "3", "--threshold", "5", "--index", "above"))
+      .to.throw(/--day-level is required/);
+  });
+});
@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+const { execFileSync } = require("node:child_process");
+const { mkdtempSync, readFileSync, rmSync, writeFileSync } = require("node:fs");
+const { tmpdir } = require("node:os");
+const path = require("node:path");
+
+// Runs scripts/cre-simulate.js offline against recorded source responses
+describe("cre-simulate replay", function () {
+  const root = path.join(__dirname, "..");
+  const fixture = (name) => path.join(__dirname, "fixtures/weather", name);
+  let dir;
+  let runs = 0;
+
+  beforeEach(function () {
+    dir = mkdtempSync(path.join(tmpdir(), "weathershield-sim-"));
+  });
+
+  afterEach(function () {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Run report minus its wall-clock fields
+  function simulate(...args) {
+    const reportPath = path.join(dir, `run-${++runs}.json`);
+    execFileSync(process.execPath, ["scripts/cre-simulate.js", ...args, "--report", reportPath], {
+      cwd: root,
+      env: { ...process.env, WEATHERSHIELD_ENV: "local", WEATHERAPI_KEY: "", VISUAL_CROSSING_KEY: "" },
+      stdio: "pipe"
+    });
+    const { startedAt, finishedAt, durationMs, ...report } = JSON.parse(readFileSync(reportPath, "utf8"));
+    return report;
+  }
+
+  it("reads all three recorded responses and settles on their median", function () {
+    const report = simulate("--replay", fixture("nyc.json"), "--type", "1", "--threshold", "100", "--policy", "7");
+
+    expect(report.status).to.equal("completed");
+    const [nyc] = report.locations;
+    expect(nyc.location).to.equal("40.71,-74.01");
+    expect(nyc.sources.map(s => [s.source, s.precipitation, s.tempMin, s.tempMax])).to.deep.equal([
+      ["open-meteo", 12.4, 17.2, 24.1],
+      ["weatherapi", 11.9, 17.5, 23.8],
+      ["visual-crossing", 13.1, 16.9, 24.6]
+    ]);
+    expect(nyc.consensus[0].value).to.equal(124);
+    expect(report.claims.triggered).to.deep.equal([7]);
+  });
+
+  it("writes to the day the fixture was recorded on, in the default environment", function () {
+    const { WEATHERSHIELD_ENV, ...env } = process.env;
+    const output = execFileSync(process.execPath, ["scripts/cre-simulate.js", "--replay", fixture("nyc.json")], { cwd: root, env }).toString();
+    expect(output).to.contain("Network: Hardhat Local (local)");
+    expect(output).to.contain(`ledger day ${Math.floor(Date.parse("2026-06-14T12:00:00Z") / 86_400_000)}`);
+  });
+
+  it("simulates sources missing from the fixture identically for the same seed", function () {
+    const first = simulate("--replay", fixture("nyc-open-meteo.json"), "--quorum", "2/3");
+    const second = simulate("--replay", fixture("nyc-open-meteo.json"), "--quorum", "2/3");
+    expect(second).to.deep.equal(first);
+
+    const sources = first.locations[0].sources;
+    expect(sources[0].precipitation).to.equal(12.4);
+    expect(sources[1].precipitation).to.be.within(12.4 * 0.95, 12.4 * 1.05);
+    expect(sources[2].precipitation).to.be.within(12.4 * 0.93, 12.4 * 1.07);
+
+    const reseeded = simulate("--replay", fixture("nyc-open-meteo.json"), "--quorum", "2/3", "--seed", "1");
+    expect(reseeded.locations[0].sources[1].precipitation).to.not.equal(sources[1].precipitation);
+  });
+
+  it("reads responses with the workflow's adapters, failing where they fail", function () {
+    const recording = JSON.parse(readFileSync(fixture("nyc.json"), "utf8"));
+    recording.sources["open-meteo"].body.daily.precipitation_sum = [null];
+    const broken = path.join(dir, "broken.json");
+    writeFileSync(broken, JSON.stringify(recording));
+
+    const report = simulate("--replay", broken);
+    expect(report.status).to.equal("failed");
+    expect(report.errors[0].message).to.equal("daily.precipitation_sum[0]: expected a number, got null");
+  });
+
+  it("refuses coordinates other than the recorded location", function () {
+    expect(() => simulate("--replay", fixture("nyc.json"), "--lat", "34.05", "--lon", "-118.24"))
+      .to.throw(/recorded for 40\.71,-74\.01, not 34\.05,-118\.24/);
+  });
+});
@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const { ethers, network, artifacts } = require("hardhat");
+const { mkdtempSync, readFileSync, rmSync } = require("node:fs");
+const { tmpdir } = require("node:os");
+const path = require("node:path");
+const { deploy, writeManifest, abiHash } = require("../scripts/deploy.js");
+const { loadConfig, requireEnvironment, ConfigError } = require("../config/index.js");
+
+// scripts/deploy.js on the in-process network, and config reading its manifests
+describe("deploy", function () {
+  const LOCALHOST = path.join(__dirname, "../deployments/localhost.json");
+
+  beforeEach(async function () {
+    await network.provider.request({ method: "hardhat_reset", params: [] });
+  });
+
+  it("deploys against a mock feed, authorizes the forwarder and seeds the pool", async function () {
+    const [owner, forwarder] = await ethers.getSigners();
+    const manifest = await deploy({ creForwarder: forwarder.address, seedLiquidity: ethers.parseEther("2") });
+    const contract = await ethers.getContractAt("WeatherShield", manifest.contracts.WeatherShield.address);
+
+    expect(manifest).to.include({ network: "hardhat", chainId: 31337, deployer: owner.address, creAuthorized: forwarder.address });
+    expect(await contract.priceFeed()).to.equal(manifest.contracts.MockV3Aggregator.address);
+    expect(await contract.getEthUsdPrice()).to.equal(200000000000n);
+    expect(await contract.creAuthorized()).to.equal(forwarder.address);
+    expect(await contract.totalLiquidity()).to.equal(ethers.parseEther("2"));
+    expect((await contract.lpPositions(owner.address)).shares).to.equal(ethers.parseEther("2"));
+
+    expect(manifest.contracts.ObservationLedger.address).to.equal(await contract.ledger());
+    expect(manifest.contracts.WeatherOracle.address).to.equal(await contract.oracle());
+    const { abi } = await artifacts.readArtifact("WeatherShield");
+    expect(manifest.contracts.WeatherShield.abiHash).to.equal(abiHash(abi));
+  });
+
+  it("refuses a price feed with no code", async function () {
+    const [, , stranger] = await ethers.getSigners();
+    await expect(deploy({ priceFeed: stranger.address })).to.be.rejectedWith(/has no code on hardhat/);
+  });
+
+  it("matches the committed localhost manifest on a fresh chain", async function () {
+    // Transaction hashes depend on the node's gas pricing; addresses and ABI hashes don't
+    const comparable = ({ network, contracts, ...rest }) => ({
+      ...rest,
+      contracts: Object.fromEntries(Object.entries(contracts).map(([name, { transactionHash, ...entry }]) => [name, entry]))
+    });
+    const manifest = await deploy();
+    const committed = JSON.parse(readFileSync(LOCALHOST, "utf8"));
+    expect(comparable(manifest)).to.deep.equal(
+      comparable(committed),
+      "deployments/localhost.json is stale: redeploy with `npx hardhat run scripts/deploy.js --network localhost` on a fresh `npx hardhat node`"
+    );
+  });
+
+  it("writes the manifest as deployments/<network>.json", async function () {
+    const dir = mkdtempSync(path.join(tmpdir(), "weathershield-deploy-"));
+    try {
+      const manifest = await deploy();
+      const file = writeManifest(manifest, `${dir}/`);
+      expect(path.basename(file)).to.equal("hardhat.json");
+      expect(JSON.parse(readFileSync(file, "utf8"))).to.deep.equal(manifest);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("resolves config addresses from the manifest of the environment's chain", function () {
+    const committed = JSON.parse(readFileSync(LOCALHOST, "utf8"));
+    const local = loadConfig("local");
+    expect(local.contracts.weatherShield).to.equal(committed.contracts.WeatherShield.address);
+    expect(local.deployment).to.deep.equal(committed);
+
+    const override = "0x0000000000000000000000000000000000000001";
+    expect(loadConfig("local", { contracts: { weatherShield: override } }).contracts.weatherShield).to.equal(override);
+
+    expect(() => loadConfig("mainnet")).to.throw(ConfigError, /no deployments\/\*\.json for chain 42161/);
+    expect(() => loadConfig("arbitrumSepolia")).to.throw(ConfigError, /no deployments\/\*\.json for chain 421614/);
+  });
+
+  it("loads the local environment when none is named, except where one is required", function () {
+    const saved = process.env.WEATHERSHIELD_ENV;
+    delete process.env.WEATHERSHIELD_ENV;
+    try {
+      expect(loadConfig().environment).to.equal("local");
+      expect(() => requireEnvironment()).to.throw(ConfigError, /no environment selected/);
+      expect(requireEnvironment("mainnet")).to.equal("mainnet");
+    } finally {
+      if (saved !== undefined) process.env.WEATHERSHIELD_ENV = saved;
+    }
+  });
+});
@@ -0,0 +1,43 @@
+// Stand-in for @chainlink/cre-sdk, covering the surface workflow.ts uses.
+// Calls are routed to the environment installed by the harness (./workflow.cjs):
+// `evm` to a Hardhat chain, `http` to canned responses, secrets to a plain map.
+
+let env = null;
+
+function current() {
+  if (!env) throw new Error("cre-sdk stand-in used outside a harness cycle");
+  return env;
+}
+
+/** @param {{ evm: object, http: object, secrets: Record<string, string> } | null} next */
+function install(next) {
+  env = next;
+}
+
+const cre = {
+  Handler(trigger, callback) {
+    return { trigger, callback };
+  },
+  getSecret(name) {
+    const { secrets } = current();
+    if (!Object.hasOwn(secrets, name)) throw new Error(`secret ${name} not found`);
+    return secrets[name];
+  }
+};
+
+const cron = {
+  Trigger({ schedule }) {
+    return { type: "cron", schedule };
+  }
+};
+
+const http = {
+  fetch: (request) => current().http.fetch(request)
+};
+
+const evm = {
+  read: (call) => current().evm.read(call),
+  write: (call) => current().evm.write(call)
+};
+
+module.exports = { cre, cron, http, evm, install };
@@ -0,0 +1,224 @@
+// Runs the real cre-workflow/src/workflow.ts against the Hardhat network.
+// The workflow's TypeScript is transpiled on require (types are checked by
+// the workflow build, not here) and @chainlink/cre-sdk resolves to the
+// stand-in in ./cre-sdk.cjs, so the handler runs unmodified: reads and
+// writes go to the contracts, source requests to canned API responses.
+
+const Module = require("node:module");
+const path = require("node:path");
+const { ethers, network } = require("hardhat");
+const { loadConfig } = require("../../config/index.js");
+const { deploy } = require("../../scripts/deploy.js");
+const { WORKFLOW_SRC, transpile } = require("../../cre-workflow/transpile.cjs");
+const sdk = require("./cre-sdk.cjs");
+
+const SDK_STAND_IN = require.resolve("./cre-sdk.cjs");
+
+/**
+ * Load workflow.ts with fresh module state, built for a config environment
+ * @param {string} [environment]
+ * @returns {{ trigger: { schedule: string }, callback: Function }} the exported handler
+ */
+function loadWorkflow(environment = "local") {
+  for (const id of Object.keys(require.cache)) {
+    if (id.startsWith(WORKFLOW_SRC)) delete require.cache[id];
+  }
+
+  const resolve = Module._resolveFilename;
+  const previousEnv = process.env.WEATHERSHIELD_ENV;
+  Module._resolveFilename = function (request, ...rest) {
+    return request === "@chainlink/cre-sdk" ? SDK_STAND_IN : resolve.call(this, request, ...rest);
+  };
+  require.extensions[".ts"] = transpile;
+  process.env.WEATHERSHIELD_ENV = environment;
+  try {
+    return require(path.join(WORKFLOW_SRC, "workflow.ts")).handler;
+  } finally {
+    Module._resolveFilename = resolve;
+    delete require.extensions[".ts"];
+    if (previousEnv === undefined) delete process.env.WEATHERSHIELD_ENV;
+    else process.env.WEATHERSHIELD_ENV = previousEnv;
+  }
+}
+
+/**
+ * Reset the chain and run scripts/deploy.js as on a fresh `hardhat node`, so
+ * WeatherShield lands where the "local" environment (deployments/localhost.json)
+ * expects it, with a $2,000 mock feed and 10 ETH in the pool
+ */
+async function deployLocal() {
+  await network.provider.request({ method: "hardhat_reset", params: [] });
+  const [owner, forwarder, ...users] = await ethers.getSigners();
+
+  // The workflow writes as its own account, like the CRE forwarder on a live network
+  const manifest = await deploy({ deployer: owner, creForwarder: forwarder.address });
+  const expected = loadConfig("local").contracts.weatherShield;
+  if (manifest.contracts.WeatherShield.address !== expected) {
+    throw new Error(`WeatherShield deployed at ${manifest.contracts.WeatherShield.address}, config "local" expects ${expected}`);
+  }
+
+  const contract = await ethers.getContractAt("WeatherShield", expected, owner);
+  const feed = await ethers.getContractAt("MockV3Aggregator", manifest.priceFeed, owner);
+  return { contract, feed, owner, forwarder, users, manifest };
+}
+
+/**
+ * `evm` capability on the Hardhat network; writes are signed by `signer` and
+ * kept in `transactions` for assertions
+ * @param {import("ethers").Signer} signer
+ */
+function hardhatEvm(signer) {
+  const transactions = [];
+  return {
+    transactions,
+    read({ address, abi, functionName, args }) {
+      return new ethers.Contract(address, abi, signer).getFunction(functionName).staticCall(...args);
+    },
+    async write({ address, abi, functionName, args, gasLimit }) {
+      const tx = await new ethers.Contract(address, abi, signer).getFunction(functionName).send(...args, { gasLimit });
+      const receipt = await tx.wait();
+      transactions.push({ address, functionName, args, gasLimit, gasUsed: receipt.gasUsed });
+      return { txHash: receipt.hash, gasUsed: receipt.gasUsed };
+    }
+  };
+}
+
+// ── Weather APIs ─────────────────────────────────────────────────────
+// Response bodies in each API's real shape (trimmed), built for the
+// requested days, so the workflow's adapters parse them as they would live.
+// Days are dated at the reading's UTC offset, as the APIs date them locally.
+
+const isoDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+function dateRange(pastDays, utcOffsetSeconds = 0) {
+  const today = Date.now() + utcOffsetSeconds * 1000;
+  return Array.from({ length: pastDays + 1 }, (_, i) => isoDate(today - (pastDays - i) * 86_400_000));
+}
+
+// "YYYY-MM-DD H:MM" local time, as WeatherAPI's location.localtime
+function localTime(utcOffsetSeconds) {
+  const [date, time] = new Date(Date.now() + utcOffsetSeconds * 1000).toISOString().split("T");
+  return `${date} ${Number(time.slice(0, 2))}:${time.slice(3, 5)}`;
+}
+
+const API_RESPONSES = {
+  "open-meteo": (request, reading) => {
+    const dates = dateRange(Number(request.params.past_days ?? 0), reading.utcOffsetSeconds);
+    return {
+      latitude: Number(request.params.latitude),
+      longitude: Number(request.params.longitude),
+      utc_offset_seconds: reading.utcOffsetSeconds ?? 0,
+      timezone: "GMT",
+      current_units: { time: "iso8601", temperature_2m: "°C", rain: "mm" },
+      current: { time: `${dates.at(-1)}T12:00`, temperature_2m: reading.tempMax, rain: 0 },
+      daily_units: { time: "iso8601", temperature_2m_max: "°C", temperature_2m_min: "°C", precipitation_sum: "mm" },
+      daily: {
+        time: dates,
+        temperature_2m_max: dates.map(() => reading.tempMax),
+        temperature_2m_min: dates.map(() => reading.tempMin),
+        precipitation_sum: dates.map(() => reading.precip)
+      }
+    };
+  },
+  weatherapi: (request, reading) => ({
+    location: { name: request.params.q, lat: Number(request.params.q.split(",")[0]), lon: Number(request.params.q.split(",")[1]), tz_id: "UTC",
+      localtime_epoch: Math.floor(Date.now() / 1000), localtime: localTime(reading.utcOffsetSeconds ?? 0) },
+    current: { temp_c: reading.tempMax, precip_mm: 0 },
+    forecast: {
+      forecastday: [{
+        date: dateRange(0, reading.utcOffsetSeconds)[0],
+        day: { maxtemp_c: reading.tempMax, mintemp_c: reading.tempMin, totalprecip_mm: reading.precip, daily_chance_of_rain: 0 },
+        hour: []
+      }]
+    }
+  }),
+  "visual-crossing": (request, reading) => {
+    // .../timeline/<location>/<today | from/to>
+    const [, address, from] = request.url.match(/\/timeline\/([^/]+)\/([^/]+)/);
+    const pastDays = from === "today" ? 0 : Math.round((Date.parse(isoDate(Date.now())) - Date.parse(from)) / 86_400_000);
+    return {
+      queryCost: 1,
+      resolvedAddress: address,
+      address,
+      timezone: "UTC",
+      tzoffset: (reading.utcOffsetSeconds ?? 0) / 3600,
+      days: dateRange(pastDays, reading.utcOffsetSeconds).map(datetime => ({
+        datetime,
+        tempmax: reading.tempMax,
+        tempmin: reading.tempMin,
+        precip: reading.precip,
+        conditions: reading.precip > 0 ? "Rain" : "Clear"
+      })),
+      currentConditions: { temp: reading.tempMax, precip: 0 }
+    };
+  }
+};
+
+const API_HOSTS = {
+  "api.open-meteo.com": "open-meteo",
+  "api.weatherapi.com": "weatherapi",
+  "weather.visualcrossing.com": "visual-crossing"
+};
+
+/**
+ * `http` capability answering the weather APIs; requests are kept in `requests`
+ * @param {Record<string, { precip: number, tempMin: number, tempMax: number, utcOffsetSeconds?: number, edit?: (body: any) => void } | { status: number }>} readings
+ *   by source id: every requested day's values (mm, °C), or an HTTP error status.
+ *   `utcOffsetSeconds` places the location in a timezone other than UTC.
+ *   `edit` changes the response body in place before it is returned, to serve a
+ *   malformed one. An array is answered in order, one entry per request, its
+ *   last entry repeating. A source left out is unreachable.
+ */
+function weatherApis(readings) {
+  const requests = [];
+  const served = {};
+  return {
+    requests,
+    async fetch(request) {
+      requests.push(request);
+      const { host } = new URL(request.url);
+      const id = API_HOSTS[host];
+      let reading = readings[id];
+      if (Array.isArray(reading)) {
+        served[id] = (served[id] ?? 0) + 1;
+        reading = reading[Math.min(served[id], reading.length) - 1];
+      }
+      if (!reading) throw new Error(`getaddrinfo ENOTFOUND ${host}`);
+      if (reading.status) return { statusCode: reading.status, data: { error: { code: reading.status } } };
+      const data = API_RESPONSES[id](request, reading);
+      reading.edit?.(data);
+      return { statusCode: 200, data };
+    }
+  };
+}
+
+/**
+ * Run one cron-triggered cycle of a loaded handler. The workflow's clock is
+ * set to the latest block's time for the cycle, so policy terms and ledger
+ * days line up with the chain after evm_increaseTime.
+ * @param {ReturnType<typeof loadWorkflow>} handler
+ * @param {{ evm: object, http: object, secrets?: Record<string, string> }} capabilities
+ * @returns {Promise<{ logs: string[], report: object }>} the cycle's log lines and its run_report record
+ */
+async function runCycle(handler, { evm, http, secrets = {} }) {
+  const logs = [];
+  const runtime = { logger: { info: (message) => logs.push(String(message)) } };
+
+  const { timestamp } = await ethers.provider.getBlock("latest");
+  const realNow = Date.now;
+  const offset = timestamp * 1000 - realNow();
+  Date.now = () => realNow() + offset;
+  sdk.install({ evm, http, secrets });
+  try {
+    await handler.callback({ scheduledExecutionTime: new Date(Date.now()).toISOString() }, runtime);
+  } finally {
+    sdk.install(null);
+    Date.now = realNow;
+  }
+
+  const record = logs.find(line => line.startsWith('{"event":"run_report"'));
+  const { event, ...report } = JSON.parse(record);
+  return { logs, report };
+}
+
+module.exports = { loadWorkflow, deployLocal, hardhatEvm, weatherApis, runCycle };
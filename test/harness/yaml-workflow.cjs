@@ -0,0 +1,438 @@
+// Interpreter for the declarative workflow in cre-workflows/weather-monitor.yaml.
+// Actions run one at a time in dependency order against the same `http` and
+// `evm` capabilities the workflow.ts harness uses (./workflow.cjs), so both
+// versions of the workflow can be run on the same fixtures and compared.
+//
+// Supported: `{{…}}` templates (paths, [index], string/number/boolean
+// literals, ==, != and split()), `depends_on`, `condition`,
+// `error_handling.on_error: continue`, `on_timeout: retry` with `max_retries`,
+// and `compute` actions in JavaScript, run in a fresh VM context.
+
+const { readFileSync } = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const yaml = require("js-yaml");
+
+const WORKFLOW_YAML = path.join(__dirname, "../../cre-workflows/weather-monitor.yaml");
+
+const ACTION_TYPES = ["http_request", "compute", "evm_read", "evm_write"];
+const ROOTS = ["inputs", "secrets", "actions", "response", "result"];
+const FUNCTIONS = {
+  split: (value, separator) => String(value).split(separator)
+};
+
+class WorkflowError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WorkflowError";
+  }
+}
+
+// ── Templates ────────────────────────────────────────────────────────
+
+const TOKEN = /\s*(?:(\d+(?:\.\d+)?)|('[^']*'|"[^"]*")|([A-Za-z_]\w*)|(==|!=|[.,()[\]]))/y;
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    if (!match) {
+      if (/^\s*$/.test(source.slice(start))) break;
+      throw new WorkflowError(`unexpected "${source.slice(start).trim()}" in {{${source}}}`);
+    }
+    const [, number, string, name, punct] = match;
+    if (number !== undefined) tokens.push({ kind: "literal", value: Number(number) });
+    else if (string !== undefined) tokens.push({ kind: "literal", value: string.slice(1, -1) });
+    else if (name !== undefined) tokens.push({ kind: "name", value: name });
+    else tokens.push({ kind: "punct", value: punct });
+  }
+  return tokens;
+}
+
+/**
+ * Parse the expression inside a `{{…}}` into a tree of
+ * literal / path / call / index / compare nodes
+ * @param {string} source
+ */
+function parseExpression(source) {
+  const tokens = tokenize(source);
+  let pos = 0;
+  const peek = (value) => tokens[pos]?.kind === "punct" && tokens[pos].value === value;
+  const expect = (value) => {
+    if (!peek(value)) throw new WorkflowError(`expected "${value}" in {{${source}}}`);
+    pos++;
+  };
+
+  function primary() {
+    const token = tokens[pos++];
+    if (!token) throw new WorkflowError(`unexpected end of {{${source}}}`);
+    if (token.kind === "literal") return { kind: "literal", value: token.value };
+    if (token.kind !== "name") throw new WorkflowError(`unexpected "${token.value}" in {{${source}}}`);
+    if (token.value === "true" || token.value === "false") return { kind: "literal", value: token.value === "true" };
+    if (token.value === "null") return { kind: "literal", value: null };
+
+    let node;
+    if (peek("(")) {
+      if (!FUNCTIONS[token.value]) throw new WorkflowError(`unknown function ${token.value}() in {{${source}}}`);
+      pos++;
+      const args = [];
+      while (!peek(")")) {
+        if (args.length) expect(",");
+        args.push(comparison());
+      }
+      pos++;
+      node = { kind: "call", name: token.value, args };
+    } else {
+      if (!ROOTS.includes(token.value)) throw new WorkflowError(`unknown name "${token.value}" in {{${source}}}`);
+      node = { kind: "path", root: token.value };
+    }
+
+    for (;;) {
+      if (peek(".")) {
+        pos++;
+        const key = tokens[pos++];
+        if (key?.kind !== "name") throw new WorkflowError(`expected a field name after "." in {{${source}}}`);
+        node = { kind: "index", target: node, key: { kind: "literal", value: key.value } };
+      } else if (peek("[")) {
+        pos++;
+        const key = comparison();
+        expect("]");
+        node = { kind: "index", target: node, key };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  function comparison() {
+    const left = primary();
+    if (peek("==") || peek("!=")) {
+      const op = tokens[pos++].value;
+      return { kind: "compare", op, left, right: primary() };
+    }
+    return left;
+  }
+
+  const tree = comparison();
+  if (pos < tokens.length) throw new WorkflowError(`unexpected "${tokens[pos].value}" in {{${source}}}`);
+  return tree;
+}
+
+function evaluate(node, scope) {
+  switch (node.kind) {
+    case "literal":
+      return node.value;
+    case "path":
+      return scope[node.root]?.();
+    case "call":
+      return FUNCTIONS[node.name](...node.args.map(arg => evaluate(arg, scope)));
+    case "index": {
+      // Missing fields read as undefined, like ?. — the compute step decides what that means
+      const target = evaluate(node.target, scope);
+      return target == null ? undefined : target[evaluate(node.key, scope)];
+    }
+    case "compare": {
+      const left = evaluate(node.left, scope);
+      const right = evaluate(node.right, scope);
+      // Loose, so "{{… == true}}" also holds for a flag that was resolved into a string
+      return node.op === "==" ? left == right : left != right;
+    }
+  }
+}
+
+const TEMPLATE = /\{\{([^{}]*)\}\}/g;
+const WHOLE_TEMPLATE = /^\{\{([^{}]*)\}\}$/;
+
+/** Walk a config value, calling `visit(expression)` for every template in its strings */
+function forEachTemplate(value, visit) {
+  if (typeof value === "string") {
+    for (const [, expression] of value.matchAll(TEMPLATE)) visit(expression);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => forEachTemplate(item, visit));
+  } else if (value && typeof value === "object") {
+    Object.values(value).forEach(item => forEachTemplate(item, visit));
+  }
+}
+
+/**
+ * Resolve the templates in a config value. A string that is exactly one
+ * template keeps the value's type (number, array, bool); templates inside
+ * longer strings are interpolated and must resolve to something.
+ */
+function resolve(value, scope) {
+  if (typeof value === "string") {
+    const whole = value.match(WHOLE_TEMPLATE);
+    if (whole) return evaluate(parseExpression(whole[1]), scope);
+    return value.replace(TEMPLATE, (_, expression) => {
+      const resolved = evaluate(parseExpression(expression), scope);
+      if (resolved === undefined || resolved === null) throw new WorkflowError(`{{${expression.trim()}}} resolved to nothing`);
+      return String(resolved);
+    });
+  }
+  if (Array.isArray(value)) return value.map(item => resolve(item, scope));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolve(item, scope)]));
+  }
+  return value;
+}
+
+// ── Loading and validation ───────────────────────────────────────────
+
+/** Ids an action (transitively) depends on */
+function ancestors(action, byId, seen = new Set()) {
+  for (const id of action.depends_on ?? []) {
+    if (!seen.has(id)) {
+      seen.add(id);
+      ancestors(byId.get(id), byId, seen);
+    }
+  }
+  return seen;
+}
+
+/** Order actions so each runs after its dependencies, keeping file order otherwise */
+function orderActions(actions) {
+  const ordered = [];
+  const done = new Set();
+  let remaining = actions;
+  while (remaining.length) {
+    const ready = remaining.filter(action => (action.depends_on ?? []).every(id => done.has(id)));
+    if (!ready.length) {
+      throw new WorkflowError(`dependency cycle between actions ${remaining.map(a => a.id).join(", ")}`);
+    }
+    for (const action of ready) {
+      ordered.push(action);
+      done.add(action.id);
+    }
+    remaining = remaining.filter(action => !done.has(action.id));
+  }
+  return ordered;
+}
+
+/**
+ * Check a parsed workflow definition and return its actions in run order.
+ * Every template must parse, and may only read the outputs of actions the
+ * action depends on (directly or not), since nothing else is guaranteed to
+ * have run.
+ * @param {object} definition
+ */
+function validateWorkflow(definition) {
+  if (!Array.isArray(definition?.actions) || !definition.actions.length) {
+    throw new WorkflowError("workflow has no actions");
+  }
+
+  const byId = new Map();
+  for (const action of definition.actions) {
+    if (typeof action.id !== "string") throw new WorkflowError("action without an id");
+    if (byId.has(action.id)) throw new WorkflowError(`duplicate action id ${action.id}`);
+    if (!ACTION_TYPES.includes(action.type)) throw new WorkflowError(`action ${action.id}: unknown type ${action.type}`);
+    byId.set(action.id, action);
+  }
+  for (const action of definition.actions) {
+    for (const id of action.depends_on ?? []) {
+      if (!byId.has(id)) throw new WorkflowError(`action ${action.id}: depends on unknown action ${id}`);
+    }
+  }
+  const ordered = orderActions(definition.actions);
+
+  for (const action of ordered) {
+    const reachable = ancestors(action, byId);
+    const checkReads = (ids) => {
+      for (const id of ids) {
+        if (!reachable.has(id)) throw new WorkflowError(`action ${action.id}: reads actions.${id} without depending on it`);
+      }
+    };
+    const templateReads = [];
+    const collect = (node) => {
+      if (node.kind === "index") {
+        if (node.target.kind === "path" && node.target.root === "actions") templateReads.push(node.key.value);
+        collect(node.target);
+        collect(node.key);
+      } else if (node.kind === "call") {
+        node.args.forEach(collect);
+      } else if (node.kind === "compare") {
+        collect(node.left);
+        collect(node.right);
+      }
+    };
+    const check = (expression) => {
+      try {
+        collect(parseExpression(expression));
+      } catch (err) {
+        throw new WorkflowError(`action ${action.id}: ${err.message}`);
+      }
+    };
+    forEachTemplate(action.config, check);
+    forEachTemplate(action.outputs, check);
+    if (action.condition !== undefined) {
+      if (!WHOLE_TEMPLATE.test(action.condition)) throw new WorkflowError(`action ${action.id}: condition must be a single {{…}} template`);
+      forEachTemplate(action.condition, check);
+    }
+    checkReads(templateReads);
+
+    if (action.type === "compute") {
+      if (action.config?.runtime !== "javascript") throw new WorkflowError(`action ${action.id}: unsupported runtime ${action.config?.runtime}`);
+      checkReads([...action.config.code.matchAll(/\bactions\.(\w+)/g)].map(([, id]) => id));
+    }
+  }
+  return ordered;
+}
+
+/**
+ * Parse and validate a YAML workflow file
+ * @param {string} [file]
+ * @returns {{ name: string, version: string, triggers: object[], inputs: object, actions: object[], file: string }}
+ *   actions in run order
+ */
+function loadYamlWorkflow(file = WORKFLOW_YAML) {
+  const definition = yaml.load(readFileSync(file, "utf8"));
+  const actions = validateWorkflow(definition);
+  return { ...definition, actions, file };
+}
+
+// ── Running ──────────────────────────────────────────────────────────
+
+/** Declared inputs with defaults applied and integer types coerced */
+function resolveInputs(declared = {}, given = {}) {
+  const inputs = {};
+  for (const [name, spec] of Object.entries(declared)) {
+    const value = given[name] ?? spec.default;
+    if (value === undefined) throw new WorkflowError(`input ${name} is required`);
+    const bits = /^u?int(\d+)$/.exec(spec.type)?.[1];
+    if (bits === undefined) inputs[name] = value;
+    else inputs[name] = Number(bits) <= 48 ? Number(value) : BigInt(value);
+  }
+  for (const name of Object.keys(given)) {
+    if (!(name in declared)) throw new WorkflowError(`unknown input ${name}`);
+  }
+  return inputs;
+}
+
+function withTimeout(promise, seconds) {
+  if (!seconds) return promise;
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(Object.assign(new WorkflowError(`timed out after ${seconds}s`), { timeout: true })), seconds * 1000);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function runCompute(action, scope, { now, logs }) {
+  const context = vm.createContext({
+    inputs: scope.inputs(),
+    actions: scope.actions(),
+    console: { log: (...args) => logs.push(args.join(" ")) }
+  });
+  // The workflow's clock, as for workflow.ts in runCycle
+  vm.runInContext(`Date.now = () => ${now};`, context);
+  const result = vm.runInContext(`(function () {\n${action.config.code}\n})()`, context, {
+    filename: `${action.id}.js`,
+    timeout: 5000
+  });
+  return structuredClone(result);
+}
+
+/**
+ * Run a loaded YAML workflow once
+ * @param {ReturnType<typeof loadYamlWorkflow>} workflow
+ * @param {{ evm: object, http: object, secrets?: Record<string, string>, inputs?: object, now?: number }} options
+ *   capabilities as for runCycle; `now` (ms) is the clock compute actions see
+ * @returns {Promise<{ status: "completed" | "failed", error: string | null, actions: Record<string, object>, logs: string[] }>}
+ *   per action: status (completed, failed, skipped), attempts, outputs and error
+ */
+async function runYamlWorkflow(workflow, { evm, http, secrets = {}, inputs = {}, now = Date.now() }) {
+  const resolvedInputs = resolveInputs(workflow.inputs, inputs);
+  const records = {};
+  const logs = [];
+
+  const actionsView = () => Object.fromEntries(Object.entries(records).map(([id, record]) => [
+    id,
+    { outputs: record.status === "completed" ? record.outputs : null, error: record.error }
+  ]));
+  const scopeWith = (extra = {}) => ({
+    inputs: () => resolvedInputs,
+    secrets: () => new Proxy({}, {
+      get(_, name) {
+        if (!Object.hasOwn(secrets, name)) throw new WorkflowError(`secret ${String(name)} not found`);
+        return secrets[name];
+      }
+    }),
+    actions: actionsView,
+    response: () => undefined,
+    result: () => undefined,
+    ...extra
+  });
+
+  const execute = async (action) => {
+    const config = resolve(action.config, scopeWith());
+    switch (action.type) {
+      case "http_request": {
+        const response = await withTimeout(http.fetch({
+          url: config.url,
+          method: config.method ?? "GET",
+          params: config.params ?? {},
+          timeout: (config.timeout_seconds ?? 30) * 1000
+        }), config.timeout_seconds);
+        if (response.statusCode >= 400) throw new WorkflowError(`HTTP ${response.statusCode}`);
+        return { response: response.data };
+      }
+      case "compute":
+        return { result: runCompute(action, scopeWith(), { now, logs }) };
+      case "evm_read":
+        return {
+          result: await withTimeout(evm.read({ address: config.address, abi: [config.abi], functionName: config.method, args: config.params ?? [] }), config.timeout_seconds)
+        };
+      case "evm_write":
+        return {
+          result: await withTimeout(evm.write({
+            address: config.address,
+            abi: [config.abi],
+            functionName: config.method,
+            args: config.params ?? [],
+            gasLimit: config.gas_limit
+          }), config.timeout_seconds)
+        };
+    }
+  };
+
+  for (const action of workflow.actions) {
+    const record = { type: action.type, status: "completed", attempts: 0, outputs: {}, error: null };
+    records[action.id] = record;
+
+    if (action.condition !== undefined && !resolve(action.condition, scopeWith())) {
+      record.status = "skipped";
+      continue;
+    }
+
+    // error_handling sits on the action for HTTP and inside config for EVM writes
+    const handling = action.error_handling ?? action.config?.error_handling ?? {};
+    for (;;) {
+      record.attempts++;
+      try {
+        const produced = await execute(action);
+        record.outputs = resolve(action.outputs ?? {}, scopeWith({
+          response: () => produced.response,
+          result: () => produced.result
+        }));
+        record.error = null;
+        break;
+      } catch (err) {
+        record.status = "failed";
+        record.error = err.shortMessage ?? err.message;
+        if (err.timeout && handling.on_timeout === "retry" && record.attempts <= (handling.max_retries ?? 0)) {
+          record.status = "completed";
+          continue;
+        }
+        break;
+      }
+    }
+
+    if (record.status === "failed" && handling.on_error !== "continue") {
+      return { status: "failed", error: `${action.id}: ${record.error}`, actions: records, logs };
+    }
+  }
+  return { status: "completed", error: null, actions: records, logs };
+}
+
+module.exports = { WORKFLOW_YAML, WorkflowError, loadYamlWorkflow, validateWorkflow, runYamlWorkflow };
@@ -0,0 +1,173 @@
+const { expect } = require("chai");
+const { ethers, network, artifacts } = require("hardhat");
+const { openStore, createIndexer, createApi } = require("../indexer/index.js");
+const { StoreError } = require("../indexer/store.js");
+const { seed, loadScenario } = require("../scripts/seed.js");
+const { deployLocal } = require("./harness/workflow.cjs");
+
+// indexer/ over the in-process network: events into an in-memory store,
+// served by the API, with reorgs made by reverting to a snapshot
+describe("indexer", function () {
+  const NYC = "40.71,-74.01";
+  const STATUS_NAMES = ["Active", "Claimed", "Expired", "Cancelled"];
+
+  let store;
+
+  beforeEach(async function () {
+    await network.provider.request({ method: "hardhat_reset", params: [] });
+    store = openStore();
+  });
+
+  afterEach(function () {
+    store.close();
+  });
+
+  async function indexer(address) {
+    const { abi } = await artifacts.readArtifact("WeatherShield");
+    return createIndexer({ provider: ethers.provider, store, address, abi, batchSize: 10 });
+  }
+
+  async function buy(contract, holder, threshold = 100) {
+    await contract.connect(holder).purchasePolicy(1, threshold, NYC, { value: ethers.parseEther("0.01") });
+  }
+
+  describe("on the demo scenario", function () {
+    let server, api, contract, policies;
+
+    beforeEach(async function () {
+      let manifest;
+      ({ manifest, policies } = await seed(loadScenario()));
+      contract = await ethers.getContractAt("WeatherShield", manifest.contracts.WeatherShield.address);
+      await (await indexer(manifest.contracts.WeatherShield.address)).sync();
+
+      server = createApi(store);
+      await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+      const base = `http://127.0.0.1:${server.address().port}`;
+      api = async (path, status = 200) => {
+        const res = await fetch(`${base}${path}`);
+        expect(res.status, path).to.equal(status);
+        return res.json();
+      };
+    });
+
+    afterEach(async function () {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    it("indexes every policy with the status the contract has", async function () {
+      const indexed = await api("/policies");
+      expect(indexed).to.have.lengthOf(Object.keys(policies).length);
+      for (const policy of indexed) {
+        const onChain = await contract.getPolicy(policy.id);
+        expect(policy.status).to.equal(STATUS_NAMES[Number(onChain.status)]);
+        expect(policy).to.include({ holder: onChain.holder, location: onChain.location, coverage: onChain.coverageAmount.toString() });
+        expect(policy.triggerThreshold).to.equal(Number(onChain.triggerThreshold));
+      }
+      expect((await api(`/policies/${policies["berlin-weekly-rain"]}`)).index).to.deep.equal({ fn: "RollingSum", windowDays: 7 });
+      expect((await api("/status")).indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("filters policies and claims by holder, status, location and time", async function () {
+      const [, , , carol] = await ethers.getSigners();
+      const active = await api(`/policies?holder=${carol.address.toLowerCase()}&status=active`);
+      expect(active.map(p => p.location)).to.deep.equal(["6.52,3.38"]);
+      expect((await api("/policies?type=heat")).map(p => p.status)).to.deep.equal(["Active", "Cancelled"]);
+
+      const [nyc] = await api(`/claims?location=${NYC}`);
+      expect(nyc).to.include({ policyId: policies["nyc-flood"], weatherType: "Flood", payout: ethers.parseEther("0.1").toString() });
+
+      // Berlin was paid six days after NYC and London
+      const since = new Date(Date.parse(nyc.claimedAt) + 24 * 60 * 60 * 1000).toISOString();
+      expect((await api(`/claims?since=${since}`)).map(c => c.location)).to.deep.equal(["52.52,13.41"]);
+      expect(await api(`/claims?until=${Date.parse(nyc.claimedAt) / 1000}`)).to.be.empty;
+    });
+
+    it("serves weather history, LP exposure and proposals", async function () {
+      const weather = await api(`/weather?location=${NYC}`);
+      expect(weather).to.have.lengthOf(1);
+      expect(weather[0]).to.include({ value: 124, sourceCount: 3 });
+
+      const lps = await api("/lps");
+      expect(lps).to.have.lengthOf(3);
+      const [, alice] = await ethers.getSigners();
+      const position = await api(`/lps/${alice.address}`);
+      const { shares } = await contract.lpPositions(alice.address);
+      expect(position.shares).to.equal(shares.toString());
+      const activeCoverage = (await api("/policies?status=active")).reduce((sum, p) => sum + BigInt(p.coverage), 0n);
+      expect(BigInt(position.exposure)).to.equal((activeCoverage * shares) / (await contract.totalShares()));
+
+      const [executed, open] = await api("/proposals");
+      expect(executed).to.include({ status: "Executed", param: "protocolFeePercent", value: "15", voters: 2 });
+      expect(open).to.include({ status: "Voting", param: "minPremium", value: ethers.parseEther("0.002").toString() });
+      expect((await api(`/proposals/${open.id}`)).votes).to.have.lengthOf(1);
+    });
+
+    it("answers bad queries with 400 and missing records with 404", async function () {
+      expect(await api("/policies?holder=carol", 400)).to.deep.equal({ error: "holder must be an address, got carol" });
+      expect((await api("/claims?since=last-month", 400)).error).to.match(/^since must be an ISO date or unix seconds/);
+      expect((await api("/policies?limit=5000", 400)).error).to.equal("limit must be an integer 0-1000, got 5000");
+      expect(await api("/policies/99", 404)).to.deep.equal({ error: "policy 99 not found" });
+      expect(await api("/lps/0x000000000000000000000000000000000000dEaD", 404)).to.have.property("error");
+      expect(await api("/nope", 404)).to.deep.equal({ error: "no route for /nope" });
+    });
+  });
+
+  it("resumes from the last indexed block", async function () {
+    const { contract, users: [holder] } = await deployLocal();
+    const sync = (await indexer(await contract.getAddress())).sync;
+    await buy(contract, holder);
+    await sync();
+    await buy(contract, holder);
+    const { indexedBlock } = await sync();
+
+    expect(indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+    expect(store.policies().map(p => p.id)).to.deep.equal([0, 1]);
+  });
+
+  it("rolls back blocks that a reorg replaced and indexes the new ones", async function () {
+    const { contract, users: [holder, other] } = await deployLocal();
+    const sync = (await indexer(await contract.getAddress())).sync;
+    await sync();
+    const fork = await network.provider.send("evm_snapshot");
+
+    await buy(contract, holder);
+    await contract.depositLiquidity({ value: ethers.parseEther("1") });
+    await sync();
+    expect(store.policies().map(p => p.holder)).to.deep.equal([holder.address]);
+
+    // The same heights, different blocks: policy 0 now belongs to `other`
+    await network.provider.send("evm_revert", [fork]);
+    await buy(contract, other, 200);
+    await network.provider.send("evm_mine");
+    await network.provider.send("evm_mine");
+    await sync();
+
+    const policies = store.policies();
+    expect(policies).to.have.lengthOf(1);
+    expect(policies[0]).to.include({ holder: other.address, triggerThreshold: 200 });
+    // The reverted deposit is gone: only the deploy's seed liquidity remains
+    expect(store.lps().map(p => p.shares)).to.deep.equal([ethers.parseEther("10").toString()]);
+    expect(store.info().indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("rolls back when the chain is now shorter than the index", async function () {
+    const { contract, users: [holder] } = await deployLocal();
+    const sync = (await indexer(await contract.getAddress())).sync;
+    const fork = await network.provider.send("evm_snapshot");
+    await buy(contract, holder);
+    await buy(contract, holder);
+    await sync();
+
+    await network.provider.send("evm_revert", [fork]);
+    await sync();
+    expect(store.policies()).to.be.empty;
+    expect(store.info().indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("refuses a database built for another chain or contract", function () {
+    store.init({ chainId: 31337, contract: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512", startBlock: 2 });
+    expect(() => store.init({ chainId: 421614, contract: "0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512", startBlock: 2 }))
+      .to.throw(StoreError, "database indexes 0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512 on chain 31337, not");
+    expect(store.info()).to.include({ chainId: 31337, startBlock: 2, indexedBlock: null });
+  });
+});
@@ -0,0 +1,185 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const sdk = require("../sdk/index.js");
+const { deployLocal } = require("./harness/workflow.cjs");
+
+const { createWeatherShield, WeatherShieldError } = sdk;
+
+// sdk/ against WeatherShield on the in-process network
+describe("SDK", function () {
+  const NYC = "40.71,-74.01";
+
+  let contract, owner, holder, other, shield;
+
+  beforeEach(async function () {
+    let users;
+    ({ contract, owner, users } = await deployLocal());
+    [holder, other] = users;
+    shield = createWeatherShield(await contract.getAddress(), holder);
+  });
+
+  async function buy(terms = {}) {
+    const tx = await shield.purchase({ weatherType: "Flood", threshold: 12.5, location: NYC, premium: ethers.parseEther("0.01"), ...terms });
+    return shield.policyIdFrom(await tx.wait());
+  }
+
+  async function revertOf(promise) {
+    try {
+      await promise;
+    } catch (err) {
+      return err;
+    }
+    throw new Error("expected a revert");
+  }
+
+  describe("units and enums", function () {
+    it("converts weather values to and from the contract's tenths", function () {
+      expect(sdk.toChainValue(12.34)).to.equal(123);
+      expect(sdk.toChainValue("-2.5")).to.equal(-25);
+      expect(sdk.fromChainValue(-25n)).to.equal(-2.5);
+      expect(() => sdk.toChainValue("")).to.throw(TypeError, "weather value must be a number");
+      expect(sdk.metricOf("Frost")).to.equal("TempMin");
+      expect(sdk.unitOf(3)).to.equal("°C");
+      expect(() => sdk.enumName(sdk.WEATHER_TYPES, "Hail")).to.throw(TypeError, "must be one of Drought, Flood, Frost, Heat");
+      expect(() => sdk.riskTierOf("Heat", 0, { fn: "DaysAbove", windowDays: 7, dayLevel: 35 })).to.throw(TypeError, "whole number of days from 1");
+    });
+
+    it("prices risk tiers locally as the contract does", async function () {
+      const cases = [
+        ["Drought", 2, {}], ["Drought", 10.1, {}], ["Flood", 20, {}], ["Flood", 4.9, {}],
+        ["Frost", -10, {}], ["Frost", 0, {}], ["Heat", 40, {}], ["Heat", 34.9, {}],
+        ["Drought", 70, { fn: "RollingSum", windowDays: 7 }],
+        ["Flood", 3, { fn: "DaysAbove", windowDays: 10, dayLevel: 20 }],
+        ["Flood", 10, { fn: "DaysAbove", windowDays: 10, dayLevel: 5 }],
+        ["Frost", 4, { fn: "DaysBelow", windowDays: 7, dayLevel: 1 }],
+        ["Heat", 41, { fn: "RollingMax", windowDays: 5 }]
+      ];
+      for (const [type, threshold, index] of cases) {
+        const { riskTier } = await shield.quote({ weatherType: type, threshold, premium: 1000n, index });
+        expect(sdk.riskTierOf(type, threshold, index), `${type} ${threshold}`).to.equal(riskTier);
+      }
+    });
+
+    it("evaluates triggers as the contract does, on contract units", function () {
+      expect(sdk.isTriggered("Drought", 5, 4.9)).to.equal(true);
+      expect(sdk.isTriggered("Drought", 5, 4.96)).to.equal(false); // both 50 on-chain
+      expect(sdk.isTriggered("Frost", -2, -2.1)).to.equal(true);
+      expect(sdk.isTriggered(1, 12.5, 12.5)).to.equal(false);
+      expect(sdk.isTriggered("Heat", 40, 40.1, "RollingMax")).to.equal(true);
+      expect(sdk.isTriggered("Flood", 3, 3, "DaysAbove")).to.equal(true);
+      expect(sdk.isTriggered("Frost", 3, 2, "DaysBelow")).to.equal(false);
+    });
+
+    it("builds the location keys the contract accepts", async function () {
+      const cases = [
+        [[40.7128, -74.006], NYC], [["-23.5505", "-46.6333"], "-23.55,-46.63"],
+        [[-0.001, 0.004], "0.00,0.00"], [[0, 180], "0.00,-180.00"], [[-90, 179.999], "-90.00,-180.00"]
+      ];
+      for (const [[lat, lon], key] of cases) {
+        expect(sdk.canonicalLocation(lat, lon), `${lat},${lon}`).to.equal(key);
+        await buy({ location: key });
+      }
+      expect(() => sdk.canonicalLocation("", "3.38")).to.throw(TypeError, "must be numbers");
+      expect(() => sdk.canonicalLocation(90.01, 0)).to.throw(RangeError, "latitude must be between -90 and 90");
+      expect(() => sdk.canonicalLocation(0, -180.5)).to.throw(RangeError, "longitude must be between -180 and 180");
+    });
+  });
+
+  describe("policies", function () {
+    it("quotes with the contract and buys a policy in real units", async function () {
+      const premium = ethers.parseEther("0.01");
+      const quote = await shield.quote({ weatherType: "Flood", threshold: 12.5, premium });
+      expect(quote).to.deep.equal({ riskTier: "Medium", multiplier: 10, premium, coverage: await contract.calculateCoverage(premium, 1, 125) });
+
+      const id = await buy();
+      expect((await contract.getPolicy(id)).triggerThreshold).to.equal(125n);
+      const policy = await shield.policy(id);
+      expect(policy).to.include({ id, holder: holder.address, weatherType: "Flood", metric: "Precipitation", unit: "mm", threshold: 12.5, status: "Active", riskTier: "Medium" });
+      expect(policy.coverage).to.equal(quote.coverage);
+      expect(policy.index).to.deep.equal({ fn: "Daily", windowDays: 1, dayLevel: 0 });
+      expect(await shield.policy(99)).to.be.null;
+    });
+
+    it("buys index policies with day-count thresholds unscaled", async function () {
+      const id = await buy({ threshold: 3, index: { fn: "DaysAbove", windowDays: 10, dayLevel: 20 } });
+      const raw = await contract.getPolicy(id);
+      expect([raw.triggerThreshold, raw.index.dayLevel]).to.deep.equal([3n, 200n]);
+      expect((await shield.policiesOf(holder.address))[0]).to.deep.include({ threshold: 3, index: { fn: "DaysAbove", windowDays: 10, dayLevel: 20 } });
+    });
+
+    it("claims against the day's observation and shows its history in real units", async function () {
+      const id = await buy();
+      await contract.connect(owner).recordObservation(NYC, 0, [130, 140, 150]);
+
+      expect(await shield.isClaimable(id)).to.be.true;
+      await (await shield.claim(id)).wait();
+      expect((await shield.policy(id)).status).to.equal("Claimed");
+      const [observation] = await shield.observations(id);
+      expect(observation).to.include({ day: sdk.utcDay(Number(observation.timestamp) * 1000), value: 14, minValue: 13, maxValue: 15, sourceCount: 3 });
+    });
+  });
+
+  describe("reverts", function () {
+    it("surfaces the revert reason with a message for users", async function () {
+      // 1 ETH buys 12 ETH of Low-risk cover; the pool holds 10
+      const err = await revertOf(buy({ threshold: 20, premium: ethers.parseEther("1") }));
+      expect(err).to.be.instanceOf(WeatherShieldError);
+      expect(err.reason).to.equal("Insufficient pool liquidity");
+      expect(err.message).to.equal(sdk.REVERT_MESSAGES["Insufficient pool liquidity"]);
+
+      const id = await buy();
+      await contract.connect(owner).recordObservation(NYC, 0, [10]);
+      expect((await revertOf(shield.claim(id))).message).to.equal("Weather conditions not met yet");
+      expect(await revertOf(shield.connect(other).cancel(id))).to.include({ reason: "Not your policy", message: "Only the policy holder can do that" });
+      expect(await revertOf(shield.connect(other).withdraw(1n))).to.include({ reason: "Not a liquidity provider" });
+    });
+
+    it("decodes custom errors and passes other failures through", function () {
+      const custom = sdk.decodeRevert({ revert: { name: "OwnableUnauthorizedAccount", args: ["0xabc"] } });
+      expect(custom).to.include({ reason: "OwnableUnauthorizedAccount(0xabc)", message: "OwnableUnauthorizedAccount(0xabc)" });
+      expect(sdk.decodeRevert({ code: "ACTION_REJECTED" })).to.include({ reason: null, message: "Transaction rejected in the wallet" });
+      expect(sdk.decodeRevert(new Error("network down"))).to.include({ reason: null, message: "network down" });
+    });
+  });
+
+  describe("pool and governance", function () {
+    it("reads the pool, LP positions and proposals", async function () {
+      await (await shield.deposit(ethers.parseEther("5"))).wait();
+      const pool = await shield.pool();
+      expect(pool.totalLiquidity).to.equal(ethers.parseEther("15"));
+      const position = await shield.lpPosition(holder.address);
+      expect(position.shares).to.equal(await contract.lpPositions(holder.address).then(p => p.shares));
+      expect(position.value).to.equal(ethers.parseEther("5"));
+
+      await (await shield.propose("protocolFeePercent", 15)).wait();
+      await (await shield.vote(0, true)).wait();
+      const [proposal] = await shield.proposals();
+      expect(proposal).to.include({ id: 0, param: "protocolFeePercent", proposer: holder.address, status: "Pending" });
+      expect([proposal.value, proposal.votesFor]).to.deep.equal([15n, position.shares]);
+    });
+  });
+
+  describe("events", function () {
+    it("delivers events by name until unsubscribed", async function () {
+      this.timeout(20000);
+      const created = [];
+      const unsubscribe = await shield.on("PolicyCreated", args => created.push(args));
+      await buy();
+      await waitFor(() => created.length === 1);
+      expect(created[0]).to.include({ policyId: 0n, holder: holder.address, location: NYC });
+
+      await unsubscribe();
+      await buy();
+      await new Promise(resolve => setTimeout(resolve, 1000));
+      expect(created).to.have.lengthOf(1);
+    });
+  });
+});
+
+async function waitFor(condition, timeout = 10000) {
+  const end = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > end) throw new Error("timed out waiting for an event");
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+}
@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { readFileSync } = require("node:fs");
+const path = require("node:path");
+const { seed, loadScenario, validateScenario, ScenarioError } = require("../scripts/seed.js");
+
+// scripts/seed.js playing scenarios on the in-process network
+describe("seed", function () {
+  const NYC = "40.71,-74.01";
+  const DAY = 24 * 60 * 60;
+
+  beforeEach(async function () {
+    await network.provider.request({ method: "hardhat_reset", params: [] });
+  });
+
+  function scenario(steps) {
+    return { accounts: { alice: 1, carol: 3 }, steps };
+  }
+
+  it("plays the demo scenario into every policy status and both proposal outcomes", async function () {
+    const { timestamp: start } = await ethers.provider.getBlock("latest");
+    const { manifest, policies, proposals } = await seed(loadScenario());
+    const contract = await ethers.getContractAt("WeatherShield", manifest.contracts.WeatherShield.address);
+
+    // Same addresses as a plain deploy, so the "local" config points at the seeded contract
+    const committed = JSON.parse(readFileSync(path.join(__dirname, "../deployments/localhost.json"), "utf8"));
+    expect(manifest.contracts.WeatherShield.address).to.equal(committed.contracts.WeatherShield.address);
+
+    const status = async name => Number((await contract.getPolicy(policies[name])).status);
+    const types = await Promise.all(Object.values(policies).map(async id => Number((await contract.getPolicy(id)).weatherType)));
+    expect(new Set(types)).to.deep.equal(new Set([0, 1, 2, 3]));
+    expect(await status("nyc-flood")).to.equal(1);
+    expect(await status("london-frost")).to.equal(1);
+    expect(await status("berlin-weekly-rain")).to.equal(1);
+    expect(await status("tokyo-heat")).to.equal(3);
+    expect(await status("dubai-heat")).to.equal(0);
+
+    expect((await contract.getWeatherData(NYC)).value).to.equal(124);
+    expect(await contract.protocolFeePercent()).to.equal(15);
+    expect((await contract.getProposal(proposals["raise-min-premium"])).status).to.equal(0);
+    expect(await contract.getEthUsdPrice()).to.equal(245000000000n);
+
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    expect(timestamp - start).to.be.at.least(10 * DAY);
+  });
+
+  it("resolves names, amounts and durations", function () {
+    const { accounts, steps } = validateScenario(scenario([
+      { deposit: { from: "alice", amount: 2.5 } },
+      { policy: { name: "p", from: "carol", type: "Frost", threshold: -20, location: NYC, premium: "0.01" } },
+      { propose: { name: "fee", from: "alice", param: "minPremium", value: "0.002 ETH" } },
+      { advance: "12h" },
+      { advance: 90 }
+    ]));
+
+    expect(accounts).to.deep.equal({ deployer: 0, alice: 1, carol: 3 });
+    expect(steps[0].spec.amount).to.equal(ethers.parseEther("2.5"));
+    expect(steps[1].spec).to.include({ type: 2, threshold: -20, premium: ethers.parseEther("0.01") });
+    expect(steps[2].spec.value).to.equal(ethers.parseEther("0.002"));
+    expect(steps.slice(3).map(s => s.spec)).to.deep.equal([12 * 60 * 60, 90]);
+  });
+
+  it("rejects a bad scenario by step before deploying anything", async function () {
+    const policy = { policy: { name: "p", from: "carol", type: "Flood", threshold: 100, location: NYC, premium: 0.01 } };
+    const cases = [
+      [[{ deposit: { from: "mallory", amount: 1 } }], "step 1 (deposit): unknown account mallory"],
+      [[policy, { claim: "q" }], "step 2 (claim): unknown policy q"],
+      [[policy, policy], "step 2 (policy): policy p is defined twice"],
+      [[{ advance: "3w" }], "step 1 (advance): expected a duration like 3d, 12h, 30m or seconds, got 3w"],
+      [[{ policy: { ...policy.policy, type: "Hail" } }], "step 1 (policy): type must be one of Drought, Flood, Frost, Heat, got Hail"],
+      [[policy, { index: { policy: "p", value: 10 } }], "step 2 (index): policy p is a daily policy; use weather"],
+      [[{ rain: 10 }], /^step 1: expected one of deposit, withdraw, .*, got \{"rain":10\}$/]
+    ];
+    for (const [steps, message] of cases) {
+      expect(() => validateScenario(scenario(steps))).to.throw(ScenarioError, message);
+    }
+    expect(() => validateScenario({ accounts: { alice: 20 }, steps: [] })).to.throw("account alice: index must be 0-19, got 20");
+
+    await expect(seed(scenario([{ deposit: { from: "mallory", amount: 1 } }]))).to.be.rejectedWith(ScenarioError);
+    expect(await ethers.provider.getBlockNumber()).to.equal(0);
+  });
+
+  it("stops at the step that reverts, with its reason", async function () {
+    await expect(seed(scenario([
+      { policy: { name: "p", from: "carol", type: "Flood", threshold: 100, location: NYC, premium: 0.01 } },
+      { weather: { location: NYC, metric: "Precipitation", values: [40, 42, 38] } },
+      { claim: "p" }
+    ]))).to.be.rejectedWith("step 3 (claim): Conditions not met");
+  });
+});
@@ -0,0 +1,404 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadWorkflow, deployLocal, hardhatEvm, weatherApis, runCycle } = require("./harness/workflow.cjs");
+
+// The real weatherPolicyCheck handler, end to end against WeatherShield
+describe("CRE workflow", function () {
+  const NYC = "40.71,-74.01";
+  const SECRETS = { WEATHERAPI_KEY: "weatherapi-test-key", VISUAL_CROSSING_KEY: "visual-crossing-test-key" };
+  const RAINY = { precip: 12.4, tempMin: 17.2, tempMax: 24.1 };
+
+  let handler;
+  let contract, forwarder, holder, ledger;
+
+  before(function () {
+    handler = loadWorkflow("local");
+  });
+
+  beforeEach(async function () {
+    let users;
+    ({ contract, forwarder, users } = await deployLocal());
+    [holder] = users;
+    ledger = await ethers.getContractAt("ObservationLedger", await contract.ledger());
+  });
+
+  async function today() {
+    const block = await ethers.provider.getBlock("latest");
+    return Math.floor(block.timestamp / (24 * 60 * 60));
+  }
+
+  function cycle(readings, secrets = SECRETS) {
+    const evm = hardhatEvm(forwarder);
+    const http = weatherApis(readings);
+    return runCycle(handler, { evm, http, secrets }).then(result => ({ ...result, evm, http }));
+  }
+
+  it("refuses to build without an environment", function () {
+    expect(() => loadWorkflow("")).to.throw(/no environment selected: set WEATHERSHIELD_ENV/);
+  });
+
+  it("runs on the cron schedule of the local environment", function () {
+    expect(handler.trigger).to.deep.equal({ type: "cron", schedule: "*/5 * * * *" });
+  });
+
+  it("completes without writing when there are no active policies", async function () {
+    const { report, evm, http } = await cycle({ "open-meteo": RAINY });
+    expect(report.status).to.equal("completed");
+    expect(report.policies.active).to.equal(0);
+    expect(evm.transactions).to.be.empty;
+    expect(http.requests).to.be.empty;
+  });
+
+  it("lists the active policies again when one leaves the set between page reads", async function () {
+    this.timeout(60000);
+    // 101 policies fill two pages of 100; none triggers at 100 mm
+    for (let i = 0; i < 101; i++) {
+      await contract.connect(holder).purchasePolicy(1, 1000, NYC, { value: ethers.parseEther("0.001") });
+    }
+
+    const evm = hardhatEvm(forwarder);
+    const read = evm.read;
+    let pages = 0;
+    evm.read = async (call) => {
+      const result = await read(call);
+      // Cancelling policy 0 moves policy 100 into its slot on the first page
+      if (call.functionName === "getActivePolicyIds" && ++pages === 1) await contract.connect(holder).cancelPolicy(0);
+      return result;
+    };
+    const { report } = await runCycle(handler, { evm, http: weatherApis({ "open-meteo": RAINY }), secrets: SECRETS });
+
+    expect(pages).to.equal(3); // both pages, then the 100 left in one
+    expect(report.policies.active).to.equal(100);
+    const monitored = report.locations[0].consensus[0].policyIds;
+    expect(monitored).to.include(100).and.not.include(0);
+  });
+
+  it("records the agreed reading and pays the policies it triggers", async function () {
+    const premium = ethers.parseEther("0.01");
+    await contract.connect(holder).purchasePolicy(1, 100, NYC, { value: premium }); // Flood: > 10.0 mm
+    await contract.connect(holder).purchasePolicy(0, 50, NYC, { value: premium });  // Drought: < 5.0 mm
+    const coverage = (await contract.getPolicy(0)).coverageAmount;
+    const balance = await ethers.provider.getBalance(holder.address);
+
+    const { report, evm, http } = await cycle({
+      "open-meteo": RAINY,
+      weatherapi: { precip: 11.9, tempMin: 17.5, tempMax: 23.8 },
+      "visual-crossing": { precip: 13.1, tempMin: 16.9, tempMax: 24.6 }
+    });
+
+    // One fetch per source for the shared location, keys from the secrets
+    expect(http.requests.map(r => new URL(r.url).host)).to.have.members(["api.open-meteo.com", "api.weatherapi.com", "weather.visualcrossing.com"]);
+    expect(http.requests.find(r => r.url.includes("weatherapi")).params.key).to.equal(SECRETS.WEATHERAPI_KEY);
+
+    const day = await today();
+    const observation = await ledger.getObservation(NYC, 0, day);
+    expect(observation.value).to.equal(124); // median of 124, 119, 131
+    expect(observation.sourceCount).to.equal(3);
+
+    expect((await contract.getPolicy(0)).status).to.equal(1); // Claimed
+    expect((await contract.getPolicy(1)).status).to.equal(0); // still Active
+    expect(await ethers.provider.getBalance(holder.address)).to.equal(balance + coverage);
+
+    expect(evm.transactions.map(t => t.functionName)).to.deep.equal(["updateWeatherDataBatch", "processClaims"]);
+    expect(evm.transactions[1].args).to.deep.equal([[0], day]);
+    expect(report.status).to.equal("completed");
+    expect(report.claims).to.deep.equal({ checked: 2, triggered: [0], paid: [0] });
+    expect(report.gasUsed).to.equal(Number(evm.transactions.reduce((sum, t) => sum + t.gasUsed, 0n)));
+  });
+
+  it("settles on the remaining sources when one rejects its key", async function () {
+    await contract.connect(holder).purchasePolicy(1, 100, NYC, { value: ethers.parseEther("0.01") });
+
+    const { report } = await cycle({
+      "open-meteo": RAINY,
+      weatherapi: { status: 401 },
+      "visual-crossing": { precip: 13.1, tempMin: 16.9, tempMax: 24.6 }
+    });
+
+    const observation = await ledger.getObservation(NYC, 0, await today());
+    expect(observation.value).to.equal(127); // median of 124 and 131, truncated
+    expect(observation.sourceCount).to.equal(2);
+    expect(report.locations[0].consensus[0].value).to.equal(127);
+    expect((await contract.getPolicy(0)).status).to.equal(1);
+
+    const weatherapi = report.locations[0].sources.find(s => s.source === "weatherapi");
+    expect(weatherapi).to.include({ ok: false, error: "HTTP 401" });
+    expect(report.errors).to.deep.include({ stage: "fetch", message: "HTTP 401", location: NYC, source: "weatherapi" });
+  });
+
+  it("treats a source without its secret as unavailable", async function () {
+    await contract.connect(holder).purchasePolicy(1, 100, NYC, { value: ethers.parseEther("0.01") });
+
+    const { report, http } = await cycle(
+      { "open-meteo": RAINY, weatherapi: RAINY, "visual-crossing": RAINY },
+      { WEATHERAPI_KEY: SECRETS.WEATHERAPI_KEY }
+    );
+
+    expect(http.requests.some(r => r.url.includes("visualcrossing"))).to.equal(false);
+    expect((await ledger.getObservation(NYC, 0, await today())).sourceCount).to.equal(2);
+    expect(report.sources.find(s => s.source === "visual-crossing").lastError).to.equal("missing secret VISUAL_CROSSING_KEY");
+  });
+
+  it("treats missing and non-numeric fields as unavailable sources, not as 0 mm", async function () {
+    await contract.connect(holder).purchasePolicy(0, 50, NYC, { value: ethers.parseEther("0.01") }); // Drought: < 5.0 mm
+
+    const { report, http } = await cycle({
+      "open-meteo": RAINY,
+      weatherapi: { ...RAINY, edit: data => { delete data.forecast.forecastday[0].day.totalprecip_mm; } },
+      "visual-crossing": { ...RAINY, edit: data => { data.days[0].precip = "n/a"; } }
+    });
+
+    // Read as 0, the two would have made the median 0 mm and paid the drought policy
+    const observation = await ledger.getObservation(NYC, 0, await today());
+    expect(observation.value).to.equal(124);
+    expect(observation.sourceCount).to.equal(1);
+    expect((await contract.getPolicy(0)).status).to.equal(0);
+
+    expect(report.locations[0].sources.filter(s => !s.ok).map(s => [s.source, s.error])).to.deep.equal([
+      ["weatherapi", "malformed response: day.totalprecip_mm: expected a number, got undefined"],
+      ["visual-crossing", 'malformed response: days[0].precip: expected a number, got "n/a"']
+    ]);
+    expect(http.requests).to.have.length(3); // malformed responses are not retried
+  });
+
+  it("treats a response over 100 KB as an unavailable source", async function () {
+    await contract.connect(holder).purchasePolicy(1, 100, NYC, { value: ethers.parseEther("0.01") });
+
+    const { report } = await cycle({
+      "open-meteo": RAINY,
+      weatherapi: { ...RAINY, edit: data => { data.forecast.forecastday[0].hour = ["x".repeat(100 * 1024)]; } },
+      "visual-crossing": { precip: 13.1, tempMin: 16.9, tempMax: 24.6 }
+    });
+
+    expect((await ledger.getObservation(NYC, 0, await today())).sourceCount).to.equal(2);
+    const weatherapi = report.locations[0].sources.find(s => s.source === "weatherapi");
+    expect(weatherapi.ok).to.equal(false);
+    expect(weatherapi.error).to.match(/^response of \d+ bytes exceeds 102400$/);
+  });
+
+  describe("consensus", function () {
+    // Local consensus: MAD rule, 3 × max(MAD, 10) outlier limit, 50 (5.0 mm) precipitation tolerance
+    const precip = (mm) => ({ ...RAINY, precip: mm });
+
+    async function settle(openMeteo, weatherapi, visualCrossing) {
+      const { report } = await cycle({ "open-meteo": precip(openMeteo), weatherapi: precip(weatherapi), "visual-crossing": precip(visualCrossing) });
+      const day = await today();
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      return { consensus: report.locations[0].consensus[0], observation: await ledger.getObservation(NYC, 0, day) };
+    }
+
+    beforeEach(async function () {
+      await contract.connect(holder).purchasePolicy(1, 1000, NYC, { value: ethers.parseEther("0.01") });
+    });
+
+    it("drops a single outlying source and settles on the others", async function () {
+      const { consensus, observation } = await settle(12.4, 12.7, 500);
+
+      expect(consensus).to.deep.include({ accepted: ["Open-Meteo", "WeatherAPI"], rejected: ["Visual Crossing"], value: 125, disputed: false });
+      expect(observation.value).to.equal(125);
+      expect(observation.sourceCount).to.equal(2);
+    });
+
+    it("keeps a source exactly at the outlier limit and drops one just past it", async function () {
+      // Median 120, MAD 0 so the floor applies: limit 30
+      const atLimit = await settle(12, 12, 15);
+      expect(atLimit.consensus).to.deep.include({ rejected: [], value: 120, disputed: false });
+      expect(atLimit.observation.sourceCount).to.equal(3);
+
+      const pastLimit = await settle(12, 12, 15.1);
+      expect(pastLimit.consensus).to.deep.include({ rejected: ["Visual Crossing"], value: 120, disputed: false });
+      expect(pastLimit.observation.sourceCount).to.equal(2);
+    });
+
+    it("records a spread equal to the tolerance and disputes one just above it", async function () {
+      const atTolerance = await settle(10, 12.5, 15);
+      expect(atTolerance.consensus).to.deep.include({ rejected: [], spread: 50, value: 125, disputed: false });
+      expect(atTolerance.observation.sourceCount).to.equal(3);
+
+      const overTolerance = await settle(10, 12.5, 15.1);
+      expect(overTolerance.consensus).to.deep.include({ rejected: [], spread: 51, value: null, disputed: true, reason: "spread 51 exceeds tolerance 50" });
+      expect(overTolerance.observation.timestamp).to.equal(0);
+    });
+  });
+
+  describe("cycle budget", function () {
+    const LOCATIONS = [NYC, "51.51,-0.13", "6.52,3.38"];
+
+    // Each location's fetch takes 100 s of the cycle's 240 s time budget
+    async function slowCycle() {
+      const http = weatherApis({ "open-meteo": RAINY, weatherapi: RAINY, "visual-crossing": RAINY });
+      const fetch = http.fetch;
+      const realNow = Date.now;
+      let skew = 0;
+      Date.now = () => realNow() + skew;
+      http.fetch = (request) => {
+        if (request.url.includes("open-meteo")) skew += 100_000;
+        return fetch(request);
+      };
+      try {
+        const evm = hardhatEvm(forwarder);
+        return { ...(await runCycle(handler, { evm, http, secrets: SECRETS })), evm };
+      } finally {
+        Date.now = realNow;
+      }
+    }
+
+    it("stops at the budget and resumes from the cursor on the next cycle", async function () {
+      for (const location of LOCATIONS) {
+        await contract.connect(holder).purchasePolicy(1, 1000, location, { value: ethers.parseEther("0.01") });
+      }
+
+      // Two groups fit; the third would start at 200 s with 100 s to go
+      const first = await slowCycle();
+      const firstDay = await today();
+      expect(first.report.status).to.equal("deferred");
+      expect(first.report.locations.map(l => l.location)).to.deep.equal(LOCATIONS.slice(0, 2));
+      expect(first.report.cursor).to.deep.equal({ start: 0, next: 2 });
+      expect(first.evm.transactions.map(t => t.functionName)).to.deep.equal(["updateWeatherDataBatch", "setMonitorCursor"]);
+      expect(await contract.monitorCursor()).to.equal(2);
+      expect((await ledger.getObservation(LOCATIONS[2], 0, firstDay)).timestamp).to.equal(0);
+
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      const second = await cycle({ "open-meteo": RAINY, weatherapi: RAINY, "visual-crossing": RAINY });
+
+      expect(second.report.status).to.equal("completed");
+      expect(second.report.locations.map(l => l.location)).to.deep.equal([LOCATIONS[2], LOCATIONS[0], LOCATIONS[1]]);
+      expect(second.report.cursor).to.deep.equal({ start: 2, next: 0 });
+      expect(await contract.monitorCursor()).to.equal(0);
+      for (const location of LOCATIONS) {
+        expect((await ledger.getObservation(location, 0, await today())).sourceCount).to.equal(3);
+      }
+    });
+  });
+
+  describe("source retries", function () {
+    const LONDON = "51.51,-0.13";
+
+    // Backoff jitter is Math.random() of the delay cap; pinned here so waits are known
+    async function withRandom(value, fn) {
+      const random = Math.random;
+      Math.random = () => value;
+      try {
+        return await fn();
+      } finally {
+        Math.random = random;
+      }
+    }
+
+    function health(report, source) {
+      return report.sources.find(s => s.source === source);
+    }
+
+    it("retries a source answering 5xx, backing off before each retry", async function () {
+      await contract.connect(holder).purchasePolicy(1, 1000, NYC, { value: ethers.parseEther("0.01") });
+
+      const http = weatherApis({ "open-meteo": RAINY, weatherapi: [{ status: 503 }, { status: 502 }, RAINY], "visual-crossing": RAINY });
+      const fetch = http.fetch;
+      const sent = [];
+      http.fetch = (request) => {
+        if (request.url.includes("weatherapi")) sent.push(performance.now());
+        return fetch(request);
+      };
+      const { report } = await withRandom(0.999, () => runCycle(handler, { evm: hardhatEvm(forwarder), http, secrets: SECRETS }));
+
+      // fetchRetry: base 500 ms, doubling; 0.999 of each cap
+      expect(sent).to.have.length(3);
+      expect(sent[1] - sent[0]).to.be.at.least(490);
+      expect(sent[2] - sent[1]).to.be.at.least(990);
+      expect(health(report, "weatherapi")).to.include({ attempts: 3, failures: 2, retries: 2, lastStatus: 200, circuitOpen: false });
+      expect((await ledger.getObservation(NYC, 0, await today())).sourceCount).to.equal(3);
+    });
+
+    it("does not retry a failure that won't go away", async function () {
+      await contract.connect(holder).purchasePolicy(1, 1000, NYC, { value: ethers.parseEther("0.01") });
+
+      const { report, http } = await cycle({ "open-meteo": RAINY, weatherapi: { status: 403 }, "visual-crossing": RAINY });
+
+      expect(http.requests.filter(r => r.url.includes("weatherapi"))).to.have.length(1);
+      expect(health(report, "weatherapi")).to.include({ attempts: 1, failures: 1, retries: 0, circuitOpen: false });
+    });
+
+    it("stops trying a persistently failing source for the rest of the cycle", async function () {
+      await contract.connect(holder).purchasePolicy(1, 1000, NYC, { value: ethers.parseEther("0.01") });
+      await contract.connect(holder).purchasePolicy(1, 1000, LONDON, { value: ethers.parseEther("0.01") });
+
+      const { report, http } = await withRandom(0, () => cycle({ "open-meteo": RAINY, weatherapi: { status: 500 }, "visual-crossing": RAINY }));
+
+      // Three failed attempts at the first location open the breaker; the second isn't fetched
+      expect(http.requests.filter(r => r.url.includes("weatherapi"))).to.have.length(3);
+      expect(health(report, "weatherapi")).to.include({ attempts: 3, failures: 3, retries: 2, skipped: 1, lastError: "HTTP 500", circuitOpen: true });
+      expect(report.locations.map(l => l.sources.find(s => s.source === "weatherapi").error)).to.deep.equal(["circuit open", "circuit open"]);
+      for (const location of [NYC, LONDON]) {
+        expect((await ledger.getObservation(location, 0, await today())).sourceCount).to.equal(2);
+      }
+    });
+
+    it("tries a source whose breaker opened again on the next cycle", async function () {
+      await contract.connect(holder).purchasePolicy(1, 1000, NYC, { value: ethers.parseEther("0.01") });
+
+      const failing = await withRandom(0, () => cycle({ "open-meteo": RAINY, weatherapi: { status: 500 }, "visual-crossing": RAINY }));
+      expect(health(failing.report, "weatherapi").circuitOpen).to.equal(true);
+
+      await ethers.provider.send("evm_increaseTime", [24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+      const { report, http } = await cycle({ "open-meteo": RAINY, weatherapi: RAINY, "visual-crossing": RAINY });
+
+      expect(http.requests.filter(r => r.url.includes("weatherapi"))).to.have.length(1);
+      expect(health(report, "weatherapi")).to.include({ attempts: 1, failures: 0, circuitOpen: false });
+      expect((await ledger.getObservation(NYC, 0, await today())).sourceCount).to.equal(3);
+    });
+  });
+
+  describe("index policies", function () {
+    const EDT = -4 * 60 * 60;
+
+    it("dates the term in the location's timezone, as the sources date their days", async function () {
+      // Bought at 02:00 UTC, still the evening before in New York
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const bought = (Math.floor(timestamp / 86_400) + 1) * 86_400 + 2 * 60 * 60;
+      await ethers.provider.send("evm_setNextBlockTimestamp", [bought]);
+      await contract.connect(holder).purchaseIndexPolicy(1, 3000, NYC, { fn: 1, windowDays: 7, dayLevel: 0 }, { value: ethers.parseEther("0.01") });
+      await ethers.provider.send("evm_increaseTime", [25 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+
+      const local = { ...RAINY, utcOffsetSeconds: EDT };
+      const { report, evm } = await cycle({ "open-meteo": local, weatherapi: local, "visual-crossing": local });
+
+      // Two local days of the term so far; WeatherAPI only has today
+      const write = evm.transactions.find(t => t.functionName === "updatePolicyIndex");
+      expect(write.args).to.deep.equal([0, 248, 2]);
+      expect(report.locations[0].consensus.find(c => c.index)).to.deep.include({ value: 248, accepted: ["Open-Meteo", "Visual Crossing"] });
+    });
+  });
+
+  it("writes nothing when the sources disagree", async function () {
+    await contract.connect(holder).purchasePolicy(1, 100, NYC, { value: ethers.parseEther("0.01") });
+
+    const { report, evm } = await cycle({
+      "open-meteo": RAINY,
+      weatherapi: { precip: 80, tempMin: 17.5, tempMax: 23.8 },
+      "visual-crossing": { precip: 0, tempMin: 16.9, tempMax: 24.6 }
+    });
+
+    expect(evm.transactions).to.be.empty;
+    expect((await ledger.getObservation(NYC, 0, await today())).timestamp).to.equal(0);
+    expect((await contract.getPolicy(0)).status).to.equal(0);
+    expect(report.locations[0].consensus[0]).to.include({ disputed: true, value: null });
+  });
+
+  it("sweeps policies past their term instead of monitoring them", async function () {
+    await contract.connect(holder).purchasePolicy(1, 100, NYC, { value: ethers.parseEther("0.01") });
+    await ethers.provider.send("evm_increaseTime", [31 * 24 * 60 * 60]);
+    await ethers.provider.send("evm_mine");
+
+    const { report, evm, http } = await cycle({ "open-meteo": RAINY });
+
+    expect(http.requests).to.be.empty;
+    expect(evm.transactions.map(t => t.functionName)).to.deep.equal(["expirePolicies"]);
+    expect((await contract.getPolicy(0)).status).to.equal(2); // Expired
+    expect(await contract.reservedFunds()).to.equal(0);
+    expect(report.policies.expired).to.deep.equal([0]);
+  });
+});
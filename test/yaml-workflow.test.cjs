@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { isDeepStrictEqual } = require("node:util");
+const { readFileSync } = require("node:fs");
+const yaml = require("js-yaml");
+const { loadWorkflow, deployLocal, hardhatEvm, weatherApis, runCycle } = require("./harness/workflow.cjs");
+const { WORKFLOW_YAML, loadYamlWorkflow, validateWorkflow, runYamlWorkflow } = require("./harness/yaml-workflow.cjs");
+
+// cre-workflows/weather-monitor.yaml, interpreted, next to workflow.ts on the
+// same API fixtures and chain state. `compare` lists where the two differ.
+describe("YAML workflow", function () {
+  const NYC = "40.71,-74.01";
+  const SECRETS = { WEATHERAPI_KEY: "weatherapi-test-key", VISUAL_CROSSING_KEY: "visual-crossing-test-key" };
+  const RAINY = { precip: 12.4, tempMin: 17.2, tempMax: 24.1 };
+  const AGREEING = {
+    "open-meteo": RAINY,
+    weatherapi: { precip: 11.9, tempMin: 17.5, tempMax: 23.8 },
+    "visual-crossing": { precip: 13.1, tempMin: 16.9, tempMax: 24.6 }
+  };
+  const FLOOD = [1, 100]; // > 10.0 mm
+
+  let workflow, handler;
+
+  before(function () {
+    workflow = loadYamlWorkflow();
+    handler = loadWorkflow("local");
+  });
+
+  /**
+   * Deploy, buy `policies` at NYC, run one version of the workflow and read
+   * back what it did. The YAML version runs for `policyId`.
+   */
+  async function run(version, { readings, secrets = SECRETS, policies = [FLOOD], policyId = 0, elapsedDays = 0 }) {
+    const { contract, forwarder, users: [holder] } = await deployLocal();
+    for (const [type, threshold] of policies) {
+      await contract.connect(holder).purchasePolicy(type, threshold, NYC, { value: ethers.parseEther("0.01") });
+    }
+    if (elapsedDays) {
+      await ethers.provider.send("evm_increaseTime", [elapsedDays * 24 * 60 * 60]);
+      await ethers.provider.send("evm_mine");
+    }
+
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const evm = hardhatEvm(forwarder);
+    const http = weatherApis(readings);
+    let result = null;
+    if (version === "ts") {
+      await runCycle(handler, { evm, http, secrets });
+    } else {
+      result = await runYamlWorkflow(workflow, {
+        evm,
+        http,
+        secrets,
+        now: timestamp * 1000,
+        inputs: { contract_address: await contract.getAddress(), policy_id: policyId, weather_type: policies[policyId][0] }
+      });
+    }
+
+    const ledger = await ethers.getContractAt("ObservationLedger", await contract.ledger());
+    const observation = await ledger.getObservation(NYC, 0, Math.floor(timestamp / (24 * 60 * 60)));
+    const statuses = await Promise.all(policies.map((_, id) => contract.getPolicy(id).then(p => Number(p.status))));
+    return {
+      requests: http.requests.map(r => new URL(r.url).host).sort(),
+      writes: evm.transactions.map(t => t.functionName),
+      observation: observation.timestamp === 0n ? null : { value: Number(observation.value), sourceCount: Number(observation.sourceCount) },
+      claimed: statuses.flatMap((status, id) => (status === 1 ? [id] : [])),
+      expired: statuses.flatMap((status, id) => (status === 2 ? [id] : [])),
+      result
+    };
+  }
+
+  /** Run both versions on the same scenario; `differences` maps each field that differs to both values */
+  async function compare(scenario) {
+    const ts = await run("ts", scenario);
+    const yml = await run("yaml", scenario);
+    const differences = {};
+    for (const field of ["requests", "writes", "observation", "claimed", "expired"]) {
+      if (!isDeepStrictEqual(ts[field], yml[field])) differences[field] = { ts: ts[field], yaml: yml[field] };
+    }
+    return { ts, yaml: yml, differences };
+  }
+
+  describe("definition", function () {
+    function definition() {
+      return yaml.load(readFileSync(WORKFLOW_YAML, "utf8"));
+    }
+
+    it("orders the shipped workflow's actions by their dependencies", function () {
+      expect(workflow.actions.map(a => a.id)).to.deep.equal([
+        "fetch_open_meteo", "fetch_weatherapi", "fetch_visual_crossing", "aggregate", "update_chain", "check_claim", "process_claim"
+      ]);
+    });
+
+    it("rejects unknown and cyclic dependencies", function () {
+      const unknown = definition();
+      unknown.actions[3].depends_on.push("fetch_noaa");
+      expect(() => validateWorkflow(unknown)).to.throw("action aggregate: depends on unknown action fetch_noaa");
+
+      const cyclic = definition();
+      cyclic.actions[0].depends_on = ["process_claim"];
+      expect(() => validateWorkflow(cyclic)).to.throw(/dependency cycle between actions fetch_open_meteo, aggregate, update_chain/);
+    });
+
+    it("rejects templates and code that read actions they don't depend on", function () {
+      const template = definition();
+      template.actions[4].depends_on = [];
+      expect(() => validateWorkflow(template)).to.throw("action update_chain: reads actions.aggregate without depending on it");
+
+      const code = definition();
+      code.actions[3].depends_on = ["fetch_open_meteo", "fetch_weatherapi"];
+      expect(() => validateWorkflow(code)).to.throw("action aggregate: reads actions.fetch_visual_crossing without depending on it");
+    });
+
+    it("rejects templates it can't evaluate", function () {
+      const bad = definition();
+      bad.actions[0].config.params.latitude = "{{first(inputs.location)}}";
+      expect(() => validateWorkflow(bad)).to.throw("action fetch_open_meteo: unknown function first()");
+
+      bad.actions[0].config.params.latitude = "{{split(inputs.location, ',')[0}}";
+      expect(() => validateWorkflow(bad)).to.throw(/expected "\]"/);
+    });
+  });
+
+  describe("compared with workflow.ts", function () {
+    it("records the same observation and pays the same claim when the sources agree", async function () {
+      const { yaml: yml, differences } = await compare({ readings: AGREEING });
+
+      expect(yml.observation).to.deep.equal({ value: 124, sourceCount: 3 });
+      expect(yml.claimed).to.deep.equal([0]);
+      expect(yml.result.status).to.equal("completed");
+      // Only the entry points differ: one location and one policy per call instead of batches
+      expect(differences).to.deep.equal({
+        writes: { ts: ["updateWeatherDataBatch", "processClaims"], yaml: ["recordObservation", "processClaim"] }
+      });
+    });
+
+    it("resolves its templates into requests, outputs and contract calls", async function () {
+      const { yaml: yml, differences } = await compare({ readings: AGREEING });
+      const { fetch_open_meteo, aggregate, check_claim } = yml.result.actions;
+
+      expect(differences).to.not.have.property("requests");
+
+      expect(fetch_open_meteo.outputs).to.include({ daily_precip: 12.4, temp_min: 17.2, temp_max: 24.1 });
+      expect(aggregate.outputs).to.include({ metric: 0, median_value: 124, source_count: 3 });
+      expect(aggregate.outputs.values).to.deep.equal([124, 119, 131]);
+      expect(check_claim.outputs.claimable).to.equal(true);
+    });
+
+    it("truncates its median as the ledger does", async function () {
+      const { yaml: yml, differences } = await compare({ readings: { ...AGREEING, weatherapi: { status: 401 } } });
+
+      expect(yml.result.actions.fetch_weatherapi).to.include({ status: "failed", error: "HTTP 401" });
+      expect(yml.result.logs).to.include("[WARN] WeatherAPI unavailable, skipping");
+      // median of 124 and 131, truncated
+      expect(yml.result.actions.aggregate.outputs.median_value).to.equal(127);
+      expect(yml.observation).to.deep.equal({ value: 127, sourceCount: 2 });
+      expect(differences).to.have.all.keys("writes");
+    });
+
+    it("skips a source without its secret, as workflow.ts does", async function () {
+      const { yaml: yml, differences } = await compare({
+        readings: AGREEING,
+        secrets: { WEATHERAPI_KEY: SECRETS.WEATHERAPI_KEY }
+      });
+
+      expect(yml.result.actions.fetch_visual_crossing).to.include({ status: "failed", error: "secret VISUAL_CROSSING_KEY not found" });
+      expect(yml.observation.sourceCount).to.equal(2);
+      expect(differences).to.have.all.keys("writes");
+    });
+
+    it("records readings workflow.ts rejects as disputed", async function () {
+      const { differences } = await compare({
+        readings: { ...AGREEING, weatherapi: { precip: 80, tempMin: 17.5, tempMax: 23.8 }, "visual-crossing": { precip: 0, tempMin: 16.9, tempMax: 24.6 } }
+      });
+
+      // No consensus or outlier check: the median of 124, 800 and 0 is recorded and pays
+      expect(differences.observation).to.deep.equal({ ts: null, yaml: { value: 124, sourceCount: 3 } });
+      expect(differences.claimed).to.deep.equal({ ts: [], yaml: [0] });
+    });
+
+    it("fails the whole run without Open-Meteo", async function () {
+      const { yaml: yml, differences } = await compare({ readings: { ...AGREEING, "open-meteo": { status: 500 } } });
+
+      // fetch_open_meteo has no on_error: continue, so nothing after it runs
+      expect(yml.result).to.include({ status: "failed", error: "fetch_open_meteo: HTTP 500" });
+      expect(Object.keys(yml.result.actions)).to.deep.equal(["fetch_open_meteo"]);
+      expect(differences.observation).to.deep.equal({ ts: { value: 125, sourceCount: 2 }, yaml: null });
+      expect(differences.claimed).to.deep.equal({ ts: [0], yaml: [] });
+    });
+
+    it("only settles the policy it is run for", async function () {
+      const { differences } = await compare({ readings: AGREEING, policies: [FLOOD, FLOOD] });
+
+      expect(differences).to.have.all.keys("writes", "claimed");
+      expect(differences.claimed).to.deep.equal({ ts: [0, 1], yaml: [0] });
+    });
+
+    it("keeps monitoring a policy past its term instead of expiring it", async function () {
+      const { yaml: yml, differences } = await compare({ readings: AGREEING, elapsedDays: 31 });
+
+      expect(differences.requests.ts).to.be.empty;
+      expect(differences.writes).to.deep.equal({ ts: ["expirePolicies"], yaml: ["recordObservation"] });
+      expect(differences.expired).to.deep.equal({ ts: [0], yaml: [] });
+      expect(yml.result.actions.check_claim.outputs.claimable).to.equal(false);
+      expect(yml.result.actions.process_claim.status).to.equal("skipped");
+    });
+  });
+});